@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+// bin/openchat.js
+import process from 'node:process';
+import { main } from '../src/cli/openchat.js';
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; });
@@ -42,7 +42,9 @@ export default {
             },
             signal: {
                 phone: process.env.SIGNAL_PHONE,
-                mode: "json-rpc"
+                mode: "json-rpc",
+                // Directorio de datos de signal-cli (adjuntos recibidos); por defecto ~/.local/share/signal-cli
+                dataDir: process.env.SIGNAL_CLI_DATA_DIR
             },
             openai: process.env.OPENAI_API_KEY
         };
@@ -51,6 +53,11 @@ export default {
         enabled: true,
         url: process.env.REDIS_URL || 'redis://localhost:6379'
     },
+    // Backend de colas Egress: 'redis' (BullMQ) o 'memory' (en proceso, sin Redis; los pendientes se pierden al reiniciar)
+    queue: {
+        driver: process.env.QUEUE_DRIVER || 'redis',
+        connect_timeout: parseInt(process.env.QUEUE_CONNECT_TIMEOUT, 10) || 10000 // ms
+    },
     // Configuración de almacenamiento S3 (para sesiones distribuidas)
     s3: {
         endpoint: process.env.S3_ENDPOINT,
@@ -60,8 +67,38 @@ export default {
         secretKey: process.env.S3_SECRET_KEY,
         forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
     },
+    // Selección de plugins (nombres de directorio). Con `enabled` no vacío solo se cargan esos;
+    // los de `disabled` nunca se cargan al arrancar (pueden habilitarse en caliente con !plugin enable).
+    plugins: {
+        enabled: (process.env.PLUGINS_ENABLED || '').split(',').map(name => name.trim()).filter(Boolean),
+        disabled: (process.env.PLUGINS_DISABLED || '').split(',').map(name => name.trim()).filter(Boolean)
+    },
+    // API REST de gestión (addon management_api). Sin token, la API no se expone.
+    api: {
+        enabled: process.env.API_ENABLED !== 'false',
+        host: process.env.API_HOST || '0.0.0.0',
+        port: parseInt(process.env.API_PORT, 10) || 3000,
+        token: process.env.API_TOKEN
+    },
+    // Exportador Prometheus (addon metrics_exporter)
+    metrics: {
+        enabled: process.env.METRICS_ENABLED !== 'false',
+        host: process.env.METRICS_HOST || '0.0.0.0',
+        port: parseInt(process.env.METRICS_PORT, 10) || 9464
+    },
+    // Reacciones nativas admitidas por plataforma (sin entrada = cualquier emoji Unicode).
+    // Telegram usa por defecto el conjunto fijo de la Bot API.
+    reactions: {
+        allowlist: {}
+    },
     tuning: {
         max_listeners: 100,
-        dedup_ttl: 30000
+        dedup_ttl: 30000,
+        // Retención del mapa de mensajes (respuestas, ediciones, borrados y reacciones entre redes)
+        message_map_ttl: parseInt(process.env.MESSAGE_MAP_TTL, 10) || 7 * 24 * 3600, // segundos
+        message_map_max_rows: parseInt(process.env.MESSAGE_MAP_MAX_ROWS, 10) || 200000,
+        message_map_prune_interval: 3600000, // ms
+        // Intervalo mínimo entre publicaciones del mensaje de resultados de una encuesta
+        poll_results_interval: parseInt(process.env.POLL_RESULTS_INTERVAL, 10) || 15000 // ms
     }
 };
@@ -1,6 +1,10 @@
 // src/adapters/base.js
 import { randomUUID } from 'node:crypto';
-import { validateEnvelope } from '../core/utils/umf.js';
+import { validateEnvelope, UMF_EVENTS, normalizeEmoji, formatReaction } from '../core/utils/umf.js';
+
+// Mensaje de resultados de encuestas: ancho de la barra y votantes nombrados por opción
+const POLL_BAR_WIDTH = 10;
+const POLL_NAMES_SHOWN = 3;
 
 /**
  * Interfaz base abstracta para los Adaptadores de Red (Plugins).
@@ -75,7 +79,268 @@ export class BaseAdapter {
         }
 
         if (this.context && this.context.bus) {
-            this.context.bus.emit('message.ingress', envelope);
+            this.context.bus.emit(UMF_EVENTS.INGRESS, envelope);
+        }
+    }
+
+    /**
+     * Emite la edición de un mensaje ya retransmitido para que el Router actualice sus copias.
+     * El envelope debe transportar `head.source.messageId` con el ID nativo del mensaje editado.
+     *
+     * @param {Object} envelope - Mensaje UMF construido con `event: UMF_EVENTS.EDIT`
+     */
+    emitEdit(envelope) {
+        this._emitLifecycleEvent(UMF_EVENTS.EDIT, envelope);
+    }
+
+    /**
+     * Emite el borrado de un mensaje para que el Router elimine todas sus copias retransmitidas.
+     *
+     * @param {Object} envelope - Mensaje UMF construido con `event: UMF_EVENTS.DELETE`
+     */
+    emitDelete(envelope) {
+        this._emitLifecycleEvent(UMF_EVENTS.DELETE, envelope);
+    }
+
+    /**
+     * Emite una reacción añadida o retirada sobre un mensaje del puente.
+     * El envelope debe transportar `body.reaction` ({ key, emoji, shortcode, action }) y el ID
+     * nativo del mensaje reaccionado en `head.source.messageId`; `source.userId` identifica a quien reacciona.
+     *
+     * @param {Object} envelope - Mensaje UMF construido con `event: UMF_EVENTS.REACTION`
+     */
+    emitReaction(envelope) {
+        if (!envelope?.body?.reaction?.key) {
+            if (this.logger) this.logger.warn(`[${this.platformName}] Reacción sin emoji normalizado descartada.`);
+            return;
+        }
+        this._emitLifecycleEvent(UMF_EVENTS.REACTION, envelope);
+    }
+
+    /**
+     * Emite el voto de un usuario sobre una encuesta del puente.
+     * El envelope debe transportar `body.vote` ({ options, action }) y el ID nativo del mensaje de la
+     * encuesta en `head.source.messageId`; `source.userId` identifica a quien vota.
+     *
+     * @param {Object} envelope - Mensaje UMF construido con `event: UMF_EVENTS.POLL_VOTE`
+     */
+    emitPollVote(envelope) {
+        if (!envelope?.body?.vote?.action) {
+            if (this.logger) this.logger.warn(`[${this.platformName}] Voto de encuesta sin acción descartado.`);
+            return;
+        }
+        this._emitLifecycleEvent(UMF_EVENTS.POLL_VOTE, envelope);
+    }
+
+    /**
+     * Publica eventos que actúan sobre un mensaje existente (edición, borrado, reacción, voto).
+     * Sin `head.source.messageId` el Router no puede localizar las copias, por lo que se descartan.
+     */
+    _emitLifecycleEvent(event, envelope) {
+        if (!validateEnvelope(envelope) || !envelope.head.source.messageId) {
+            if (this.logger) this.logger.warn(`[${this.platformName}] Evento UMF '${event}' sin messageId de origen descartado.`);
+            return;
+        }
+
+        if (this.context && this.context.bus) {
+            this.context.bus.emit(event, envelope);
+        }
+    }
+
+    /**
+     * Persiste la correspondencia entre el mensaje de origen y la copia nativa que acaba de enviarse.
+     * Las respuestas de sistema (sin messageId de origen) no se registran.
+     *
+     * @param {Object} envelope - Envelope UMF procesado en Egress
+     * @param {string|number} nativeId - ID del mensaje creado en esta plataforma
+     * @param {number} [part=0] - Fragmento dentro de un envío multiparte (0 = principal)
+     */
+    recordDelivery(envelope, nativeId, part = 0) {
+        const source = envelope.head?.source;
+        const dest = envelope.head?.dest;
+        if (!source?.messageId || !dest?.channelId || nativeId == null) return;
+        if (typeof this.context?.repository?.recordMessageCopy !== 'function') return;
+
+        // Las respuestas de addons en el mismo chat del comando no son copias retransmitidas;
+        // las difusiones (`head.broadcast`, ej. `!poll`) sí, porque no tienen original nativo
+        if (!envelope.head.broadcast && source.platform === this.platformName && String(source.channelId) === String(dest.channelId)) return;
+
+        this.context.repository.recordMessageCopy(
+            { platform: source.platform, channelId: source.channelId, messageId: source.messageId, userId: source.userId },
+            { platform: this.platformName, channelId: dest.channelId, messageId: String(nativeId) },
+            part
+        );
+    }
+
+    /**
+     * ID nativo de una parte de este envío que ya se entregó en el destino (ver `recordDelivery`).
+     * Permite que el reintento de un envío multiparte no repita las partes que salieron en el anterior.
+     *
+     * @param {Object} envelope - Envelope UMF procesado en Egress
+     * @param {number} part - Fragmento dentro del envío multiparte
+     * @returns {string|null} ID del mensaje ya creado en esta plataforma, o null si no consta
+     */
+    findDelivery(envelope, part) {
+        const source = envelope.head?.source;
+        const dest = envelope.head?.dest;
+        if (!source?.messageId || !dest?.channelId) return null;
+        if (typeof this.context?.repository?.getMessageCopies !== 'function') return null;
+
+        const copy = this.context.repository.getMessageCopies(source.platform, source.channelId, source.messageId)
+            .find(entry => entry.platform === this.platformName && entry.channelId === String(dest.channelId) && entry.part === part);
+        return copy?.messageId ?? null;
+    }
+
+    /**
+     * Resuelve el mensaje citado (`head.replyTo.parentId`) a su representación nativa en el canal destino,
+     * para que el adaptador pueda emitir una respuesta real en lugar de una cita textual.
+     *
+     * @param {Object} envelope - Envelope UMF procesado en Egress
+     * @returns {Object|null} { messageId, userId, isOrigin } o null si el padre no existe en este canal
+     */
+    resolveReplyTarget(envelope) {
+        const replyTo = envelope.head?.replyTo;
+        const dest = envelope.head?.dest;
+        if (!replyTo?.parentId || !dest?.channelId) return null;
+
+        const repository = this.context?.repository;
+        const parentPlatform = replyTo.parentPlatform || envelope.head.source.platform;
+        const parentChannelId = String(replyTo.parentChannelId || envelope.head.source.channelId);
+        const parentId = String(replyTo.parentId);
+
+        // El padre ya vive en el canal destino (ej. respuestas de addons al mensaje del comando)
+        if (parentPlatform === this.platformName && parentChannelId === String(dest.channelId)) {
+            const origin = repository?.findMessageOrigin?.(parentPlatform, parentChannelId, parentId);
+            const isCopy = !!origin && !(origin.platform === parentPlatform && origin.channelId === parentChannelId && origin.messageId === parentId);
+            return { messageId: parentId, userId: isCopy ? null : replyTo.parentUserId || null, isOrigin: !isCopy };
+        }
+
+        if (typeof repository?.resolveMessageCopy !== 'function') return null;
+        return repository.resolveMessageCopy(parentPlatform, parentChannelId, parentId, this.platformName, dest.channelId);
+    }
+
+    /**
+     * Lista de emoji que esta plataforma acepta como reacción nativa.
+     * `null` significa cualquier emoji Unicode. Puede sobrescribirse con `reactions.allowlist.<plataforma>`
+     * en la configuración; los adaptadores con un conjunto fijo (ej. bots de Telegram) redefinen este método.
+     *
+     * @returns {string[]|null}
+     */
+    getReactionAllowList() {
+        return this.config?.reactions?.allowlist?.[this.platformName] || null;
+    }
+
+    /**
+     * Traduce una reacción normalizada al emoji exacto que acepta la API de esta plataforma.
+     *
+     * @param {Object} reaction - { key, emoji, shortcode }
+     * @returns {string|null} Emoji nativo, o null si solo puede mostrarse en el resumen textual
+     */
+    resolveNativeEmoji(reaction) {
+        if (!reaction?.emoji) return null;
+
+        const allowList = this.getReactionAllowList();
+        if (!allowList) return reaction.emoji;
+
+        return allowList.find(candidate => normalizeEmoji(candidate)?.key === reaction.key) || null;
+    }
+
+    /**
+     * Reacciones del recuento global que este canal no puede ver por sí mismo
+     * (descuenta las que sus propios usuarios ya añadieron de forma nativa).
+     *
+     * @param {Object} envelope - Evento de reacción con `body.reaction.tally` y `head.dest`
+     * @returns {Array<Object>} [{ key, emoji, shortcode, count }] con count > 0
+     */
+    getForeignReactions(envelope) {
+        const local = `${this.platformName}:${envelope.head?.dest?.channelId}`;
+        return (envelope.body?.reaction?.tally || [])
+        .map(entry => ({ key: entry.key, emoji: entry.emoji, shortcode: entry.shortcode, count: entry.count - (entry.sources?.[local] || 0) }))
+        .filter(entry => entry.count > 0);
+    }
+
+    /**
+     * Texto agregado del resumen de reacciones, ej. "👍 ×3 · :party: ×1".
+     */
+    formatReactionSummary(entries) {
+        return entries.map(entry => `${formatReaction(entry)} ×${entry.count}`).join(' · ');
+    }
+
+    /**
+     * Mantiene el mensaje de resumen de reacciones asociado a la copia `head.dest.messageId`:
+     * lo crea la primera vez, lo edita en cambios posteriores y lo elimina cuando queda vacío.
+     * Las primitivas de red las aporta cada adaptador.
+     *
+     * @param {Object} envelope - Evento de reacción enrutado
+     * @param {Array<Object>} entries - Reacciones que deben mostrarse como texto
+     * @param {Object} ops - { send(text) => Promise<id>, edit(id, text), remove(id) }
+     */
+    async syncReactionSummary(envelope, entries, ops) {
+        const { channelId, messageId } = envelope.head.dest;
+        const repository = this.context?.repository;
+        const summaryId = repository?.getReactionSummaryMessage?.(this.platformName, channelId, messageId);
+        const text = entries.length > 0 ? this.formatReactionSummary(entries) : '';
+
+        if (summaryId && text) {
+            await ops.edit(summaryId, text);
+        } else if (summaryId) {
+            await ops.remove(summaryId);
+            repository.setReactionSummaryMessage(this.platformName, channelId, messageId, null);
+        } else if (text) {
+            const newId = await ops.send(text);
+            if (newId != null) repository?.setReactionSummaryMessage?.(this.platformName, channelId, messageId, newId);
+        }
+    }
+
+    /**
+     * Texto del mensaje de resultados de una encuesta, con el recuento global de todas las redes.
+     *
+     * @param {Object} poll - `body.poll` con `tally` ({ counts, voters, names }) añadido por el Router
+     * @returns {string}
+     */
+    formatPollResults(poll) {
+        const { counts, voters, names } = poll.tally;
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const lines = [`📊 Resultados: ${poll.question}`];
+
+        for (const [index, option] of poll.options.entries()) {
+            const share = total > 0 ? counts[index] / total : 0;
+            const bar = '▓'.repeat(Math.round(share * POLL_BAR_WIDTH)).padEnd(POLL_BAR_WIDTH, '░');
+            const voterNames = names?.[index] || [];
+            const shown = voterNames.slice(0, POLL_NAMES_SHOWN).join(', ');
+            const extra = voterNames.length > POLL_NAMES_SHOWN ? ` +${voterNames.length - POLL_NAMES_SHOWN}` : '';
+            lines.push(`${bar} ${option}: ${counts[index]} (${Math.round(share * 100)}%)${shown ? ` · ${shown}${extra}` : ''}`);
+        }
+
+        lines.push(`👥 ${voters} ${voters === 1 ? 'votante' : 'votantes'} en todas las redes`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Mantiene el mensaje de resultados asociado a la copia de encuesta `head.dest.messageId`:
+     * lo crea con el primer voto, lo edita después y lo elimina si ya no quedan votos.
+     * Las primitivas de red las aporta cada adaptador (las mismas que el resumen de reacciones).
+     *
+     * @param {Object} envelope - Evento POLL_VOTE enrutado, con `body.poll.tally`
+     * @param {Object} ops - { send(text) => Promise<id>, edit(id, text), remove(id) }
+     */
+    async syncPollResults(envelope, ops) {
+        const { channelId, messageId } = envelope.head.dest;
+        const poll = envelope.body?.poll;
+        if (!poll?.tally) return;
+
+        const repository = this.context?.repository;
+        const resultId = repository?.getPollResultMessage?.(this.platformName, channelId, messageId);
+        const text = poll.tally.voters > 0 ? this.formatPollResults(poll) : '';
+
+        if (resultId && text) {
+            await ops.edit(resultId, text);
+        } else if (resultId) {
+            await ops.remove(resultId);
+            repository.setPollResultMessage(this.platformName, channelId, messageId, null);
+        } else if (text) {
+            const newId = await ops.send(text);
+            if (newId != null) repository?.setPollResultMessage?.(this.platformName, channelId, messageId, newId);
         }
     }
 
@@ -1,7 +1,11 @@
 // src/adapters/discord/index.js
 import { Client, GatewayIntentBits, Partials } from 'discord.js';
 import { BaseAdapter } from '../base.js';
-import { createEnvelope, UMF_TYPES, getPlatformAlias } from '../../core/utils/umf.js';
+import { createEnvelope, UMF_TYPES, UMF_EVENTS, getPlatformAlias, buildQuoteSnippet, normalizeEmoji, describeStructuredBody } from '../../core/utils/umf.js';
+import { parseMarkdown, renderRichText, getRichText } from '../../core/utils/richtext.js';
+
+// Vigencia de las encuestas retransmitidas (Discord exige una duración, máximo 32 días)
+const POLL_DURATION_HOURS = 24;
 
 /**
  * Adaptador modular para Discord.
@@ -30,9 +34,13 @@ export default class DiscordAdapter extends BaseAdapter {
                 GatewayIntentBits.Guilds,
                 GatewayIntentBits.GuildMessages,
                 GatewayIntentBits.MessageContent,
-                GatewayIntentBits.DirectMessages
+                GatewayIntentBits.DirectMessages,
+                GatewayIntentBits.GuildMessageReactions,
+                GatewayIntentBits.DirectMessageReactions,
+                GatewayIntentBits.GuildMessagePolls,
+                GatewayIntentBits.DirectMessagePolls
             ],
-            partials: [Partials.Message, Partials.Channel]
+            partials: [Partials.Message, Partials.Channel, Partials.Reaction, Partials.User]
         });
 
         this._registerEvents();
@@ -112,6 +120,49 @@ export default class DiscordAdapter extends BaseAdapter {
                 await this._handleIngress(msg);
             });
         });
+
+        this.client.on('messageUpdate', async (oldMsg, newMsg) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                await this._handleEdit(oldMsg, newMsg);
+            });
+        });
+
+        this.client.on('messageDelete', async (msg) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                this._handleDelete(msg);
+            });
+        });
+
+        // Las purgas de moderación borran mensajes en bloque
+        this.client.on('messageDeleteBulk', async (messages) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                for (const msg of messages.values()) this._handleDelete(msg);
+            });
+        });
+
+        this.client.on('messageReactionAdd', async (reaction, user) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                await this._handleReaction(reaction, user, 'add');
+            });
+        });
+
+        this.client.on('messageReactionRemove', async (reaction, user) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                await this._handleReaction(reaction, user, 'remove');
+            });
+        });
+
+        this.client.on('messagePollVoteAdd', async (answer, userId) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                await this._handlePollVote(answer, userId, 'add');
+            });
+        });
+
+        this.client.on('messagePollVoteRemove', async (answer, userId) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                await this._handlePollVote(answer, userId, 'remove');
+            });
+        });
     }
 
     /**
@@ -172,6 +223,18 @@ export default class DiscordAdapter extends BaseAdapter {
             cleanText = cleanText.replace(match[0], '').trim();
         }
 
+        // Encuesta nativa: viaja estructurada y, para las redes sin encuestas, descrita en el texto
+        let poll;
+        if (msg.poll) {
+            poll = {
+                question: msg.poll.question?.text || '',
+                options: msg.poll.answers.map(answer => answer.text || answer.emoji?.name || ''),
+                multiple: !!msg.poll.allowMultiselect,
+                anonymous: false
+            };
+            cleanText = [cleanText, describeStructuredBody({ poll })].filter(Boolean).join('\n');
+        }
+
         let replyData = null;
         if (msg.reference && msg.reference.messageId) {
             try {
@@ -192,6 +255,7 @@ export default class DiscordAdapter extends BaseAdapter {
 
                 replyData = {
                     parentId: parentMsg.id,
+                    parentUserId: parentMsg.author?.id,
                     parentText: parentMsg.content,
                     parentAttachments: parentAtts
                 };
@@ -201,16 +265,19 @@ export default class DiscordAdapter extends BaseAdapter {
         }
 
         const envelope = createEnvelope({
-            type: attachments.length > 0 && !cleanText ? UMF_TYPES.FILE : UMF_TYPES.TEXT,
+            type: poll ? UMF_TYPES.POLL : (attachments.length > 0 && !cleanText ? UMF_TYPES.FILE : UMF_TYPES.TEXT),
             source: {
                 platform: this.platformName,
                 channelId: msg.channel.id,
+                messageId: msg.id,
                 userId: msg.author.id,
                 username: msg.author.globalName || msg.author.username,
                 avatar: msg.author.displayAvatarURL({ extension: 'png', size: 512 })
             },
             body: {
                 text: cleanText,
+                rich: poll ? null : this._parseRichText(msg),
+                poll,
                 attachments
             },
             replyTo: replyData,
@@ -221,6 +288,110 @@ export default class DiscordAdapter extends BaseAdapter {
         this.emitIngress(envelope);
     }
 
+    /**
+     * Procesa la edición de un mensaje (`messageUpdate`) y la emite como evento `message.edit`.
+     * Discord también dispara este evento al resolver embeds, por lo que se ignora si el texto no cambió.
+     * @param {import('discord.js').Message|import('discord.js').PartialMessage} oldMsg - Estado previo (puede ser parcial).
+     * @param {import('discord.js').Message|import('discord.js').PartialMessage} newMsg - Estado actualizado.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _handleEdit(oldMsg, newMsg) {
+        if (newMsg.partial) {
+            try {
+                await newMsg.fetch();
+            } catch (error) {
+                this.logger.error(`[${this.platformName}] Error al hidratar edición parcial.`, { error: error.message });
+                return;
+            }
+        }
+
+        if (newMsg.author?.bot || newMsg.webhookId) return;
+        if (!oldMsg.partial && oldMsg.content === newMsg.content) return;
+
+        const cleanText = (newMsg.cleanContent || '').replace(/<a?:([a-zA-Z0-9_]+):(\d+)>/g, '').trim();
+
+        const envelope = createEnvelope({
+            event: UMF_EVENTS.EDIT,
+            source: {
+                platform: this.platformName,
+                channelId: newMsg.channel.id,
+                messageId: newMsg.id,
+                userId: newMsg.author.id,
+                username: newMsg.author.globalName || newMsg.author.username,
+                avatar: newMsg.author.displayAvatarURL({ extension: 'png', size: 512 })
+            },
+            body: { text: cleanText, rich: this._parseRichText(newMsg) },
+            correlationId: this.context.logger.getCorrelationId()
+        });
+
+        this.emitEdit(envelope);
+    }
+
+    /**
+     * Emite el borrado de un mensaje como evento `message.delete`.
+     * El mensaje suele llegar parcial (sin caché), por lo que solo se confía en su ID y canal.
+     * @param {import('discord.js').Message|import('discord.js').PartialMessage} msg - Mensaje eliminado.
+     * @private
+     */
+    _handleDelete(msg) {
+        if (msg.author?.bot || msg.webhookId) return;
+
+        const envelope = createEnvelope({
+            event: UMF_EVENTS.DELETE,
+            source: {
+                platform: this.platformName,
+                channelId: msg.channelId,
+                messageId: msg.id,
+                userId: msg.author?.id
+            },
+            correlationId: this.context.logger.getCorrelationId()
+        });
+
+        this.emitDelete(envelope);
+    }
+
+    /**
+     * Emite una reacción nativa como evento `message.reaction`.
+     * Los emoji personalizados del servidor solo viajan como shortcode (`:nombre:`).
+     * Se ignoran las reacciones de bots, incluidas las que este adaptador aplica al retransmitir.
+     * @param {import('discord.js').MessageReaction} reaction - Reacción (posiblemente parcial).
+     * @param {import('discord.js').User} user - Usuario que reacciona.
+     * @param {'add'|'remove'} action - Tipo de cambio.
+     * @private
+     */
+    async _handleReaction(reaction, user, action) {
+        if (user.bot) return;
+
+        if (reaction.partial) {
+            try {
+                await reaction.fetch();
+            } catch (error) {
+                this.logger.error(`[${this.platformName}] Error al hidratar reacción parcial.`, { error: error.message });
+                return;
+            }
+        }
+
+        const { emoji, message } = reaction;
+        const normalized = normalizeEmoji(emoji.id ? `<:${emoji.name}:${emoji.id}>` : emoji.name);
+        if (!normalized) return;
+
+        const envelope = createEnvelope({
+            event: UMF_EVENTS.REACTION,
+            source: {
+                platform: this.platformName,
+                channelId: message.channelId,
+                messageId: message.id,
+                userId: user.id,
+                username: user.globalName || user.username
+            },
+            body: { reaction: { ...normalized, action } },
+            correlationId: this.context.logger.getCorrelationId()
+        });
+
+        this.emitReaction(envelope);
+    }
+
     /**
      * Receptor de trabajos desde BullMQ (Egress).
      * Transforma el objeto UMF al formato propietario de Discord.
@@ -228,6 +399,19 @@ export default class DiscordAdapter extends BaseAdapter {
      * @returns {Promise<void>}
      */
     async processEgress(envelope) {
+        if (envelope.head.event === UMF_EVENTS.EDIT) {
+            return this._processEdit(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.DELETE) {
+            return this._processDelete(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.REACTION) {
+            return this._processReaction(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.POLL_VOTE) {
+            return this._processPollVote(envelope);
+        }
+
         return this.breaker.fire(async () => {
             const destChannelId = envelope.head.dest?.channelId;
             if (!destChannelId) throw new Error('Destino no especificado en el envelope UMF.');
@@ -238,10 +422,7 @@ export default class DiscordAdapter extends BaseAdapter {
                 return;
             }
 
-            // Identidad original abstraída en UMF
-            const alias = getPlatformAlias(envelope.head.source.platform);
-            let senderName = `${envelope.head.source.username} (${alias})`;
-            senderName = senderName.replace(/discord/gi, 'DC').replace(/clyde/gi, 'Cld').substring(0, 80);
+            const senderName = this._buildSenderName(envelope);
 
             // 🛡️ SOLUCIÓN DEFINITIVA DE AVATARES
             let avatarUrl = envelope.head.source.avatar;
@@ -259,36 +440,328 @@ export default class DiscordAdapter extends BaseAdapter {
             // NOTA: WhatsApp y Telegram no se tocan. Pasan directos porque Discord los lee nativamente.
 
             const payload = {
-                content: envelope.body.text || undefined,
+                content: this._buildContent(envelope),
                 files: envelope.body.attachments?.map(att => att.url || att.localPath).filter(Boolean) || []
             };
 
-            if (payload.content && payload.content.length > 2000) {
-                payload.content = payload.content.substring(0, 1996) + '...';
+            // Encuesta nativa; la versión textual de body.text solo se usa si excede los límites de Discord
+            const poll = this._buildPoll(envelope.body.poll);
+            if (poll) {
+                payload.poll = poll;
+                payload.content = undefined;
+            }
+
+            // Respuestas: los Webhooks no admiten message_reference, así que se adjunta un embed
+            // con enlace al mensaje padre. Si el padre no tiene copia aquí, se cita en línea.
+            const replyTarget = this.resolveReplyTarget(envelope);
+            const quote = buildQuoteSnippet(envelope.head.replyTo);
+            if (!replyTarget && quote) {
+                payload.content = `> ${quote}\n${payload.content || ''}`;
             }
 
-            if (!payload.content && payload.files.length === 0) {
+            if (!payload.content && payload.files.length === 0 && !payload.poll) {
                 payload.content = `*[Contenido multimedia no compatible o vacío]*`;
             }
 
             if (channel.isTextBased() && !channel.isDMBased()) {
                 const webhook = await this._getOrCreateWebhook(channel);
                 if (webhook) {
-                    await webhook.send({
+                    const sent = await webhook.send({
                         ...payload,
+                        embeds: replyTarget ? [this._buildReplyEmbed(channel, replyTarget, quote)] : undefined,
                         username: senderName,
                         avatarURL: avatarUrl,
                         allowedMentions: { parse: ['users'] }
                     });
+                    this.recordDelivery(envelope, sent?.id);
                     return;
                 }
             }
 
             payload.content = `**${senderName}:**\n${payload.content || ''}`;
-            await channel.send(payload);
+            if (replyTarget) {
+                payload.reply = { messageReference: replyTarget.messageId, failIfNotExists: false };
+            }
+            const sent = await channel.send(payload);
+            this.recordDelivery(envelope, sent?.id);
         });
     }
 
+    /**
+     * Aplica una edición sobre la copia nativa indicada en `head.dest.messageId`.
+     * Los mensajes enviados por Webhook solo pueden editarse a través del mismo Webhook;
+     * si no existe, se asume que la copia se envió con el fallback del bot.
+     * @param {Object} envelope - Envoltorio UMF de edición.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _processEdit(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Edición sin canal o mensaje de destino en el envelope UMF.');
+
+            const channel = await this.client.channels.fetch(channelId).catch(() => null);
+            if (!channel) {
+                this.logger.warn(`[${this.platformName}] Canal destino inaccesible para edición: ${channelId}`);
+                return;
+            }
+
+            const content = this._buildContent(envelope) || '*[Mensaje editado sin texto]*';
+
+            if (channel.isTextBased() && !channel.isDMBased()) {
+                const webhook = await this._getOrCreateWebhook(channel);
+                if (webhook) {
+                    try {
+                        await webhook.editMessage(messageId, { content });
+                        return;
+                    } catch (error) {
+                        this.logger.debug(`[${this.platformName}] La copia ${messageId} no pertenece al Webhook, editando como bot.`, { error: error.message });
+                    }
+                }
+            }
+
+            await channel.messages.edit(messageId, { content: `**${this._buildSenderName(envelope)}:**\n${content}` });
+        });
+    }
+
+    /**
+     * Elimina la copia nativa indicada en `head.dest.messageId`.
+     * Un mensaje ya inexistente (código 10008) se considera borrado con éxito.
+     * @param {Object} envelope - Envoltorio UMF de borrado.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _processDelete(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Borrado sin canal o mensaje de destino en el envelope UMF.');
+
+            const channel = await this.client.channels.fetch(channelId).catch(() => null);
+            if (!channel) {
+                this.logger.warn(`[${this.platformName}] Canal destino inaccesible para borrado: ${channelId}`);
+                return;
+            }
+
+            try {
+                const webhook = channel.isTextBased() && !channel.isDMBased() ? await this._getOrCreateWebhook(channel) : null;
+                if (webhook) {
+                    try {
+                        await webhook.deleteMessage(messageId);
+                        return;
+                    } catch (error) {
+                        if (error.code === 10008) return;
+                        this.logger.debug(`[${this.platformName}] La copia ${messageId} no pertenece al Webhook, borrando como bot.`, { error: error.message });
+                    }
+                }
+
+                await channel.messages.delete(messageId);
+            } catch (error) {
+                if (error.code === 10008) return;
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Refleja el recuento global de reacciones sobre la copia `head.dest.messageId`.
+     * El bot reacciona con el emoji mientras algún usuario de otra red lo mantenga; los emoji
+     * personalizados de otros servidores se agrupan en un mensaje de resumen que responde a la copia.
+     * @param {Object} envelope - Envoltorio UMF de reacción con `body.reaction.tally`.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _processReaction(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Reacción sin canal o mensaje de destino en el envelope UMF.');
+
+            const channel = await this.client.channels.fetch(channelId).catch(() => null);
+            const message = await channel?.messages.fetch(messageId).catch(() => null);
+            if (!message) {
+                this.logger.warn(`[${this.platformName}] Copia inaccesible para reaccionar: ${channelId}/${messageId}`);
+                return;
+            }
+
+            const reaction = envelope.body.reaction;
+            const foreign = this.getForeignReactions(envelope);
+            const nativeEmoji = this.resolveNativeEmoji(reaction);
+
+            if (nativeEmoji) {
+                if (foreign.some(entry => entry.key === reaction.key)) {
+                    await message.react(nativeEmoji);
+                } else {
+                    const own = message.reactions.cache.find(r => normalizeEmoji(r.emoji.name)?.key === reaction.key);
+                    await own?.users.remove(this.client.user.id);
+                }
+            }
+
+            await this.syncReactionSummary(envelope, foreign.filter(entry => !this.resolveNativeEmoji(entry)), this._summaryOps(channel, messageId));
+        });
+    }
+
+    /**
+     * Discord no permite fijar el recuento de una encuesta: los resultados globales se mantienen
+     * en un mensaje que responde a la copia `head.dest.messageId`.
+     * @param {Object} envelope - Envoltorio UMF de voto con `body.poll.tally`.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _processPollVote(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Voto sin canal o mensaje de destino en el envelope UMF.');
+
+            const channel = await this.client.channels.fetch(channelId).catch(() => null);
+            if (!channel) {
+                this.logger.warn(`[${this.platformName}] Canal destino inaccesible para resultados de encuesta: ${channelId}`);
+                return;
+            }
+
+            await this.syncPollResults(envelope, this._summaryOps(channel, messageId));
+        });
+    }
+
+    /**
+     * Primitivas de los mensajes auxiliares (resumen de reacciones, resultados de encuestas) que
+     * responden a un mensaje del canal sin mencionar a su autor.
+     * @param {import('discord.js').TextChannel} channel - Canal destino.
+     * @param {string} messageId - Mensaje al que responden.
+     * @returns {Object} { send, edit, remove } para `syncReactionSummary` y `syncPollResults`.
+     * @private
+     */
+    _summaryOps(channel, messageId) {
+        return {
+            send: async (text) => {
+                const sent = await channel.send({
+                    content: text,
+                    reply: { messageReference: messageId, failIfNotExists: false },
+                    allowedMentions: { repliedUser: false }
+                });
+                return sent.id;
+            },
+            edit: (summaryId, text) => channel.messages.edit(summaryId, { content: text }),
+            remove: (summaryId) => channel.messages.delete(summaryId).catch(() => null)
+        };
+    }
+
+    /**
+     * Emite un voto añadido o retirado en una encuesta. Discord numera las respuestas desde 1
+     * en el orden en que se crearon, que es el de `body.poll.options`.
+     * @param {import('discord.js').PollAnswer} answer - Respuesta votada (puede ser parcial).
+     * @param {string} userId - Usuario que vota.
+     * @param {'add'|'remove'} action - Tipo de cambio.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _handlePollVote(answer, userId, action) {
+        if (userId === this.client.user?.id) return;
+
+        const poll = answer.poll;
+        const channelId = poll?.channelId || poll?.message?.channelId;
+        const messageId = poll?.messageId || poll?.message?.id;
+        if (!channelId || !messageId) return;
+
+        const user = this.client.users.cache.get(userId) || await this.client.users.fetch(userId).catch(() => null);
+        if (user?.bot) return;
+
+        const envelope = createEnvelope({
+            event: UMF_EVENTS.POLL_VOTE,
+            source: {
+                platform: this.platformName,
+                channelId,
+                messageId,
+                userId,
+                username: user?.globalName || user?.username || 'Desconocido'
+            },
+            body: { vote: { options: [answer.id - 1], action } },
+            correlationId: this.context.logger.getCorrelationId()
+        });
+
+        this.emitPollVote(envelope);
+    }
+
+    /**
+     * Construye la firma visual del remitente original (ej. "Juan (TG)").
+     * @param {Object} envelope - Envoltorio UMF.
+     * @returns {string} Nombre apto para Webhooks (máx. 80 caracteres).
+     * @private
+     */
+    _buildSenderName(envelope) {
+        // Identidad original abstraída en UMF
+        const alias = getPlatformAlias(envelope.head.source.platform);
+        const senderName = `${envelope.head.source.username} (${alias})`;
+        return senderName.replace(/discord/gi, 'DC').replace(/clyde/gi, 'Cld').substring(0, 80);
+    }
+
+    /**
+     * Construye el embed de cita que acompaña a las respuestas enviadas por Webhook.
+     * @param {import('discord.js').TextChannel} channel - Canal destino.
+     * @param {Object} replyTarget - Resultado de `resolveReplyTarget`.
+     * @param {string} quote - Extracto del mensaje padre.
+     * @returns {Object} Embed serializable para la API de Discord.
+     * @private
+     */
+    _buildReplyEmbed(channel, replyTarget, quote) {
+        const jumpUrl = `https://discord.com/channels/${channel.guildId}/${channel.id}/${replyTarget.messageId}`;
+        return {
+            description: `↪️ [En respuesta a](${jumpUrl})${quote ? `\n> ${quote}` : ''}`,
+            color: 0x5865F2
+        };
+    }
+
+    /**
+     * Convierte el Markdown de Discord del mensaje al AST de texto enriquecido.
+     * Los emoji personalizados viajan como adjuntos, por lo que se eliminan del texto.
+     * @param {import('discord.js').Message} msg - Mensaje de Discord.
+     * @returns {Object} AST para `body.rich`.
+     * @private
+     */
+    _parseRichText(msg) {
+        const content = (msg.content || '').replace(/<a?:([a-zA-Z0-9_]+):(\d+)>/g, '').trim();
+        const mentions = msg.mentions;
+
+        return parseMarkdown(content, 'discord', {
+            platform: this.platformName,
+            resolveMention: (kind, id) => {
+                if (kind === 'channel') return mentions?.channels?.get(id)?.name;
+                if (kind === 'role') return mentions?.roles?.get(id)?.name;
+                const user = mentions?.users?.get(id);
+                return mentions?.members?.get(id)?.displayName || user?.globalName || user?.username;
+            }
+        });
+    }
+
+    /**
+     * Traduce `body.poll` al formato de encuestas de Discord (10 respuestas de hasta 55 caracteres).
+     * Las encuestas anónimas no son representables: Discord muestra quién ha votado.
+     * @param {Object|undefined} poll - Encuesta UMF.
+     * @returns {Object|null} Objeto `poll` para MessageCreateOptions, o null si no es representable.
+     * @private
+     */
+    _buildPoll(poll) {
+        if (!poll || poll.anonymous || poll.options.length < 2 || poll.options.length > 10) return null;
+        return {
+            question: { text: poll.question.length > 300 ? poll.question.substring(0, 299) + '…' : poll.question },
+            answers: poll.options.map(option => ({ text: option.length > 55 ? option.substring(0, 54) + '…' : option })),
+            duration: POLL_DURATION_HOURS,
+            allowMultiselect: !!poll.multiple
+        };
+    }
+
+    /**
+     * Normaliza el texto del envelope respetando el límite de 2000 caracteres de Discord.
+     * @param {Object} envelope - Envoltorio UMF.
+     * @returns {string|undefined} Contenido listo para enviar.
+     * @private
+     */
+    _buildContent(envelope) {
+        let content = renderRichText(getRichText(envelope.body), 'discord', { platform: this.platformName }) || undefined;
+        if (content && content.length > 2000) {
+            content = content.substring(0, 1996) + '...';
+        }
+        return content;
+    }
+
     /**
      * Gestor interno de Webhooks (Caché en RAM + persistencia en Redis/BD).
      * @param {import('discord.js').TextChannel} channel - Canal de texto.
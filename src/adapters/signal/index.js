@@ -1,8 +1,55 @@
 import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
 import { spawn } from 'node:child_process';
-import fs from 'node:fs/promises';
-import BaseAdapter from '../base.js';
-import { createEnvelope, UMF_TYPES } from '../../core/utils/umf.js';
+import { createReadStream, existsSync } from 'node:fs';
+import { Readable } from 'node:stream';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { BaseAdapter } from '../base.js';
+import { createEnvelope, UMF_TYPES, UMF_EVENTS, getPlatformAlias, buildQuoteSnippet, normalizeEmoji } from '../../core/utils/umf.js';
+import { parseSignalText, renderRichText, richTextToPlain, getRichText } from '../../core/utils/richtext.js';
+
+// Tiempo máximo de espera de la respuesta de signal-cli a una petición JSON-RPC
+const RPC_TIMEOUT_MS = 20000;
+
+// Límite de Signal para adjuntos; los remotos se descargan y viajan en línea (data URI)
+const MAX_ATTACHMENT_BYTES = 100 * 1024 * 1024;
+
+// Entradas recordadas de las reacciones en memoria (Signal solo admite una por usuario y mensaje)
+const REACTION_MEMORY_LIMIT = 5000;
+
+// Destinatarios individuales: número E.164 o UUID de cuenta. El resto de canales son grupos.
+const RECIPIENT_PATTERN = /^(\+\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+// Errores estándar de JSON-RPC 2.0 y fallos por destinatario del resultado de `send`
+const RPC_ERROR_MESSAGES = {
+    '-32700': 'JSON mal formado',
+    '-32600': 'petición no válida',
+    '-32601': 'método desconocido',
+    '-32602': 'parámetros no válidos',
+    '-32603': 'error interno de signal-cli'
+};
+const SEND_FAILURE_MESSAGES = {
+    UNREGISTERED_FAILURE: 'destinatario no registrado en Signal',
+    IDENTITY_FAILURE: 'la clave de identidad del destinatario ha cambiado',
+    NETWORK_FAILURE: 'fallo de red',
+    RATE_LIMIT_FAILURE: 'límite de envíos alcanzado',
+    PROOF_REQUIRED_FAILURE: 'Signal exige verificación (captcha) de la cuenta'
+};
+
+/**
+ * Error devuelto por signal-cli (objeto `error` de JSON-RPC o fallo de entrega a todos los destinatarios).
+ */
+export class SignalRpcError extends Error {
+    constructor(method, { code = null, message = '', data = null } = {}) {
+        const known = RPC_ERROR_MESSAGES[code] || SEND_FAILURE_MESSAGES[code];
+        super(`signal-cli rechazó '${method}'${code !== null ? ` (${code})` : ''}: ${message || known || 'error desconocido'}`);
+        this.name = 'SignalRpcError';
+        this.method = method;
+        this.code = code;
+        this.data = data;
+    }
+}
 
 export default class SignalAdapter extends BaseAdapter {
     constructor() {
@@ -13,6 +60,27 @@ export default class SignalAdapter extends BaseAdapter {
         this.buffer = '';
         this.signalHost = '127.0.0.1';
         this.signalPort = 8080;
+
+        // Peticiones JSON-RPC en vuelo: id -> { method, resolve, reject, timer }
+        this.pending = new Map();
+        this.requestSeq = 0;
+        this.stopping = false;
+        this.reconnectTimer = null;
+
+        // Miembros conocidos por grupo (groupId -> Set) para detectar altas y bajas
+        this.groupMembers = new Map();
+        // Última reacción de cada usuario por mensaje (ingress) y reacción propia por copia (egress)
+        this.userReactions = new Map();
+        this.ownReactions = new Map();
+    }
+
+    // Un envío puede incluir la descarga de un adjunto remoto y la subida por signal-cli:
+    // el timeout del breaker debe cubrir ambas peticiones
+    getCircuitBreakerConfig() {
+        return {
+            ...super.getCircuitBreakerConfig(),
+            requestTimeout: 2 * RPC_TIMEOUT_MS + 5000
+        };
     }
 
     async start() {
@@ -38,59 +106,415 @@ export default class SignalAdapter extends BaseAdapter {
     }
 
     async stop() {
+        this.stopping = true;
+        clearTimeout(this.reconnectTimer);
+        this._rejectPending(new Error('Adaptador de Signal detenido.'));
         if (this.client) this.client.destroy();
         if (this.daemon) this.daemon.kill();
     }
 
+    /**
+     * Consumidor Egress (BullMQ -> signal-cli). Espera la respuesta de `send`: un rechazo
+     * lanza el error para que BullMQ reintente y cuente en el circuit breaker.
+     * @param {Object} envelope - Envoltorio UMF con datos de salida.
+     * @returns {Promise<void>}
+     */
     async processEgress(envelope) {
-        const botNumber = this.config.tokens.signal.phone;
-        const { channelId } = envelope.head.dest;
-        const { text, attachments } = envelope.body;
+        if (envelope.head.event === UMF_EVENTS.EDIT) {
+            return this._processEdit(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.DELETE) {
+            return this._processDelete(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.REACTION) {
+            return this._processReaction(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.POLL_VOTE) {
+            return this._processPollVote(envelope);
+        }
+
+        return this.breaker.fire(async () => {
+            const channelId = envelope.head.dest?.channelId;
+            if (!channelId) throw new Error('Destino no especificado en el envelope UMF.');
 
-        const formatted = this._formatText(text);
+            // Los stickers de Signal se reenvían como sticker nativo (no admite texto: va en un segundo mensaje).
+            // Si un intento anterior ya lo entregó y falló el texto, el reintento solo envía el texto.
+            let nativeSticker = (envelope.body.attachments || []).find(att => att.sticker?.platform === this.platformName) || null;
+            if (nativeSticker && !this.findDelivery(envelope, 1)) {
+                try {
+                    const sent = await this._request('send', {
+                        account: this._account(),
+                        ...this._targetParams(channelId),
+                        sticker: `${nativeSticker.sticker.packId}:${nativeSticker.sticker.stickerId}`
+                    });
+                    this.recordDelivery(envelope, sent.timestamp, 1);
+                } catch (error) {
+                    if (!(error instanceof SignalRpcError)) throw error;
+                    // Paquete no instalado en la cuenta del puente: se envía la imagen como adjunto
+                    this.logger.debug(`[${this.platformName}] Sticker nativo rechazado, se envía como imagen.`, { error: error.message });
+                    nativeSticker = null;
+                }
+            }
+
+            const params = await this._buildSendParams(envelope, channelId, { skipAttachment: nativeSticker });
+            const result = await this._request('send', params);
+            // El timestamp de envío es el ID del mensaje en Signal (ediciones, borrados y citas)
+            this.recordDelivery(envelope, result.timestamp);
+        });
+    }
+
+    /**
+     * Reescribe la copia `head.dest.messageId` (timestamp del envío original) con `editTimestamp`.
+     * @param {Object} envelope - Envoltorio UMF de edición.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _processEdit(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Edición sin canal o mensaje de destino en el envelope UMF.');
+
+            await this._request('send', {
+                ...(await this._buildSendParams(envelope, channelId, { reply: false, attachments: false })),
+                editTimestamp: Number(messageId)
+            });
+        });
+    }
+
+    /**
+     * Borra para todos la copia `head.dest.messageId` (remoteDelete).
+     * @param {Object} envelope - Envoltorio UMF de borrado.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _processDelete(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Borrado sin canal o mensaje de destino en el envelope UMF.');
+
+            await this._request('remoteDelete', {
+                account: this._account(),
+                ...this._targetParams(channelId),
+                targetTimestamp: Number(messageId)
+            });
+        });
+    }
+
+    /**
+     * Refleja el recuento global de reacciones sobre la copia `head.dest.messageId`.
+     * La cuenta del puente solo puede mantener una reacción por mensaje: se usa la más votada
+     * y el resto se agrupa en un mensaje de resumen que cita la copia.
+     * @param {Object} envelope - Envoltorio UMF de reacción con `body.reaction.tally`.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _processReaction(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Reacción sin canal o mensaje de destino en el envelope UMF.');
+
+            const target = {
+                account: this._account(),
+                ...this._targetParams(channelId),
+                targetAuthor: this._resolveAuthor(channelId, messageId),
+                targetTimestamp: Number(messageId)
+            };
+
+            const foreign = this.getForeignReactions(envelope);
+            const top = foreign
+            .filter(entry => this.resolveNativeEmoji(entry))
+            .sort((a, b) => b.count - a.count)[0];
+
+            // Enviar otra reacción sustituye la anterior; para quitarla hay que repetir el mismo emoji
+            const reactionKey = `${channelId}:${messageId}`;
+            const current = this.ownReactions.get(reactionKey) || null;
+            const emoji = top ? this.resolveNativeEmoji(top) : null;
+            if (emoji && emoji !== current) {
+                await this._request('sendReaction', { ...target, emoji });
+                this._remember(this.ownReactions, reactionKey, emoji);
+            } else if (!emoji && current) {
+                await this._request('sendReaction', { ...target, emoji: current, remove: true });
+                this.ownReactions.delete(reactionKey);
+            }
+
+            await this.syncReactionSummary(envelope, foreign.filter(entry => entry !== top), this._summaryOps(channelId, messageId));
+        });
+    }
+
+    /**
+     * Signal no tiene encuestas nativas en signal-cli: los resultados globales se mantienen en un
+     * mensaje que cita la copia `head.dest.messageId`.
+     * @param {Object} envelope - Envoltorio UMF de voto con `body.poll.tally`.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _processPollVote(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Voto sin canal o mensaje de destino en el envelope UMF.');
+
+            await this.syncPollResults(envelope, this._summaryOps(channelId, messageId));
+        });
+    }
+
+    /**
+     * Primitivas de los mensajes auxiliares (resumen de reacciones, resultados de encuestas) que
+     * citan el mensaje `messageId` (su timestamp).
+     * @param {string} channelId - Canal destino.
+     * @param {string} messageId - Timestamp del mensaje citado.
+     * @returns {Object} { send, edit, remove } para `syncReactionSummary` y `syncPollResults`.
+     * @private
+     */
+    _summaryOps(channelId, messageId) {
+        const account = this._account();
+        return {
+            send: async (text) => {
+                const sent = await this._request('send', {
+                    account,
+                    ...this._targetParams(channelId),
+                    message: text,
+                    quoteTimestamp: Number(messageId),
+                    quoteAuthor: this._resolveAuthor(channelId, messageId)
+                });
+                return sent.timestamp;
+            },
+            edit: (summaryId, text) => this._request('send', {
+                account,
+                ...this._targetParams(channelId),
+                message: text,
+                editTimestamp: Number(summaryId)
+            }),
+            remove: (summaryId) => this._request('remoteDelete', {
+                account,
+                ...this._targetParams(channelId),
+                targetTimestamp: Number(summaryId)
+            }).catch(() => null)
+        };
+    }
+
+    /**
+     * Parámetros de `send` para el cuerpo del envelope: firma del remitente, texto con estilos,
+     * menciones, cita nativa (o extracto textual si el padre no tiene copia aquí) y adjuntos.
+     *
+     * @param {Object} envelope - Envoltorio UMF de salida.
+     * @param {string} channelId - Canal destino.
+     * @param {Object} [options]
+     * @param {boolean} [options.reply=true] - Resolver la respuesta al mensaje citado.
+     * @param {boolean} [options.attachments=true] - Incluir los adjuntos.
+     * @param {Object|null} [options.skipAttachment=null] - Adjunto ya enviado por otra vía (sticker nativo).
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _buildSendParams(envelope, channelId, { reply = true, attachments = true, skipAttachment = null } = {}) {
+        const account = this._account();
+        const replyTarget = reply ? this.resolveReplyTarget(envelope) : null;
+        const quote = reply && !replyTarget ? buildQuoteSnippet(envelope.head.replyTo) : '';
+
+        const sender = `${envelope.head.source.username} (${getPlatformAlias(envelope.head.source.platform)})`;
+        const header = `${sender}:\n${quote ? `> ${quote}\n` : ''}`;
+        const formatted = renderRichText(getRichText(envelope.body), 'signal', { platform: this.platformName });
+
+        // Los rangos del cuerpo (`inicio:longitud:valor`) se desplazan tras la cabecera
+        const shift = (ranges) => ranges.map(range => {
+            const [start, ...rest] = range.split(':');
+            return [Number(start) + header.length, ...rest].join(':');
+        });
 
         const params = {
-            account: botNumber,
-            message: formatted.text,
-            textStyles: formatted.textStyles
+            account,
+            ...this._targetParams(channelId),
+            message: `${header}${formatted.text}`.trimEnd(),
+            textStyles: [`0:${sender.length}:BOLD`, ...shift(formatted.textStyles)]
         };
 
-        if (channelId.startsWith('group.')) {
-            params.groupId = channelId;
-        } else {
-            params.recipient = [channelId];
+        if (formatted.mentions.length > 0) {
+            params.mention = shift(formatted.mentions);
         }
 
-        if (attachments && attachments.length > 0) {
-            params.attachments = attachments.map(a => a.localPath).filter(Boolean);
+        if (replyTarget) {
+            params.quoteTimestamp = Number(replyTarget.messageId);
+            // Las copias las firmó la cuenta del puente; los originales, su autor en Signal
+            params.quoteAuthor = replyTarget.isOrigin && replyTarget.userId ? replyTarget.userId : account;
+            if (envelope.head.replyTo?.parentText) params.quoteMessage = envelope.head.replyTo.parentText;
         }
 
-        const request = {
-            jsonrpc: "2.0",
-            method: "send",
-            params,
-            id: envelope.head.id
-        };
+        if (attachments) {
+            const files = await this._prepareAttachments((envelope.body.attachments || []).filter(att => att !== skipAttachment));
+            if (files.length > 0) params.attachments = files;
+        }
+
+        return params;
+    }
+
+    /**
+     * Convierte los adjuntos UMF en rutas locales o data URIs que signal-cli pueda leer.
+     * Los que no se pueden obtener se omiten (el texto del mensaje se entrega igualmente).
+     * @private
+     */
+    async _prepareAttachments(attachments) {
+        const files = [];
+        for (const att of attachments) {
+            const localPath = att.localPath || (att.url?.startsWith('file://') ? fileURLToPath(att.url) : null);
+            if (localPath && existsSync(localPath)) {
+                files.push(localPath);
+                continue;
+            }
+            if (!/^https?:\/\//.test(att.url || '')) continue;
+
+            try {
+                files.push(await this._downloadAsDataUri(att));
+            } catch (error) {
+                this.logger.warn(`[${this.platformName}] Adjunto remoto omitido.`, { url: att.url, error: error.message });
+            }
+        }
+        return files;
+    }
+
+    async _downloadAsDataUri(att) {
+        const response = await fetch(att.url, { signal: AbortSignal.timeout(RPC_TIMEOUT_MS) });
+        if (!response.ok) throw new Error(`Fallo HTTP ${response.status} al descargar el adjunto`);
+        if (Number(response.headers.get('content-length')) > MAX_ATTACHMENT_BYTES) throw new Error('Adjunto mayor que el límite de Signal');
+
+        const buffer = Buffer.from(await response.arrayBuffer());
+        if (buffer.length > MAX_ATTACHMENT_BYTES) throw new Error('Adjunto mayor que el límite de Signal');
+
+        const mimeType = (att.mimeType !== 'application/octet-stream' && att.mimeType)
+            || response.headers.get('content-type')?.split(';')[0]
+            || 'application/octet-stream';
+        const filename = att.name ? `;filename=${encodeURIComponent(att.name)}` : '';
+        return `data:${mimeType}${filename};base64,${buffer.toString('base64')}`;
+    }
+
+    _account() {
+        return this.config.tokens.signal.phone;
+    }
+
+    /**
+     * Destino de una petición: los chats individuales usan `recipient` y los grupos `groupId`
+     * (se acepta también el prefijo `group.` de signal-cli-rest-api).
+     * @private
+     */
+    _targetParams(channelId) {
+        const id = String(channelId);
+        if (id.startsWith('group.')) return { groupId: id.slice('group.'.length) };
+        return RECIPIENT_PATTERN.test(id) ? { recipient: [id] } : { groupId: id };
+    }
+
+    /**
+     * Autor del mensaje `messageId` en este canal, necesario para citar o reaccionar en Signal:
+     * el usuario si es un original de Signal, o la cuenta del puente si es una copia retransmitida.
+     * @private
+     */
+    _resolveAuthor(channelId, messageId) {
+        const origin = this.context.repository?.findMessageOrigin?.(this.platformName, channelId, messageId);
+        const isOrigin = origin?.platform === this.platformName && origin.channelId === String(channelId) && origin.messageId === String(messageId);
+        return isOrigin && origin.userId ? origin.userId : this._account();
+    }
+
+    /**
+     * Inserta en un mapa acotado: al superar el límite se descarta la entrada más antigua.
+     * @private
+     */
+    _remember(map, key, value) {
+        map.delete(key);
+        map.set(key, value);
+        if (map.size > REACTION_MEMORY_LIMIT) map.delete(map.keys().next().value);
+    }
+
+    /**
+     * Envía una petición JSON-RPC a signal-cli y espera su respuesta (correlación por `id`).
+     *
+     * @param {string} method - Método de signal-cli (send, remoteDelete...).
+     * @param {Object} params - Parámetros de la petición.
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs=RPC_TIMEOUT_MS]
+     * @returns {Promise<Object>} `result` de la respuesta.
+     * @throws {SignalRpcError|Error} Si signal-cli devuelve un error, no responde a tiempo o no hay conexión.
+     */
+    _request(method, params, { timeoutMs = RPC_TIMEOUT_MS } = {}) {
+        if (!this.client?.writable) {
+            return Promise.reject(new Error('Sin conexión con el daemon de signal-cli.'));
+        }
+
+        const id = `${this.platformName}-${++this.requestSeq}`;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`signal-cli no respondió a '${method}' en ${timeoutMs}ms.`));
+            }, timeoutMs);
 
-        this._sendRaw(request);
+            this.pending.set(id, { method, resolve, reject, timer });
+            this._sendRaw({ jsonrpc: '2.0', method, params, id });
+        });
+    }
+
+    /**
+     * Resuelve la petición en vuelo que corresponde a una respuesta de signal-cli.
+     * @private
+     */
+    _settleRequest(response) {
+        const request = this.pending.get(String(response.id));
+        if (!request) {
+            this.logger.debug(`[${this.platformName}] Respuesta JSON-RPC sin petición pendiente (id: ${response.id}).`);
+            return;
+        }
+
+        this.pending.delete(String(response.id));
+        clearTimeout(request.timer);
+
+        if (response.error) {
+            request.reject(new SignalRpcError(request.method, response.error));
+            return;
+        }
+
+        // `send` responde con éxito aunque fallen todos los destinatarios: se revisa cada resultado
+        const results = response.result?.results;
+        if (Array.isArray(results) && results.length > 0) {
+            const failures = results.filter(entry => entry.type && entry.type !== 'SUCCESS');
+            if (failures.length === results.length) {
+                request.reject(new SignalRpcError(request.method, { code: failures[0].type, data: failures }));
+                return;
+            }
+            if (failures.length > 0) {
+                this.logger.warn(`[${this.platformName}] Entrega parcial: ${failures.length}/${results.length} destinatarios fallaron.`, {
+                    failures: failures.map(entry => entry.type)
+                });
+            }
+        }
+
+        request.resolve(response.result || {});
+    }
+
+    _rejectPending(error) {
+        for (const request of this.pending.values()) {
+            clearTimeout(request.timer);
+            request.reject(error);
+        }
+        this.pending.clear();
     }
 
     async _connectSocket(botNumber) {
         this.client = new net.Socket();
 
         this.client.connect(this.signalPort, this.signalHost, () => {
-            this._sendRaw({
-                jsonrpc: "2.0",
-                method: "receive",
-                params: { account: botNumber },
-                id: "init-sub"
+            this._request('receive', { account: botNumber }).catch(error => {
+                this.logger.debug(`[${this.platformName}] Suscripción explícita a 'receive' rechazada (el daemon ya la entrega).`, { error: error.message });
+            });
+            this._refreshGroupMembers().catch(error => {
+                this.logger.warn(`[${this.platformName}] No se pudo obtener la lista de grupos.`, { error: error.message });
             });
         });
 
         this.client.on('data', (data) => this._onSocketData(data));
-        this.client.on('error', (err) => {});
+        this.client.on('error', (err) => {
+            this.logger.warn(`[${this.platformName}] Error en el socket de signal-cli.`, { error: err.message });
+        });
         this.client.on('close', () => {
-            setTimeout(() => this._connectSocket(botNumber), 5000);
+            // Las respuestas pendientes no llegarán por una conexión nueva
+            this._rejectPending(new Error('Conexión con signal-cli cerrada antes de recibir respuesta.'));
+            this.buffer = '';
+            if (this.stopping) return;
+            this.reconnectTimer = setTimeout(() => this._connectSocket(botNumber), 5000);
         });
     }
 
@@ -103,78 +527,311 @@ export default class SignalAdapter extends BaseAdapter {
             this.buffer = this.buffer.substring(boundary + 1);
 
             if (input.trim()) {
+                let json;
                 try {
-                    const json = JSON.parse(input);
-                    if (json.method === 'receive') this._handleIngress(json);
-                } catch (e) {
+                    json = JSON.parse(input);
+                } catch (error) {
+                    this.logger.warn(`[${this.platformName}] Línea JSON-RPC ilegible descartada.`, { error: error.message });
                 }
+                // Respuestas (con id, sin método) y notificaciones (con método)
+                if (json?.method === 'receive') this._handleIngress(json);
+                else if (json && json.id !== undefined && !json.method) this._settleRequest(json);
             }
             boundary = this.buffer.indexOf('\n');
         }
     }
 
+    /**
+     * Despacha una notificación `receive` de signal-cli según su contenido.
+     * @param {Object} msg - Notificación JSON-RPC con `params.envelope`.
+     * @returns {Promise<void>}
+     * @private
+     */
     async _handleIngress(msg) {
         const envelope = msg.params?.envelope;
-        if (!envelope?.dataMessage) return;
-
-        const dataMsg = envelope.dataMessage;
-        const sender = envelope.sourceUuid || envelope.source;
+        const sender = envelope?.sourceUuid || envelope?.source;
+        if (!sender || envelope.sourceNumber === this._account()) return;
 
-        this.context.logger.withCorrelation({ source: 'signal' }, async () => {
+        return this.context.logger.withCorrelation({ source: 'signal' }, async () => {
             try {
-                const attachments = [];
-                if (dataMsg.attachments) {
-                    for (const att of dataMsg.attachments) {
-                        const type = att.contentType?.split('/')[0] || 'file';
-                        if (att.storedFilename) {
-                            const stored = await this.context.storage.storeFromUrl(`file://${att.storedFilename}`, { type });
-                            attachments.push(stored);
-                        }
-                    }
-                }
+                if (envelope.editMessage) return this._handleEdit(envelope, sender);
 
-                const umf = createEnvelope({
-                    type: attachments.length > 0 ? UMF_TYPES.FILE : UMF_TYPES.TEXT,
-                    source: {
-                        platform: 'signal',
-                        channelId: dataMsg.groupInfo?.groupId || sender,
-                        userId: sender,
-                        username: envelope.sourceName || 'Usuario Signal'
-                    },
-                    body: {
-                        text: dataMsg.message || '',
-                        raw: dataMsg.message
-                    },
-                    attachments,
-                    correlationId: envelope.timestamp.toString()
-                });
+                const dataMsg = envelope.dataMessage;
+                if (!dataMsg) return;
+
+                if (dataMsg.reaction) return this._handleReaction(envelope, dataMsg, sender);
+                if (dataMsg.remoteDelete) return this._handleRemoteDelete(envelope, dataMsg, sender);
+                if (dataMsg.groupInfo?.type === 'UPDATE') return await this._handleGroupUpdate(envelope, dataMsg, sender);
 
-                this.context.bus.emit('message.ingress', umf);
+                await this._handleMessage(envelope, dataMsg, sender);
             } catch (error) {
+                this.logger.error(`[${this.platformName}] Error procesando mensaje entrante.`, { error: error.message });
             }
         });
     }
 
-    _formatText(rawText) {
-        if (typeof rawText !== 'string') return { text: rawText, textStyles: [] };
+    /**
+     * Empaqueta un mensaje nuevo: texto con estilos y menciones, adjuntos, sticker y cita.
+     * @private
+     */
+    async _handleMessage(envelope, dataMsg, sender) {
+        const attachments = [];
+        for (const att of dataMsg.attachments || []) {
+            const stored = await this._importAttachment(att, dataMsg, sender);
+            if (stored) attachments.push(stored);
+        }
+        if (dataMsg.sticker) {
+            const sticker = await this._importSticker(dataMsg.sticker);
+            if (sticker) attachments.push(sticker);
+        }
+
+        // Las menciones llegan como U+FFFC dentro del texto; el AST las sustituye por su nombre
+        const rich = parseSignalText(dataMsg.message, {
+            textStyles: dataMsg.textStyles,
+            mentions: dataMsg.mentions
+        });
+        const text = richTextToPlain(rich);
+        if (!text && attachments.length === 0) return; // Recibos, claves de perfil y similares
+
+        // La cita identifica al padre por su timestamp de envío y su autor
+        const quote = dataMsg.quote;
+        const replyTo = quote ? {
+            parentId: String(quote.id),
+            parentUserId: quote.authorUuid || quote.author || null,
+            parentText: richTextToPlain(parseSignalText(quote.text, { textStyles: quote.textStyles, mentions: quote.mentions })),
+            parentAttachments: (quote.attachments || []).map(att => ({
+                type: this._attachmentType(att.contentType),
+                mimeType: att.contentType,
+                name: att.filename
+            }))
+        } : null;
+
+        const type = attachments.length === 0
+            ? UMF_TYPES.TEXT
+            : attachments.every(att => att.type === UMF_TYPES.STICKER) ? UMF_TYPES.STICKER : UMF_TYPES.FILE;
+
+        const umf = createEnvelope({
+            type,
+            source: this._buildSource(envelope, dataMsg, sender, envelope.timestamp),
+            body: {
+                text,
+                raw: dataMsg.message,
+                rich
+            },
+            attachments,
+            replyTo,
+            correlationId: this.context.logger.getCorrelationId()
+        });
+
+        this.emitIngress(umf);
+    }
+
+    /**
+     * Empaqueta una edición (`editMessage`) sobre el mensaje enviado en `targetSentTimestamp`.
+     * @private
+     */
+    _handleEdit(envelope, sender) {
+        const { targetSentTimestamp, dataMessage = {} } = envelope.editMessage;
+        const rich = parseSignalText(dataMessage.message, {
+            textStyles: dataMessage.textStyles,
+            mentions: dataMessage.mentions
+        });
+
+        const umf = createEnvelope({
+            event: UMF_EVENTS.EDIT,
+            source: this._buildSource(envelope, dataMessage, sender, targetSentTimestamp),
+            body: {
+                text: richTextToPlain(rich),
+                raw: dataMessage.message,
+                rich
+            },
+            correlationId: this.context.logger.getCorrelationId()
+        });
 
-        let strippedText = rawText;
-        const textStyles = [];
-        const tokenRegex = /(\*)([^\*]+)(\*)|(_)([^_]+)(_)|(`)([^`]+)(`)/g;
+        this.emitEdit(umf);
+    }
 
-        let match;
-        while ((match = tokenRegex.exec(strippedText)) !== null) {
-            let style = ''; let content = '';
-            if (match[1]) { style = 'BOLD'; content = match[2]; }
-            else if (match[4]) { style = 'ITALIC'; content = match[5]; }
-            else if (match[7]) { style = 'MONOSPACE'; content = match[8]; }
+    /**
+     * Convierte una reacción en eventos UMF. Signal mantiene una sola reacción por usuario y mensaje:
+     * una nueva sustituye a la anterior sin avisar, así que se emite también la retirada de esta.
+     * @private
+     */
+    _handleReaction(envelope, dataMsg, sender) {
+        const { emoji, targetSentTimestamp, isRemove } = dataMsg.reaction;
+        const reaction = normalizeEmoji(emoji);
+        if (!reaction) return;
 
-            const start = match.index;
-            strippedText = strippedText.slice(0, start) + content + strippedText.slice(start + match[0].length);
-            textStyles.push(`${start}:${content.length}:${style}`);
-            tokenRegex.lastIndex = start + content.length;
+        const source = this._buildSource(envelope, dataMsg, sender, targetSentTimestamp);
+        const memoryKey = `${source.channelId}:${targetSentTimestamp}:${sender}`;
+        const previous = this.userReactions.get(memoryKey);
+
+        const changes = [];
+        if (isRemove) {
+            changes.push({ ...reaction, action: 'remove' });
+            this.userReactions.delete(memoryKey);
+        } else {
+            if (previous && previous.key !== reaction.key) changes.push({ ...previous, action: 'remove' });
+            changes.push({ ...reaction, action: 'add' });
+            this._remember(this.userReactions, memoryKey, reaction);
         }
-        return { text: strippedText, textStyles };
+
+        for (const change of changes) {
+            const umf = createEnvelope({
+                event: UMF_EVENTS.REACTION,
+                source,
+                body: { reaction: change },
+                correlationId: this.context.logger.getCorrelationId()
+            });
+            this.emitReaction(umf);
+        }
+    }
+
+    _handleRemoteDelete(envelope, dataMsg, sender) {
+        const umf = createEnvelope({
+            event: UMF_EVENTS.DELETE,
+            source: this._buildSource(envelope, dataMsg, sender, dataMsg.remoteDelete.timestamp),
+            body: { text: '' },
+            correlationId: this.context.logger.getCorrelationId()
+        });
+
+        this.emitDelete(umf);
+    }
+
+    /**
+     * Los cambios de grupo no detallan quién entra o sale: se compara la lista de miembros
+     * con la conocida y se publica un aviso de sistema. Los números de teléfono no se exponen.
+     * @private
+     */
+    async _handleGroupUpdate(envelope, dataMsg, sender) {
+        const groupId = dataMsg.groupInfo.groupId;
+        const previous = this.groupMembers.get(groupId);
+        await this._refreshGroupMembers();
+        const current = this.groupMembers.get(groupId);
+        if (!previous || !current) return;
+
+        const joined = [...current].filter(member => !previous.has(member));
+        const left = [...previous].filter(member => !current.has(member));
+        const actor = envelope.sourceName || 'Usuario Signal';
+
+        const lines = [];
+        if (joined.length > 0) {
+            lines.push(joined.length === 1 && joined[0] === sender
+                ? `➕ ${actor} se ha unido al grupo`
+                : `➕ ${actor} ha añadido ${joined.length} ${joined.length === 1 ? 'miembro' : 'miembros'} al grupo`);
+        }
+        if (left.length > 0) {
+            lines.push(left.length === 1 && left[0] === sender
+                ? `➖ ${actor} ha salido del grupo`
+                : `➖ ${actor} ha eliminado ${left.length} ${left.length === 1 ? 'miembro' : 'miembros'} del grupo`);
+        }
+        if (lines.length === 0) return;
+
+        const umf = createEnvelope({
+            type: UMF_TYPES.SYSTEM,
+            source: this._buildSource(envelope, dataMsg, sender, envelope.timestamp),
+            body: { text: lines.join('\n') },
+            correlationId: this.context.logger.getCorrelationId()
+        });
+
+        this.emitIngress(umf);
+    }
+
+    /**
+     * Actualiza la caché de miembros de todos los grupos de la cuenta.
+     * @private
+     */
+    async _refreshGroupMembers() {
+        const groups = await this._request('listGroups', { account: this._account() });
+        for (const group of Array.isArray(groups) ? groups : []) {
+            this.groupMembers.set(group.id, new Set((group.members || []).map(member => member.uuid || member.number)));
+        }
+    }
+
+    /**
+     * Origen UMF común. En Signal el ID de un mensaje es el timestamp de envío de su autor.
+     * @private
+     */
+    _buildSource(envelope, dataMsg, sender, messageId) {
+        return {
+            platform: this.platformName,
+            channelId: dataMsg?.groupInfo?.groupId || sender,
+            messageId: messageId != null ? String(messageId) : null,
+            userId: sender,
+            username: envelope.sourceName || 'Usuario Signal'
+        };
+    }
+
+    /**
+     * Lleva un adjunto recibido al StorageService. signal-cli lo deja en `<dataDir>/attachments/<id>`;
+     * si el fichero no es accesible (daemon en otra máquina) se pide su contenido con `getAttachment`.
+     * @private
+     */
+    async _importAttachment(att, dataMsg, sender) {
+        const meta = {
+            type: this._attachmentType(att.contentType),
+            mimeType: att.contentType || 'application/octet-stream',
+            size: att.size || 0,
+            name: att.filename || att.id
+        };
+
+        const filePath = att.storedFilename || (att.id ? path.join(this._dataDir(), 'attachments', att.id) : null);
+        if (filePath && existsSync(filePath)) return this._storeMedia({ filePath }, meta);
+
+        try {
+            const channelId = dataMsg.groupInfo?.groupId || sender;
+            const result = await this._request('getAttachment', { account: this._account(), id: att.id, ...this._targetParams(channelId) });
+            return this._storeMedia({ buffer: Buffer.from(result.data, 'base64') }, meta);
+        } catch (error) {
+            this.logger.warn(`[${this.platformName}] Adjunto entrante no disponible.`, { id: att.id, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Obtiene la imagen de un sticker y conserva su referencia de paquete para reenviarlo
+     * como sticker nativo a otros chats de Signal.
+     * @private
+     */
+    async _importSticker({ packId, packKey, stickerId }) {
+        try {
+            const result = await this._request('getSticker', { account: this._account(), packId, stickerId });
+            return this._storeMedia({ buffer: Buffer.from(result.data, 'base64') }, {
+                type: UMF_TYPES.STICKER,
+                mimeType: 'image/webp',
+                name: `${packId}_${stickerId}.webp`,
+                sticker: { platform: this.platformName, packId, packKey: packKey || null, stickerId }
+            });
+        } catch (error) {
+            this.logger.warn(`[${this.platformName}] Sticker entrante no disponible.`, { packId, stickerId, error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Sube el contenido al almacenamiento central. Si falla, un fichero local se referencia
+     * directamente (degradación elegante); un contenido en memoria se descarta.
+     * @private
+     */
+    async _storeMedia({ filePath = null, buffer = null }, meta) {
+        try {
+            const stream = filePath ? createReadStream(filePath) : Readable.from(buffer);
+            const stored = await this.context.storage.uploadMedia(stream, { mimeType: meta.mimeType });
+            return { ...meta, ...stored, size: meta.size || buffer?.length || 0 };
+        } catch (error) {
+            this.logger.warn(`[${this.platformName}] No se pudo almacenar el adjunto.`, { name: meta.name, error: error.message });
+            return filePath ? { ...meta, url: pathToFileURL(filePath).href, localPath: filePath } : null;
+        }
+    }
+
+    _attachmentType(contentType = '') {
+        if (contentType.startsWith('image/')) return UMF_TYPES.IMAGE;
+        if (contentType.startsWith('video/')) return UMF_TYPES.VIDEO;
+        if (contentType.startsWith('audio/')) return UMF_TYPES.AUDIO;
+        return UMF_TYPES.FILE;
+    }
+
+    _dataDir() {
+        return this.config.tokens.signal.dataDir || path.join(os.homedir(), '.local', 'share', 'signal-cli');
     }
 
     _sendRaw(obj) {
@@ -186,7 +843,9 @@ export default class SignalAdapter extends BaseAdapter {
     async health() {
         return {
             status: this.client?.writable ? 'connected' : 'disconnected',
-            platform: this.platformName
+            platform: this.platformName,
+            pendingRequests: this.pending.size,
+            breaker: this.breaker ? this.breaker.getSnapshot() : null
         };
     }
 }
\ No newline at end of file
@@ -1,6 +1,7 @@
 import { Client } from 'stoat.js';
 import { BaseAdapter } from '../base.js';
-import { createEnvelope, UMF_TYPES, getPlatformAlias } from '../../core/utils/umf.js';
+import { createEnvelope, UMF_TYPES, UMF_EVENTS, getPlatformAlias, buildQuoteSnippet, normalizeEmoji } from '../../core/utils/umf.js';
+import { parseMarkdown, renderRichText, getRichText } from '../../core/utils/richtext.js';
 
 export default class StoatAdapter extends BaseAdapter {
     constructor() {
@@ -80,6 +81,30 @@ export default class StoatAdapter extends BaseAdapter {
 
         this.client.on('message', handleMessage);
         this.client.on('messageCreate', handleMessage);
+
+        this.client.on('messageUpdate', async (msg) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                await this._handleEdit(msg);
+            });
+        });
+
+        this.client.on('messageDelete', async (msg) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                this._handleDelete(msg);
+            });
+        });
+
+        this.client.on('messageReactionAdd', async (msg, userId, emoji) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                this._handleReaction(msg, userId, emoji, 'add');
+            });
+        });
+
+        this.client.on('messageReactionRemove', async (msg, userId, emoji) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                this._handleReaction(msg, userId, emoji, 'remove');
+            });
+        });
     }
 
     async _handleIngress(msg) {
@@ -145,17 +170,30 @@ export default class StoatAdapter extends BaseAdapter {
             }
         }
 
+        // Respuesta: el mensaje padre suele estar en la caché del cliente
+        let replyData = null;
+        const replyIds = msg.replyIds || msg.reply_ids;
+        if (replyIds && replyIds.length > 0) {
+            const parentMsg = this.client.messages?.get?.(replyIds[0]);
+            replyData = {
+                parentId: replyIds[0],
+                parentUserId: parentMsg?.authorId || parentMsg?.author?.id || null,
+                parentText: parentMsg?.content || ''
+            };
+        }
+
         const envelope = createEnvelope({
             type: (attachments.length > 0 && !cleanText) ? UMF_TYPES.FILE : UMF_TYPES.TEXT,
                                         source: {
                                             platform: this.platformName,
                                             channelId: chanId,
+                                            messageId: msg.id || msg._id,
                                             userId: authorId,
                                             username: msg.author?.username || 'Unknown',
                                             avatar: finalAvatarUrl
                                         },
-                                        body: { text: cleanText || '', attachments },
-                                        replyTo: (msg.reply_ids && msg.reply_ids.length > 0) ? { parentId: msg.reply_ids[0] } : null,
+                                        body: { text: cleanText || '', rich: this._parseRichText(msg.content), attachments },
+                                        replyTo: replyData,
                                         correlationId: this.context.logger.getCorrelationId(),
                                         trace_path: [`${this.platformName}:${chanId}`]
         });
@@ -163,36 +201,77 @@ export default class StoatAdapter extends BaseAdapter {
         this.emitIngress(envelope);
     }
 
+    async _handleEdit(msg) {
+        if (msg.author?.bot || msg.masquerade || msg.system) return;
+
+        const chanId = msg.channelId || msg.channel_id;
+        const messageId = msg.id || msg._id;
+        if (!chanId || !messageId) return;
+
+        const envelope = createEnvelope({
+            event: UMF_EVENTS.EDIT,
+            source: {
+                platform: this.platformName,
+                channelId: chanId,
+                messageId,
+                userId: msg.authorId || msg.author_id,
+                username: msg.author?.username || 'Unknown'
+            },
+            body: { text: msg.content || '', rich: this._parseRichText(msg.content) },
+            correlationId: this.context.logger.getCorrelationId()
+        });
+
+        this.emitEdit(envelope);
+    }
+
+    _handleDelete(msg) {
+        const chanId = msg?.channelId || msg?.channel_id;
+        const messageId = msg?.id || msg?._id;
+        if (!chanId || !messageId) return;
+
+        const envelope = createEnvelope({
+            event: UMF_EVENTS.DELETE,
+            source: {
+                platform: this.platformName,
+                channelId: chanId,
+                messageId,
+                userId: msg.authorId || msg.author_id
+            },
+            correlationId: this.context.logger.getCorrelationId()
+        });
+
+        this.emitDelete(envelope);
+    }
+
     async processEgress(envelope) {
+        if (envelope.head.event === UMF_EVENTS.EDIT) {
+            return this._processEdit(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.DELETE) {
+            return this._processDelete(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.REACTION) {
+            return this._processReaction(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.POLL_VOTE) {
+            return this._processPollVote(envelope);
+        }
+
         return this.breaker.fire(async () => {
             const destChannelId = envelope.head.dest?.channelId;
             if (!destChannelId) throw new Error('Destino no especificado en el envelope UMF.');
 
-            let channel = this.client.channels.get(destChannelId);
-            if (!channel && typeof this.client.channels.fetch === 'function') {
-                try {
-                    channel = await this.client.channels.fetch(destChannelId);
-                } catch (err) {
-                    this.logger.warn(`[${this.platformName}] Fallo al forzar fetch del canal.`);
-                }
-            }
-
-            if (!channel) {
-                throw new Error(`Canal destino no está listo o no existe: ${destChannelId}`);
-            }
+            const channel = await this._resolveChannel(destChannelId);
 
             const alias = getPlatformAlias(envelope.head.source.platform);
             const senderName = `${envelope.head.source.username} (${alias})`;
             let avatarUrl = envelope.head.source.avatar;
 
-            let content = envelope.body.text || '';
-            if (envelope.body.attachments?.length > 0) {
-                content += '\n\n[Archivos adjuntos]:';
-                envelope.body.attachments.forEach(att => {
-                    content += `\n📎 ${att.name}: ${att.url || att.localPath}`;
-                });
-            }
-            if (!content) content = '*[Mensaje multimedia]*';
+            // Respuesta nativa si el padre tiene copia en este canal; si no, cita textual
+            const replyTarget = this.resolveReplyTarget(envelope);
+            const replies = replyTarget ? [{ id: replyTarget.messageId, mention: false }] : undefined;
+            const quote = replyTarget ? '' : buildQuoteSnippet(envelope.head.replyTo);
+            const content = (quote ? `> ${quote}\n` : '') + this._buildContent(envelope);
 
             const masquerade = {
                 name: senderName.substring(0, 32)
@@ -209,20 +288,177 @@ export default class StoatAdapter extends BaseAdapter {
             }
 
             try {
-                await channel.sendMessage({
+                const sent = await channel.sendMessage({
                     content: content,
-                    masquerade: masquerade
+                    masquerade: masquerade,
+                    replies
                 });
+                this.recordDelivery(envelope, sent?.id || sent?._id);
             } catch (error) {
                 this.logger.warn(`[${this.platformName}] Fallo en Masquerade. Degradando a mensaje estándar.`, { error: error.message });
                 try {
-                    await channel.sendMessage({
-                        content: `**${masquerade.name}**:\n${content}`
+                    const sent = await channel.sendMessage({
+                        content: `**${masquerade.name}**:\n${content}`,
+                        replies
                     });
+                    this.recordDelivery(envelope, sent?.id || sent?._id);
                 } catch (fatalError) {
                     throw fatalError;
                 }
             }
         });
     }
+
+    async _processEdit(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Edición sin canal o mensaje de destino en el envelope UMF.');
+
+            const message = await this._fetchMessage(channelId, messageId);
+            if (!message) throw new Error(`Copia no encontrada para edición: ${messageId}`);
+
+            // La edición conserva el masquerade original, solo se reemplaza el contenido
+            await message.edit({ content: this._buildContent(envelope) });
+        });
+    }
+
+    async _processDelete(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Borrado sin canal o mensaje de destino en el envelope UMF.');
+
+            const message = await this._fetchMessage(channelId, messageId);
+
+            // Si la copia ya no existe no hay nada que borrar
+            if (message) await message.delete();
+        });
+    }
+
+    _handleReaction(msg, userId, emoji, action) {
+        if (!userId || userId === this.client.user?.id) return;
+
+        // Los emoji personalizados de Stoat son ULIDs; fuera de esta red solo viaja su nombre
+        const custom = /^[0-9A-Z]{26}$/.test(emoji) ? this.client.emojis?.get?.(emoji) : null;
+        const reaction = normalizeEmoji(custom ? `:${custom.name || 'emoji'}:` : emoji);
+        if (!reaction) return;
+
+        const chanId = msg.channelId || msg.channel_id;
+        const user = this.client.users?.get?.(userId);
+
+        const envelope = createEnvelope({
+            event: UMF_EVENTS.REACTION,
+            source: {
+                platform: this.platformName,
+                channelId: chanId,
+                messageId: msg.id || msg._id,
+                userId,
+                username: user?.username || 'Unknown'
+            },
+            body: { reaction: { ...reaction, action } },
+            correlationId: this.context.logger.getCorrelationId()
+        });
+
+        this.emitReaction(envelope);
+    }
+
+    async _processReaction(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Reacción sin canal o mensaje de destino en el envelope UMF.');
+
+            const message = await this._fetchMessage(channelId, messageId);
+            if (!message) return;
+
+            const reaction = envelope.body.reaction;
+            const foreign = this.getForeignReactions(envelope);
+            const nativeEmoji = this.resolveNativeEmoji(reaction);
+
+            if (nativeEmoji) {
+                if (foreign.some(entry => entry.key === reaction.key)) {
+                    await message.react(nativeEmoji);
+                } else {
+                    await message.unreact(nativeEmoji);
+                }
+            }
+
+            await this.syncReactionSummary(envelope, foreign.filter(entry => !this.resolveNativeEmoji(entry)), await this._summaryOps(channelId, messageId));
+        });
+    }
+
+    // Stoat no tiene encuestas: los resultados globales van en un mensaje que responde a la copia
+    async _processPollVote(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Voto sin canal o mensaje de destino en el envelope UMF.');
+
+            await this.syncPollResults(envelope, await this._summaryOps(channelId, messageId));
+        });
+    }
+
+    async _summaryOps(channelId, messageId) {
+        const channel = await this._resolveChannel(channelId);
+        return {
+            send: async (text) => {
+                const sent = await channel.sendMessage({ content: text, replies: [{ id: messageId, mention: false }] });
+                return sent?.id || sent?._id;
+            },
+            edit: async (summaryId, text) => {
+                const summary = await this._fetchMessage(channelId, summaryId);
+                if (summary) await summary.edit({ content: text });
+            },
+            remove: async (summaryId) => {
+                const summary = await this._fetchMessage(channelId, summaryId);
+                if (summary) await summary.delete();
+            }
+        };
+    }
+
+    async _fetchMessage(channelId, messageId) {
+        const cached = this.client.messages?.get?.(messageId);
+        if (cached) return cached;
+
+        const channel = await this._resolveChannel(channelId);
+        return channel.fetchMessage(messageId).catch(() => null);
+    }
+
+    async _resolveChannel(channelId) {
+        let channel = this.client.channels.get(channelId);
+        if (!channel && typeof this.client.channels.fetch === 'function') {
+            try {
+                channel = await this.client.channels.fetch(channelId);
+            } catch (err) {
+                this.logger.warn(`[${this.platformName}] Fallo al forzar fetch del canal.`);
+            }
+        }
+
+        if (!channel) {
+            throw new Error(`Canal destino no está listo o no existe: ${channelId}`);
+        }
+        return channel;
+    }
+
+    _parseRichText(content) {
+        // Los emoji personalizados (:ULID:) viajan como adjuntos
+        const text = (content || '').replace(/:([A-Z0-9]{26}):/g, '').trim();
+
+        return parseMarkdown(text, 'stoat', {
+            platform: this.platformName,
+            resolveMention: (kind, id) => {
+                if (kind === 'channel') return this.client.channels?.get?.(id)?.name;
+                const user = this.client.users?.get?.(id);
+                return user?.username || user?.original_name || user?.originalName || `Usuario_${id.slice(-4)}`;
+            }
+        });
+    }
+
+    _buildContent(envelope) {
+        let content = renderRichText(getRichText(envelope.body), 'stoat', { platform: this.platformName });
+        if (envelope.body.attachments?.length > 0) {
+            content += '\n\n[Archivos adjuntos]:';
+            envelope.body.attachments.forEach(att => {
+                content += `\n📎 ${att.name}: ${att.url || att.localPath}`;
+            });
+        }
+        return content || '*[Mensaje multimedia]*';
+    }
 }
@@ -2,7 +2,20 @@
 import { Bot, InputFile } from 'grammy';
 import { run } from '@grammyjs/runner';
 import { BaseAdapter } from '../base.js';
-import { createEnvelope, UMF_TYPES, getPlatformAlias } from '../../core/utils/umf.js';
+import { createEnvelope, UMF_TYPES, UMF_EVENTS, getPlatformAlias, buildQuoteSnippet, normalizeEmoji, describeStructuredBody } from '../../core/utils/umf.js';
+import { parseTelegramEntities, renderRichText, getRichText } from '../../core/utils/richtext.js';
+
+/**
+ * Conjunto cerrado de emoji que la Bot API admite en `setMessageReaction` (ReactionTypeEmoji).
+ * Cualquier otra reacción se muestra en el mensaje de resumen.
+ */
+const TELEGRAM_REACTIONS = [
+    '👍', '👎', '❤', '🔥', '🥰', '👏', '😁', '🤔', '🤯', '😱', '🤬', '😢', '🎉', '🤩', '🤮', '💩',
+    '🙏', '👌', '🕊', '🤡', '🥱', '🥴', '😍', '🐳', '❤‍🔥', '🌚', '🌭', '💯', '🤣', '⚡', '🍌', '🏆',
+    '💔', '🤨', '😐', '🍓', '🍾', '💋', '🖕', '😈', '😴', '😭', '🤓', '👻', '👨‍💻', '👀', '🎃', '🙈',
+    '😇', '😨', '🤝', '✍', '🤗', '🫡', '🎅', '🎄', '☃', '💅', '🤪', '🗿', '🆒', '💘', '🙉', '🦄',
+    '😘', '💊', '🙊', '😎', '👾', '🤷‍♂', '🤷', '🤷‍♀', '😡'
+];
 
 /**
  * Adaptador modular para Telegram.
@@ -58,7 +71,10 @@ export default class TelegramAdapter extends BaseAdapter {
 
             // Iniciar utilizando grammY runner para asimilar la cola de actualizaciones
             // concurrentemente sin saturar el Event Loop principal (Evita bloqueos secuenciales).
-            this.runner = run(this.bot);
+            // `message_reaction` y `poll_answer` no se entregan por defecto: hay que solicitarlos explícitamente
+            this.runner = run(this.bot, {
+                runner: { fetch: { allowed_updates: ['message', 'edited_message', 'message_reaction', 'poll', 'poll_answer'] } }
+            });
 
             // Verificar que el token es válido obteniendo la información del bot
             await this.bot.api.getMe().then(me => {
@@ -121,6 +137,40 @@ export default class TelegramAdapter extends BaseAdapter {
                 await this._handleIngress(ctx);
             });
         });
+
+        // Oyente de Ediciones: propaga correcciones hacia las copias ya retransmitidas
+        this.bot.on('edited_message', async (ctx) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                await this._handleEdit(ctx);
+            });
+        });
+
+        // Oyente de Reacciones (requiere que el bot sea administrador del grupo)
+        this.bot.on('message_reaction', async (ctx) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                await this._handleReaction(ctx);
+            });
+        });
+
+        // Votos de encuestas: Telegram solo los notifica en las encuestas enviadas por el propio bot
+        this.bot.on('poll_answer', async (ctx) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                this._handlePollAnswer(ctx);
+            });
+        });
+        this.bot.on('poll', async (ctx) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                this._handlePollUpdate(ctx);
+            });
+        });
+    }
+
+    /**
+     * Los bots no premium solo pueden usar el conjunto fijo de reacciones de Telegram.
+     * @returns {string[]}
+     */
+    getReactionAllowList() {
+        return super.getReactionAllowList() || TELEGRAM_REACTIONS;
     }
 
     /**
@@ -185,6 +235,18 @@ export default class TelegramAdapter extends BaseAdapter {
             mainType = attachments.length > 0 ? mediaType : UMF_TYPES.FILE;
         }
 
+        // Encuesta nativa: viaja estructurada y, para las redes sin encuestas, descrita en el texto
+        let poll;
+        if (msg.poll) {
+            poll = {
+                question: msg.poll.question,
+                options: msg.poll.options.map(option => option.text),
+                multiple: !!msg.poll.allows_multiple_answers,
+                anonymous: !!msg.poll.is_anonymous
+            };
+            mainType = UMF_TYPES.POLL;
+        }
+
         // SOLUCIÓN AVATARES: Obtener foto de perfil al vuelo
         let avatarUrl = null;
         try {
@@ -222,6 +284,7 @@ export default class TelegramAdapter extends BaseAdapter {
 
             replyData = {
                 parentId: parentMsg.message_id,
+                parentUserId: parentMsg.from?.id,
                 parentText: parentMsg.text || parentMsg.caption || '',
                 parentAttachments: parentAtts
             };
@@ -233,12 +296,15 @@ export default class TelegramAdapter extends BaseAdapter {
             source: {
                 platform: this.platformName,
                 channelId: String(ctx.chat.id),
+                                        messageId: String(msg.message_id),
                                         userId: String(ctx.from.id),
                                         username: ctx.from.username || ctx.from.first_name || 'Desconocido',
                                         avatar: avatarUrl
             },
             body: {
-                text: msg.text || msg.caption || '',
+                text: poll ? describeStructuredBody({ poll }) : msg.text || msg.caption || '',
+                rich: poll ? null : parseTelegramEntities(msg.text || msg.caption, msg.entities || msg.caption_entities),
+                poll,
                 attachments
             },
             replyTo: replyData,
@@ -249,6 +315,155 @@ export default class TelegramAdapter extends BaseAdapter {
         this.emitIngress(envelope);
     }
 
+    /**
+     * Empaqueta un `edited_message` como evento UMF de edición.
+     * @param {import('grammy').Context} ctx - Contexto de la edición de Telegram.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _handleEdit(ctx) {
+        if (ctx.from?.is_bot) return;
+
+        const msg = ctx.editedMessage;
+        const envelope = createEnvelope({
+            event: UMF_EVENTS.EDIT,
+            source: {
+                platform: this.platformName,
+                channelId: String(ctx.chat.id),
+                messageId: String(msg.message_id),
+                userId: String(ctx.from.id),
+                username: ctx.from.username || ctx.from.first_name || 'Desconocido'
+            },
+            body: {
+                text: msg.text || msg.caption || '',
+                rich: parseTelegramEntities(msg.text || msg.caption, msg.entities || msg.caption_entities)
+            },
+            correlationId: this.context.logger.getCorrelationId()
+        });
+
+        this.emitEdit(envelope);
+    }
+
+    /**
+     * Convierte un `message_reaction` (estado anterior y nuevo de un usuario) en eventos UMF
+     * de reacción añadida o retirada. Los emoji personalizados se traducen a su emoji Unicode base.
+     * @param {import('grammy').Context} ctx - Contexto de la actualización de reacción.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _handleReaction(ctx) {
+        const update = ctx.messageReaction;
+        const actor = update.user || update.actor_chat;
+        if (!actor || actor.id === ctx.me?.id || update.user?.is_bot) return;
+
+        const oldReactions = await this._normalizeReactions(update.old_reaction);
+        const newReactions = await this._normalizeReactions(update.new_reaction);
+
+        const changes = [
+            ...newReactions.filter(r => !oldReactions.some(o => o.key === r.key)).map(r => ({ ...r, action: 'add' })),
+            ...oldReactions.filter(r => !newReactions.some(n => n.key === r.key)).map(r => ({ ...r, action: 'remove' }))
+        ];
+
+        for (const reaction of changes) {
+            const envelope = createEnvelope({
+                event: UMF_EVENTS.REACTION,
+                source: {
+                    platform: this.platformName,
+                    channelId: String(update.chat.id),
+                    messageId: String(update.message_id),
+                    userId: String(actor.id),
+                    username: actor.username || actor.first_name || actor.title || 'Desconocido'
+                },
+                body: { reaction },
+                correlationId: this.context.logger.getCorrelationId()
+            });
+
+            this.emitReaction(envelope);
+        }
+    }
+
+    /**
+     * Voto (con identidad) en una encuesta enviada por el bot. `option_ids` es la selección completa;
+     * una lista vacía significa que el usuario retiró su voto.
+     * @param {import('grammy').Context} ctx - Contexto de la actualización `poll_answer`.
+     * @private
+     */
+    _handlePollAnswer(ctx) {
+        const answer = ctx.pollAnswer;
+        const handle = this.context.repository?.findPollHandle?.(this.platformName, answer.poll_id);
+        const voter = answer.user || answer.voter_chat;
+        if (!handle || !voter || answer.user?.is_bot) return;
+
+        this.emitPollVote(createEnvelope({
+            event: UMF_EVENTS.POLL_VOTE,
+            source: {
+                platform: this.platformName,
+                channelId: handle.channelId,
+                messageId: handle.messageId,
+                userId: String(voter.id),
+                username: voter.username || voter.first_name || voter.title || 'Desconocido'
+            },
+            body: { vote: { options: answer.option_ids, action: 'set' } },
+            correlationId: this.context.logger.getCorrelationId()
+        }));
+    }
+
+    /**
+     * Estado de una encuesta anónima enviada por el bot: sin identidad de votantes, se propaga el
+     * recuento nativo de la copia como un voto agregado.
+     * @param {import('grammy').Context} ctx - Contexto de la actualización `poll`.
+     * @private
+     */
+    _handlePollUpdate(ctx) {
+        const poll = ctx.poll;
+        // Las encuestas con identidad ya informan de cada voto mediante poll_answer
+        if (!poll.is_anonymous) return;
+
+        const handle = this.context.repository?.findPollHandle?.(this.platformName, poll.id);
+        if (!handle) return;
+
+        this.emitPollVote(createEnvelope({
+            event: UMF_EVENTS.POLL_VOTE,
+            source: {
+                platform: this.platformName,
+                channelId: handle.channelId,
+                messageId: handle.messageId,
+                userId: `anonymous:${handle.channelId}`,
+                username: 'Votos anónimos'
+            },
+            body: {
+                vote: {
+                    options: [],
+                    action: 'counts',
+                    counts: poll.options.map(option => option.voter_count),
+                    voters: poll.total_voter_count
+                }
+            },
+            correlationId: this.context.logger.getCorrelationId()
+        }));
+    }
+
+    /**
+     * Normaliza una lista de ReactionType de la Bot API. Las reacciones de pago se descartan.
+     * @param {Array<Object>} reactions - Lista nativa de reacciones.
+     * @returns {Promise<Array<Object>>} Reacciones normalizadas sin duplicados.
+     * @private
+     */
+    async _normalizeReactions(reactions = []) {
+        const normalized = [];
+        for (const reaction of reactions) {
+            let value = null;
+            if (reaction.type === 'emoji') {
+                value = normalizeEmoji(reaction.emoji);
+            } else if (reaction.type === 'custom_emoji') {
+                const [sticker] = await this.bot.api.getCustomEmojiStickers([reaction.custom_emoji_id]).catch(() => []);
+                value = normalizeEmoji(sticker?.emoji);
+            }
+            if (value && !normalized.some(n => n.key === value.key)) normalized.push(value);
+        }
+        return normalized;
+    }
+
     /**
      * Consumidor Asíncrono Egress (BullMQ -> Telegram API).
      * Toma el paquete neutral UMF y aplica sintaxis inversa para materializarlo.
@@ -256,29 +471,30 @@ export default class TelegramAdapter extends BaseAdapter {
      * @returns {Promise<void>}
      */
     async processEgress(envelope) {
+        if (envelope.head.event === UMF_EVENTS.EDIT) {
+            return this._processEdit(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.DELETE) {
+            return this._processDelete(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.REACTION) {
+            return this._processReaction(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.POLL_VOTE) {
+            return this._processPollVote(envelope);
+        }
+
         // Envoltura de alta disponibilidad; interrumpe el flujo si la API externa entra en pánico
         return this.breaker.fire(async () => {
             const destChannelId = envelope.head.dest?.channelId;
             if (!destChannelId) throw new Error('Destino no especificado en el envelope UMF.');
 
-            // SOLUCIÓN: Usar abreviatura de plataforma para el nombre del remitente
-            const alias = getPlatformAlias(envelope.head.source.platform);
-            const senderName = `${envelope.head.source.username} (${alias})`;
-
-            // Extraer texto base y sanitizar para evitar errores de parseo en Telegram
-            let content = envelope.body.text || '';
-
-            // SOLUCIÓN: Sanitizar sintaxis propietaria de Discord para no romper el HTML de Telegram
-            // Convierte <@ID>, <#ID>, <@&ID> en formatos legibles
-            content = content
-            .replace(/<@!?(\d+)>/g, '`@$1`')   // Menciones de Usuario de Discord
-            .replace(/<#(\d+)>/g, '`#$1`')     // Menciones de Canal de Discord
-            .replace(/<@&(\d+)>/g, '`@&$1`')   // Menciones de Rol de Discord
-            .replace(/</g, '&lt;')              // Escapar < restantes
-            .replace(/>/g, '&gt;');              // Escapar > restantes
-
-            // Construcción del plano visual con el texto sanitizado
-            let caption = `<b>${senderName}</b>:\n${content}`.trim();
+            // Respuesta nativa si el padre tiene copia en este chat; si no, cita textual breve
+            const replyTarget = this.resolveReplyTarget(envelope);
+            const replyOptions = replyTarget
+                ? { reply_parameters: { message_id: parseInt(replyTarget.messageId, 10), allow_sending_without_reply: true } }
+                : {};
+            let caption = this._buildCaption(envelope, replyTarget ? '' : buildQuoteSnippet(envelope.head.replyTo));
 
             // Degradación Elegante por Restricción de Dominio:
             // Los adjuntos en Telegram no permiten leyendas superiores a 1024 caracteres
@@ -288,33 +504,42 @@ export default class TelegramAdapter extends BaseAdapter {
             }
 
             try {
+                if (await this._sendStructured(envelope, destChannelId, caption, replyOptions)) return;
+
                 if (hasAttachments) {
                     const att = envelope.body.attachments[0]; // Telegram solo permite un adjunto por mensaje
                     const file = new InputFile(att.url || att.localPath);
+                    let sent;
 
                     if (att.type === UMF_TYPES.IMAGE) {
-                        await this.bot.api.sendPhoto(destChannelId, file, { caption, parse_mode: 'HTML' });
+                        sent = await this.bot.api.sendPhoto(destChannelId, file, { caption, parse_mode: 'HTML', ...replyOptions });
                     }
                     else if (att.type === UMF_TYPES.VIDEO) {
-                        await this.bot.api.sendVideo(destChannelId, file, { caption, parse_mode: 'HTML' });
+                        sent = await this.bot.api.sendVideo(destChannelId, file, { caption, parse_mode: 'HTML', ...replyOptions });
                     }
                     else if (att.type === UMF_TYPES.STICKER) {
-                        await this.bot.api.sendSticker(destChannelId, file);
+                        const sticker = await this.bot.api.sendSticker(destChannelId, file, replyOptions);
                         // Los Stickers en Telegram no soportan subtítulos integrados, inyectamos un eco textual consecutivo
                         if (envelope.body.text) {
-                            await this.bot.api.sendMessage(destChannelId, caption, { parse_mode: 'HTML' });
+                            this.recordDelivery(envelope, sticker.message_id, 1);
+                            sent = await this.bot.api.sendMessage(destChannelId, caption, { parse_mode: 'HTML' });
+                        } else {
+                            sent = sticker;
                         }
                     }
                     else {
-                        await this.bot.api.sendDocument(destChannelId, file, { caption, parse_mode: 'HTML' });
+                        sent = await this.bot.api.sendDocument(destChannelId, file, { caption, parse_mode: 'HTML', ...replyOptions });
                     }
+                    this.recordDelivery(envelope, sent?.message_id);
                 }
                 else {
                     // Rutina para Inyección de Texto Plano o Enlaces
-                    await this.bot.api.sendMessage(destChannelId, caption, {
+                    const sent = await this.bot.api.sendMessage(destChannelId, caption, {
                         parse_mode: 'HTML',
-                        link_preview_options: { is_disabled: false }
+                        link_preview_options: { is_disabled: false },
+                        ...replyOptions
                     });
+                    this.recordDelivery(envelope, sent?.message_id);
                 }
             } catch (error) {
                 // Estrategia de evasión activa de Blacklisting (Error 429 Too Many Requests)
@@ -327,4 +552,216 @@ export default class TelegramAdapter extends BaseAdapter {
             }
         });
     }
-     }
+
+    /**
+     * Materializa encuestas, ubicaciones y contactos con sus tipos nativos de Telegram.
+     * La encuesta lleva el remitente en la pregunta; la ubicación y los contactos se envían primero y
+     * después la leyenda (fragmento principal), igual que los stickers. Si el contenido no cabe en los
+     * límites de la Bot API se devuelve false y se envía la versión textual de `body.text`.
+     * @param {Object} envelope - Envoltorio UMF de salida.
+     * @param {string} chatId - Chat destino.
+     * @param {string} caption - Leyenda HTML ya construida.
+     * @param {Object} replyOptions - Parámetros de respuesta nativa.
+     * @returns {Promise<boolean>} True si el mensaje se entregó por completo.
+     * @private
+     */
+    async _sendStructured(envelope, chatId, caption, replyOptions) {
+        const { poll, location, contacts } = envelope.body;
+
+        if (poll) {
+            const options = poll.options.map(option => option.substring(0, 100));
+            if (options.length < 2 || options.length > 12) return false;
+
+            const sender = `${envelope.head.source.username} (${getPlatformAlias(envelope.head.source.platform)})`;
+            const question = `${sender}: ${poll.question}`;
+            const sent = await this.bot.api.sendPoll(chatId, question.length > 300 ? question.substring(0, 299) + '…' : question,
+                options.map(text => ({ text })), {
+                    allows_multiple_answers: !!poll.multiple,
+                    is_anonymous: !!poll.anonymous,
+                    ...replyOptions
+                });
+            this.recordDelivery(envelope, sent?.message_id);
+            // Los votos llegan con el poll_id, no con el mensaje
+            if (sent?.poll) {
+                this.context.repository?.setPollHandle?.(this.platformName, sent.poll.id, { channelId: chatId, messageId: sent.message_id });
+            }
+            return true;
+        }
+
+        if (location) {
+            const { latitude, longitude, name, address } = location;
+            const native = name && address
+                ? await this.bot.api.sendVenue(chatId, latitude, longitude, name, address, replyOptions)
+                : await this.bot.api.sendLocation(chatId, latitude, longitude, replyOptions);
+            this.recordDelivery(envelope, native.message_id, 1);
+        }
+        else if (contacts?.length > 0) {
+            const cards = contacts.filter(contact => contact.phones?.length > 0);
+            if (cards.length === 0) return false;
+
+            for (const [index, contact] of cards.entries()) {
+                const native = await this.bot.api.sendContact(chatId, contact.phones[0], contact.name || contact.phones[0], {
+                    vcard: contact.vcard?.length <= 2048 ? contact.vcard : undefined,
+                    ...(index === 0 ? replyOptions : {})
+                });
+                this.recordDelivery(envelope, native.message_id, index + 1);
+            }
+        }
+        else {
+            return false;
+        }
+
+        const sent = await this.bot.api.sendMessage(chatId, caption, {
+            parse_mode: 'HTML',
+            link_preview_options: { is_disabled: true }
+        });
+        this.recordDelivery(envelope, sent?.message_id);
+        return true;
+    }
+
+    /**
+     * Reescribe la copia nativa indicada en `head.dest.messageId`.
+     * Los mensajes multimedia no tienen texto sino leyenda, por lo que se reintenta con editMessageCaption.
+     * @param {Object} envelope - Envoltorio UMF de edición.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _processEdit(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Edición sin canal o mensaje de destino en el envelope UMF.');
+
+            const text = this._buildCaption(envelope);
+            const nativeId = parseInt(messageId, 10);
+
+            try {
+                await this.bot.api.editMessageText(channelId, nativeId, text, { parse_mode: 'HTML' });
+            } catch (error) {
+                const description = error.description || error.message || '';
+                if (description.includes('message is not modified')) return;
+                if (!description.includes('no text in the message')) throw error;
+
+                await this.bot.api.editMessageCaption(channelId, nativeId, {
+                    caption: text.length > 1024 ? text.substring(0, 1020) + '...' : text,
+                    parse_mode: 'HTML'
+                });
+            }
+        });
+    }
+
+    /**
+     * Elimina la copia nativa indicada en `head.dest.messageId`.
+     * La Bot API no notifica borrados entrantes (eso lo cubre el userbot), pero sí permite borrar lo propio.
+     * @param {Object} envelope - Envoltorio UMF de borrado.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _processDelete(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Borrado sin canal o mensaje de destino en el envelope UMF.');
+
+            try {
+                await this.bot.api.deleteMessage(channelId, parseInt(messageId, 10));
+            } catch (error) {
+                const description = error.description || error.message || '';
+                if (description.includes('message to delete not found')) return;
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Refleja el recuento global de reacciones sobre la copia `head.dest.messageId`.
+     * Un bot solo puede mantener una reacción por mensaje: se usa la más votada entre las permitidas
+     * y el resto se agrupa en un mensaje de resumen que responde a la copia.
+     * @param {Object} envelope - Envoltorio UMF de reacción con `body.reaction.tally`.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _processReaction(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Reacción sin canal o mensaje de destino en el envelope UMF.');
+
+            const foreign = this.getForeignReactions(envelope);
+            const top = foreign
+            .filter(entry => this.resolveNativeEmoji(entry))
+            .sort((a, b) => b.count - a.count)[0];
+
+            await this.bot.api.setMessageReaction(channelId, parseInt(messageId, 10),
+                top ? [{ type: 'emoji', emoji: this.resolveNativeEmoji(top) }] : []);
+
+            await this.syncReactionSummary(envelope, foreign.filter(entry => entry !== top), this._summaryOps(channelId, messageId));
+        });
+    }
+
+    /**
+     * Telegram no permite fijar el recuento de una encuesta: los resultados globales se mantienen
+     * en un mensaje que responde a la copia `head.dest.messageId`.
+     * @param {Object} envelope - Envoltorio UMF de voto con `body.poll.tally`.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _processPollVote(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Voto sin canal o mensaje de destino en el envelope UMF.');
+
+            await this.syncPollResults(envelope, this._summaryOps(channelId, messageId));
+        });
+    }
+
+    /**
+     * Primitivas de los mensajes auxiliares (resumen de reacciones, resultados de encuestas) que
+     * responden en silencio a un mensaje del chat.
+     * @param {string} channelId - Chat destino.
+     * @param {string} messageId - Mensaje al que responden.
+     * @returns {Object} { send, edit, remove } para `syncReactionSummary` y `syncPollResults`.
+     * @private
+     */
+    _summaryOps(channelId, messageId) {
+        return {
+            send: async (text) => {
+                const sent = await this.bot.api.sendMessage(channelId, text, {
+                    reply_parameters: { message_id: parseInt(messageId, 10), allow_sending_without_reply: true },
+                    disable_notification: true
+                });
+                return sent.message_id;
+            },
+            edit: async (summaryId, text) => {
+                try {
+                    await this.bot.api.editMessageText(channelId, parseInt(summaryId, 10), text);
+                } catch (error) {
+                    const description = error.description || error.message || '';
+                    if (!description.includes('message is not modified')) throw error;
+                }
+            },
+            remove: (summaryId) => this.bot.api.deleteMessage(channelId, parseInt(summaryId, 10)).catch(() => null)
+        };
+    }
+
+    /**
+     * Construye el cuerpo HTML con la firma del remitente original.
+     * @param {Object} envelope - Envoltorio UMF.
+     * @param {string} [quote=''] - Extracto del mensaje citado cuando no hay respuesta nativa posible.
+     * @returns {string} Texto sanitizado para parse_mode HTML.
+     * @private
+     */
+    _buildCaption(envelope, quote = '') {
+        // SOLUCIÓN: Usar abreviatura de plataforma para el nombre del remitente
+        const alias = getPlatformAlias(envelope.head.source.platform);
+        const senderName = `${envelope.head.source.username} (${alias})`
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        // El AST de texto enriquecido se renderiza a HTML de Telegram ya escapado
+        const content = renderRichText(getRichText(envelope.body), 'telegram', { platform: this.platformName });
+
+        const quoteBlock = quote
+            ? `<blockquote>${quote.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</blockquote>\n`
+            : '';
+
+        // Construcción del plano visual con el texto sanitizado
+        return `<b>${senderName}</b>:\n${quoteBlock}${content}`.trim();
+    }
+}
@@ -1,14 +1,22 @@
 import { TelegramClient } from 'telegram';
 import { StringSession } from 'telegram/sessions/index.js';
 import { NewMessage } from 'telegram/events/index.js';
+import { EditedMessage } from 'telegram/events/EditedMessage.js';
+import { DeletedMessage } from 'telegram/events/DeletedMessage.js';
 import { BaseAdapter } from '../base.js';
-import { createEnvelope, UMF_TYPES, getPlatformAlias } from '../../core/utils/umf.js';
+import { createEnvelope, UMF_TYPES, UMF_EVENTS, getPlatformAlias, buildQuoteSnippet } from '../../core/utils/umf.js';
+import { parseTelegramEntities, renderRichText, getRichText } from '../../core/utils/richtext.js';
 
 export default class TelegramUserbotAdapter extends BaseAdapter {
     constructor() {
         super();
         this.platformName = 'telegram_userbot';
         this.client = null;
+
+        // MTProto solo informa el chat en borrados de supergrupos/canales: se recuerda
+        // el canal compuesto (incluido el Topic) de los últimos mensajes vistos.
+        this.recentMessageChannels = new Map();
+        this.recentMessageLimit = 5000;
     }
 
     async init(context) {
@@ -30,6 +38,10 @@ export default class TelegramUserbotAdapter extends BaseAdapter {
             this.logger.warn(`[${this.platformName}] Credenciales MTProto faltantes. Adaptador inactivo.`);
             return;
         }
+        if (!sessionString) {
+            this.logger.warn(`[${this.platformName}] Falta TELEGRAM_USERBOT_SESSION. Genérala con \`openchat telegram session\`. Adaptador inactivo.`);
+            return;
+        }
 
         // El StringSession guarda el token de autorización (evita pedir código SMS cada vez)
         const stringSession = new StringSession(sessionString || '');
@@ -37,7 +49,7 @@ export default class TelegramUserbotAdapter extends BaseAdapter {
             connectionRetries: 5,
         });
 
-        // Conectar silenciosamente (Asume que sessionString ya es válido)
+        // Conectar silenciosamente (la sesión se genera fuera de línea con la CLI)
         await this.client.connect();
 
         this.logger.info(`[${this.platformName}] Userbot MTProto conectado como cuenta de usuario.`);
@@ -45,6 +57,38 @@ export default class TelegramUserbotAdapter extends BaseAdapter {
         this._registerEvents();
     }
 
+    /**
+     * Inicio de sesión interactivo para la CLI (`openchat telegram session`): pide teléfono, código
+     * y contraseña 2FA con `ask` y devuelve el StringSession para TELEGRAM_USERBOT_SESSION.
+     *
+     * @param {Function} ask - (pregunta, { secret }) => Promise<string>
+     * @param {Object} [options] - { onError(error) } para informar de un dato rechazado (se vuelve a preguntar)
+     * @returns {Promise<string>}
+     */
+    async createSession(ask, { onError } = {}) {
+        const { apiId, apiHash } = this.config.tokens?.telegramUserbot || {};
+        if (!apiId || !apiHash) {
+            throw new Error('Faltan TELEGRAM_USERBOT_API_ID y TELEGRAM_USERBOT_API_HASH (https://my.telegram.org).');
+        }
+
+        const client = new TelegramClient(new StringSession(''), apiId, apiHash, { connectionRetries: 5 });
+        try {
+            await client.start({
+                phoneNumber: () => ask('Número de teléfono (formato internacional, ej. +34600111222): '),
+                phoneCode: () => ask('Código recibido en Telegram: '),
+                password: (hint) => ask(`Contraseña de verificación en dos pasos${hint ? ` (pista: ${hint})` : ''}: `, { secret: true }),
+                // Devolver false hace que GramJS vuelva a pedir el dato rechazado
+                onError: async (error) => {
+                    onError?.(error);
+                    return false;
+                }
+            });
+            return client.session.save();
+        } finally {
+            await client.disconnect();
+        }
+    }
+
     _registerEvents() {
         // Ingress: Escuchar nuevos mensajes
         this.client.addEventHandler(async (event) => {
@@ -52,12 +96,26 @@ export default class TelegramUserbotAdapter extends BaseAdapter {
                 await this._handleIngress(event.message);
             });
         }, new NewMessage({}));
-    }
 
-    async _handleIngress(msg) {
-        // 🛡️ ANTI-BUCLES CRÍTICO: Ignorar mensajes enviados por nosotros mismos (el propio userbot)
-        if (msg.out) return;
+        // Ingress: Ediciones de mensajes ya retransmitidos
+        this.client.addEventHandler(async (event) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                await this._handleEdit(event.message);
+            });
+        }, new EditedMessage({}));
+
+        // Ingress: Borrados (moderación y "eliminar para todos")
+        this.client.addEventHandler(async (event) => {
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                this._handleDelete(event);
+            });
+        }, new DeletedMessage({}));
+    }
 
+    /**
+     * Resuelve el ID de canal compuesto (`chatId` o `chatId_topicId` en foros) de un mensaje MTProto.
+     */
+    _resolveChannelId(msg) {
         let chanId = null;
         if (msg.peerId) {
             if (msg.peerId.className === 'PeerChannel') {
@@ -69,7 +127,7 @@ export default class TelegramUserbotAdapter extends BaseAdapter {
             }
         }
         if (!chanId && msg.chatId) chanId = msg.chatId.toString();
-        if (!chanId) return;
+        if (!chanId) return null;
 
         // 🛠️ CORRECCIÓN INGRESS (SOPORTE DE FOROS): Aislar los Topics de Telegram
         if (msg.replyTo && msg.replyTo.forumTopic) {
@@ -81,6 +139,13 @@ export default class TelegramUserbotAdapter extends BaseAdapter {
             }
         }
 
+        return chanId;
+    }
+
+    /**
+     * Resuelve el autor de un mensaje tolerando comunidades y administradores anónimos.
+     */
+    _resolveAuthorId(msg, chanId) {
         // 🛠️ Tolerancia a Comunidades y Admins Anónimos
         let authorId = null;
         if (msg.senderId) {
@@ -92,7 +157,18 @@ export default class TelegramUserbotAdapter extends BaseAdapter {
         }
 
         // Si todo falla (el mensaje es 100% anónimo), usamos el chanId como el autor
-        if (!authorId) authorId = chanId;
+        return authorId || chanId;
+    }
+
+    async _handleIngress(msg) {
+        // 🛡️ ANTI-BUCLES CRÍTICO: Ignorar mensajes enviados por nosotros mismos (el propio userbot)
+        if (msg.out) return;
+
+        const chanId = this._resolveChannelId(msg);
+        if (!chanId) return;
+
+        const authorId = this._resolveAuthorId(msg, chanId);
+        this._rememberMessageChannel(msg.id, chanId);
 
         let cleanText = msg.message || '';
         const attachments = [];
@@ -113,17 +189,34 @@ export default class TelegramUserbotAdapter extends BaseAdapter {
         const sender = await msg.getSender();
         const username = sender?.username || sender?.firstName || 'Usuario TG';
 
+        // En foros, replyToMsgId apunta a la raíz del Tópico cuando no hay respuesta real
+        let replyData = null;
+        const isTopicAnchor = msg.replyTo?.forumTopic && !msg.replyTo.replyToTopId;
+        if (msg.replyToMsgId && !isTopicAnchor) {
+            const parentMsg = await msg.getReplyMessage().catch(() => null);
+            replyData = {
+                parentId: msg.replyToMsgId.toString(),
+                parentUserId: parentMsg?.senderId?.toString() || null,
+                parentText: parentMsg?.message || ''
+            };
+        }
+
         const envelope = createEnvelope({
             type: (attachments.length > 0 && !cleanText) ? UMF_TYPES.FILE : UMF_TYPES.TEXT,
                                         source: {
                                             platform: this.platformName,
                                             channelId: chanId,
+                                            messageId: msg.id.toString(),
                                             userId: authorId,
                                             username: username,
                                             avatar: null // Recuperar avatar en GramJS consume API calls extras, se recomienda diferir
                                         },
-                                        body: { text: cleanText, attachments },
-                                        replyTo: msg.replyToMsgId ? { parentId: msg.replyToMsgId.toString() } : null,
+                                        body: {
+                                            text: cleanText,
+                                            rich: parseTelegramEntities(cleanText, msg.entities, { platform: this.platformName }),
+                                            attachments
+                                        },
+                                        replyTo: replyData,
                                         correlationId: this.context.logger.getCorrelationId(),
                                         trace_path: [`${this.platformName}:${chanId}`]
         });
@@ -131,51 +224,160 @@ export default class TelegramUserbotAdapter extends BaseAdapter {
         this.emitIngress(envelope);
     }
 
+    async _handleEdit(msg) {
+        if (msg.out) return;
+
+        const chanId = this._resolveChannelId(msg);
+        if (!chanId) return;
+
+        const sender = await msg.getSender();
+        const envelope = createEnvelope({
+            event: UMF_EVENTS.EDIT,
+            source: {
+                platform: this.platformName,
+                channelId: chanId,
+                messageId: msg.id.toString(),
+                userId: this._resolveAuthorId(msg, chanId),
+                username: sender?.username || sender?.firstName || 'Usuario TG'
+            },
+            body: {
+                text: msg.message || '',
+                rich: parseTelegramEntities(msg.message, msg.entities, { platform: this.platformName })
+            },
+            correlationId: this.context.logger.getCorrelationId()
+        });
+
+        this.emitEdit(envelope);
+    }
+
+    _rememberMessageChannel(messageId, chanId) {
+        this.recentMessageChannels.set(messageId.toString(), chanId);
+        if (this.recentMessageChannels.size > this.recentMessageLimit) {
+            // Map conserva el orden de inserción: el primer elemento es el más antiguo
+            this.recentMessageChannels.delete(this.recentMessageChannels.keys().next().value);
+        }
+    }
+
+    _handleDelete(event) {
+        const peerChannelId = event.peer?.channelId ? '-100' + event.peer.channelId.toString() : null;
+
+        for (const deletedId of event.deletedIds || []) {
+            const messageId = deletedId.toString();
+            const chanId = this.recentMessageChannels.get(messageId) || peerChannelId;
+            if (!chanId) {
+                this.logger.debug(`[${this.platformName}] Borrado de ${messageId} ignorado: chat desconocido.`);
+                continue;
+            }
+            this.recentMessageChannels.delete(messageId);
+
+            const envelope = createEnvelope({
+                event: UMF_EVENTS.DELETE,
+                source: {
+                    platform: this.platformName,
+                    channelId: chanId,
+                    messageId
+                },
+                correlationId: this.context.logger.getCorrelationId()
+            });
+
+            this.emitDelete(envelope);
+        }
+    }
+
+    /**
+     * 🛠️ CORRECCIÓN EGRESS: Extracción de Tópicos (Desarmar el ID compuesto)
+     */
+    _resolvePeer(destChannelId) {
+        if (destChannelId.includes('_')) {
+            const parts = destChannelId.split('_');
+            return {
+                peerEntity: BigInt(parts[0]), // El Chat ID Base (-100xxxxxxx)
+                targetTopicId: parseInt(parts[1], 10) // El Topic ID (ej. 55)
+            };
+        }
+        if (/^-?\d+$/.test(destChannelId)) {
+            return { peerEntity: BigInt(destChannelId), targetTopicId: undefined };
+        }
+        return { peerEntity: destChannelId, targetTopicId: undefined }; // Fallback usernames
+    }
+
+    _buildContent(envelope, quote = '') {
+        const escapeHtml = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const alias = getPlatformAlias(envelope.head.source.platform);
+        const senderName = escapeHtml(`${envelope.head.source.username} (${alias})`);
+        const quoteBlock = quote ? `<blockquote>${escapeHtml(quote)}</blockquote>\n` : '';
+        const content = renderRichText(getRichText(envelope.body), 'telegram', { platform: this.platformName });
+        return `<b>${senderName}:</b>\n${quoteBlock}${content}`;
+    }
+
     async processEgress(envelope) {
+        if (envelope.head.event === UMF_EVENTS.EDIT) {
+            return this._processEdit(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.DELETE) {
+            return this._processDelete(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.REACTION) {
+            // Las reacciones no se reflejan desde la cuenta de usuario (evita notificar en nombre del operador)
+            this.logger.debug(`[${this.platformName}] Reacción ignorada en Userbot: ${envelope.head.dest?.messageId}`);
+            return;
+        }
+        if (envelope.head.event === UMF_EVENTS.POLL_VOTE) {
+            this.logger.debug(`[${this.platformName}] Voto de encuesta ignorado en Userbot: ${envelope.head.dest?.messageId}`);
+            return;
+        }
+
         return this.breaker.fire(async () => {
             const destChannelId = envelope.head.dest?.channelId;
             if (!destChannelId) throw new Error('Destino no especificado en el envelope UMF.');
 
-            const alias = getPlatformAlias(envelope.head.source.platform);
-            const senderName = `${envelope.head.source.username} (${alias})`;
-            let content = `**${senderName}:**\n${envelope.body.text || ''}`;
-
-            // 🛠️ CORRECCIÓN EGRESS: Extracción de Tópicos (Desarmar el ID compuesto)
-            let peerEntity;
-            let targetTopicId = undefined;
-
-            if (destChannelId.includes('_')) {
-                const parts = destChannelId.split('_');
-                peerEntity = BigInt(parts[0]); // El Chat ID Base (-100xxxxxxx)
-        targetTopicId = parseInt(parts[1], 10); // El Topic ID (ej. 55)
-            } else if (/^-?\d+$/.test(destChannelId)) {
-                peerEntity = BigInt(destChannelId);
-            } else {
-                peerEntity = destChannelId; // Fallback usernames
-            }
+            const { peerEntity, targetTopicId } = this._resolvePeer(destChannelId);
 
-            // 🛡️ ESCUDO ANTI-SNOWFLAKE CON ANCLAJE AL FORO
-            let finalReplyTo = targetTopicId; // Por defecto, anclamos el mensaje al Tópico configurado
-            const parentId = envelope.head.replyTo?.parentId;
-
-            if (parentId && parentId.length < 12) {
-                // Si el mensaje citado proviene del mismo Telegram (ID corto), permitimos citarlo directamente
-                finalReplyTo = parseInt(parentId, 10);
-            } else if (parentId) {
-                this.logger.debug(`[${this.platformName}] Ignorando ID cruzado (${parentId}). Anclando al Topic: ${targetTopicId || 'General'}`);
+            // Respuesta nativa resuelta mediante message_map; sin copia local se ancla al Tópico
+            // configurado y se incluye una cita textual del mensaje padre.
+            let finalReplyTo = targetTopicId;
+            const replyTarget = this.resolveReplyTarget(envelope);
+            if (replyTarget) {
+                finalReplyTo = parseInt(replyTarget.messageId, 10);
             }
+            const content = this._buildContent(envelope, replyTarget ? '' : buildQuoteSnippet(envelope.head.replyTo));
 
             try {
                 // GramJS usa 'replyTo' para inyectar mensajes en subprocesos/foros
-                const sendOptions = { message: content };
+                const sendOptions = { message: content, parseMode: 'html' };
                 if (finalReplyTo !== undefined) {
                     sendOptions.replyTo = finalReplyTo;
                 }
 
-                await this.client.sendMessage(peerEntity, sendOptions);
+                const sent = await this.client.sendMessage(peerEntity, sendOptions);
+                this.recordDelivery(envelope, sent?.id);
             } catch (error) {
                 this.logger.error(`[${this.platformName}] Fallo al enviar mensaje MTProto`, { error: error.message });
             }
         });
     }
+
+    async _processEdit(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Edición sin canal o mensaje de destino en el envelope UMF.');
+
+            const { peerEntity } = this._resolvePeer(channelId);
+            await this.client.editMessage(peerEntity, {
+                message: parseInt(messageId, 10),
+                text: this._buildContent(envelope),
+                parseMode: 'html'
+            });
+        });
+    }
+
+    async _processDelete(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Borrado sin canal o mensaje de destino en el envelope UMF.');
+
+            const { peerEntity } = this._resolvePeer(channelId);
+            await this.client.deleteMessages(peerEntity, [parseInt(messageId, 10)], { revoke: true });
+        });
+    }
 }
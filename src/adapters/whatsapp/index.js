@@ -6,12 +6,33 @@ import {
     DisconnectReason,
     downloadMediaMessage,
     fetchLatestBaileysVersion,
-    useMultiFileAuthState
+    getAggregateVotesInPollMessage,
+    getContentType,
+    normalizeMessageContent,
+    useMultiFileAuthState,
+    proto
 } from '@whiskeysockets/baileys';
 import qrcode from 'qrcode-terminal';
 import pino from 'pino';
 import { BaseAdapter } from '../base.js';
-import { createEnvelope, UMF_TYPES, getPlatformAlias } from '../../core/utils/umf.js';
+import { createEnvelope, UMF_TYPES, UMF_EVENTS, getPlatformAlias, buildQuoteSnippet, normalizeEmoji, describeStructuredBody, parseVcardPhones } from '../../core/utils/umf.js';
+import { parseMarkdown, renderRichText, getRichText, getMentions } from '../../core/utils/richtext.js';
+
+// Tiempo máximo para completar el emparejamiento desde la CLI
+const PAIRING_TIMEOUT_MS = 3 * 60 * 1000;
+
+// Descarga de adjuntos remotos en Egress
+const ATTACHMENT_DOWNLOAD_TIMEOUT_MS = 20000;
+
+// Orden de envío de los adjuntos de un mensaje (ver processEgress)
+const EGRESS_ORDER = ['visual', 'document', 'voice', 'audio', 'sticker'];
+
+// Nombre del paquete que WhatsApp muestra en los stickers retransmitidos
+const STICKER_PACK_NAME = 'OpenChat Bridge';
+
+// Versiones del mensaje de creación de encuestas (individual, comunidad y canal)
+const POLL_MESSAGE_TYPES = ['pollCreationMessage', 'pollCreationMessageV2', 'pollCreationMessageV3'];
+const MAX_POLL_OPTIONS = 12;
 
 export default class WhatsAppAdapter extends BaseAdapter {
     constructor() {
@@ -21,6 +42,8 @@ export default class WhatsAppAdapter extends BaseAdapter {
         this.baileysLogger = pino({ level: 'silent' });
         this.isConnecting = false;
         this.contactCache = new Map();
+        // WhatsApp solo admite una reacción por usuario y mensaje; al retirarla no indica cuál era
+        this.reactionState = new Map();
     }
 
     async init(context) {
@@ -31,21 +54,7 @@ export default class WhatsAppAdapter extends BaseAdapter {
     async start() {
         this.logger.info(`[${this.platformName}] Levantando proceso de Baileys...`);
 
-        const storageService = this.context.storage;
-        let authState, saveCredsFn;
-
-        if (!storageService || !storageService.isReady) {
-            this.logger.warn(`[${this.platformName}] ⚠️ [MODO DEGRADADO] S3 no detectado. Usando almacenamiento local. NO APTO PARA PRODUCCIÓN EN CLÚSTER.`);
-            const authPath = path.resolve(process.cwd(), 'data', 'auth_whatsapp');
-            const { state, saveCreds } = await useMultiFileAuthState(authPath);
-            authState = state;
-            saveCredsFn = saveCreds;
-        } else {
-            this.logger.info(`[${this.platformName}] Inicializando sesión distribuida en bucket S3...`);
-            const { state, saveCreds } = await this._useDistributedAuthState(storageService, 'whatsapp_session');
-            authState = state;
-            saveCredsFn = saveCreds;
-        }
+        const { state: authState, saveCreds: saveCredsFn } = await this._loadAuthState();
 
         const { version, isLatest } = await fetchLatestBaileysVersion();
         this.logger.info(`[${this.platformName}] Conectando a WA v${version.join('.')} (Última: ${isLatest})`);
@@ -56,7 +65,9 @@ export default class WhatsAppAdapter extends BaseAdapter {
             logger: this.baileysLogger,
             browser: ['Discoat Bridge', 'Chrome', '2.0.0'],
             printQRInTerminal: false,
-            syncFullHistory: false
+            syncFullHistory: false,
+            // Baileys necesita el mensaje de creación de una encuesta para descifrar sus votos
+            getMessage: async (key) => this._loadPollMessage(key.id)
         });
 
         this.sock.ev.on('creds.update', saveCredsFn);
@@ -90,6 +101,91 @@ export default class WhatsAppAdapter extends BaseAdapter {
         this._registerEvents();
     }
 
+    /**
+     * Estado de autenticación de Baileys: bucket S3 si el almacenamiento distribuido está listo,
+     * o el directorio local data/auth_whatsapp en caso contrario.
+     */
+    async _loadAuthState() {
+        const storageService = this.context.storage;
+        if (!storageService || !storageService.isReady) {
+            this.logger.warn(`[${this.platformName}] ⚠️ [MODO DEGRADADO] S3 no detectado. Usando almacenamiento local. NO APTO PARA PRODUCCIÓN EN CLÚSTER.`);
+            return useMultiFileAuthState(path.resolve(process.cwd(), 'data', 'auth_whatsapp'));
+        }
+        this.logger.info(`[${this.platformName}] Inicializando sesión distribuida en bucket S3...`);
+        return this._useDistributedAuthState(storageService, 'whatsapp_session');
+    }
+
+    /**
+     * Emparejamiento interactivo de la cuenta (CLI `openchat whatsapp pair`) sin arrancar el enrutado.
+     * Sin `phoneNumber` se entrega cada QR a `onQr`; con él se solicita un código de emparejamiento
+     * que se entrega a `onPairingCode`. Las credenciales quedan donde las lee `start()`.
+     *
+     * @param {Object} options - { phoneNumber, onQr, onPairingCode, timeoutMs }
+     * @returns {Promise<Object>} { alreadyPaired, user } con la cuenta vinculada
+     */
+    async pair({ phoneNumber = null, onQr, onPairingCode, timeoutMs = PAIRING_TIMEOUT_MS } = {}) {
+        const { state, saveCreds } = await this._loadAuthState();
+        if (state.creds.me) return { alreadyPaired: true, user: state.creds.me };
+
+        const { version } = await fetchLatestBaileysVersion();
+
+        return new Promise((resolve, reject) => {
+            let sock = null;
+            let settled = false;
+            const finish = (error, user) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                sock?.ev.removeAllListeners('connection.update');
+                sock?.end(undefined);
+                if (error) reject(error);
+                else resolve({ alreadyPaired: false, user });
+            };
+            const timer = setTimeout(() => finish(new Error('Tiempo de emparejamiento agotado.')), timeoutMs);
+
+            const connect = () => {
+                let codeRequested = false;
+                sock = makeWASocket({
+                    version,
+                    auth: state,
+                    logger: this.baileysLogger,
+                    browser: ['Discoat Bridge', 'Chrome', '2.0.0'],
+                    printQRInTerminal: false,
+                    syncFullHistory: false
+                });
+                sock.ev.on('creds.update', saveCreds);
+
+                sock.ev.on('connection.update', async ({ connection, lastDisconnect, qr }) => {
+                    if (qr && !phoneNumber) onQr?.(qr);
+                    // El código solo puede pedirse con el socket ya negociando (primer QR emitido)
+                    if (qr && phoneNumber && !codeRequested) {
+                        codeRequested = true;
+                        try {
+                            onPairingCode?.(await sock.requestPairingCode(phoneNumber.replace(/\D/g, '')));
+                        } catch (error) {
+                            finish(error);
+                        }
+                    }
+
+                    if (connection === 'open') {
+                        finish(null, sock.user);
+                    } else if (connection === 'close') {
+                        const error = lastDisconnect?.error;
+                        const statusCode = error?.output?.statusCode || error?.output?.payload?.statusCode;
+                        if (statusCode === DisconnectReason.loggedOut) {
+                            finish(new Error('WhatsApp rechazó la vinculación (sesión cerrada).'));
+                        } else {
+                            // Tras escanear el QR WhatsApp exige reabrir el socket (restartRequired)
+                            connect();
+                        }
+                    }
+                });
+            };
+
+            connect();
+        });
+    }
+
     async _useDistributedAuthState(storage, sessionFolder) {
         const writeData = async (data, file) => {
             await storage.uploadFile(
@@ -174,10 +270,41 @@ export default class WhatsAppAdapter extends BaseAdapter {
                 if (msg.key.remoteJid === 'status@broadcast') continue;
                 if (!msg.message) continue;
                 this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                    // Ediciones, revocaciones y ajustes de chat llegan como mensajes de protocolo
+                    const protocolMessage = msg.message.protocolMessage || msg.message.editedMessage?.message?.protocolMessage;
+                    if (protocolMessage) {
+                        await this._handleProtocolMessage(msg, protocolMessage);
+                        return;
+                    }
+                    if (msg.message.reactionMessage) {
+                        this._handleReaction(msg, msg.message.reactionMessage);
+                        return;
+                    }
                     await this._handleIngress(msg);
                 });
             }
         });
+
+        // Borrados notificados fuera de banda (ej. "eliminar para todos" desde otro dispositivo)
+        this.sock.ev.on('messages.delete', (item) => {
+            if (!item.keys) return;
+            this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                for (const key of item.keys) {
+                    if (key.fromMe) continue;
+                    this._emitDeleteForKey(key);
+                }
+            });
+        });
+
+        // Los votos de encuestas llegan cifrados; Baileys los descifra y los notifica como actualización
+        this.sock.ev.on('messages.update', (updates) => {
+            for (const { key, update } of updates) {
+                if (!update?.pollUpdates) continue;
+                this.context.logger.withCorrelation({ source: this.platformName }, async () => {
+                    this._handlePollUpdates(key, update.pollUpdates);
+                });
+            }
+        });
     }
 
     async _handleIngress(msg) {
@@ -196,22 +323,52 @@ export default class WhatsAppAdapter extends BaseAdapter {
             this.logger.debug(`[${this.platformName}] No se pudo obtener avatar para ${authorId}: ${error.message}`);
         }
 
-        const messageType = Object.keys(msg.message)[0];
-        const msgContent = msg.message[messageType];
+        // El primer campo de msg.message puede ser metadato (messageContextInfo, senderKeyDistributionMessage);
+        // los envoltorios efímeros y de visualización única se desenvuelven antes de elegir el tipo
+        const message = normalizeMessageContent(msg.message);
+        const messageType = getContentType(message);
+        const msgContent = messageType ? message[messageType] : null;
+        if (!msgContent) return;
 
-        let text = msg.message.conversation ||
-        msg.message.extendedTextMessage?.text ||
-        msgContent?.caption || '';
+        const source = {
+            platform: this.platformName,
+            channelId: chanId,
+            messageId: msg.key.id,
+            userId: authorId,
+            username: authorName,
+            avatar: avatarUrl
+        };
 
-        const mentionedJids = msg.message?.extendedTextMessage?.contextInfo?.mentionedJid || [];
+        // El contenido de visualización única no se retransmite: solo se avisa de que existe
+        if (this._isViewOnce(msg.message, msgContent)) {
+            this.emitIngress(createEnvelope({
+                type: UMF_TYPES.SYSTEM,
+                source,
+                body: { text: `👁️ ${authorName} ha enviado un mensaje de visualización única (solo visible en WhatsApp)` },
+                correlationId: this.context.logger.getCorrelationId()
+            }));
+            return;
+        }
+
+        const structured = this._parseStructuredContent(messageType, msgContent);
+        if (structured?.poll) this._rememberPoll(chanId, msg);
+
+        let text = structured?.text ??
+        (message.conversation ||
+        message.extendedTextMessage?.text ||
+        msgContent?.caption || '');
+
+        // El AST conserva las menciones (JID) para traducirlas; el texto plano solo muestra nombres
+        const rich = structured ? null : this._parseRichText(text, message.extendedTextMessage?.contextInfo || msgContent?.contextInfo);
+        const mentionedJids = message.extendedTextMessage?.contextInfo?.mentionedJid || [];
         for (const jid of mentionedJids) {
             const phone = jid.split('@')[0];
-            const contactName = this.contactCache.get(jid) || phone;
+            const contactName = this.contactCache.get(jid) || 'usuario';
             const mentionRegex = new RegExp(`@${phone}(?!\\d)`, 'g');
             text = text.replace(mentionRegex, `@${contactName}`);
         }
 
-        const attachments = [];
+        const attachments = structured?.attachments || [];
         if (['imageMessage', 'videoMessage', 'audioMessage', 'documentMessage', 'stickerMessage'].includes(messageType)) {
             try {
                 const buffer = await downloadMediaMessage(msg, 'buffer', {}, { logger: this.baileysLogger });
@@ -230,13 +387,20 @@ export default class WhatsAppAdapter extends BaseAdapter {
             }
         }
 
-        const contextInfo = msg.message.extendedTextMessage?.contextInfo;
+        if (!text && attachments.length === 0) {
+            // Votos de encuestas (cifrados), mensajes de sistema y tipos aún no soportados
+            this.logger.debug(`[${this.platformName}] Mensaje ${messageType} sin contenido retransmisible, se ignora.`);
+            return;
+        }
+
+        const contextInfo = message.extendedTextMessage?.contextInfo || msgContent?.contextInfo;
         let replyData = null;
         if (contextInfo && contextInfo.quotedMessage) {
             const quotedType = Object.keys(contextInfo.quotedMessage)[0];
             const quotedContent = contextInfo.quotedMessage[quotedType];
             replyData = {
                 parentId: contextInfo.stanzaId,
+                parentUserId: contextInfo.participant,
                 parentText: contextInfo.quotedMessage.conversation || quotedContent?.text || quotedContent?.caption || '',
                 parentAttachments: []
             };
@@ -258,21 +422,193 @@ export default class WhatsAppAdapter extends BaseAdapter {
         }
 
         const envelope = createEnvelope({
-            type: attachments.length > 0 && !text ? UMF_TYPES.FILE : UMF_TYPES.TEXT,
+            type: structured?.type || (attachments.length > 0 && !text ? UMF_TYPES.FILE : UMF_TYPES.TEXT),
+            source,
+            body: { text, rich, poll: structured?.poll, location: structured?.location, contacts: structured?.contacts },
+            attachments,
+            replyTo: replyData,
+            correlationId: this.context.logger.getCorrelationId(),
+                                        trace_path: [`${this.platformName}:${chanId}`]
+        });
+
+        this.emitIngress(envelope);
+    }
+
+    /**
+     * Detecta contenido de visualización única, tanto en su envoltorio clásico como marcado en el propio medio.
+     * @param {Object} rawMessage - msg.message sin normalizar.
+     * @param {Object} content - Contenido ya desenvuelto.
+     * @returns {boolean}
+     * @private
+     */
+    _isViewOnce(rawMessage, content) {
+        return !!(rawMessage.viewOnceMessage || rawMessage.viewOnceMessageV2 ||
+            rawMessage.viewOnceMessageV2Extension || content?.viewOnce);
+    }
+
+    /**
+     * Traduce encuestas, ubicaciones y tarjetas de contacto al contenido estructurado UMF.
+     * El texto resultante es la versión legible (`describeStructuredBody`) para redes sin soporte nativo;
+     * cada contacto viaja además como fichero .vcf.
+     * @param {string} messageType - Tipo de contenido de Baileys.
+     * @param {Object} content - Contenido del mensaje.
+     * @returns {Object|null} { type, text, poll?, location?, contacts?, attachments? } o null si no es estructurado.
+     * @private
+     */
+    _parseStructuredContent(messageType, content) {
+        if (POLL_MESSAGE_TYPES.includes(messageType)) {
+            const poll = {
+                question: content.name || '',
+                options: (content.options || []).map(option => option.optionName).filter(Boolean),
+                // selectableOptionsCount = 0 significa sin límite
+                multiple: content.selectableOptionsCount !== 1,
+                // WhatsApp muestra siempre quién ha votado
+                anonymous: false
+            };
+            return { type: UMF_TYPES.POLL, poll, text: describeStructuredBody({ poll }) };
+        }
+
+        if (messageType === 'locationMessage' || messageType === 'liveLocationMessage') {
+            const location = {
+                latitude: content.degreesLatitude,
+                longitude: content.degreesLongitude,
+                name: content.name || null,
+                address: content.address || null,
+                live: messageType === 'liveLocationMessage'
+            };
+            const comment = content.comment || content.caption || '';
+            const text = [describeStructuredBody({ location }), comment].filter(Boolean).join('\n');
+            return { type: UMF_TYPES.LOCATION, location, text };
+        }
+
+        if (messageType === 'contactMessage' || messageType === 'contactsArrayMessage') {
+            const cards = messageType === 'contactMessage' ? [content] : (content.contacts || []);
+            const contacts = cards.filter(card => card.vcard).map(card => ({
+                name: card.displayName || '',
+                phones: parseVcardPhones(card.vcard),
+                vcard: card.vcard
+            }));
+            if (contacts.length === 0) return null;
+
+            const attachments = [];
+            for (const contact of contacts) {
+                try {
+                    const localPath = path.join(this.tempDir, `${randomUUID()}.vcf`);
+                    fs.writeFileSync(localPath, contact.vcard);
+                    attachments.push({
+                        localPath,
+                        type: UMF_TYPES.FILE,
+                        mimeType: 'text/vcard',
+                        size: Buffer.byteLength(contact.vcard),
+                        name: `${(contact.name || 'contacto').replace(/[^\p{L}\p{N} ._-]/gu, '').trim() || 'contacto'}.vcf`
+                    });
+                } catch (error) {
+                    this.logger.warn(`[${this.platformName}] No se pudo guardar la vCard de ${contact.name}: ${error.message}`);
+                }
+            }
+            return { type: UMF_TYPES.CONTACT, contacts, attachments, text: describeStructuredBody({ contacts }) };
+        }
+
+        return null;
+    }
+
+    async _handleProtocolMessage(msg, protocolMessage) {
+        if (protocolMessage.type === proto.Message.ProtocolMessage.Type.REVOKE) {
+            // La revocación llega desde el chat donde se eliminó; el mensaje afectado viaja en protocolMessage.key
+            this._emitDeleteForKey({
+                ...protocolMessage.key,
+                remoteJid: protocolMessage.key?.remoteJid || msg.key.remoteJid,
+                participant: protocolMessage.key?.participant || msg.key.participant
+            });
+            return;
+        }
+
+        if (protocolMessage.type !== proto.Message.ProtocolMessage.Type.MESSAGE_EDIT) return;
+
+        const edited = protocolMessage.editedMessage || {};
+        const text = edited.conversation ||
+        edited.extendedTextMessage?.text ||
+        edited.imageMessage?.caption ||
+        edited.videoMessage?.caption || '';
+
+        const chanId = msg.key.remoteJid;
+        const authorId = msg.key.participant || msg.key.remoteJid;
+
+        const envelope = createEnvelope({
+            event: UMF_EVENTS.EDIT,
             source: {
                 platform: this.platformName,
                 channelId: chanId,
+                // El mensaje de protocolo tiene su propio ID; el editado viaja en protocolMessage.key
+                messageId: protocolMessage.key?.id,
                 userId: authorId,
-                username: authorName,
-                avatar: avatarUrl
+                username: msg.pushName || this.contactCache.get(authorId) || authorId.split('@')[0]
             },
-            body: { text, attachments },
-            replyTo: replyData,
-            correlationId: this.context.logger.getCorrelationId(),
-                                        trace_path: [`${this.platformName}:${chanId}`]
+            body: { text, rich: this._parseRichText(text, edited.extendedTextMessage?.contextInfo) },
+            correlationId: this.context.logger.getCorrelationId()
         });
 
-        this.emitIngress(envelope);
+        this.emitEdit(envelope);
+    }
+
+    _emitDeleteForKey(key) {
+        if (!key?.id || !key.remoteJid) return;
+
+        const envelope = createEnvelope({
+            event: UMF_EVENTS.DELETE,
+            source: {
+                platform: this.platformName,
+                channelId: key.remoteJid,
+                messageId: key.id,
+                userId: key.participant || key.remoteJid
+            },
+            correlationId: this.context.logger.getCorrelationId()
+        });
+
+        this.emitDelete(envelope);
+    }
+
+    _handleReaction(msg, reactionMessage) {
+        const target = reactionMessage.key;
+        if (!target?.id) return;
+
+        const chanId = target.remoteJid || msg.key.remoteJid;
+        const authorId = msg.key.participant || msg.key.remoteJid;
+        const stateKey = `${chanId}:${target.id}:${authorId}`;
+        const previous = this.reactionState.get(stateKey);
+        const current = normalizeEmoji(reactionMessage.text);
+
+        if (previous?.key === current?.key) return;
+
+        // Cambiar de reacción equivale a retirar la anterior y añadir la nueva
+        const changes = [];
+        if (previous) changes.push({ ...previous, action: 'remove' });
+        if (current) changes.push({ ...current, action: 'add' });
+
+        this.reactionState.delete(stateKey);
+        if (current) {
+            this.reactionState.set(stateKey, current);
+            if (this.reactionState.size > 5000) {
+                this.reactionState.delete(this.reactionState.keys().next().value);
+            }
+        }
+
+        for (const reaction of changes) {
+            const envelope = createEnvelope({
+                event: UMF_EVENTS.REACTION,
+                source: {
+                    platform: this.platformName,
+                    channelId: chanId,
+                    messageId: target.id,
+                    userId: authorId,
+                    username: msg.pushName || this.contactCache.get(authorId) || authorId.split('@')[0]
+                },
+                body: { reaction },
+                correlationId: this.context.logger.getCorrelationId()
+            });
+
+            this.emitReaction(envelope);
+        }
     }
 
     async processEgress(envelope) {
@@ -281,69 +617,398 @@ export default class WhatsAppAdapter extends BaseAdapter {
             return;
         }
 
+        if (envelope.head.event === UMF_EVENTS.EDIT) {
+            return this._processEdit(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.DELETE) {
+            return this._processDelete(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.REACTION) {
+            return this._processReaction(envelope);
+        }
+        if (envelope.head.event === UMF_EVENTS.POLL_VOTE) {
+            return this._processPollVote(envelope);
+        }
+
         return this.breaker.fire(async () => {
             const destChannelId = envelope.head.dest?.channelId;
             if (!destChannelId) throw new Error('Destino no especificado en el envelope UMF.');
 
-            const alias = getPlatformAlias(envelope.head.source.platform);
-            const senderTag = `*${envelope.head.source.username} (${alias})*`;
-
-            let content = envelope.body.text || '';
-            content = content
-            .replace(/<b>/g, '*').replace(/<\/b>/g, '*')
-            .replace(/<i>/g, '_').replace(/<\/i>/g, '_')
-            .replace(/<@!?(\d+)>/g, '@$1');
+            // Respuesta nativa mediante `quoted` si el padre existe en este chat; si no, cita textual
+            const replyTarget = this.resolveReplyTarget(envelope);
+            const sendOptions = replyTarget ? { quoted: this._buildQuotedStub(envelope, destChannelId, replyTarget) } : {};
+            let finalMessageText = this._buildText(envelope, replyTarget ? '' : buildQuoteSnippet(envelope.head.replyTo));
+            const mentions = this._getNativeMentions(envelope);
 
-            let finalMessageText = content ? `${senderTag}: ${content}` : senderTag;
+            // Encuesta nativa, salvo las anónimas (WhatsApp muestra quién vota) o las que exceden sus límites
+            const poll = envelope.body.poll;
+            if (poll && !poll.anonymous && poll.options.length >= 2 && poll.options.length <= MAX_POLL_OPTIONS) {
+                const sender = `${envelope.head.source.username} (${getPlatformAlias(envelope.head.source.platform)})`;
+                const sent = await this.sock.sendMessage(destChannelId, {
+                    poll: { name: `${sender}: ${poll.question}`, values: poll.options, selectableCount: poll.multiple ? 0 : 1 }
+                }, sendOptions);
+                this.recordDelivery(envelope, sent?.key?.id);
+                if (sent) this._rememberPoll(destChannelId, sent);
+                return;
+            }
 
             const attachments = envelope.body.attachments || [];
 
             if (attachments.length === 0) {
-                await this.sock.sendMessage(destChannelId, { text: finalMessageText });
+                const sent = await this.sock.sendMessage(destChannelId, { text: finalMessageText, mentions }, sendOptions);
+                this.recordDelivery(envelope, sent?.key?.id);
                 return;
             }
 
-            for (const att of attachments) {
-                let buffer;
+            // Orden de envío: fotos y vídeos seguidos (WhatsApp los agrupa en álbum), documentos, audios y stickers.
+            // El texto va como leyenda del primer elemento del álbum o, si no lo hay, del primer documento;
+            // audios y stickers no admiten leyenda, así que en ese caso el texto sale antes en su propio mensaje.
+            const items = attachments
+            .map((att, index) => ({ att, kind: this._classifyAttachment(att), index }))
+            .sort((a, b) => EGRESS_ORDER.indexOf(a.kind) - EGRESS_ORDER.indexOf(b.kind) || a.index - b.index);
+            const captionItem = items.find(item => item.kind === 'visual') || items.find(item => item.kind === 'document') || null;
+
+            // El fragmento que transporta el texto es el principal (part 0) para futuras ediciones.
+            // Solo el primer mensaje enviado cita al padre, para no repetir la cita en cada adjunto.
+            let extraPart = 1;
+            let textDelivered = false;
+            let quoteSent = false;
+            const send = async (content, carriesText) => {
+                const sent = await this.sock.sendMessage(destChannelId, content, quoteSent ? {} : sendOptions);
+                quoteSent = true;
+                this.recordDelivery(envelope, sent?.key?.id, carriesText ? 0 : extraPart++);
+                if (carriesText) textDelivered = true;
+            };
+
+            if (!captionItem) {
+                await send({ text: finalMessageText, mentions }, true);
+            }
+
+            for (const item of items) {
+                const { att, kind } = item;
+                const caption = item === captionItem ? finalMessageText : undefined;
                 try {
-                    if (att.localPath && fs.existsSync(att.localPath)) {
-                        buffer = fs.readFileSync(att.localPath);
-                    } else if (att.url) {
-                        const response = await fetch(att.url);
-                        buffer = Buffer.from(await response.arrayBuffer());
-                    } else continue;
-
-                    if (att.mimeType?.startsWith('image/') || att.type === UMF_TYPES.STICKER) {
-                        await this.sock.sendMessage(destChannelId, { image: buffer, caption: finalMessageText });
-                        finalMessageText = '';
-                    }
-                    else if (att.mimeType?.startsWith('video/')) {
-                        await this.sock.sendMessage(destChannelId, { video: buffer, caption: finalMessageText });
-                        finalMessageText = '';
-                    }
-                    else if (att.mimeType?.startsWith('audio/')) {
-                        await this.sock.sendMessage(destChannelId, { audio: buffer, ptt: true });
-                        if (finalMessageText) {
-                            await this.sock.sendMessage(destChannelId, { text: finalMessageText });
-                            finalMessageText = '';
-                        }
+                    const buffer = await this._loadAttachment(att);
+
+                    if (kind === 'visual') {
+                        const media = att.mimeType?.startsWith('video/') || att.type === UMF_TYPES.VIDEO ? 'video' : 'image';
+                        await send({ [media]: buffer, caption, mentions: caption ? mentions : undefined }, !!caption);
                     }
-                    else {
-                        await this.sock.sendMessage(destChannelId, {
+                    else if (kind === 'document') {
+                        await send({
                             document: buffer,
                             mimetype: att.mimeType || 'application/octet-stream',
                             fileName: att.name || 'archivo',
-                            caption: finalMessageText
-                        });
-                        finalMessageText = '';
+                            caption,
+                            mentions: caption ? mentions : undefined
+                        }, !!caption);
+                    }
+                    else if (kind === 'voice') {
+                        await send({ audio: buffer, ptt: true, mimetype: 'audio/ogg; codecs=opus' }, false);
+                    }
+                    else if (kind === 'audio') {
+                        // Música y otros audios: reproductor normal con el tipo original, no nota de voz
+                        await send({ audio: buffer, ptt: false, mimetype: att.mimeType || 'audio/mpeg' }, false);
+                    }
+                    else {
+                        await send(await this._buildStickerContent(envelope, buffer), false);
                     }
                 } catch (err) {
-                    this.logger.error(`[${this.platformName}] Fallo al enviar archivo a WA: ${err.message}`);
+                    this.logger.error(`[${this.platformName}] Fallo al enviar archivo a WA: ${err.message}`, { name: att.name });
                 }
             }
+
+            // Si falló el adjunto que llevaba la leyenda, el texto no debe perderse
+            if (!textDelivered && finalMessageText) {
+                await send({ text: finalMessageText, mentions }, true);
+            }
+        });
+    }
+
+    /**
+     * Clasifica un adjunto UMF según el tipo de mensaje de WhatsApp con que debe enviarse.
+     * @param {Object} att - Adjunto UMF.
+     * @returns {'visual'|'document'|'voice'|'audio'|'sticker'}
+     * @private
+     */
+    _classifyAttachment(att) {
+        const mimeType = att.mimeType || '';
+        if (att.type === UMF_TYPES.STICKER) return 'sticker';
+        if (att.type === UMF_TYPES.AUDIO || mimeType.startsWith('audio/')) {
+            // Notas de voz: Opus en OGG (formato de WhatsApp, Telegram y Discord) o nombradas como tal
+            return /ogg|opus/.test(mimeType) || /voice|ptt/i.test(att.name || '') ? 'voice' : 'audio';
+        }
+        // GIF y SVG no se muestran como imagen en WhatsApp: viajan como documento
+        if (/^image\/(gif|svg)/.test(mimeType)) return 'document';
+        if (mimeType.startsWith('image/') || mimeType.startsWith('video/') || att.type === UMF_TYPES.IMAGE || att.type === UMF_TYPES.VIDEO) return 'visual';
+        return 'document';
+    }
+
+    /**
+     * Contenido del adjunto desde disco local o URL (con límite de tiempo).
+     * @private
+     */
+    async _loadAttachment(att) {
+        if (att.localPath && fs.existsSync(att.localPath)) return fs.readFileSync(att.localPath);
+        if (!att.url) throw new Error('Adjunto sin ruta local ni URL');
+
+        const response = await fetch(att.url, { signal: AbortSignal.timeout(ATTACHMENT_DOWNLOAD_TIMEOUT_MS) });
+        if (!response.ok) throw new Error(`Fallo HTTP ${response.status} al descargar el adjunto`);
+        return Buffer.from(await response.arrayBuffer());
+    }
+
+    /**
+     * Sticker de WhatsApp: WebP de 512x512 con el remitente como autor del paquete.
+     * Si la conversión falla (ej. stickers vectoriales TGS) se envía como imagen.
+     * @private
+     */
+    async _buildStickerContent(envelope, buffer) {
+        const publisher = `${envelope.head.source.username} (${getPlatformAlias(envelope.head.source.platform)})`;
+        try {
+            return { sticker: await this.context.storage.createWhatsAppSticker(buffer, { name: STICKER_PACK_NAME, publisher }) };
+        } catch (error) {
+            this.logger.warn(`[${this.platformName}] Sticker no convertible a WebP, se envía como imagen.`, { error: error.message });
+            return { image: buffer };
+        }
+    }
+
+    async _processEdit(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Edición sin canal o mensaje de destino en el envelope UMF.');
+
+            await this.sock.sendMessage(channelId, {
+                text: this._buildText(envelope),
+                mentions: this._getNativeMentions(envelope),
+                edit: { remoteJid: channelId, fromMe: true, id: messageId }
+            });
+        });
+    }
+
+    async _processDelete(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Borrado sin canal o mensaje de destino en el envelope UMF.');
+
+            // "Eliminar para todos": las copias siempre fueron enviadas por nuestra sesión
+            await this.sock.sendMessage(channelId, {
+                delete: { remoteJid: channelId, fromMe: true, id: messageId }
+            });
         });
     }
 
+    async _processReaction(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Reacción sin canal o mensaje de destino en el envelope UMF.');
+
+            const key = this._buildMessageKey(channelId, messageId);
+
+            // Una sola reacción por cuenta: se aplica la más votada y el resto va al resumen
+            const foreign = this.getForeignReactions(envelope);
+            const top = foreign
+            .filter(entry => this.resolveNativeEmoji(entry))
+            .sort((a, b) => b.count - a.count)[0];
+
+            await this.sock.sendMessage(channelId, { react: { text: top ? this.resolveNativeEmoji(top) : '', key } });
+
+            await this.syncReactionSummary(envelope, foreign.filter(entry => entry !== top), this._summaryOps(channelId, key));
+        });
+    }
+
+    /**
+     * WhatsApp no permite fijar el recuento de una encuesta: los resultados globales se mantienen
+     * en un mensaje que cita la copia `head.dest.messageId`.
+     * @param {Object} envelope - Envoltorio UMF de voto con `body.poll.tally`.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _processPollVote(envelope) {
+        return this.breaker.fire(async () => {
+            const { channelId, messageId } = envelope.head.dest || {};
+            if (!channelId || !messageId) throw new Error('Voto sin canal o mensaje de destino en el envelope UMF.');
+
+            await this.syncPollResults(envelope, this._summaryOps(channelId, this._buildMessageKey(channelId, messageId)));
+        });
+    }
+
+    /**
+     * Clave Baileys de un mensaje del chat: una copia propia o el original de un usuario de WhatsApp.
+     * @param {string} channelId - JID del chat.
+     * @param {string} messageId - ID del mensaje.
+     * @returns {Object} WAMessageKey.
+     * @private
+     */
+    _buildMessageKey(channelId, messageId) {
+        const origin = this.context.repository.findMessageOrigin(this.platformName, channelId, messageId);
+        const isOrigin = origin?.platform === this.platformName && origin.channelId === String(channelId) && origin.messageId === String(messageId);
+        return {
+            remoteJid: channelId,
+            fromMe: !isOrigin,
+            id: messageId,
+            participant: isOrigin && channelId.endsWith('@g.us') ? origin.userId || undefined : undefined
+        };
+    }
+
+    /**
+     * Primitivas de los mensajes auxiliares (resumen de reacciones, resultados de encuestas) que
+     * citan un mensaje del chat.
+     * @param {string} channelId - JID del chat.
+     * @param {Object} key - Clave del mensaje citado.
+     * @returns {Object} { send, edit, remove } para `syncReactionSummary` y `syncPollResults`.
+     * @private
+     */
+    _summaryOps(channelId, key) {
+        return {
+            send: async (text) => {
+                const sent = await this.sock.sendMessage(channelId, { text }, {
+                    quoted: { key, message: { conversation: '' } }
+                });
+                return sent?.key?.id;
+            },
+            edit: (summaryId, text) => this.sock.sendMessage(channelId, {
+                text,
+                edit: { remoteJid: channelId, fromMe: true, id: summaryId }
+            }),
+            remove: (summaryId) => this.sock.sendMessage(channelId, {
+                delete: { remoteJid: channelId, fromMe: true, id: summaryId }
+            })
+        };
+    }
+
+    /**
+     * Guarda el mensaje de creación de una encuesta (incluye el secreto con el que se cifran sus votos).
+     * @param {string} channelId - JID del chat.
+     * @param {Object} waMessage - WAMessage recibido o devuelto por sendMessage.
+     * @private
+     */
+    _rememberPoll(channelId, waMessage) {
+        if (!waMessage?.key?.id || !waMessage.message) return;
+        try {
+            const data = Buffer.from(proto.Message.encode(waMessage.message).finish()).toString('base64');
+            this.context.repository?.setPollHandle?.(this.platformName, waMessage.key.id, { channelId, messageId: waMessage.key.id }, data);
+        } catch (error) {
+            this.logger.warn(`[${this.platformName}] No se pudo guardar la encuesta ${waMessage.key.id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {string} messageId - ID del mensaje de creación de la encuesta.
+     * @returns {Object|undefined} proto.Message guardado por `_rememberPoll`.
+     * @private
+     */
+    _loadPollMessage(messageId) {
+        const handle = this.context.repository?.findPollHandle?.(this.platformName, messageId);
+        if (!handle?.data) return undefined;
+        try {
+            return proto.Message.decode(Buffer.from(handle.data, 'base64'));
+        } catch (error) {
+            this.logger.warn(`[${this.platformName}] Encuesta ${messageId} ilegible: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Convierte los votos descifrados por Baileys en eventos POLL_VOTE. Cada actualización contiene
+     * la selección completa del votante (vacía si retiró su voto).
+     * @param {Object} key - Clave del mensaje de creación de la encuesta.
+     * @param {Array<Object>} pollUpdates - Actualizaciones descifradas.
+     * @private
+     */
+    _handlePollUpdates(key, pollUpdates) {
+        const creation = this._loadPollMessage(key.id);
+        const content = creation && normalizeMessageContent(creation);
+        const pollContent = content?.[getContentType(content)];
+        if (!pollContent?.options) return;
+
+        const options = pollContent.options.map(option => option.optionName);
+        for (const pollUpdate of pollUpdates) {
+            const voterKey = pollUpdate.pollUpdateMessageKey;
+            if (!voterKey || voterKey.fromMe) continue;
+
+            const voterId = voterKey.participant || voterKey.remoteJid;
+            const selected = getAggregateVotesInPollMessage({ message: creation, pollUpdates: [pollUpdate] })
+            .filter(entry => entry.voters.length > 0)
+            .map(entry => options.indexOf(entry.name))
+            .filter(index => index >= 0);
+
+            this.emitPollVote(createEnvelope({
+                event: UMF_EVENTS.POLL_VOTE,
+                source: {
+                    platform: this.platformName,
+                    channelId: key.remoteJid,
+                    messageId: key.id,
+                    userId: voterId,
+                    username: this.contactCache.get(voterId) || voterId.split('@')[0]
+                },
+                body: { vote: { options: selected, action: 'set' } },
+                correlationId: this.context.logger.getCorrelationId()
+            }));
+        }
+    }
+
+    /**
+     * Construye la clave mínima que Baileys necesita para renderizar una respuesta nativa.
+     * Si el padre es una copia enviada por nuestra sesión, `fromMe` debe ser verdadero.
+     * @param {Object} envelope - Envoltorio UMF.
+     * @param {string} destChannelId - JID del chat destino.
+     * @param {Object} replyTarget - Resultado de `resolveReplyTarget`.
+     * @returns {Object} Mensaje citado sintético.
+     * @private
+     */
+    _buildQuotedStub(envelope, destChannelId, replyTarget) {
+        const isGroup = destChannelId.endsWith('@g.us');
+        return {
+            key: {
+                remoteJid: destChannelId,
+                fromMe: !replyTarget.isOrigin,
+                id: replyTarget.messageId,
+                participant: isGroup && replyTarget.isOrigin ? replyTarget.userId || undefined : undefined
+            },
+            message: { conversation: envelope.head.replyTo?.parentText || '' }
+        };
+    }
+
+    /**
+     * Traduce el texto de WhatsApp al AST. Las menciones no llevan marcas en el texto (`@5215…`):
+     * se identifican con `contextInfo.mentionedJid` y se guardan por JID, sin exponer el número.
+     * @param {string} text - Texto o caption del mensaje.
+     * @param {Object} [contextInfo] - Metadatos del mensaje (menciones, cita).
+     * @returns {Object} AST.
+     * @private
+     */
+    _parseRichText(text, contextInfo) {
+        const mentions = (contextInfo?.mentionedJid || []).map(jid => ({
+            text: `@${jid.split('@')[0]}`,
+            id: jid,
+            name: this.contactCache.get(jid) || null
+        }));
+        return parseMarkdown(text, 'whatsapp', { platform: this.platformName, mentions });
+    }
+
+    /**
+     * JIDs de las menciones que el enrutador resolvió como nativas de esta plataforma.
+     * WhatsApp solo notifica al usuario si su JID viaja en `mentions`.
+     * @param {Object} envelope - Envoltorio UMF.
+     * @returns {Array<string>} JIDs mencionados.
+     * @private
+     */
+    _getNativeMentions(envelope) {
+        return getMentions(envelope.body?.rich)
+        .filter(node => node.kind === 'user' && node.id && node.platform === this.platformName)
+        .map(node => node.id);
+    }
+
+    _buildText(envelope, quote = '') {
+        const alias = getPlatformAlias(envelope.head.source.platform);
+        const senderTag = `*${envelope.head.source.username} (${alias})*`;
+
+        const content = renderRichText(getRichText(envelope.body), 'whatsapp', { platform: this.platformName });
+
+        const quoteLine = quote ? `> ${quote}\n` : '';
+        return content ? `${quoteLine}${senderTag}: ${content}` : `${quoteLine}${senderTag}`;
+    }
+
     _getExtensionFromMime(mimeType) {
         if (!mimeType) return '.bin';
         if (mimeType.includes('image/jpeg')) return '.jpg';
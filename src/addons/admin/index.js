@@ -1,16 +1,34 @@
 // src/addons/admin/index.js
-import { randomUUID } from 'node:crypto';
+import { randomBytes } from 'node:crypto';
+import { ROLES } from '../../core/utils/permissions.js';
+
+// Vigencia de un código de vinculación de identidad (!identity link)
+const IDENTITY_CODE_TTL_MS = 10 * 60 * 1000;
+
+// Valores por defecto de `!bridge invite` (un solo uso, válida durante 24 horas)
+const INVITE_DEFAULT_USES = 1;
+const INVITE_DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const DURATION_UNITS = { m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+// Entradas mostradas por `!dlq list` y tope de reenvíos de `!dlq retry all`
+const DLQ_LIST_LIMIT = 10;
+const DLQ_RETRY_ALL_LIMIT = 1000;
+
+// Eventos mostrados por `!audit` y longitud máxima de cada estado resumido
+const AUDIT_LIST_LIMIT = 10;
+const AUDIT_STATE_PREVIEW = 60;
 
 /**
  * Addon de Administración y Gestión de Topologías.
- * Escucha comandos en texto plano (ej.!ping,!bridge,!link) a través del bus de eventos
- * y gestiona las conexiones en la base de datos (Repository) en tiempo real.
+ * Registra sus comandos (ej. !ping, !bridge, !link) en el registro central del núcleo, que se
+ * encarga del análisis sintáctico, los permisos y la ayuda, y gestiona las conexiones en la base
+ * de datos (Repository) en tiempo real.
  */
 export default class AdminAddon {
     constructor() {
         this.context = null;
         this.platformName = 'admin';
-        this.prefix = '!'; // Prefijo universal de comandos
+        this.pendingIdentityLinks = new Map(); // código -> { platform, channelId, userId, displayName, claimant, expiresAt }
     }
 
     /**
@@ -24,26 +42,12 @@ export default class AdminAddon {
     }
 
     /**
-     * Fase de Ejecución: Intercepta todos los mensajes entrantes para evaluar comandos.
+     * Fase de Ejecución: Registra los comandos administrativos.
      */
     async start() {
-        this.context.bus.on('message.ingress', async (envelope) => {
-            const text = envelope.body?.text  ||  '';
-
-            // Ignorar eventos que no posean contenido textual o no inicien con el prefijo
-            if (!text.startsWith(this.prefix)) return;
-
-            const correlationId = envelope.head?.correlationId;
-
-            // Mantener trazabilidad (Trace ID) inyectando el contexto asíncrono
-            if (this.context.logger) {
-                this.context.logger.withCorrelation(correlationId, async () => {
-                    await this._handleCommand(envelope, text);
-                });
-            } else {
-                await this._handleCommand(envelope, text);
-            }
-        });
+        for (const definition of this._commandDefinitions()) {
+            this.context.commands.register(definition);
+        }
 
         if (this.context.logger) {
             this.context.logger.info(`[${this.platformName}] Escuchando comandos administrativos.`);
@@ -70,111 +74,633 @@ export default class AdminAddon {
     }
 
     /**
-     * Motor de resolución de comandos.
+     * Catálogo de comandos del módulo (sintaxis, rol mínimo y manejador).
      */
-    async _handleCommand(envelope, text) {
-        // Analizador sintáctico básico (parser)
-        const args = text.slice(this.prefix.length).trim().split(/\s+/);
-        const command = args.shift().toLowerCase();
-        const source = envelope.head.source;
-
-        // Se recomienda en el futuro integrar validación de permisos con PermissionsManager aquí
-        // Ejemplo: if (this.context.permissions.getRole(source.platform, source.userId) < 2) return;
-
-        try {
-            switch (command) {
-                case 'ping':
-                    await this._reply(envelope, '🏓 Pong! El Microkernel está operativo, enrutando y escuchando.');
-                    break;
-
-                case 'id':
-                    await this._reply(envelope, `ℹ️ **Información Topológica**\nPlataforma: \`${source.platform}\`\nID de Canal Nativo: \`${source.channelId}\`\nIdentidad Emisor: \`${source.userId}\``);
-                    break;
-
-                case 'bridge': {
-                    const name = args.join(' ')  ||  'Puente Genérico';
-                    const bridgeId = this.context.repository.createBridge(name);
-                    await this._reply(envelope, `🌉 **Grupo Virtual Creado**\nNombre: ${name}\nID del Puente: \`${bridgeId}\`\n\nEjecuta \`!link ${bridgeId}\` en las redes que desees anexar.`);
-                    break;
+    _commandDefinitions() {
+        return [
+            {
+                name: 'ping',
+                description: 'Comprueba que el Microkernel responde',
+                handler: ({ reply }) => reply('🏓 Pong! El Microkernel está operativo, enrutando y escuchando.')
+            },
+            {
+                name: 'id',
+                description: 'Muestra los identificadores nativos del canal y del emisor',
+                handler: ({ source, reply }) => reply(`ℹ️ **Información Topológica**\nPlataforma: \`${source.platform}\`\nID de Canal Nativo: \`${source.channelId}\`\nIdentidad Emisor: \`${source.userId}\``)
+            },
+            {
+                name: 'status',
+                description: 'Estado de la suscripción de este canal a un puente',
+                handler: (cmd) => this._handleStatus(cmd)
+            },
+            {
+                name: 'bridge create',
+                description: 'Crea un puente (grupo virtual) nuevo',
+                usage: '<nombre...>',
+                role: ROLES.ADMIN,
+                handler: (cmd) => this._handleCreateBridge(cmd)
+            },
+            {
+                name: 'link',
+                description: 'Une este canal a un puente con un código de invitación (los administradores también aceptan el ID del puente)',
+                usage: '<código>',
+                handler: (cmd) => this._handleLink(cmd)
+            },
+            {
+                name: 'bridge invite',
+                description: 'Emite un código de invitación al puente de este canal. Opciones: `usos=<n>` (0 = ilimitados), `expira=<30m|12h|7d|nunca>`, `aprobar`',
+                usage: '[opciones...]',
+                role: ROLES.ADMIN,
+                scope: 'bridge',
+                handler: (cmd) => this._withBridge(cmd, (link) => this._handleInvite(cmd, link))
+            },
+            {
+                name: 'bridge invites',
+                description: 'Invitaciones vigentes del puente de este canal',
+                role: ROLES.ADMIN,
+                scope: 'bridge',
+                handler: (cmd) => this._withBridge(cmd, (link) => this._handleInviteList(cmd, link))
+            },
+            {
+                name: 'bridge invite revoke',
+                description: 'Anula un código de invitación',
+                usage: '<código>',
+                role: ROLES.ADMIN,
+                scope: 'bridge',
+                handler: (cmd) => this._withBridge(cmd, (link) => this._handleInviteRevoke(cmd, link))
+            },
+            {
+                name: 'bridge pending',
+                description: 'Solicitudes de unión pendientes de aprobación',
+                role: ROLES.ADMIN,
+                scope: 'bridge',
+                handler: (cmd) => this._withBridge(cmd, (link) => this._handlePendingJoins(cmd, link))
+            },
+            ...['approve', 'reject'].map(decision => ({
+                name: `bridge ${decision}`,
+                description: decision === 'approve' ? 'Aprueba una solicitud de unión y activa el canal' : 'Rechaza una solicitud de unión',
+                usage: '<id>',
+                role: ROLES.ADMIN,
+                scope: 'bridge',
+                handler: (cmd) => this._withBridge(cmd, (link) => this._handleJoinDecision(cmd, link, decision === 'approve'))
+            })),
+            {
+                name: 'identity link',
+                description: 'Emite un código de vinculación o canjea uno generado en otra plataforma',
+                usage: '[código]',
+                handler: (cmd) => this._handleIdentityLink(cmd)
+            },
+            {
+                name: 'identity confirm',
+                description: 'Confirma, desde la cuenta que emitió el código, la vinculación con la cuenta que lo canjeó',
+                usage: '<código> <plataforma:id>',
+                handler: (cmd) => this._handleIdentityConfirm(cmd)
+            },
+            {
+                name: 'identity list',
+                description: 'Lista las cuentas vinculadas a tu identidad',
+                handler: (cmd) => this._handleIdentityList(cmd)
+            },
+            {
+                name: 'identity unlink',
+                description: 'Desvincula esta cuenta de su identidad compartida',
+                handler: (cmd) => this._handleIdentityUnlink(cmd)
+            },
+            {
+                name: 'dlq list',
+                description: 'Muestra los mensajes muertos más recientes',
+                usage: '[plataforma]',
+                role: ROLES.ADMIN,
+                handler: (cmd) => this._handleDeadLetterList(cmd)
+            },
+            {
+                name: 'dlq retry',
+                description: 'Reencola un mensaje muerto (o todos los de una plataforma)',
+                usage: '<id|all> [plataforma]',
+                role: ROLES.OWNER,
+                handler: (cmd) => this._handleDeadLetterRetry(cmd)
+            },
+            {
+                name: 'dlq purge',
+                description: 'Descarta los mensajes muertos',
+                usage: '[plataforma]',
+                role: ROLES.OWNER,
+                handler: ({ source, args, reply }) => {
+                    const platform = args.plataforma || null;
+                    const removed = this.context.repository.purgeDeadLetters(platform);
+                    this._audit(source, 'dlq.purge', { after: { platform, removed } });
+                    return reply(`🗑️ ${removed} mensajes muertos descartados.`);
                 }
+            },
+            {
+                name: 'plugin list',
+                description: 'Estado, versión y tipo de cada plugin',
+                role: ROLES.ADMIN,
+                handler: (cmd) => this._handlePluginList(cmd)
+            },
+            ...['reload', 'enable', 'disable'].map(operation => ({
+                name: `plugin ${operation}`,
+                description: { reload: 'Recarga un plugin en caliente', enable: 'Habilita un plugin', disable: 'Deshabilita un plugin' }[operation],
+                usage: '<nombre>',
+                role: ROLES.OWNER,
+                handler: (cmd) => this._handlePluginOperation(operation, cmd)
+            })),
+            {
+                name: 'audit',
+                description: 'Últimos cambios administrativos del puente de este canal (los administradores globales pueden indicar otro puente o `todos`)',
+                usage: '[puente]',
+                role: ROLES.ADMIN,
+                scope: 'bridge',
+                handler: (cmd) => this._handleAudit(cmd)
+            }
+        ];
+    }
 
-                case 'link': {
-                    const targetBridgeId = args;
-                    if (!targetBridgeId) {
-                        await this._reply(envelope, '❌ Error sintáctico. Falta el parámetro ID.\nUso correcto: `!link <ID_DEL_PUENTE>`');
-                        return;
-                    }
-
-                    this.context.repository.linkChannelToBridge({
-                        bridgeId: targetBridgeId,
-                        platform: source.platform,
-                        nativeId: source.channelId,
-                        config: {}
-                    });
-
-                    await this._reply(envelope, `✅ **Suscripción Exitosa**\nEste canal nativo ha sido acoplado al nodo de enrutamiento: \`${targetBridgeId}\``);
-                    break;
-                }
+    async _handleStatus({ source, reply }) {
+        const link = this.context.repository.getChannelLink(source.platform, source.channelId);
+        if (!link) {
+            await reply('⚠️ Estado: Aislado. Este canal no recibe ni emite tráfico a ningún puente multiconexión.');
+        } else {
+            await reply(`📊 **Estado de Conexión N-a-N**\nSuscrito a Puente: \`${link.bridge_id}\`\nTráfico: \`${link.status.toUpperCase()}\``);
+        }
+    }
+
+    async _handleCreateBridge({ source, args, reply }) {
+        const name = args.nombre;
+        const bridgeId = this.context.repository.createBridge(name);
+
+        // Quien crea el puente queda como su propietario (puede delegar con `!role grant`)
+        this.context.repository.setBridgeRole({
+            bridgeId,
+            platform: source.platform,
+            userId: this.context.permissions.normalizeUserId(source.platform, source.userId),
+            role: 'owner',
+            grantedBy: `${source.platform}:${source.userId}`
+        });
+        this._audit(source, 'bridge.create', {
+            target: { type: 'bridge', id: bridgeId },
+            bridgeId,
+            after: { name, status: 'on', owner: `${source.platform}:${source.userId}` }
+        });
+
+        await reply(`🌉 **Grupo Virtual Creado**\nNombre: ${name}\nID del Puente: \`${bridgeId}\`\nPropietario: \`${source.platform}:${source.userId}\`\n\nAnexa este canal con \`!link ${bridgeId}\` (solo administradores) y, desde él, genera un código con \`!bridge invite\` para cada red que quieras unir: los demás canales se unen con \`!link <código>\`.`);
+    }
+
+    /**
+     * Une el canal de origen a un puente. El código de invitación es la credencial; solo los
+     * administradores globales pueden usar directamente el ID del puente.
+     */
+    async _handleLink({ source, args, role, reply }) {
+        const current = this.context.repository.getChannelLink(source.platform, source.channelId);
+        if (current) {
+            await reply(`❌ Este canal ya pertenece al puente \`${current.bridge_id}\`. Ejecuta \`!bridge.leave\` antes de unirlo a otro.`);
+            return;
+        }
+        const pending = this.context.repository.getPendingJoin(source.platform, source.channelId);
+        if (pending) {
+            await reply(`⏳ Este canal ya tiene una solicitud de unión pendiente (#${pending.id}).`);
+            return;
+        }
+
+        const requestedBy = `${source.platform}:${source.userId}`;
+        const redeemed = this.context.repository.redeemInvite(args.código.toUpperCase(), {
+            platform: source.platform,
+            nativeId: source.channelId,
+            requestedBy
+        });
 
-                case 'status': {
-                    const link = this.context.repository.getChannelLink(source.platform, source.channelId);
-                    if (!link) {
-                        await this._reply(envelope, '⚠️ Estado: Aislado. Este canal no recibe ni emite tráfico a ningún puente multiconexión.');
-                    } else {
-                        await this._reply(envelope, `📊 **Estado de Conexión N-a-N**\nSuscrito a Puente: \`${link.bridge_id}\`\nTráfico: \`${link.status.toUpperCase()}\``);
-                    }
-                    break;
+        if (redeemed) {
+            const { join, invite } = redeemed;
+            this._emitJoin(join, source);
+            if (join.status === 'pending') {
+                await reply(`⏳ **Solicitud de Unión #${join.id}**\nUn administrador del puente debe aprobarla antes de que este canal empiece a recibir tráfico.`);
+                if (invite.origin_platform && invite.origin_channel) {
+                    await this.context.commands.notify(
+                        { platform: invite.origin_platform, channelId: invite.origin_channel },
+                        `🔔 **Solicitud de Unión #${join.id}**\nCanal: \`${join.platform}:${join.native_id}\`\nSolicitada por: \`${requestedBy}\`\n\nAprueba con \`!bridge approve ${join.id}\` o rechaza con \`!bridge reject ${join.id}\`.`
+                    );
                 }
+                return;
             }
-        } catch (error) {
-            if (this.context.logger) {
-                this.context.logger.error(`[${this.platformName}] Excepción durante ejecución de!${command}:`, { error: error.message, stack: error.stack });
+            await reply(`✅ **Suscripción Exitosa**\nEste canal nativo ha sido acoplado al nodo de enrutamiento: \`${join.bridge_id}\``);
+            return;
+        }
+
+        // Alta directa por ID, reservada a la administración global
+        if (role >= ROLES.ADMIN && this.context.repository.getBridge(args.código)) {
+            this.context.repository.linkChannelToBridge({
+                bridgeId: args.código,
+                platform: source.platform,
+                nativeId: source.channelId,
+                config: {}
+            });
+            this._emitJoin({ bridge_id: args.código, platform: source.platform, native_id: source.channelId, status: 'approved', requested_by: requestedBy, resolved_by: requestedBy }, source);
+            await reply(`✅ **Suscripción Exitosa**\nEste canal nativo ha sido acoplado al nodo de enrutamiento: \`${args.código}\``);
+            return;
+        }
+
+        await reply('❌ Código de invitación inválido, caducado o agotado. Pide uno nuevo a un administrador del puente (`!bridge invite`).');
+    }
+
+    async _handleInvite({ source, argv, reply }, link) {
+        let maxUses = INVITE_DEFAULT_USES;
+        let ttlSeconds = INVITE_DEFAULT_TTL_SECONDS;
+        let requiresApproval = false;
+
+        for (const option of argv) {
+            const [key, value] = option.toLowerCase().split('=');
+            if (key === 'aprobar') {
+                requiresApproval = true;
+            } else if (key === 'usos' && /^\d+$/.test(value || '')) {
+                maxUses = Number(value);
+            } else if (key === 'expira' && value) {
+                ttlSeconds = _parseDuration(value);
+                if (ttlSeconds === undefined) {
+                    await reply(`❌ Duración no válida: \`${value}\`. Usa minutos, horas o días (ej. \`30m\`, \`12h\`, \`7d\`) o \`nunca\`.`);
+                    return;
+                }
+            } else {
+                await reply(`❌ Opción desconocida: \`${option}\`.\nUso correcto: \`!bridge invite [usos=<n>] [expira=<duración>] [aprobar]\``);
+                return;
             }
-            await this._reply(envelope, `❌ **Fallo Crítico:** ${error.message}`);
+        }
+
+        const invite = this.context.repository.createInvite({
+            code: randomBytes(5).toString('hex').toUpperCase(),
+            bridgeId: link.bridge_id,
+            createdBy: `${source.platform}:${source.userId}`,
+            origin: { platform: source.platform, channelId: source.channelId },
+            maxUses,
+            ttlSeconds,
+            requiresApproval
+        });
+        this._audit(source, 'bridge.invite.create', {
+            target: { type: 'invite', id: invite.code },
+            bridgeId: link.bridge_id,
+            after: { maxUses: invite.max_uses, expiresAt: invite.expires_at, requiresApproval: Boolean(invite.requires_approval) }
+        });
+
+        await reply(`🎟️ **Invitación al Puente**\nCódigo: \`${invite.code}\`\n${_describeInvite(invite)}\n\nEjecuta \`!link ${invite.code}\` en el canal que quieras unir.`);
+    }
+
+    async _handleInviteList({ reply }, link) {
+        const invites = this.context.repository.listInvites(link.bridge_id);
+        if (invites.length === 0) {
+            await reply('ℹ️ El puente no tiene invitaciones vigentes. Emite una con `!bridge invite`.');
+            return;
+        }
+        const lines = invites.map(invite => `• \`${invite.code}\` — ${_describeInvite(invite)}`);
+        await reply(`🎟️ **Invitaciones Vigentes**\n${lines.join('\n')}`);
+    }
+
+    async _handleInviteRevoke({ source, args, reply }, link) {
+        const code = args.código.toUpperCase();
+        const revoked = this.context.repository.revokeInvite(link.bridge_id, code);
+        if (revoked) this._audit(source, 'bridge.invite.revoke', { target: { type: 'invite', id: code }, bridgeId: link.bridge_id });
+        await reply(revoked
+            ? `🗑️ Invitación \`${code}\` anulada.`
+            : `❌ No existe la invitación \`${code}\` en este puente.`);
+    }
+
+    async _handlePendingJoins({ reply }, link) {
+        const pending = this.context.repository.listJoinRequests(link.bridge_id, 'pending');
+        if (pending.length === 0) {
+            await reply('✅ No hay solicitudes de unión pendientes.');
+            return;
+        }
+        const lines = pending.map(join => `• #${join.id} \`${join.platform}:${join.native_id}\` — solicitada por \`${join.requested_by || '?'}\` con \`${join.invite_code}\``);
+        await reply(`📥 **Solicitudes Pendientes**\n${lines.join('\n')}\n\nResuelve con \`!bridge approve <ID>\` o \`!bridge reject <ID>\`.`);
+    }
+
+    async _handleJoinDecision({ source, args, reply }, link, approved) {
+        const request = this.context.repository.getJoinRequest(args.id);
+        if (!request || request.bridge_id !== link.bridge_id) {
+            await reply(`❌ No existe la solicitud #${args.id} en este puente.`);
+            return;
+        }
+
+        const join = this.context.repository.resolveJoinRequest(request.id, {
+            approved,
+            resolvedBy: `${source.platform}:${source.userId}`
+        });
+        if (!join) {
+            await reply(`ℹ️ La solicitud #${request.id} ya estaba resuelta (${request.status}).`);
+            return;
+        }
+
+        this._emitJoin(join, source);
+        const target = { platform: join.platform, channelId: join.native_id };
+        if (approved) {
+            await this.context.commands.notify(target, `✅ **Suscripción Exitosa**\nLa solicitud de unión #${join.id} ha sido aprobada. Este canal ya está acoplado al nodo de enrutamiento: \`${join.bridge_id}\``);
+            await reply(`✅ Solicitud #${join.id} aprobada: \`${join.platform}:${join.native_id}\` ya forma parte del puente.`);
+        } else {
+            await this.context.commands.notify(target, `⛔ La solicitud de unión #${join.id} ha sido rechazada por un administrador del puente.`);
+            await reply(`🗑️ Solicitud #${join.id} rechazada.`);
         }
     }
 
     /**
-     * Construye un envoltorio UMF inverso para inyectar una respuesta de sistema directamente
-     * hacia la plataforma y chat que emitió la petición original.
+     * Publica en el bus y en la auditoría cada alta, solicitud o resolución de unión a un puente.
+     *
+     * @param {Object} join - Fila de `bridge_joins` (o equivalente para las altas directas)
+     * @param {Object} actor - Origen del comando que la provoca ({ platform, userId })
      */
-    async _reply(originalEnvelope, textResponse) {
-        const targetPlatform = originalEnvelope.head.source.platform;
-        const targetChannelId = originalEnvelope.head.source.channelId;
-
-        const responseEnvelope = {
-            head: {
-                id: randomUUID(),
-                correlationId: originalEnvelope.head.correlationId,
-                timestamp: Date.now(),
-                type: 'text/plain',
-                source: {
-                    platform: 'system',
-                    channelId: 'admin',
-                    userId: 'root',
-                    username: 'OpenChat Ops',
-                    avatar: null // Delegar la carga del icono al cliente objetivo
-                },
-                dest: {
-                    platform: targetPlatform,
-                    channelId: targetChannelId
-                },
-                replyTo: {
-                    parentId: originalEnvelope.head.id,
-                    parentText: originalEnvelope.body.text
-                },
-                // Horizonte dividido para evitar rebotes cíclicos de la respuesta del sistema
-                trace_path: ['system:admin']
-            },
-            body: {
-                text: textResponse,
-                raw: textResponse,
-                attachments: []
-            }
+    _emitJoin(join, actor) {
+        const event = {
+            joinId: join.id ?? null,
+            bridgeId: join.bridge_id,
+            platform: join.platform,
+            channelId: join.native_id,
+            status: join.status,
+            inviteCode: join.invite_code ?? null,
+            requestedBy: join.requested_by ?? null,
+            resolvedBy: join.resolved_by ?? null,
+            timestamp: Date.now()
         };
+        if (this.context.logger) this.context.logger.info(`[${this.platformName}] Unión a puente (${event.status}): ${event.platform}:${event.channelId} -> ${event.bridgeId}`, event);
+        this.context.bus.emit('bridge.join', event);
 
-        // Emitir directamente hacia el encolador final, eludiendo la evaluación del Router
-        const egressQueueName = `queue_${targetPlatform}_out`;
-        await this.context.queue.add(egressQueueName, responseEnvelope);
+        const actions = { pending: 'channel.join_request', approved: 'channel.link', rejected: 'channel.join_reject' };
+        this._audit(actor, actions[event.status], {
+            target: { type: 'channel', id: `${event.platform}:${event.channelId}` },
+            bridgeId: event.bridgeId,
+            // Una solicitud resuelta parte de 'pending'; un alta directa, de un canal sin puente
+            before: event.resolvedBy && event.joinId ? { status: 'pending' } : null,
+            after: { status: event.status, joinId: event.joinId, inviteCode: event.inviteCode }
+        });
     }
+
+    /**
+     * Registra un cambio administrativo en `audit_events` atribuyéndolo al emisor del comando.
+     */
+    _audit(source, action, details = {}) {
+        this.context.repository.recordAudit({
+            actor: { platform: source.platform, userId: source.userId },
+            action,
+            ...details
+        });
+    }
+
+    /**
+     * Ejecuta un comando de ámbito de puente sobre el puente del canal de origen.
+     */
+    async _withBridge(cmd, handler) {
+        const link = this.context.repository.getChannelLink(cmd.source.platform, cmd.source.channelId);
+        if (!link) {
+            await cmd.reply('⚠️ Este canal no está vinculado a ningún puente.');
+            return;
+        }
+        await handler(link);
+    }
+
+    /**
+     * Vinculación de identidades entre plataformas mediante un apretón de manos en tres pasos:
+     *   1. `!identity link` en la plataforma A emite un código de un solo uso.
+     *   2. `!identity link <código>` desde la cuenta de la plataforma B solicita la vinculación.
+     *   3. La cuenta A recibe en su canal la plataforma, el nombre y el ID de quien lo ha canjeado, y
+     *      confirma con `!identity confirm <código> <plataforma:id>` nombrando esa misma cuenta.
+     * El código se publica en el canal: cualquiera que lo lea podría canjearlo, por eso la vinculación
+     * solo se hace efectiva cuando la cuenta emisora confirma explícitamente a quién vincula.
+     */
+    async _handleIdentityLink({ source, args, reply }) {
+        this._purgeIdentityCodes();
+        const code = args.código?.toUpperCase();
+
+        if (!code) {
+            const newCode = randomBytes(4).toString('hex').toUpperCase();
+            this.pendingIdentityLinks.set(newCode, {
+                platform: source.platform,
+                channelId: source.channelId,
+                userId: String(source.userId),
+                displayName: source.username,
+                claimant: null,
+                expiresAt: Date.now() + IDENTITY_CODE_TTL_MS
+            });
+            await reply(`🔑 **Vinculación de Identidad**\nCódigo: \`${newCode}\`\n\nEjecuta \`!identity link ${newCode}\` desde tu cuenta en la otra plataforma antes de ${IDENTITY_CODE_TTL_MS / 60000} minutos. Después tendrás que confirmarlo desde esta cuenta.`);
+            return;
+        }
+
+        const pending = this.pendingIdentityLinks.get(code);
+        if (!pending) {
+            await reply('❌ Código de vinculación inválido o caducado. Genera uno nuevo con `!identity link`.');
+            return;
+        }
+        if (pending.platform === source.platform) {
+            await reply('❌ El código debe canjearse desde una cuenta de otra plataforma.');
+            return;
+        }
+        // Solo el primer canje cuenta: si no era el legítimo, el emisor no lo confirmará y generará otro código
+        if (pending.claimant) {
+            await reply('❌ Este código ya ha sido canjeado. Genera uno nuevo con `!identity link`.');
+            return;
+        }
+
+        const claimant = { platform: source.platform, userId: String(source.userId), displayName: source.username };
+        pending.claimant = claimant;
+        await reply(`⏳ **Vinculación Solicitada**\nTu cuenta de \`${pending.platform}\` (${pending.displayName || 'Sin nombre'}) debe confirmarla con \`!identity confirm ${code} ${claimant.platform}:${claimant.userId}\` antes de que caduque el código.`);
+        await this.context.commands.notify(
+            { platform: pending.platform, channelId: pending.channelId },
+            `🔔 **Código de Vinculación Canjeado**\nCódigo: \`${code}\`\nPlataforma: \`${claimant.platform}\`\nNombre: ${claimant.displayName || 'Sin nombre'}\nID: \`${claimant.userId}\`\n\nSi es tu cuenta, confirma con \`!identity confirm ${code} ${claimant.platform}:${claimant.userId}\`. Si no la reconoces, no confirmes y genera un código nuevo con \`!identity link\`.`
+        );
+    }
+
+    async _handleIdentityConfirm({ source, args, reply }) {
+        this._purgeIdentityCodes();
+        const code = args.código?.toUpperCase();
+        const pending = this.pendingIdentityLinks.get(code);
+
+        // Mismo mensaje si el código no existe o es de otra cuenta: no se revela qué códigos están activos
+        if (!pending || pending.platform !== source.platform || pending.userId !== String(source.userId)) {
+            await reply('❌ No tienes ninguna vinculación pendiente con ese código.');
+            return;
+        }
+        if (!pending.claimant) {
+            await reply(`ℹ️ Nadie ha canjeado todavía este código. Ejecuta \`!identity link ${code}\` desde tu cuenta en la otra plataforma.`);
+            return;
+        }
+
+        // La cuenta confirmada debe ser exactamente la que canjeó el código (el ID puede contener `:`)
+        const { claimant } = pending;
+        const account = args['plataforma:id'];
+        const separator = account.indexOf(':');
+        const platform = account.slice(0, separator).toLowerCase();
+        const userId = account.slice(separator + 1);
+        if (separator <= 0 || platform !== claimant.platform || userId !== claimant.userId) {
+            await reply(`❌ La cuenta indicada no es la que canjeó el código (\`${claimant.platform}:${claimant.userId}\`). Si no la reconoces, no confirmes y genera un código nuevo con \`!identity link\`.`);
+            return;
+        }
+
+        // Un solo uso: se consume antes de escribir para evitar confirmaciones concurrentes
+        this.pendingIdentityLinks.delete(code);
+        const identityId = this.context.repository.linkIdentities(
+            { platform: pending.platform, userId: pending.userId, displayName: pending.displayName },
+            claimant
+        );
+        if (!identityId) throw new Error('No se pudo persistir la vinculación de identidad.');
+
+        await reply(`✅ **Identidad Vinculada**\n\`${pending.platform}\` (${pending.displayName || 'Sin nombre'}) ⇄ \`${claimant.platform}\` (${claimant.displayName || 'Sin nombre'})\nLas menciones entre ambas plataformas se traducirán de forma nativa.`);
+    }
+
+    async _handleIdentityUnlink({ source, reply }) {
+        const removed = this.context.repository.unlinkIdentity(source.platform, source.userId);
+        await reply(removed
+            ? '✅ Tu cuenta ha sido desvinculada de su identidad compartida.'
+            : 'ℹ️ Esta cuenta no tiene identidades vinculadas.');
+    }
+
+    async _handleIdentityList({ source, reply }) {
+        const links = this.context.repository.getIdentityLinks(source.platform, source.userId);
+        if (links.length === 0) {
+            await reply('ℹ️ Esta cuenta no tiene identidades vinculadas. Usa `!identity link` para comenzar.');
+            return;
+        }
+        const lines = links.map(link => `• \`${link.platform}\`: ${link.displayName || 'Sin nombre'}`);
+        await reply(`🪪 **Identidades Vinculadas**\n${lines.join('\n')}`);
+    }
+
+    /**
+     * Inspección de la cola de mensajes muertos (trabajos Egress que agotaron sus reintentos).
+     */
+    async _handleDeadLetterList({ args, reply }) {
+        const counts = this.context.repository.countDeadLetters();
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        if (total === 0) {
+            await reply('✅ La cola de mensajes muertos está vacía.');
+            return;
+        }
+
+        const entries = this.context.repository.listDeadLetters({ platform: args.plataforma || null, limit: DLQ_LIST_LIMIT });
+        const summary = Object.entries(counts).map(([name, count]) => `\`${name}\`: ${count}`).join(' · ');
+        const lines = entries.map(entry => {
+            const preview = (entry.envelope?.body?.text || '[sin texto]').slice(0, 40);
+            return `• #${entry.id} \`${entry.platform}\` → \`${entry.channel_id || '?'}\` (${entry.attempts} intentos)\n  «${preview}» — ${entry.failure_reason || 'Motivo desconocido'}`;
+        });
+        await reply(`📭 **Mensajes Muertos** (${summary})\n${lines.join('\n') || 'Sin entradas para esa plataforma.'}\n\nReenvía con \`!dlq retry <ID|all>\`.`);
+    }
+
+    async _handleDeadLetterRetry({ source, args, reply }) {
+        const target = args.id.toLowerCase();
+
+        if (target === 'all') {
+            // Del más antiguo al más reciente para conservar el orden original de los mensajes
+            const entries = this.context.repository.listDeadLetters({ platform: args.plataforma || null, limit: DLQ_RETRY_ALL_LIMIT }).reverse();
+            for (const entry of entries) {
+                await this.context.queue.replayDeadLetter(entry.id);
+            }
+            this._audit(source, 'dlq.retry', { target: { type: 'dead_letter', id: 'all' }, after: { platform: args.plataforma || null, replayed: entries.length } });
+            await reply(`🔁 ${entries.length} mensajes muertos reencolados.`);
+            return;
+        }
+
+        const entry = await this.context.queue.replayDeadLetter(target);
+        if (entry) this._audit(source, 'dlq.retry', { target: { type: 'dead_letter', id: entry.id }, after: { platform: entry.platform, channelId: entry.channel_id } });
+        await reply(entry
+            ? `🔁 Mensaje muerto #${entry.id} reencolado hacia \`${entry.platform}\`.`
+            : `❌ No existe el mensaje muerto #${target}.`);
+    }
+
+    /**
+     * Gestión en caliente de plugins sin reiniciar el Microkernel.
+     */
+    async _handlePluginList({ reply }) {
+        const icons = { active: '🟢', disabled: '⚪', failed: '🔴' };
+        const lines = this.context.plugins.list().map(plugin => {
+            const version = plugin.version ? ` v${plugin.version}` : '';
+            const reason = plugin.reason ? `\n   ↳ ${plugin.reason}` : '';
+            return `${icons[plugin.status] || '❔'} \`${plugin.name}\`${version} · ${plugin.kind} (${plugin.status})${reason}`;
+        });
+        await reply(`🧩 **Plugins**\n${lines.join('\n')}`);
+    }
+
+    async _handlePluginOperation(operation, { source, args, reply }) {
+        const name = args.nombre;
+        // Deshabilitar este módulo dejaría el nodo sin comandos para revertirlo
+        if (operation === 'disable' && name === this.platformName) {
+            await reply('❌ El módulo de administración no puede deshabilitarse a sí mismo. Usa `!plugin reload admin`.');
+            return;
+        }
+
+        const statusOf = () => this.context.plugins.list().find(plugin => plugin.name === name)?.status ?? null;
+        const before = statusOf();
+        await this.context.plugins[operation](name);
+        this._audit(source, `plugin.${operation}`, {
+            target: { type: 'plugin', id: name },
+            before: { status: before },
+            after: { status: statusOf() }
+        });
+        const verbs = { reload: 'recargado', enable: 'habilitado', disable: 'deshabilitado' };
+        await reply(`✅ Plugin \`${name}\` ${verbs[operation]}.`);
+    }
+
+    /**
+     * Historial de auditoría. Sin argumento muestra el puente del canal; consultar otro puente
+     * (o `todos`) exige ser administrador global, no solo del puente.
+     */
+    async _handleAudit({ source, args, reply }) {
+        const link = this.context.repository.getChannelLink(source.platform, source.channelId);
+        const requested = args.puente || link?.bridge_id;
+        const isGlobalAdmin = this.context.permissions.getRole(source.platform, source.userId) >= ROLES.ADMIN;
+
+        if (!requested && !isGlobalAdmin) {
+            await reply('⚠️ Este canal no está vinculado a ningún puente.');
+            return;
+        }
+        if (requested && requested !== link?.bridge_id && !isGlobalAdmin) {
+            await reply('⛔ Solo la administración global puede consultar la auditoría de otros puentes.');
+            return;
+        }
+
+        const bridgeId = !requested || requested === 'todos' ? null : requested;
+        const events = this.context.repository.listAuditEvents({ bridgeId, limit: AUDIT_LIST_LIMIT });
+        const scope = bridgeId ? `puente \`${bridgeId}\`` : 'todos los puentes';
+        if (events.length === 0) {
+            await reply(`ℹ️ No hay eventos de auditoría para ${scope}.`);
+            return;
+        }
+        await reply(`🧾 **Auditoría** (${scope}, últimos ${events.length})\n${events.map(_formatAuditEvent).join('\n')}`);
+    }
+
+    /**
+     * Descarta los códigos de vinculación caducados.
+     */
+    _purgeIdentityCodes() {
+        const now = Date.now();
+        for (const [code, pending] of this.pendingIdentityLinks) {
+            if (pending.expiresAt <= now) this.pendingIdentityLinks.delete(code);
+        }
+    }
+}
+
+/**
+ * `30m`, `12h`, `7d` -> segundos; `nunca` -> null (sin caducidad); otro valor -> undefined.
+ */
+function _parseDuration(value) {
+    if (value === 'nunca') return null;
+    const match = value.match(/^(\d+)([mhd])$/);
+    if (!match || Number(match[1]) === 0) return undefined;
+    return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+function _describeInvite(invite) {
+    const uses = invite.max_uses === 0 ? `${invite.uses} usos (ilimitada)` : `${invite.uses}/${invite.max_uses} usos`;
+    const expiry = invite.expires_at ? `caduca ${new Date(invite.expires_at * 1000).toISOString().replace('T', ' ').slice(0, 16)} UTC` : 'sin caducidad';
+    return `${uses} · ${expiry}${invite.requires_approval ? ' · requiere aprobación' : ''}`;
+}
+
+function _formatAuditEvent(event) {
+    const date = new Date(event.created_at * 1000).toISOString().replace('T', ' ').slice(0, 16);
+    const target = event.target_type ? ` ${event.target_type}:\`${event.target_id}\`` : '';
+    const change = event.before_state || event.after_state
+        ? `\n  ${_formatAuditState(event.before_state)} → ${_formatAuditState(event.after_state)}`
+        : '';
+    return `• #${event.id} ${date} \`${event.actor_platform}:${event.actor_id ?? '-'}\` **${event.action}**${target}${change}`;
+}
+
+function _formatAuditState(state) {
+    if (state == null) return '∅';
+    const text = Object.entries(state)
+        .filter(([, value]) => value != null)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(', ') || '∅';
+    return text.length > AUDIT_STATE_PREVIEW ? `${text.slice(0, AUDIT_STATE_PREVIEW - 1)}…` : text;
 }
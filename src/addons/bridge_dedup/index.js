@@ -1,14 +1,34 @@
 // src/addons/bridge_dedup/index.js
 import { createHash } from 'node:crypto';
 
+// Ventana durante la cual un evento idéntico se considera duplicado
+const DEDUP_TTL_SECONDS = 60;
+
 export default class BridgeDedup {
     async init(ctx) {
         this.ctx = ctx;
-        // Requerimos que el inyector de dependencias provea el cliente Redis
-        if (!this.ctx.redis) throw new Error('Dependencia Redis no inyectada en el Microkernel');
+        // Con Redis el bloqueo es distribuido (SETNX); sin él, un mapa local con TTL cubre al nodo único
+        this.mode = this.ctx.redis ? 'distributed-redis' : 'local-memory';
+        this.localKeys = new Map(); // clave -> expiración (ms)
+        this.sweepTimer = null;
+
+        if (!this.ctx.redis) {
+            this.ctx.logger.warn('[BridgeDedup] Cliente Redis no disponible: usando deduplicación local en memoria.');
+        }
+
+        this.hits = this.ctx.metrics?.counter({
+            name: 'openchat_dedup_hits_total',
+            help: 'Eventos de entrada descartados por duplicados, por plataforma',
+            labelNames: ['platform']
+        });
     }
 
     async start() {
+        if (!this.ctx.redis) {
+            this.sweepTimer = setInterval(() => this._sweepLocalKeys(), DEDUP_TTL_SECONDS * 1000);
+            this.sweepTimer.unref?.();
+        }
+
         this.ctx.bus.on('message.ingress', async (umf) => {
             // Generar huella digital inmutable
             const hash = createHash('sha256')
@@ -19,21 +39,47 @@ export default class BridgeDedup {
 
             // Bloqueo Atómico: SETNX asigna el valor solo si NO existe.
             // Asignamos un TTL de 60 segundos transitorios.
-            const isNew = await this.ctx.redis.set(redisKey, '1', 'NX', 'EX', 60);
+            const isNew = this.ctx.redis
+                ? await this.ctx.redis.set(redisKey, '1', 'NX', 'EX', DEDUP_TTL_SECONDS)
+                : this._claimLocalKey(redisKey);
 
             if (!isNew) {
                 this.ctx.logger.warn(`[BridgeDedup] Colisión detectada: Descartando evento duplicado ${hash}`);
+                this.hits?.inc({ platform: umf.head.source.platform });
                 umf._isDuplicate = true;
                 return;
             }
         });
     }
 
+    /**
+     * Equivalente local de SETNX + EX: reserva la clave si no existe o si ya caducó.
+     */
+    _claimLocalKey(key) {
+        const now = Date.now();
+        const expiresAt = this.localKeys.get(key);
+        if (expiresAt && expiresAt > now) return false;
+
+        this.localKeys.set(key, now + DEDUP_TTL_SECONDS * 1000);
+        return true;
+    }
+
+    _sweepLocalKeys() {
+        const now = Date.now();
+        for (const [key, expiresAt] of this.localKeys) {
+            if (expiresAt <= now) this.localKeys.delete(key);
+        }
+    }
+
     async stop() {
-        // Ya no hay setInterval que limpiar
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+        this.localKeys.clear();
     }
 
     async health() {
-        return { status: 'active', mode: 'distributed-redis' };
+        return { status: 'active', mode: this.mode };
     }
-}
\ No newline at end of file
+}
@@ -1,9 +1,13 @@
 // src/addons/bridge_manager/index.js
+import { parseRule, describeRule, RULE_TYPES } from '../../core/utils/rules.js';
+import { ROLES, ROLE_NAMES, BRIDGE_ROLES } from '../../core/utils/permissions.js';
+
+// Nombres aceptados por `!role grant` para cada rol de puente
+const BRIDGE_ROLE_ALIASES = Object.freeze({ owner: 'owner', propietario: 'owner', mod: 'mod', moderador: 'mod' });
 
 export default class BridgeManager {
     constructor() {
         this.name = 'Bridge Manager';
-        this.commands = ['!bridge.on', '!bridge.off', '!bridge.status', '!bridge.leave'];
     }
 
     /**
@@ -14,63 +18,219 @@ export default class BridgeManager {
     }
 
     /**
-     * Fase de arranque: se suscribe al bus de eventos para procesar comandos administrativos.
+     * Fase de arranque: registra los comandos del gestor de puentes en el registro central.
+     * Los comandos que alteran el puente son de ámbito `bridge`: basta con ser moderador o
+     * propietario de ese puente (o tener el rol global equivalente).
      */
     async start() {
-        this.context.bus.on('message.ingress', (umf) => this.handle(umf));
+        const commands = [
+            { name: 'bridge.status', description: 'Nodos conectados al puente de este canal', handler: (cmd, link) => this._handleStatus(cmd, link) },
+            { name: 'bridge.off', description: 'Pausa el puente para toda la red', role: ROLES.MOD, scope: 'bridge', handler: (cmd, link) => this._handleToggle(cmd, link, 'off') },
+            { name: 'bridge.on', description: 'Reactiva el puente', role: ROLES.MOD, scope: 'bridge', handler: (cmd, link) => this._handleToggle(cmd, link, 'on') },
+            { name: 'bridge.leave', description: 'Desvincula este canal de su puente', role: ROLES.MOD, scope: 'bridge', handler: (cmd, link) => this._handleLeave(cmd, link) },
+            { name: 'bridge.rule list', description: 'Reglas del puente y de este canal', handler: (cmd, link) => this._handleRuleList(cmd, link) },
+            {
+                name: 'bridge.rule add',
+                description: 'Añade una regla a este canal (o a todo el puente anteponiendo `bridge`)',
+                usage: '<regla...>',
+                role: ROLES.MOD,
+                scope: 'bridge',
+                handler: (cmd, link) => this._handleRuleAdd(cmd, link)
+            },
+            { name: 'bridge.rule remove', description: 'Elimina una regla por su ID', usage: '<id>', role: ROLES.MOD, scope: 'bridge', handler: (cmd, link) => this._handleRuleRemove(cmd, link) },
+            { name: 'role list', description: 'Propietarios y moderadores del puente de este canal', handler: (cmd, link) => this._handleRoleList(cmd, link) },
+            {
+                name: 'role grant',
+                description: 'Concede un rol en este puente (`owner` o `mod`); el usuario admite el formato `plataforma:id`',
+                usage: '<rol> <usuario>',
+                role: ROLES.ADMIN,
+                scope: 'bridge',
+                handler: (cmd, link) => this._handleRoleGrant(cmd, link)
+            },
+            { name: 'role revoke', description: 'Retira el rol de un usuario en este puente', usage: '<usuario>', role: ROLES.ADMIN, scope: 'bridge', handler: (cmd, link) => this._handleRoleRevoke(cmd, link) }
+        ];
+
+        for (const { handler, ...definition } of commands) {
+            this.context.commands.register({ ...definition, handler: (cmd) => this._withLink(cmd, handler) });
+        }
     }
 
     /**
-     * Procesa mensajes entrantes que contengan comandos del gestor de puentes.
+     * Todos los comandos operan sobre el puente al que está suscrito el canal de origen.
      */
-    async handle(umf) {
-        const cmd = umf.body.text?.split(' ')[0];
-        if (!this.commands.includes(cmd)) return;
-
-        const { platform, channelId } = umf.head.source;
+    async _withLink(cmd, handler) {
+        const { platform, channelId } = cmd.source;
         // Usar repository (inyectado por el PluginLoader) para acceder a la topología
         const link = await this.context.repository.getChannelLink(platform, channelId);
-        if (!link) return;
-
-        switch (cmd) {
-            case '!bridge.status':
-                const topology = await this.context.repository.getBridgeTopology(link.bridge_id);
-                const list = topology.map(t => `• ${t.platform.toUpperCase()}: ${t.native_id}`).join('\n');
-                await this._reply(umf, `🌐 **Estado del Puente:**\nID: \`${link.bridge_id}\`\nNodos:\n${list}`);
-                break;
-
-            case '!bridge.off':
-                // CORRECCIÓN: Usar el método semántico expuesto por el proxy del Kernel
-                await this.context.repository.updateBridgeStatus(link.bridge_id, 'off');
-                await this._reply(umf, "⏸️ Puente pausado para toda la red.");
-                break;
-
-            case '!bridge.on':
-                await this.context.repository.updateBridgeStatus(link.bridge_id, 'on');
-                await this._reply(umf, "▶️ Puente reactivado.");
-                break;
-
-            case '!bridge.leave':
-                // CORRECCIÓN: Se asume que el repositorio expone unlinkChannel (debe estar en safeRepository)
-                await this.context.repository.unlinkChannel(platform, channelId);
-                await this._reply(umf, "🔌 Has salido de la red.");
-                break;
+        if (!link) {
+            await cmd.reply('⚠️ Este canal no está vinculado a ningún puente.');
+            return;
+        }
+        await handler(cmd, link);
+    }
+
+    async _handleStatus({ reply }, link) {
+        const topology = await this.context.repository.getBridgeTopology(link.bridge_id);
+        const list = topology.map(t => `• ${t.platform.toUpperCase()}: ${t.native_id}`).join('\n');
+        await reply(`🌐 **Estado del Puente:**\nID: \`${link.bridge_id}\`\nNodos:\n${list}`);
+    }
+
+    async _handleToggle({ source, reply }, link, status) {
+        // CORRECCIÓN: Usar el método semántico expuesto por el proxy del Kernel
+        await this.context.repository.updateBridgeStatus(link.bridge_id, status);
+        this._audit(source, 'bridge.status', link, { target: { type: 'bridge', id: link.bridge_id }, before: { status: link.status }, after: { status } });
+        await reply(status === 'off' ? '⏸️ Puente pausado para toda la red.' : '▶️ Puente reactivado.');
+    }
+
+    async _handleLeave({ source, reply }, link) {
+        // CORRECCIÓN: Se asume que el repositorio expone unlinkChannel (debe estar en safeRepository)
+        await this.context.repository.unlinkChannel(source.platform, source.channelId);
+        this._audit(source, 'channel.unlink', link, {
+            target: { type: 'channel', id: `${source.platform}:${source.channelId}` },
+            before: { bridgeId: link.bridge_id, config: link.config }
+        });
+        await reply('🔌 Has salido de la red.');
+    }
+
+    /**
+     * Gestión de reglas de filtrado/transformación:
+     *   !bridge.rule add [channel|bridge] <regla>   (por defecto, el canal actual)
+     *   !bridge.rule list
+     *   !bridge.rule remove <id>
+     */
+    async _handleRuleAdd({ source, rest, reply }, link) {
+        let scope = 'channel';
+        const scopeMatch = rest.match(/^(channel|bridge)\b/i);
+        if (scopeMatch) {
+            scope = scopeMatch[1].toLowerCase();
+            rest = rest.slice(scopeMatch[0].length).trim();
+        }
+
+        try {
+            const rule = parseRule(rest);
+            if (scope === 'bridge' && rule.type === RULE_TYPES.DIRECTION) {
+                throw new Error('La dirección solo puede definirse por canal.');
+            }
+
+            if (scope === 'bridge') {
+                await this.context.repository.updateBridgeConfig(link.bridge_id, { ...link.bridge_config, rules: [...(link.bridge_config?.rules || []), rule] });
+            } else {
+                await this.context.repository.updateChannelConfig(source.platform, source.channelId, { ...link.config, rules: [...(link.config?.rules || []), rule] });
+            }
+            this._audit(source, 'bridge.rule.add', link, { target: this._ruleTarget(scope, source, link), after: rule });
+            await reply(`✅ Regla \`${rule.id}\` añadida al ${scope === 'bridge' ? 'puente' : 'canal'}: ${describeRule(rule)}`);
+        } catch (error) {
+            await reply(`❌ ${error.message}`);
+        }
+    }
+
+    async _handleRuleList({ reply }, link) {
+        const format = (rules) => rules.length > 0
+            ? rules.map(rule => `• \`${rule.id}\` ${describeRule(rule)}`).join('\n')
+            : '• (sin reglas)';
+        await reply(`📜 **Reglas del Puente:**\n${format(link.bridge_config?.rules || [])}\n\n📜 **Reglas de este Canal:**\n${format(link.config?.rules || [])}`);
+    }
+
+    async _handleRuleRemove({ source, args, reply }, link) {
+        const ruleId = args.id;
+        const channelRules = link.config?.rules || [];
+        const bridgeRules = link.bridge_config?.rules || [];
+
+        let scope;
+        if (channelRules.some(rule => rule.id === ruleId)) {
+            scope = 'channel';
+            await this.context.repository.updateChannelConfig(source.platform, source.channelId, { ...link.config, rules: channelRules.filter(rule => rule.id !== ruleId) });
+        } else if (bridgeRules.some(rule => rule.id === ruleId)) {
+            scope = 'bridge';
+            await this.context.repository.updateBridgeConfig(link.bridge_id, { ...link.bridge_config, rules: bridgeRules.filter(rule => rule.id !== ruleId) });
+        } else {
+            await reply(`❌ No existe ninguna regla con ID \`${ruleId}\` en este canal ni en su puente.`);
+            return;
+        }
+        const removed = [...channelRules, ...bridgeRules].find(rule => rule.id === ruleId);
+        this._audit(source, 'bridge.rule.remove', link, { target: this._ruleTarget(scope, source, link), before: removed });
+        await reply(`🗑️ Regla \`${ruleId}\` eliminada.`);
+    }
+
+    async _handleRoleList({ reply }, link) {
+        const roles = this.context.repository.listBridgeRoles(link.bridge_id);
+        if (roles.length === 0) {
+            await reply(`ℹ️ El puente \`${link.bridge_id}\` no tiene roles asignados. Solo los roles globales pueden gestionarlo.`);
+            return;
         }
+        const icons = { owner: '👑', mod: '🛡️' };
+        const lines = roles.map(entry => `${icons[entry.role]} ${ROLE_NAMES[BRIDGE_ROLES[entry.role]]}: \`${entry.platform}:${entry.userId}\``);
+        await reply(`👥 **Roles del Puente** \`${link.bridge_id}\`\n${lines.join('\n')}`);
+    }
+
+    async _handleRoleGrant({ source, args, reply }, link) {
+        const role = BRIDGE_ROLE_ALIASES[args.rol.toLowerCase()];
+        if (!role) {
+            await reply('❌ Rol desconocido. Usa `owner` (propietario) o `mod` (moderador).');
+            return;
+        }
+
+        const target = this._parseUserRef(args.usuario, source.platform);
+        const previous = this.context.repository.getBridgeRole(link.bridge_id, target.platform, target.userId);
+        this.context.repository.setBridgeRole({
+            bridgeId: link.bridge_id,
+            platform: target.platform,
+            userId: target.userId,
+            role,
+            grantedBy: `${source.platform}:${source.userId}`
+        });
+        this._audit(source, 'bridge.role.grant', link, {
+            target: { type: 'user', id: `${target.platform}:${target.userId}` },
+            before: previous ? { role: previous } : null,
+            after: { role }
+        });
+        await reply(`✅ \`${target.platform}:${target.userId}\` es ahora ${ROLE_NAMES[BRIDGE_ROLES[role]]} del puente \`${link.bridge_id}\`.`);
+    }
+
+    async _handleRoleRevoke({ source, args, reply }, link) {
+        const target = this._parseUserRef(args.usuario, source.platform);
+        const previous = this.context.repository.getBridgeRole(link.bridge_id, target.platform, target.userId);
+        const removed = this.context.repository.removeBridgeRole(link.bridge_id, target.platform, target.userId);
+        if (removed) {
+            this._audit(source, 'bridge.role.revoke', link, { target: { type: 'user', id: `${target.platform}:${target.userId}` }, before: { role: previous } });
+        }
+        await reply(removed
+            ? `🗑️ Rol retirado a \`${target.platform}:${target.userId}\` en el puente \`${link.bridge_id}\`.`
+            : `ℹ️ \`${target.platform}:${target.userId}\` no tenía ningún rol en este puente.`);
+    }
+
+    /**
+     * Deja constancia en `audit_events` de un cambio sobre el puente, atribuido al emisor del comando.
+     */
+    _audit(source, action, link, details) {
+        this.context.repository.recordAudit({
+            actor: { platform: source.platform, userId: source.userId },
+            action,
+            bridgeId: link.bridge_id,
+            ...details
+        });
+    }
+
+    _ruleTarget(scope, source, link) {
+        return scope === 'bridge'
+            ? { type: 'bridge', id: link.bridge_id }
+            : { type: 'channel', id: `${source.platform}:${source.channelId}` };
     }
 
     /**
-     * Envía una respuesta administrativa de vuelta al canal de origen.
+     * Interpreta la referencia a un usuario de `!role`: `plataforma:id`, `id` (misma red que el emisor)
+     * o una mención nativa (`<@123>`, `@123`). El ID se normaliza igual que en la resolución de roles.
      */
-    async _reply(umf, text) {
-        // Asegurar la estructura UMF para evitar que los adaptadores de salida fallen
-        const reply = {
-            ...umf,
-            body: { text, attachments: [] },
-            head: { ...umf.head, dest: umf.head.source }
-        };
-        // CORRECCIÓN: usar nomenclatura de colas con guiones bajos (consistente con router y workers)
-        const queueName = `queue_${umf.head.source.platform}_out`;
-        await this.context.queue.add(queueName, reply);
+    _parseUserRef(ref, defaultPlatform) {
+        let platform = defaultPlatform;
+        let userId = ref.replace(/^<@!?(.+)>$/, '$1').replace(/^@/, '');
+
+        const qualified = userId.match(/^([a-z_]+):(.+)$/);
+        if (qualified) {
+            platform = qualified[1];
+            userId = qualified[2];
+        }
+        return { platform, userId: this.context.permissions.normalizeUserId(platform, userId) };
     }
 
     /**
@@ -84,4 +244,4 @@ export default class BridgeManager {
     async health() {
         return { status: 'ready' };
     }
-}
\ No newline at end of file
+}
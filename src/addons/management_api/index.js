@@ -0,0 +1,571 @@
+// src/addons/management_api/index.js
+import http from 'node:http';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { z } from 'zod';
+import {
+    CreateBridgeSchema,
+    UpdateBridgeSchema,
+    LinkChannelSchema,
+    BridgeSchema,
+    BridgeDetailSchema,
+    ChannelLinkSchema,
+    HealthSchema,
+    DeadLetterQuerySchema,
+    DeadLetterSchema,
+    DeadLetterPurgeSchema,
+    DeadLetterRetrySchema,
+    AuditQuerySchema,
+    AuditEventSchema
+} from './schemas.js';
+import { buildOpenApiDocument } from './openapi.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_ACTOR_LENGTH = 100;
+
+/**
+ * Error HTTP con código de estado, propagado por los manejadores de ruta.
+ */
+class HttpError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/**
+ * Addon de API REST de Gestión.
+ * Expone sobre HTTP (autenticación Bearer) las operaciones del Repository que hoy solo son accesibles
+ * con comandos de chat (!bridge, !link, !dlq, !audit): puentes, canales, mensajes muertos, auditoría, estado y salud de plugins/cortocircuitos.
+ * El documento OpenAPI se genera desde los mismos esquemas Zod que validan las peticiones.
+ * Cada cambio queda en la auditoría con actor `api:<X-Actor o IP remota>` (el token es compartido).
+ */
+export default class ManagementApiAddon {
+    constructor() {
+        this.context = null;
+        this.platformName = 'management_api';
+        this.basePath = '/api/v1';
+        this.server = null;
+        this.routes = this._buildRoutes();
+        this.openApiDocument = null;
+    }
+
+    /**
+     * Fase de Inicialización: Recibe el contenedor de dependencias de solo lectura.
+     */
+    async init(context) {
+        this.context = context;
+        this.settings = this.context.config.api || {};
+        this.openApiDocument = buildOpenApiDocument(this.routes, {
+            title: 'OpenChat Core - API de Gestión',
+            version: '1.0.0',
+            basePath: this.basePath
+        });
+
+        if (this.context.logger) {
+            this.context.logger.info(`[${this.platformName}] Inicializado (API REST de Gestión)`);
+        }
+    }
+
+    /**
+     * Fase de Ejecución: Abre el puerto HTTP. Sin token configurado la API no se expone.
+     */
+    async start() {
+        if (this.settings.enabled === false) {
+            this.context.logger.info(`[${this.platformName}] API de gestión deshabilitada por configuración.`);
+            return;
+        }
+        if (!this.settings.token) {
+            this.context.logger.warn(`[${this.platformName}] API de gestión no expuesta: falta API_TOKEN.`);
+            return;
+        }
+
+        this.server = http.createServer((req, res) => {
+            this._handleRequest(req, res).catch(error => {
+                this.context.logger.error(`[${this.platformName}] Fallo no controlado en la petición:`, { error: error.message, stack: error.stack });
+                if (!res.headersSent) this._sendError(res, new HttpError(500, 'internal_error', 'Error interno del servidor'));
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.settings.port, this.settings.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.context.logger.info(`[${this.platformName}] Escuchando en http://${this.settings.host}:${this.settings.port}${this.basePath}`);
+    }
+
+    /**
+     * Fase de Destrucción: Cierra el servidor HTTP y las conexiones abiertas.
+     */
+    async stop() {
+        if (!this.server) return;
+        await new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections?.();
+        });
+        this.server = null;
+        if (this.context.logger) {
+            this.context.logger.info(`[${this.platformName}] Servidor HTTP detenido.`);
+        }
+    }
+
+    /**
+     * Reporte de telemetría de vida del módulo.
+     */
+    health() {
+        return {
+            platform: this.platformName,
+            status: this.server?.listening ? 'active' : 'disabled',
+            port: this.server?.listening ? this.settings.port : null
+        };
+    }
+
+    /**
+     * Tabla de rutas: se usa tanto para despachar como para generar el documento OpenAPI.
+     */
+    _buildRoutes() {
+        const repo = () => this.context.repository;
+
+        return [
+            {
+                method: 'GET',
+                path: '/openapi.json',
+                operationId: 'getOpenApiDocument',
+                summary: 'Documento OpenAPI de esta API',
+                public: true,
+                handler: () => this.openApiDocument
+            },
+            {
+                method: 'GET',
+                path: '/health',
+                operationId: 'getHealth',
+                summary: 'Salud de cada plugin y de los cortocircuitos',
+                response: HealthSchema,
+                handler: async () => ({
+                    uptime: Math.round(process.uptime()),
+                    plugins: await this.context.plugins.healthAll(),
+                    circuits: this.context.circuitBreaker?.getGlobalHealth() || {}
+                })
+            },
+            {
+                method: 'GET',
+                path: '/bridges',
+                operationId: 'listBridges',
+                summary: 'Lista todos los puentes',
+                response: z.array(BridgeSchema),
+                handler: () => repo().getAllBridges()
+            },
+            {
+                method: 'POST',
+                path: '/bridges',
+                operationId: 'createBridge',
+                summary: 'Crea un puente',
+                body: CreateBridgeSchema,
+                response: BridgeDetailSchema,
+                status: 201,
+                handler: ({ body, actor }) => {
+                    if (body.id && repo().getBridge(body.id)) {
+                        throw new HttpError(409, 'conflict', `Ya existe un puente con ID ${body.id}`);
+                    }
+                    const bridgeId = repo().createBridge(body.name, body.id);
+                    repo().recordAudit({ actor, action: 'bridge.create', target: { type: 'bridge', id: bridgeId }, bridgeId, after: { name: body.name, status: 'on' } });
+                    return this._getBridgeDetail(bridgeId);
+                }
+            },
+            {
+                method: 'GET',
+                path: '/bridges/:bridgeId',
+                operationId: 'getBridge',
+                summary: 'Detalle de un puente y sus canales',
+                response: BridgeDetailSchema,
+                handler: ({ params }) => this._getBridgeDetail(params.bridgeId)
+            },
+            {
+                method: 'PATCH',
+                path: '/bridges/:bridgeId',
+                operationId: 'updateBridge',
+                summary: 'Renombra un puente o cambia su estado (on/off/paused)',
+                body: UpdateBridgeSchema,
+                response: BridgeDetailSchema,
+                handler: ({ params, body, actor }) => {
+                    const before = this._getBridgeDetail(params.bridgeId);
+                    const audit = { actor, target: { type: 'bridge', id: params.bridgeId }, bridgeId: params.bridgeId };
+                    if (body.name !== undefined) {
+                        repo().renameBridge(params.bridgeId, body.name);
+                        repo().recordAudit({ ...audit, action: 'bridge.rename', before: { name: before.name }, after: { name: body.name } });
+                    }
+                    if (body.status !== undefined) {
+                        repo().updateBridgeStatus(params.bridgeId, body.status);
+                        repo().recordAudit({ ...audit, action: 'bridge.status', before: { status: before.status }, after: { status: body.status } });
+                    }
+                    return this._getBridgeDetail(params.bridgeId);
+                }
+            },
+            {
+                method: 'DELETE',
+                path: '/bridges/:bridgeId',
+                operationId: 'deleteBridge',
+                summary: 'Elimina un puente y desvincula todos sus canales',
+                status: 204,
+                handler: ({ params, actor }) => {
+                    const before = this._getBridgeDetail(params.bridgeId);
+                    if (!repo().deleteBridge(params.bridgeId)) {
+                        throw new HttpError(404, 'not_found', `Puente no encontrado: ${params.bridgeId}`);
+                    }
+                    repo().recordAudit({
+                        actor,
+                        action: 'bridge.delete',
+                        target: { type: 'bridge', id: params.bridgeId },
+                        bridgeId: params.bridgeId,
+                        before: { name: before.name, status: before.status, channels: before.channels.map(channel => `${channel.platform}:${channel.native_id}`) }
+                    });
+                    return null;
+                }
+            },
+            {
+                method: 'POST',
+                path: '/bridges/:bridgeId/channels',
+                operationId: 'linkChannel',
+                summary: 'Vincula un canal al puente (si ya pertenecía a otro, se migra)',
+                body: LinkChannelSchema,
+                response: ChannelLinkSchema,
+                status: 201,
+                handler: ({ params, body, actor }) => {
+                    this._getBridgeDetail(params.bridgeId);
+                    const previous = repo().getChannelLink(body.platform, body.nativeId);
+                    repo().linkChannelToBridge({
+                        bridgeId: params.bridgeId,
+                        platform: body.platform,
+                        nativeId: body.nativeId,
+                        config: body.config
+                    });
+                    repo().recordAudit({
+                        actor,
+                        action: 'channel.link',
+                        target: { type: 'channel', id: `${body.platform}:${body.nativeId}` },
+                        bridgeId: params.bridgeId,
+                        before: previous ? { bridgeId: previous.bridge_id, config: previous.config } : null,
+                        after: { bridgeId: params.bridgeId, config: body.config }
+                    });
+                    return this._getChannelLink(body.platform, body.nativeId);
+                }
+            },
+            {
+                method: 'GET',
+                path: '/channels/:platform/:nativeId',
+                operationId: 'getChannel',
+                summary: 'Puente y configuración de un canal',
+                response: ChannelLinkSchema,
+                handler: ({ params }) => this._getChannelLink(params.platform, params.nativeId)
+            },
+            {
+                method: 'DELETE',
+                path: '/channels/:platform/:nativeId',
+                operationId: 'unlinkChannel',
+                summary: 'Desvincula un canal de su puente',
+                status: 204,
+                handler: ({ params, actor }) => {
+                    const previous = this._getChannelLink(params.platform, params.nativeId);
+                    if (!repo().unlinkChannel(params.platform, params.nativeId)) {
+                        throw new HttpError(404, 'not_found', `Canal no vinculado: ${params.platform}:${params.nativeId}`);
+                    }
+                    repo().recordAudit({
+                        actor,
+                        action: 'channel.unlink',
+                        target: { type: 'channel', id: `${params.platform}:${params.nativeId}` },
+                        bridgeId: previous.bridge_id,
+                        before: { bridgeId: previous.bridge_id, config: previous.config }
+                    });
+                    return null;
+                }
+            },
+            {
+                method: 'GET',
+                path: '/dead-letters',
+                operationId: 'listDeadLetters',
+                summary: 'Lista los mensajes muertos (trabajos Egress que agotaron sus reintentos)',
+                query: DeadLetterQuerySchema,
+                response: z.array(DeadLetterSchema),
+                handler: ({ query }) => repo().listDeadLetters(query)
+            },
+            {
+                method: 'DELETE',
+                path: '/dead-letters',
+                operationId: 'purgeDeadLetters',
+                summary: 'Descarta todos los mensajes muertos (o los de una plataforma)',
+                query: DeadLetterQuerySchema.pick({ platform: true }),
+                response: DeadLetterPurgeSchema,
+                handler: ({ query, actor }) => {
+                    const platform = query.platform || null;
+                    const removed = repo().purgeDeadLetters(platform);
+                    repo().recordAudit({ actor, action: 'dlq.purge', after: { platform, removed } });
+                    return { removed };
+                }
+            },
+            {
+                method: 'POST',
+                path: '/dead-letters/retry',
+                operationId: 'retryDeadLetters',
+                summary: 'Reencola todos los mensajes muertos (o los de una plataforma), del más antiguo al más reciente',
+                query: DeadLetterQuerySchema,
+                response: DeadLetterRetrySchema,
+                handler: async ({ query, actor }) => {
+                    const entries = repo().listDeadLetters(query).reverse();
+                    const replayed = [];
+                    for (const entry of entries) {
+                        if (await this.context.queue.replayDeadLetter(entry.id)) replayed.push(entry.id);
+                    }
+                    repo().recordAudit({ actor, action: 'dlq.retry', target: { type: 'dead_letter', id: 'all' }, after: { platform: query.platform || null, replayed: replayed.length } });
+                    return { replayed };
+                }
+            },
+            {
+                method: 'GET',
+                path: '/dead-letters/:id',
+                operationId: 'getDeadLetter',
+                summary: 'Detalle de un mensaje muerto, con su historial de intentos',
+                response: DeadLetterSchema,
+                handler: ({ params }) => this._getDeadLetter(params.id)
+            },
+            {
+                method: 'POST',
+                path: '/dead-letters/:id/retry',
+                operationId: 'retryDeadLetter',
+                summary: 'Reencola un mensaje muerto en su cola original',
+                response: DeadLetterRetrySchema,
+                handler: async ({ params, actor }) => {
+                    const entry = await this.context.queue.replayDeadLetter(this._getDeadLetter(params.id).id);
+                    if (entry) {
+                        repo().recordAudit({ actor, action: 'dlq.retry', target: { type: 'dead_letter', id: entry.id }, after: { platform: entry.platform, channelId: entry.channel_id } });
+                    }
+                    return { replayed: entry ? [entry.id] : [] };
+                }
+            },
+            {
+                method: 'DELETE',
+                path: '/dead-letters/:id',
+                operationId: 'deleteDeadLetter',
+                summary: 'Descarta un mensaje muerto',
+                status: 204,
+                handler: ({ params, actor }) => {
+                    const entry = this._getDeadLetter(params.id);
+                    if (!repo().deleteDeadLetter(entry.id)) {
+                        throw new HttpError(404, 'not_found', `Mensaje muerto no encontrado: ${params.id}`);
+                    }
+                    repo().recordAudit({ actor, action: 'dlq.delete', target: { type: 'dead_letter', id: entry.id }, before: { platform: entry.platform, channelId: entry.channel_id } });
+                    return null;
+                }
+            },
+            {
+                method: 'GET',
+                path: '/audit',
+                operationId: 'listAuditEvents',
+                summary: 'Historial de cambios administrativos y de topología, del más reciente al más antiguo',
+                query: AuditQuerySchema,
+                response: z.array(AuditEventSchema),
+                handler: ({ query }) => repo().listAuditEvents(query)
+            },
+            {
+                method: 'GET',
+                path: '/audit/export',
+                operationId: 'exportAuditEvents',
+                summary: 'Exporta el historial de auditoría completo en orden cronológico (JSON Lines, un evento por línea)',
+                query: AuditQuerySchema.pick({ bridgeId: true, since: true }),
+                response: AuditEventSchema,
+                produces: 'application/x-ndjson',
+                handler: ({ query }) => repo().iterateAuditEvents(query)
+            }
+        ];
+    }
+
+    _getBridgeDetail(bridgeId) {
+        const bridge = this.context.repository.getBridge(bridgeId);
+        if (!bridge) throw new HttpError(404, 'not_found', `Puente no encontrado: ${bridgeId}`);
+        return { ...bridge, channels: this.context.repository.getBridgeTopology(bridgeId) };
+    }
+
+    _getChannelLink(platform, nativeId) {
+        const link = this.context.repository.getChannelLink(platform, nativeId);
+        if (!link) throw new HttpError(404, 'not_found', `Canal no vinculado: ${platform}:${nativeId}`);
+        return { bridge_id: link.bridge_id, status: link.status, config: link.config };
+    }
+
+    _getDeadLetter(id) {
+        const entry = /^\d+$/.test(id) ? this.context.repository.getDeadLetter(Number(id)) : null;
+        if (!entry) throw new HttpError(404, 'not_found', `Mensaje muerto no encontrado: ${id}`);
+        return entry;
+    }
+
+    /**
+     * Despacha una petición: resolución de ruta, autenticación, validación Zod (consulta y cuerpo) y serialización.
+     */
+    async _handleRequest(req, res) {
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            if (!url.pathname.startsWith(`${this.basePath}/`)) {
+                throw new HttpError(404, 'not_found', 'Ruta no encontrada');
+            }
+
+            const { route, params: rawParams, allowed } = this._matchRoute(req.method, url.pathname.slice(this.basePath.length));
+            if (!route) {
+                if (allowed.length > 0) {
+                    res.setHeader('Allow', allowed.join(', '));
+                    throw new HttpError(405, 'method_not_allowed', `Método ${req.method} no admitido`);
+                }
+                throw new HttpError(404, 'not_found', 'Ruta no encontrada');
+            }
+
+            if (!route.public && !this._isAuthorized(req)) {
+                res.setHeader('WWW-Authenticate', 'Bearer');
+                throw new HttpError(401, 'unauthorized', 'Token ausente o inválido');
+            }
+
+            // Los parámetros se decodifican tras autenticar: un escape inválido no debe responder antes que el 401
+            const params = Object.fromEntries(Object.entries(rawParams).map(([name, value]) => [name, this._decodeSegment(value)]));
+
+            let query = {};
+            if (route.query) {
+                const parsed = route.query.safeParse(Object.fromEntries(url.searchParams));
+                if (!parsed.success) {
+                    throw new HttpError(400, 'validation_error', 'Los parámetros de consulta no son válidos', parsed.error.issues);
+                }
+                query = parsed.data;
+            }
+
+            let body;
+            if (route.body) {
+                const parsed = route.body.safeParse(await this._readJson(req));
+                if (!parsed.success) {
+                    throw new HttpError(400, 'validation_error', 'El cuerpo de la petición no es válido', parsed.error.issues);
+                }
+                body = parsed.data;
+            }
+
+            const result = await route.handler({ params, query, body, actor: this._getActor(req) });
+            this.context.logger.info(`[${this.platformName}] ${req.method} ${url.pathname} -> ${route.status || 200}`);
+
+            if (route.produces) {
+                await this._sendLines(res, route.status || 200, route.produces, result);
+                return;
+            }
+            if (result === null || route.status === 204) {
+                res.writeHead(204).end();
+                return;
+            }
+            this._sendJson(res, route.status || 200, result);
+        } catch (error) {
+            if (!(error instanceof HttpError)) throw error;
+            this._sendError(res, error);
+        }
+    }
+
+    _matchRoute(method, pathname) {
+        const segments = pathname.split('/').filter(Boolean);
+        const allowed = [];
+
+        for (const route of this.routes) {
+            const pattern = route.path.split('/').filter(Boolean);
+            if (pattern.length !== segments.length) continue;
+
+            const params = {};
+            const matches = pattern.every((part, index) => {
+                if (part.startsWith(':')) {
+                    params[part.slice(1)] = segments[index];
+                    return true;
+                }
+                return part === segments[index];
+            });
+            if (!matches) continue;
+
+            if (route.method === method) return { route, params, allowed };
+            allowed.push(route.method);
+        }
+        return { route: null, params: {}, allowed };
+    }
+
+    _decodeSegment(segment) {
+        try {
+            return decodeURIComponent(segment);
+        } catch {
+            throw new HttpError(400, 'invalid_path', 'La ruta contiene una secuencia de escape (%) inválida');
+        }
+    }
+
+    /**
+     * Comparación en tiempo constante del token Bearer (sobre sus hashes, para igualar longitudes).
+     */
+    _isAuthorized(req) {
+        const header = req.headers.authorization || '';
+        const [scheme, token] = header.split(' ');
+        if (scheme !== 'Bearer' || !token) return false;
+
+        const expected = createHash('sha256').update(String(this.settings.token)).digest();
+        const received = createHash('sha256').update(token).digest();
+        return timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Autor de los cambios hechos por la API para la auditoría. El token es compartido, así que
+     * los clientes pueden identificarse con la cabecera `X-Actor`; si no, consta la IP remota.
+     */
+    _getActor(req) {
+        const declared = String(req.headers['x-actor'] || '').trim().slice(0, MAX_ACTOR_LENGTH);
+        return { platform: 'api', userId: declared || req.socket.remoteAddress || null };
+    }
+
+    async _readJson(req) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of req) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) throw new HttpError(413, 'payload_too_large', 'Cuerpo de la petición demasiado grande');
+            chunks.push(chunk);
+        }
+
+        const raw = Buffer.concat(chunks).toString('utf8');
+        if (!raw) return {};
+        try {
+            return JSON.parse(raw);
+        } catch {
+            throw new HttpError(400, 'invalid_json', 'El cuerpo de la petición no es JSON válido');
+        }
+    }
+
+    _sendJson(res, status, payload) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(payload));
+    }
+
+    /**
+     * Envía un iterable como JSON Lines respetando la contrapresión del socket.
+     */
+    async _sendLines(res, status, contentType, items) {
+        res.writeHead(status, { 'Content-Type': `${contentType}; charset=utf-8` });
+        for (const item of items) {
+            if (res.destroyed) return;
+            if (!res.write(`${JSON.stringify(item)}\n`)) {
+                await new Promise(resolve => {
+                    const done = () => {
+                        res.off('drain', done);
+                        res.off('close', done);
+                        resolve();
+                    };
+                    res.on('drain', done);
+                    res.on('close', done);
+                });
+            }
+        }
+        res.end();
+    }
+
+    _sendError(res, error) {
+        const payload = { error: { code: error.code, message: error.message } };
+        if (error.details) payload.error.details = error.details;
+        this._sendJson(res, error.status, payload);
+    }
+}
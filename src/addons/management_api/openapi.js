@@ -0,0 +1,139 @@
+// src/addons/management_api/openapi.js
+import { ErrorSchema } from './schemas.js';
+
+/**
+ * Convierte un esquema Zod (v3) al subconjunto de JSON Schema que usa OpenAPI 3.1.
+ * Solo cubre los tipos empleados por la API de gestión; cualquier otro se expone como esquema libre.
+ *
+ * @param {import('zod').ZodTypeAny} schema - Esquema Zod.
+ * @returns {Object} JSON Schema.
+ */
+export function zodToJsonSchema(schema) {
+    const def = schema._def;
+    const described = (jsonSchema) => (def.description ? { ...jsonSchema, description: def.description } : jsonSchema);
+
+    switch (def.typeName) {
+        case 'ZodObject': {
+            const shape = def.shape();
+            const properties = {};
+            const required = [];
+            for (const [key, value] of Object.entries(shape)) {
+                properties[key] = zodToJsonSchema(value);
+                if (!value.isOptional()) required.push(key);
+            }
+            const jsonSchema = { type: 'object', properties };
+            if (required.length > 0) jsonSchema.required = required;
+            if (def.unknownKeys === 'strict') jsonSchema.additionalProperties = false;
+            return described(jsonSchema);
+        }
+        case 'ZodString': {
+            const jsonSchema = { type: 'string' };
+            for (const check of def.checks) {
+                if (check.kind === 'min') jsonSchema.minLength = check.value;
+                if (check.kind === 'max') jsonSchema.maxLength = check.value;
+                if (check.kind === 'uuid') jsonSchema.format = 'uuid';
+                if (check.kind === 'regex') jsonSchema.pattern = check.regex.source;
+            }
+            return described(jsonSchema);
+        }
+        case 'ZodNumber': {
+            const jsonSchema = { type: def.checks.some(check => check.kind === 'int') ? 'integer' : 'number' };
+            for (const check of def.checks) {
+                if (check.kind === 'min') jsonSchema.minimum = check.value;
+                if (check.kind === 'max') jsonSchema.maximum = check.value;
+            }
+            return described(jsonSchema);
+        }
+        case 'ZodBoolean':
+            return described({ type: 'boolean' });
+        case 'ZodLiteral':
+            return described({ const: def.value });
+        case 'ZodEnum':
+            return described({ type: 'string', enum: [...def.values] });
+        case 'ZodArray':
+            return described({ type: 'array', items: zodToJsonSchema(def.type) });
+        case 'ZodRecord':
+            return described({ type: 'object', additionalProperties: zodToJsonSchema(def.valueType) });
+        case 'ZodOptional':
+            return { ...zodToJsonSchema(def.innerType), ...(def.description ? { description: def.description } : {}) };
+        case 'ZodNullable': {
+            const inner = zodToJsonSchema(def.innerType);
+            return described({ anyOf: [inner, { type: 'null' }] });
+        }
+        case 'ZodDefault':
+            return described({ ...zodToJsonSchema(def.innerType), default: def.defaultValue() });
+        case 'ZodEffects':
+            // refine/transform: el esquema documentable es el interno
+            return described(zodToJsonSchema(def.schema));
+        default:
+            return described({});
+    }
+}
+
+/**
+ * Genera el documento OpenAPI 3.1 a partir de la tabla de rutas de la API.
+ *
+ * @param {Array<Object>} routes - [{ method, path, summary, query, body, response, status, produces }]
+ * @param {Object} info - { title, version, basePath }
+ * @returns {Object} Documento OpenAPI.
+ */
+export function buildOpenApiDocument(routes, { title, version, basePath }) {
+    const paths = {};
+
+    for (const route of routes) {
+        // /bridges/:id -> /bridges/{id}
+        const openApiPath = `${basePath}${route.path}`.replace(/:(\w+)/g, '{$1}');
+        const operation = {
+            summary: route.summary,
+            operationId: route.operationId,
+            responses: {
+                [route.status || 200]: route.response
+                    ? { description: 'OK', content: { [route.produces || 'application/json']: { schema: zodToJsonSchema(route.response) } } }
+                    : { description: route.status === 204 ? 'Sin contenido' : 'OK' },
+                400: _errorResponse('Petición inválida'),
+                401: _errorResponse('Token ausente o inválido'),
+                404: _errorResponse('Recurso no encontrado')
+            }
+        };
+
+        const params = (route.path.match(/:(\w+)/g) || []).map(param => ({
+            name: param.slice(1),
+            in: 'path',
+            required: true,
+            schema: { type: 'string' }
+        }));
+        if (route.query) {
+            for (const [name, schema] of Object.entries(route.query._def.shape())) {
+                params.push({ name, in: 'query', required: !schema.isOptional(), schema: zodToJsonSchema(schema) });
+            }
+        }
+        if (params.length > 0) operation.parameters = params;
+
+        if (route.body) {
+            operation.requestBody = {
+                required: true,
+                content: { 'application/json': { schema: zodToJsonSchema(route.body) } }
+            };
+        }
+
+        if (route.public) operation.security = [];
+
+        paths[openApiPath] = { ...paths[openApiPath], [route.method.toLowerCase()]: operation };
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: { title, version },
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer' }
+            }
+        },
+        security: [{ bearerAuth: [] }],
+        paths
+    };
+}
+
+function _errorResponse(description) {
+    return { description, content: { 'application/json': { schema: zodToJsonSchema(ErrorSchema) } } };
+}
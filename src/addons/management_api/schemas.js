@@ -0,0 +1,118 @@
+// src/addons/management_api/schemas.js
+import { z } from 'zod';
+
+/**
+ * Esquemas Zod de la API de gestión.
+ * Son la única fuente de verdad: validan las peticiones entrantes y generan el documento OpenAPI.
+ */
+
+export const BridgeStatusSchema = z.enum(['on', 'off', 'paused']).describe('Estado operativo del puente');
+
+export const ChannelConfigSchema = z.record(z.any()).describe('Configuración JSON del canal (ej. reglas de filtrado)');
+
+export const CreateBridgeSchema = z.object({
+    name: z.string().trim().min(1).max(100).describe('Nombre visible del puente'),
+    id: z.string().uuid().optional().describe('UUID deseado; si se omite se genera uno')
+}).strict();
+
+export const UpdateBridgeSchema = z.object({
+    name: z.string().trim().min(1).max(100).optional().describe('Nuevo nombre del puente'),
+    status: BridgeStatusSchema.optional()
+}).strict().refine(body => body.name !== undefined || body.status !== undefined, {
+    message: 'Se requiere al menos uno de los campos: name, status'
+});
+
+export const LinkChannelSchema = z.object({
+    platform: z.string().min(1).max(50).describe('Nombre del plugin adaptador (ej. discord, telegram)'),
+    nativeId: z.string().min(1).max(200).describe('ID nativo del canal, grupo o chat'),
+    config: ChannelConfigSchema.default({})
+}).strict();
+
+export const BridgeSchema = z.object({
+    id: z.string(),
+    name: z.string(),
+    status: BridgeStatusSchema,
+    created_at: z.number().int().describe('Marca de tiempo UNIX (segundos)'),
+    channel_count: z.number().int().optional()
+});
+
+export const ChannelSchema = z.object({
+    platform: z.string(),
+    native_id: z.string(),
+    config: ChannelConfigSchema
+});
+
+export const BridgeDetailSchema = BridgeSchema.extend({
+    config: z.record(z.any()).describe('Configuración JSON del puente'),
+    channels: z.array(ChannelSchema)
+});
+
+export const ChannelLinkSchema = z.object({
+    bridge_id: z.string(),
+    status: BridgeStatusSchema,
+    config: ChannelConfigSchema
+});
+
+export const HealthSchema = z.object({
+    uptime: z.number().describe('Segundos desde el arranque del proceso'),
+    plugins: z.record(z.any()).describe('Resultado de health() por plugin'),
+    circuits: z.record(z.any()).describe('CircuitBreakerRegistry.getGlobalHealth()')
+});
+
+export const DeadLetterQuerySchema = z.object({
+    platform: z.string().min(1).max(50).optional().describe('Filtra por plataforma destino'),
+    limit: z.coerce.number().int().min(1).max(500).default(50).describe('Número máximo de entradas')
+}).strict();
+
+export const DeadLetterSchema = z.object({
+    id: z.number().int(),
+    queue_name: z.string().describe('Cola Egress de origen (ej. queue_whatsapp_out)'),
+    platform: z.string(),
+    channel_id: z.string().nullable(),
+    job_id: z.string().nullable(),
+    envelope: z.record(z.any()).describe('Envoltorio UMF que no pudo entregarse'),
+    failure_reason: z.string().nullable(),
+    attempts: z.number().int(),
+    attempt_history: z.array(z.object({
+        attempt: z.number().int(),
+        error: z.string(),
+        at: z.number().int().describe('Marca de tiempo UNIX (milisegundos)')
+    })),
+    failed_at: z.number().int().describe('Marca de tiempo UNIX (segundos)')
+});
+
+export const DeadLetterPurgeSchema = z.object({
+    removed: z.number().int().describe('Entradas eliminadas')
+});
+
+export const DeadLetterRetrySchema = z.object({
+    replayed: z.array(z.number().int()).describe('IDs reencolados')
+});
+
+export const AuditQuerySchema = z.object({
+    bridgeId: z.string().min(1).max(100).optional().describe('Filtra por puente afectado'),
+    action: z.string().min(1).max(100).optional().describe('Filtra por acción (ej. bridge.status, channel.link)'),
+    since: z.coerce.number().int().min(0).optional().describe('Solo eventos desde esta marca de tiempo UNIX (segundos)'),
+    limit: z.coerce.number().int().min(1).max(500).default(50).describe('Número máximo de eventos')
+}).strict();
+
+export const AuditEventSchema = z.object({
+    id: z.number().int(),
+    actor_platform: z.string().describe('Red del autor, o `api` si el cambio llegó por esta API'),
+    actor_id: z.string().nullable().describe('ID nativo del autor (en la API, la cabecera X-Actor o la IP remota)'),
+    action: z.string().describe('Acción en notación de puntos (ej. bridge.status)'),
+    target_type: z.string().nullable().describe('Tipo del objeto afectado (bridge, channel, invite, user, plugin, dead_letter)'),
+    target_id: z.string().nullable(),
+    bridge_id: z.string().nullable(),
+    before_state: z.any().describe('Estado previo al cambio (null si no existía)'),
+    after_state: z.any().describe('Estado resultante (null si se eliminó)'),
+    created_at: z.number().int().describe('Marca de tiempo UNIX (segundos)')
+});
+
+export const ErrorSchema = z.object({
+    error: z.object({
+        code: z.string(),
+        message: z.string(),
+        details: z.array(z.any()).optional()
+    })
+});
@@ -0,0 +1,101 @@
+// src/addons/metrics_exporter/index.js
+import http from 'node:http';
+
+/**
+ * Addon Exportador de Métricas (Prometheus).
+ * Publica en `GET /metrics` todas las series del MetricsRegistry inyectado por el Kernel:
+ * las del núcleo (ingress, colas, cortocircuitos) y las que cada plugin haya registrado.
+ */
+export default class MetricsExporterAddon {
+    constructor() {
+        this.context = null;
+        this.platformName = 'metrics_exporter';
+        this.server = null;
+    }
+
+    /**
+     * Fase de Inicialización: Recibe el contenedor de dependencias de solo lectura.
+     */
+    async init(context) {
+        this.context = context;
+        this.settings = this.context.config.metrics || {};
+
+        if (!this.context.metrics) {
+            throw new Error('Dependencia MetricsRegistry no inyectada en el Microkernel');
+        }
+
+        this.scrapes = this.context.metrics.counter({
+            name: 'openchat_metrics_scrapes_total',
+            help: 'Lecturas servidas por el exportador de métricas'
+        });
+
+        if (this.context.logger) {
+            this.context.logger.info(`[${this.platformName}] Inicializado (Exportador Prometheus)`);
+        }
+    }
+
+    /**
+     * Fase de Ejecución: Abre el puerto HTTP del exportador.
+     */
+    async start() {
+        if (this.settings.enabled === false) {
+            this.context.logger.info(`[${this.platformName}] Exportador de métricas deshabilitado por configuración.`);
+            return;
+        }
+
+        this.server = http.createServer((req, res) => this._handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.settings.port, this.settings.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.context.logger.info(`[${this.platformName}] Métricas disponibles en http://${this.settings.host}:${this.settings.port}/metrics`);
+    }
+
+    async _handleRequest(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (req.method !== 'GET' || pathname !== '/metrics') {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not Found\n');
+            return;
+        }
+
+        try {
+            this.scrapes.inc();
+            const body = await this.context.metrics.render();
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' }).end(body);
+        } catch (error) {
+            this.context.logger.error(`[${this.platformName}] Fallo al generar la exposición de métricas:`, { error: error.message, stack: error.stack });
+            res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Internal Server Error\n');
+        }
+    }
+
+    /**
+     * Fase de Destrucción: Cierra el servidor HTTP.
+     */
+    async stop() {
+        if (!this.server) return;
+        await new Promise(resolve => {
+            this.server.close(() => resolve());
+            this.server.closeAllConnections?.();
+        });
+        this.server = null;
+        if (this.context.logger) {
+            this.context.logger.info(`[${this.platformName}] Exportador de métricas detenido.`);
+        }
+    }
+
+    /**
+     * Reporte de telemetría de vida del módulo.
+     */
+    health() {
+        return {
+            platform: this.platformName,
+            status: this.server?.listening ? 'active' : 'disabled',
+            port: this.server?.listening ? this.settings.port : null
+        };
+    }
+}
@@ -0,0 +1,106 @@
+// src/addons/polls/index.js
+import { randomUUID } from 'node:crypto';
+import { createEnvelope, describeStructuredBody, UMF_TYPES, UMF_EVENTS } from '../../core/utils/umf.js';
+
+// Límites comunes a las encuestas nativas (WhatsApp y Telegram admiten 12 opciones; Discord, 10)
+const MAX_OPTIONS = 12;
+const MAX_QUESTION_LENGTH = 255;
+const MAX_OPTION_LENGTH = 100;
+
+// Una encuesta por usuario cada 30 s evita inundar todas las redes del puente
+const POLL_COOLDOWN_MS = 30 * 1000;
+
+const FLAG_MULTIPLE = /^--(multi|multiple|varias)$/i;
+const FLAG_ANONYMOUS = /^--(anon|anonima|anónima)$/i;
+
+/**
+ * Addon de encuestas: `!poll` crea una encuesta en todos los canales del puente (incluido el del
+ * comando). Cada adaptador la materializa de forma nativa cuando puede; el Router agrega los votos
+ * de todas las redes y publica los resultados.
+ */
+export default class PollsAddon {
+    constructor() {
+        this.name = 'Polls';
+    }
+
+    async init(context) {
+        this.context = context;
+    }
+
+    async start() {
+        this.context.commands.register({
+            name: 'poll',
+            aliases: ['encuesta'],
+            description: 'Crea una encuesta en todo el puente: `pregunta | opción | opción...` (admite `--multi` y `--anon` al principio)',
+            usage: '<pregunta...>',
+            cooldown: POLL_COOLDOWN_MS,
+            handler: (cmd) => this._handlePoll(cmd)
+        });
+    }
+
+    async _handlePoll({ envelope, source, rest, reply }) {
+        const link = this.context.repository.getChannelLink(source.platform, source.channelId);
+        if (!link) {
+            await reply('⚠️ Este canal no está vinculado a ningún puente.');
+            return;
+        }
+        if (link.status !== 'on') {
+            await reply('⏸️ El puente está pausado: la encuesta no puede difundirse.');
+            return;
+        }
+
+        let poll;
+        try {
+            poll = parsePollCommand(rest);
+        } catch (error) {
+            await reply(`❌ ${error.message}`);
+            return;
+        }
+
+        const pollEnvelope = createEnvelope({
+            type: UMF_TYPES.POLL,
+            // No existe un mensaje nativo de la encuesta: su origen es un ID propio en el canal del comando
+            source: { ...source, messageId: `poll-${randomUUID()}` },
+            body: { text: describeStructuredBody({ poll }), poll },
+            correlationId: envelope.head.correlationId
+        });
+        // Difusión: el Router la entrega también en el canal de origen
+        pollEnvelope.head.broadcast = true;
+
+        this.context.bus.emit(UMF_EVENTS.INGRESS, pollEnvelope);
+        if (this.context.logger) {
+            this.context.logger.info(`[polls] Encuesta creada por ${source.platform}:${source.userId} en el puente ${link.bridge_id}.`);
+        }
+    }
+}
+
+/**
+ * Interpreta `[--multi] [--anon] pregunta | opción | opción...`.
+ *
+ * @param {string} text - Argumentos del comando.
+ * @returns {Object} { question, options, multiple, anonymous }
+ * @throws {Error} Si faltan opciones o se exceden los límites de las plataformas.
+ */
+function parsePollCommand(text) {
+    const tokens = String(text || '').trim().split(/\s+/);
+    let multiple = false;
+    let anonymous = false;
+    while (tokens.length > 0 && (FLAG_MULTIPLE.test(tokens[0]) || FLAG_ANONYMOUS.test(tokens[0]))) {
+        const flag = tokens.shift();
+        if (FLAG_MULTIPLE.test(flag)) multiple = true;
+        else anonymous = true;
+    }
+
+    const [question, ...options] = tokens.join(' ').split('|').map(part => part.trim());
+    const uniqueOptions = [...new Set(options.filter(Boolean))];
+
+    if (!question) throw new Error('Falta la pregunta. Formato: `pregunta | opción | opción`');
+    if (uniqueOptions.length < 2) throw new Error('Una encuesta necesita al menos dos opciones distintas separadas por `|`.');
+    if (uniqueOptions.length > MAX_OPTIONS) throw new Error(`Máximo ${MAX_OPTIONS} opciones.`);
+    if (question.length > MAX_QUESTION_LENGTH) throw new Error(`La pregunta no puede superar ${MAX_QUESTION_LENGTH} caracteres.`);
+    if (uniqueOptions.some(option => option.length > MAX_OPTION_LENGTH)) {
+        throw new Error(`Cada opción admite como máximo ${MAX_OPTION_LENGTH} caracteres.`);
+    }
+
+    return { question, options: uniqueOptions, multiple, anonymous };
+}
@@ -1,4 +1,7 @@
 // src/addons/router/index.js
+import { UMF_EVENTS } from '../../core/utils/umf.js';
+import { getMentions } from '../../core/utils/richtext.js';
+import { applyRules, getChannelDirection } from '../../core/utils/rules.js';
 
 /**
  * Addon Enrutador Central (Broker N-a-N).
@@ -10,6 +13,8 @@ export default class RouterAddon {
     constructor() {
         this.context = null;
         this.platformName = 'router';
+        // Resultados de encuesta pendientes de publicar: 'plataforma:canal:id' del origen -> { envelope, timer }
+        this.pendingPollResults = new Map();
     }
 
     /**
@@ -17,6 +22,11 @@ export default class RouterAddon {
      */
     async init(context) {
         this.context = context;
+        this.fanoutLatency = this.context.metrics?.histogram({
+            name: 'openchat_router_fanout_seconds',
+            help: 'Duración del Fan-out del enrutador (resolución de topología, reglas y encolado) por evento',
+            labelNames: ['event']
+        });
         if (this.context.logger) {
             this.context.logger.info(`[${this.platformName}] Inicializado (Microkernel Message Broker)`);
         }
@@ -27,28 +37,101 @@ export default class RouterAddon {
      */
     async start() {
         // Interceptar todos los mensajes entrantes previamente normalizados a UMF por los adaptadores
-        this.context.bus.on('message.ingress', async (envelope) => {
-            // Preservar la trazabilidad inyectando el Correlation ID en el marco asíncrono
-            const correlationId = envelope.head?.correlationId;
+        this.context.bus.on(UMF_EVENTS.INGRESS, (envelope) => this._dispatch(envelope, () => this._routeMessage(envelope)));
+
+        // Las ediciones no generan mensajes nuevos: se redirigen hacia las copias ya retransmitidas
+        this.context.bus.on(UMF_EVENTS.EDIT, (envelope) => this._dispatch(envelope, () => this._routeEdit(envelope)));
+        this.context.bus.on(UMF_EVENTS.DELETE, (envelope) => this._dispatch(envelope, () => this._routeDelete(envelope)));
+        this.context.bus.on(UMF_EVENTS.REACTION, (envelope) => this._dispatch(envelope, () => this._routeReaction(envelope)));
+        this.context.bus.on(UMF_EVENTS.POLL_VOTE, (envelope) => this._dispatch(envelope, () => this._routePollVote(envelope)));
+
+        if (this.context.logger) {
+            this.context.logger.info(`[${this.platformName}] Enrutador activo y escuchando eventos '${UMF_EVENTS.INGRESS}', '${UMF_EVENTS.EDIT}', '${UMF_EVENTS.DELETE}', '${UMF_EVENTS.REACTION}' y '${UMF_EVENTS.POLL_VOTE}'`);
+        }
+    }
+
+    /**
+     * Preserva la trazabilidad inyectando el Correlation ID en el marco asíncrono antes de enrutar.
+     */
+    _dispatch(envelope, routeFn) {
+        const correlationId = envelope.head?.correlationId;
+
+        if (this.context.logger) {
+            return this.context.logger.withCorrelation(correlationId, routeFn);
+        }
+        return routeFn();
+    }
+
+    /**
+     * Resuelve el puente activo del canal de origen y devuelve sus canales de destino.
+     * Retorna null si el canal no pertenece a ningún puente, si éste está apagado o si el
+     * canal de origen es de solo recepción (regla `direction receive-only`).
+     *
+     * @returns {Object|null} { link, targets }
+     */
+    _resolveBridgeTargets(source) {
+        // 1. Resolver la Topología: ¿A qué puente pertenece este canal?
+        const link = this.context.repository.getChannelLink(source.platform, source.channelId);
+
+        if (!link) {
+            // El canal no está suscrito a ningún puente, se ignora pasivamente.
+            return null;
+        }
 
+        // Validar barrera de seguridad: El puente debe estar encendido
+        if (link.status !== 'on') {
             if (this.context.logger) {
-                this.context.logger.withCorrelation(correlationId, async () => {
-                    await this._routeMessage(envelope);
-                });
-            } else {
-                await this._routeMessage(envelope);
+                this.context.logger.debug(`[${this.platformName}] Enrutamiento abortado: El puente ${link.bridge_id} está pausado/apagado.`);
             }
-        });
+            return null;
+        }
 
-        if (this.context.logger) {
-            this.context.logger.info(`[${this.platformName}] Enrutador activo y escuchando eventos 'message.ingress'`);
+        if (getChannelDirection(link.config?.rules) === 'receive-only') {
+            if (this.context.logger) {
+                this.context.logger.debug(`[${this.platformName}] Enrutamiento abortado: ${source.platform}:${source.channelId} es de solo recepción.`);
+            }
+            return null;
+        }
+
+        // 2. Extraer todos los canales de destino del grupo virtual (Clúster)
+        const targets = this.context.repository.getBridgeTopology(link.bridge_id);
+        if (!targets || targets.length === 0) return null;
+
+        return { link, targets };
+    }
+
+    /**
+     * Evalúa las reglas del puente y del canal destino sobre la copia aislada de un destino.
+     * Los canales de solo emisión (`direction send-only`) nunca reciben tráfico.
+     *
+     * @param {Object} outboxEnvelope - Copia del envelope para el destino (se modifica en sitio)
+     * @param {Object} link - Enlace del canal de origen (incluye `bridge_config`)
+     * @param {Object} target - Canal destino de la topología (incluye `config`)
+     * @returns {boolean} True si el mensaje debe entregarse
+     */
+    _applyTargetRules(outboxEnvelope, link, target) {
+        const targetRules = target.config?.rules || [];
+        const targetIdentifier = `${target.platform}:${target.native_id}`;
+
+        if (getChannelDirection(targetRules) === 'send-only') {
+            if (this.context.logger) {
+                this.context.logger.debug(`[${this.platformName}] ${targetIdentifier} es de solo emisión; se omite.`);
+            }
+            return false;
+        }
+
+        const verdict = applyRules(outboxEnvelope, [...(link.bridge_config?.rules || []), ...targetRules]);
+        if (!verdict.allowed && this.context.logger) {
+            this.context.logger.debug(`[${this.platformName}] Mensaje descartado hacia ${targetIdentifier} por regla (${verdict.reason}).`);
         }
+        return verdict.allowed;
     }
 
     /**
      * Lógica central de distribución en abanico (Fan-out) basada en la topología de la BD.
      */
     async _routeMessage(envelope) {
+        const endTimer = this.fanoutLatency?.startTimer({ event: 'message' });
         try {
             const source = envelope.head?.source;
             if (!source || !source.platform || !source.channelId) {
@@ -56,25 +139,9 @@ export default class RouterAddon {
                 return;
             }
 
-            // 1. Resolver la Topología: ¿A qué puente pertenece este canal?
-            const link = this.context.repository.getChannelLink(source.platform, source.channelId);
-
-            if (!link) {
-                // El canal no está suscrito a ningún puente, se ignora pasivamente.
-                return;
-            }
-
-            // Validar barrera de seguridad: El puente debe estar encendido
-            if (link.status !== 'on') {
-                if (this.context.logger) {
-                    this.context.logger.debug(`[${this.platformName}] Enrutamiento abortado: El puente ${link.bridge_id} está pausado/apagado.`);
-                }
-                return;
-            }
-
-            // 2. Extraer todos los canales de destino del grupo virtual (Clúster)
-            const targets = this.context.repository.getBridgeTopology(link.bridge_id);
-            if (!targets || targets.length === 0) return;
+            const resolved = this._resolveBridgeTargets(source);
+            if (!resolved) return;
+            const { link, targets } = resolved;
 
             // Asegurar que el objeto en memoria tenga un array válido antes de clonar
             if (!envelope.head.trace_path) {
@@ -85,18 +152,26 @@ export default class RouterAddon {
             const tracePath = envelope.head.trace_path;
             const sourceIdentifier = `${source.platform}:${source.channelId}`;
 
+            // Las difusiones (ej. `!poll`) no tienen original nativo: también se entregan en el canal de origen
+            const loopback = envelope.head.broadcast === true;
+
             // Añadimos el origen al tracePath inicial para el Split Horizon
-            if (!tracePath.includes(sourceIdentifier)) {
+            if (!loopback && !tracePath.includes(sourceIdentifier)) {
                 tracePath.push(sourceIdentifier);
             }
 
+            // Las encuestas se registran por su origen para agregar los votos de todas las copias
+            if (envelope.body?.poll && source.messageId) {
+                this.context.repository.savePoll(source, envelope.body.poll, { native: !loopback });
+            }
+
             // 3. Distribución (Fan-out) y Protección contra Bucles (Spanning Tree / Split Horizon)
             for (const target of targets) {
                 const targetIdentifier = `${target.platform}:${target.native_id}`;
 
                 // A. Horizonte Dividido (Split Horizon) estricto:
                 // Jamás retransmitir el mensaje hacia el canal exacto que lo originó.
-                if (targetIdentifier === sourceIdentifier) continue;
+                if (targetIdentifier === sourceIdentifier && !loopback) continue;
 
                 // B. Evasión de Tormentas de Difusión (Broadcast Storms):
                 // Solo bloqueamos si el IDENTIFICADOR EXACTO (Plataforma + ID de Canal) ya procesó el mensaje.
@@ -119,6 +194,11 @@ export default class RouterAddon {
                 // Actualizar el historial de saltos (Trace Path)
                 outboxEnvelope.head.trace_path.push(targetIdentifier);
 
+                // 5. Reglas de filtrado/transformación del puente y del canal destino
+                if (!this._applyTargetRules(outboxEnvelope, link, target)) continue;
+
+                this._translateMentions(outboxEnvelope, target.platform);
+
                 // Despachar a la cola BullMQ correspondiente a la plataforma destino
                 const egressQueueName = `queue_${target.platform}_out`;
 
@@ -131,6 +211,8 @@ export default class RouterAddon {
                 }
             }
 
+            endTimer?.();
+
         } catch (error) {
             if (this.context.logger) {
                 this.context.logger.error(`[${this.platformName}] Fallo crítico en el orquestador de enrutamiento:`, { error: error.message, stack: error.stack });
@@ -138,10 +220,262 @@ export default class RouterAddon {
         }
     }
 
+    /**
+     * Propaga la edición de un mensaje hacia cada copia nativa registrada en el mapa de mensajes.
+     * Solo se edita el fragmento principal (part 0), que es el que transporta el texto.
+     */
+    async _routeEdit(envelope) {
+        try {
+            const origin = await this._routeToCopies(envelope, 'edit', copy => copy.part === 0);
+            if (!origin && this.context.logger) {
+                this.context.logger.debug(`[${this.platformName}] Edición ignorada: no hay copias registradas de ${envelope.head.source.platform}:${envelope.head.source.messageId}.`);
+            }
+        } catch (error) {
+            if (this.context.logger) {
+                this.context.logger.error(`[${this.platformName}] Fallo al propagar edición:`, { error: error.message, stack: error.stack });
+            }
+        }
+    }
+
+    /**
+     * Propaga el borrado de un mensaje hacia todas sus representaciones nativas (incluidos los fragmentos
+     * multimedia adicionales). Si un moderador borra una copia retransmitida, también se elimina el
+     * original y el resto de copias. Después se olvida la correspondencia, de modo que los ecos de
+     * borrado que generen las propias copias no vuelvan a propagarse.
+     */
+    async _routeDelete(envelope) {
+        try {
+            const origin = await this._routeToCopies(envelope, 'delete', () => true);
+            if (origin) {
+                this.context.repository.forgetMessage(origin.platform, origin.channelId, origin.messageId);
+            }
+        } catch (error) {
+            if (this.context.logger) {
+                this.context.logger.error(`[${this.platformName}] Fallo al propagar borrado:`, { error: error.message, stack: error.stack });
+            }
+        }
+    }
+
+    /**
+     * Actualiza el recuento global de reacciones del mensaje original y lo propaga a cada copia
+     * principal (part 0). El recuento viaja en `body.reaction.tally` para que cada adaptador decida
+     * entre reaccionar de forma nativa o mantener un mensaje de resumen ("👍 ×3").
+     * Si el recuento no cambia (reacción duplicada o eco), no se propaga nada.
+     */
+    async _routeReaction(envelope) {
+        try {
+            const source = envelope.head?.source;
+            const reaction = envelope.body?.reaction;
+            if (!reaction?.key || !source?.messageId) return;
+
+            // Un canal pausado o de solo recepción no puede aportar reacciones al recuento
+            if (!this._resolveBridgeTargets(source)) return;
+
+            const group = this._resolveMessageGroup(source.platform, source.channelId, source.messageId);
+            if (!group) {
+                if (this.context.logger) {
+                    this.context.logger.debug(`[${this.platformName}] Reacción ignorada: ${source.platform}:${source.messageId} nunca cruzó el puente.`);
+                }
+                return;
+            }
+
+            const { origin } = group;
+            const reactor = { platform: source.platform, channelId: source.channelId, userId: source.userId };
+            const changed = this.context.repository.setMessageReaction(origin, reaction, reactor, reaction.action !== 'remove');
+            if (!changed) return;
+
+            reaction.tally = this.context.repository.getReactionTally(origin.platform, origin.channelId, origin.messageId);
+            await this._routeToCopies(envelope, 'reaction', member => member.part === 0);
+        } catch (error) {
+            if (this.context.logger) {
+                this.context.logger.error(`[${this.platformName}] Fallo al propagar reacción:`, { error: error.message, stack: error.stack });
+            }
+        }
+    }
+
+    /**
+     * Registra el voto sobre la encuesta de origen. Los resultados no se propagan voto a voto: se
+     * agrupan y se publican como mucho una vez por intervalo (`tuning.poll_results_interval`).
+     */
+    async _routePollVote(envelope) {
+        try {
+            const source = envelope.head?.source;
+            const vote = envelope.body?.vote;
+            if (!vote?.action || !source?.messageId) return;
+
+            // Igual que las reacciones: un canal pausado o de solo recepción no vota
+            if (!this._resolveBridgeTargets(source)) return;
+
+            const group = this._resolveMessageGroup(source.platform, source.channelId, source.messageId);
+            const poll = group && this.context.repository.getPoll(group.origin.platform, group.origin.channelId, group.origin.messageId);
+            if (!poll) {
+                if (this.context.logger) {
+                    this.context.logger.debug(`[${this.platformName}] Voto ignorado: ${source.platform}:${source.messageId} no es una encuesta del puente.`);
+                }
+                return;
+            }
+
+            const voter = { platform: source.platform, channelId: source.channelId, userId: source.userId, username: source.username };
+            if (!this.context.repository.setPollVote(group.origin, voter, vote)) return;
+
+            const key = `${group.origin.platform}:${group.origin.channelId}:${group.origin.messageId}`;
+            const pending = this.pendingPollResults.get(key);
+            if (pending) {
+                pending.envelope = envelope;
+                return;
+            }
+
+            const interval = this.context.config?.tuning?.poll_results_interval ?? 15000;
+            const timer = setTimeout(() => {
+                const { envelope: latest } = this.pendingPollResults.get(key);
+                this.pendingPollResults.delete(key);
+                this._dispatch(latest, () => this._publishPollResults(latest, group.origin));
+            }, interval);
+            timer.unref?.();
+            this.pendingPollResults.set(key, { envelope, timer });
+        } catch (error) {
+            if (this.context.logger) {
+                this.context.logger.error(`[${this.platformName}] Fallo al registrar voto:`, { error: error.message, stack: error.stack });
+            }
+        }
+    }
+
+    /**
+     * Propaga el recuento actual (`body.poll.tally`) a todas las copias principales de la encuesta,
+     * incluida la del canal del último votante: su plataforma solo cuenta sus propios votos.
+     */
+    async _publishPollResults(envelope, origin) {
+        try {
+            const poll = this.context.repository.getPoll(origin.platform, origin.channelId, origin.messageId);
+            const tally = this.context.repository.getPollTally(origin.platform, origin.channelId, origin.messageId);
+            if (!poll || !tally) return;
+
+            envelope.body.poll = { question: poll.question, options: poll.options, multiple: poll.multiple, anonymous: poll.anonymous, tally };
+            await this._routeToCopies(envelope, 'poll', member => member.part === 0, { includeSource: true });
+        } catch (error) {
+            if (this.context.logger) {
+                this.context.logger.error(`[${this.platformName}] Fallo al publicar resultados de encuesta:`, { error: error.message, stack: error.stack });
+            }
+        }
+    }
+
+    /**
+     * Reescribe las menciones de usuario del AST (`body.rich`) para una plataforma de destino.
+     * Si el mencionado tiene una identidad vinculada en el destino, la mención pasa a ser nativa
+     * (ID de la cuenta vinculada); si no, se conserva solo su nombre visible, nunca su ID nativo.
+     *
+     * @param {Object} envelope - Copia del envelope ya aislada para un destino
+     * @param {string} targetPlatform - Plataforma destino
+     */
+    _translateMentions(envelope, targetPlatform) {
+        for (const mention of getMentions(envelope.body?.rich)) {
+            if (mention.kind !== 'user' || !mention.id || mention.platform === targetPlatform) continue;
+
+            const links = this.context.repository.getIdentityLinks(mention.platform, mention.id);
+            const linked = links.find(link => link.platform === targetPlatform);
+            const known = links.find(link => link.platform === mention.platform);
+
+            if (linked) {
+                mention.platform = targetPlatform;
+                mention.id = linked.userId;
+                mention.name = linked.displayName || mention.name;
+            } else if (known?.displayName && (!mention.name || mention.name === mention.id)) {
+                mention.name = known.displayName;
+            }
+        }
+    }
+
+    /**
+     * Reúne todas las representaciones nativas de un mensaje a partir de cualquiera de ellas:
+     * el original (part 0) y cada copia retransmitida registrada en el mapa de mensajes.
+     * Las encuestas creadas con `!poll` no tienen original nativo: solo cuentan sus copias.
+     *
+     * @returns {Object|null} { origin, members } o null si el mensaje nunca cruzó el puente
+     */
+    _resolveMessageGroup(platform, channelId, messageId) {
+        const origin = this.context.repository.findMessageOrigin(platform, channelId, messageId);
+        if (!origin) return null;
+
+        const copies = this.context.repository.getMessageCopies(origin.platform, origin.channelId, origin.messageId);
+        const native = this.context.repository.getPoll(origin.platform, origin.channelId, origin.messageId)?.native ?? true;
+        const members = [
+            ...(native ? [{ platform: origin.platform, channelId: origin.channelId, messageId: origin.messageId, part: 0 }] : []),
+            ...copies
+        ];
+        return { origin, members };
+    }
+
+    /**
+     * Encola un trabajo por cada representación nativa del mensaje (original o copia) que pertenezca a la
+     * topología del puente, excepto la del canal que originó el evento. El ID nativo viaja en `head.dest.messageId`.
+     *
+     * @param {Object} envelope - Evento UMF (edición, borrado, reacción o voto) con `head.source.messageId`
+     * @param {string} action - Etiqueta para el jobId y la telemetría
+     * @param {Function} memberFilter - Selecciona qué fragmentos deben recibir el evento
+     * @param {Object} [options]
+     * @param {boolean} [options.includeSource=false] - Entregar también en el canal que originó el evento
+     * @returns {Promise<Object|null>} Origen del grupo si se encoló al menos un trabajo
+     */
+    async _routeToCopies(envelope, action, memberFilter, { includeSource = false } = {}) {
+        const source = envelope.head?.source;
+        if (!source?.platform || !source.channelId || !source.messageId) return null;
+
+        const resolved = this._resolveBridgeTargets(source);
+        if (!resolved) return null;
+        const { link, targets } = resolved;
+
+        const group = this._resolveMessageGroup(source.platform, source.channelId, source.messageId);
+        if (!group) return null;
+
+        const endTimer = this.fanoutLatency?.startTimer({ event: action });
+        const members = group.members.filter(memberFilter);
+        const sourceIdentifier = `${source.platform}:${source.channelId}`;
+        let delivered = 0;
+
+        for (const target of targets) {
+            const targetIdentifier = `${target.platform}:${target.native_id}`;
+            if (targetIdentifier === sourceIdentifier && !includeSource) continue;
+
+            const targetMembers = members.filter(c => c.platform === target.platform && c.channelId === target.native_id);
+            for (const member of targetMembers) {
+                const outboxEnvelope = JSON.parse(JSON.stringify(envelope));
+                outboxEnvelope.head.dest = {
+                    platform: target.platform,
+                    channelId: target.native_id,
+                    messageId: member.messageId
+                };
+                outboxEnvelope.head.trace_path = [...(outboxEnvelope.head.trace_path || []), sourceIdentifier, targetIdentifier];
+
+                // Las ediciones se filtran/transforman igual que el mensaje original; el resto de eventos solo respeta la dirección
+                const rulesApply = action === 'edit'
+                    ? this._applyTargetRules(outboxEnvelope, link, target)
+                    : getChannelDirection(target.config?.rules) !== 'send-only';
+                if (!rulesApply) continue;
+
+                this._translateMentions(outboxEnvelope, target.platform);
+
+                await this.context.queue.add(`queue_${target.platform}_out`, outboxEnvelope, {
+                    jobId: `${outboxEnvelope.head.id}-${action}-${target.platform}-${member.messageId}`
+                });
+                delivered++;
+
+                if (this.context.logger) {
+                    this.context.logger.info(`[${this.platformName}] Evento '${action}' enrutado: ${source.platform} -> ${target.platform} (${member.messageId})`);
+                }
+            }
+        }
+
+        endTimer?.();
+        return delivered > 0 ? group.origin : null;
+    }
+
     /**
      * Fase de Destrucción.
      */
     async stop() {
+        for (const { timer } of this.pendingPollResults.values()) clearTimeout(timer);
+        this.pendingPollResults.clear();
+
         if (this.context.logger) {
             this.context.logger.info(`[${this.platformName}] Módulo enrutador desconectado.`);
         }
@@ -9,11 +9,12 @@ import axios from 'axios';
 
 const execPromise = util.promisify(exec);
 
+// Tiempo mínimo entre transcripciones de un mismo usuario (protege las cuotas de Groq/DeepSeek)
+const TRANSCRIBE_COOLDOWN_MS = 30 * 1000;
+
 export default class TranscriberAddon {
     constructor() {
         this.name = 'Transcriber';
-        // Palabras clave para invocar el bot
-        this.commands = ['!tr', '!tria'];
     }
 
     async init(ctx) {
@@ -30,23 +31,17 @@ export default class TranscriberAddon {
     }
 
     async start() {
-        this.ctx.bus.on('message.ingress', async (umf) => {
-            try {
-                await this.handle(umf);
-            } catch (error) {
-                this.ctx.logger.error(`[Transcriber] Fallo crítico:`, { error: error.message });
-            }
+        this.ctx.commands.register({
+            name: 'tr',
+            aliases: ['tria'],
+            description: 'Transcribe (y resume) el audio adjunto o el del mensaje citado',
+            cooldown: TRANSCRIBE_COOLDOWN_MS,
+            handler: ({ envelope }) => this.handle(envelope)
         });
     }
 
     async handle(umf) {
-        const text = umf.body.text || '';
-
-        // 1. Validar si el usuario solicitó la transcripción explícitamente (!transcribe)
-        const isCommand = this.commands.some(cmd => text.toLowerCase().startsWith(cmd));
-        if (!isCommand) return;
-
-        // Tolerancia extrema para buscar adjuntos del mensaje original citado
+        // 1. Tolerancia extrema para buscar adjuntos del mensaje original citado
         const replyAttachments = umf.head?.replyTo?.parentAttachments || umf.replyTo?.parentAttachments || [];
         const currentAttachments = umf.body?.attachments || [];
 
@@ -142,20 +137,7 @@ export default class TranscriberAddon {
      * Devuelve la respuesta a la plataforma EXACTA que invocó el comando.
      */
     async _reply(umf, text) {
-        const replyEnvelope = {
-            ...umf, // Clonamos propiedades base
-            head: {
-                ...umf.head,
-                id: randomUUID(), // Nuevo ID para la respuesta
-                // Intercambiamos origen por destino
-                dest: { platform: umf.head.source.platform, channelId: umf.head.source.channelId }
-            },
-            body: { text: text, attachments: [] }
-        };
-
-        // Empujar directo a la cola de salida de la red correspondiente
-        const queueName = `queue_${umf.head.source.platform}_out`;
-        await this.ctx.queue.add(queueName, replyEnvelope);
+        await this.ctx.commands.reply(umf, text);
     }
 
     _splitMessage(text, limit) {
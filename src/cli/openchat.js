@@ -0,0 +1,518 @@
+// src/cli/openchat.js
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+import process from 'node:process';
+import readline from 'node:readline/promises';
+import { parseArgs } from 'node:util';
+import config from '../../config/main.js';
+import { Logger } from '../core/utils/observability.js';
+import { Repository } from '../core/infra/repository.js';
+import { parseUsage, bindArgs } from '../core/utils/commands.js';
+import { parseManifest, validateConfig } from '../core/utils/manifest.js';
+import { TOPOLOGY_COMMANDS } from './topology.js';
+
+/**
+ * CLI de operación `openchat`: administración fuera de línea directamente sobre data/topology.db,
+ * sin depender de que alguna plataforma de chat funcione. Puede ejecutarse con el nodo en marcha
+ * (SQLite WAL); los cambios quedan en la auditoría con actor `cli:<usuario del sistema>`.
+ */
+
+const BRIDGE_STATUSES = ['on', 'off', 'paused'];
+const DLQ_DEFAULT_LIMIT = 20;
+
+// Directorios de plugins (los mismos que recorre el PluginLoader)
+const PLUGIN_DIRECTORIES = ['src/adapters', 'src/addons'];
+
+// Credenciales que necesita cada adaptador para arrancar (`openchat config check`)
+const ADAPTER_CREDENTIALS = {
+    discord: [['DISCORD_TOKEN', tokens => tokens.discord]],
+    telegram: [['TELEGRAM_TOKEN', tokens => tokens.telegram]],
+    stoat: [['STOAT_TOKEN', tokens => tokens.stoat]],
+    'user-tele': [
+        ['TELEGRAM_USERBOT_API_ID', tokens => tokens.telegramUserbot?.apiId],
+        ['TELEGRAM_USERBOT_API_HASH', tokens => tokens.telegramUserbot?.apiHash],
+        ['TELEGRAM_USERBOT_SESSION', tokens => tokens.telegramUserbot?.sessionString]
+    ]
+};
+
+const OPTIONS = {
+    json: { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+    prune: { type: 'boolean', default: false },
+    platform: { type: 'string' },
+    limit: { type: 'string' },
+    id: { type: 'string' },
+    phone: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Error de uso: se muestra junto a la sintaxis del comando y termina con código 2.
+ */
+class UsageError extends Error {}
+
+/**
+ * Catálogo de comandos: { name, usage, options, description, repository, run(ctx) }.
+ * `usage` sigue la sintaxis del registro de comandos de chat (`<obligatorio>`, `[opcional]`, `...`).
+ */
+const COMMANDS = [
+    {
+        name: 'bridge list',
+        options: '[--json]',
+        description: 'Lista los puentes con su estado y número de canales',
+        repository: true,
+        run: ({ repository, options }) => {
+            const bridges = repository.getAllBridges();
+            if (options.json) return _printJson(bridges);
+            _printTable(bridges, { ID: 'id', NOMBRE: 'name', ESTADO: 'status', CANALES: 'channel_count' });
+        }
+    },
+    {
+        name: 'bridge show',
+        usage: '<puente>',
+        options: '[--json]',
+        description: 'Detalle de un puente: configuración y canales',
+        repository: true,
+        run: ({ repository, args, options }) => {
+            const bridge = _requireBridge(repository, args.puente);
+            const channels = repository.getBridgeTopology(bridge.id);
+            if (options.json) return _printJson({ ...bridge, channels });
+
+            console.log(`Puente:  ${bridge.name} [${bridge.id}]`);
+            console.log(`Estado:  ${bridge.status}`);
+            console.log(`Reglas:  ${bridge.config?.rules?.length || 0}`);
+            console.log('');
+            _printTable(channels.map(channel => ({ ...channel, rules: channel.config?.rules?.length || 0 })), { PLATAFORMA: 'platform', 'ID NATIVO': 'native_id', REGLAS: 'rules' });
+        }
+    },
+    {
+        name: 'bridge create',
+        usage: '<nombre...>',
+        options: '[--id <uuid>]',
+        description: 'Crea un puente',
+        repository: true,
+        run: ({ repository, args, options, actor }) => {
+            if (options.id && repository.getBridge(options.id)) throw new Error(`Ya existe un puente con ID ${options.id}`);
+            const bridgeId = repository.createBridge(args.nombre, options.id);
+            repository.recordAudit({ actor, action: 'bridge.create', target: { type: 'bridge', id: bridgeId }, bridgeId, after: { name: args.nombre, status: 'on' } });
+            console.log(`Puente creado: ${args.nombre} [${bridgeId}]`);
+        }
+    },
+    {
+        name: 'bridge status',
+        usage: '<puente> <estado>',
+        description: `Cambia el estado de un puente (${BRIDGE_STATUSES.join(', ')})`,
+        repository: true,
+        run: ({ repository, args, actor }) => {
+            const status = args.estado.toLowerCase();
+            if (!BRIDGE_STATUSES.includes(status)) throw new UsageError(`Estado no válido: ${args.estado}`);
+
+            const bridge = _requireBridge(repository, args.puente);
+            repository.updateBridgeStatus(bridge.id, status);
+            repository.recordAudit({ actor, action: 'bridge.status', target: { type: 'bridge', id: bridge.id }, bridgeId: bridge.id, before: { status: bridge.status }, after: { status } });
+            console.log(`Puente ${bridge.name} [${bridge.id}]: ${bridge.status} → ${status}`);
+        }
+    },
+    {
+        name: 'channel list',
+        options: '[--platform <red>] [--json]',
+        description: 'Lista los canales vinculados y su puente',
+        repository: true,
+        run: ({ repository, options }) => {
+            const channels = repository.getAllBridges().flatMap(bridge => repository.getBridgeTopology(bridge.id)
+                .filter(channel => !options.platform || channel.platform === options.platform)
+                .map(channel => ({ platform: channel.platform, native_id: channel.native_id, bridge_id: bridge.id, bridge_name: bridge.name, config: channel.config })));
+            if (options.json) return _printJson(channels);
+            _printTable(channels, { PLATAFORMA: 'platform', 'ID NATIVO': 'native_id', PUENTE: 'bridge_name', 'ID PUENTE': 'bridge_id' });
+        }
+    },
+    {
+        name: 'channel link',
+        usage: '<puente> <plataforma> <canal>',
+        description: 'Vincula un canal a un puente (si pertenecía a otro, se migra conservando su configuración)',
+        repository: true,
+        run: ({ repository, args, actor }) => {
+            const bridge = _requireBridge(repository, args.puente);
+            const previous = repository.getChannelLink(args.plataforma, args.canal);
+            if (previous?.bridge_id === bridge.id) {
+                console.log(`El canal ${args.plataforma}:${args.canal} ya pertenece a ${bridge.name}.`);
+                return;
+            }
+
+            repository.linkChannelToBridge({ bridgeId: bridge.id, platform: args.plataforma, nativeId: args.canal, config: previous?.config || {} });
+            repository.recordAudit({
+                actor,
+                action: 'channel.link',
+                target: { type: 'channel', id: `${args.plataforma}:${args.canal}` },
+                bridgeId: bridge.id,
+                before: previous ? { bridgeId: previous.bridge_id } : null,
+                after: { bridgeId: bridge.id }
+            });
+            console.log(`Canal ${args.plataforma}:${args.canal} vinculado a ${bridge.name} [${bridge.id}]${previous ? ` (antes en ${previous.bridge_id})` : ''}.`);
+        }
+    },
+    {
+        name: 'channel unlink',
+        usage: '<plataforma> <canal>',
+        description: 'Desvincula un canal de su puente',
+        repository: true,
+        run: ({ repository, args, actor }) => {
+            const link = repository.getChannelLink(args.plataforma, args.canal);
+            if (!link) throw new Error(`Canal no vinculado: ${args.plataforma}:${args.canal}`);
+
+            repository.unlinkChannel(args.plataforma, args.canal);
+            repository.recordAudit({
+                actor,
+                action: 'channel.unlink',
+                target: { type: 'channel', id: `${args.plataforma}:${args.canal}` },
+                bridgeId: link.bridge_id,
+                before: { bridgeId: link.bridge_id, config: link.config }
+            });
+            console.log(`Canal ${args.plataforma}:${args.canal} desvinculado de ${link.bridge_id}.`);
+        }
+    },
+    {
+        name: 'dlq list',
+        options: `[--platform <red>] [--limit <n>] [--json]`,
+        description: `Mensajes muertos más recientes (${DLQ_DEFAULT_LIMIT} por defecto)`,
+        repository: true,
+        run: ({ repository, options }) => {
+            const limit = _parseLimit(options.limit, DLQ_DEFAULT_LIMIT);
+            const entries = repository.listDeadLetters({ platform: options.platform || null, limit });
+            if (options.json) return _printJson(entries);
+
+            const counts = Object.entries(repository.countDeadLetters()).map(([platform, count]) => `${platform}: ${count}`);
+            console.log(`Total por plataforma: ${counts.join(' · ') || 'cola vacía'}\n`);
+            _printTable(entries.map(entry => ({
+                ...entry,
+                failed: _formatDate(entry.failed_at),
+                reason: (entry.failure_reason || '').slice(0, 60)
+            })), { ID: 'id', PLATAFORMA: 'platform', CANAL: 'channel_id', INTENTOS: 'attempts', FECHA: 'failed', MOTIVO: 'reason' });
+            console.log('\nLos reenvíos necesitan las colas del nodo en marcha: usa `!dlq retry` o la API de gestión.');
+        }
+    },
+    {
+        name: 'dlq show',
+        usage: '<id>',
+        description: 'Envoltorio completo e historial de intentos de un mensaje muerto',
+        repository: true,
+        run: ({ repository, args }) => _printJson(_requireDeadLetter(repository, args.id))
+    },
+    {
+        name: 'dlq delete',
+        usage: '<id>',
+        description: 'Descarta un mensaje muerto',
+        repository: true,
+        run: ({ repository, args, actor }) => {
+            const entry = _requireDeadLetter(repository, args.id);
+            repository.deleteDeadLetter(entry.id);
+            repository.recordAudit({ actor, action: 'dlq.delete', target: { type: 'dead_letter', id: entry.id }, before: { platform: entry.platform, channelId: entry.channel_id } });
+            console.log(`Mensaje muerto #${entry.id} descartado.`);
+        }
+    },
+    {
+        name: 'dlq purge',
+        options: '[--platform <red>]',
+        description: 'Descarta todos los mensajes muertos (o los de una plataforma)',
+        repository: true,
+        run: ({ repository, options, actor }) => {
+            const platform = options.platform || null;
+            const removed = repository.purgeDeadLetters(platform);
+            repository.recordAudit({ actor, action: 'dlq.purge', after: { platform, removed } });
+            console.log(`${removed} mensajes muertos descartados.`);
+        }
+    },
+    ...TOPOLOGY_COMMANDS,
+    {
+        name: 'whatsapp pair',
+        options: '[--phone <número>]',
+        description: 'Vincula la cuenta de WhatsApp (QR en la terminal, o código de emparejamiento con --phone)',
+        run: ({ options, logger }) => _pairWhatsApp(options.phone, logger)
+    },
+    {
+        name: 'telegram session',
+        description: 'Inicia sesión con la cuenta de usuario de Telegram y genera TELEGRAM_USERBOT_SESSION',
+        run: ({ logger }) => _createTelegramSession(logger)
+    },
+    {
+        name: 'config check',
+        description: 'Valida la configuración, los manifiestos de plugins, las credenciales y permissions.json',
+        run: () => _checkConfig()
+    }
+].map(command => ({ ...command, params: parseUsage(command.usage) }));
+
+/**
+ * Punto de entrada: resuelve el comando más largo que coincide con los argumentos y lo ejecuta.
+ *
+ * @param {Array<string>} argv - Argumentos sin `node` ni el script (process.argv.slice(2)).
+ * @returns {Promise<number>} Código de salida (0 correcto, 1 error, 2 uso incorrecto).
+ */
+export async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`Error: ${error.message}\n`);
+        console.error(_formatHelp());
+        return 2;
+    }
+
+    const { positionals, values: options } = parsed;
+    const command = _matchCommand(positionals);
+    if (!command) {
+        // Sin comando, `help` o solo el grupo (`openchat dlq`): ayuda general o del grupo
+        const requested = positionals[0] === 'help' ? positionals.slice(1).join(' ') : positionals.join(' ');
+        const isGroup = positionals.length <= 1 || positionals[0] === 'help';
+        if (requested && (!isGroup || !_findGroup(requested))) console.error(`Comando desconocido: ${requested}\n`);
+        console.error(_formatHelp(requested));
+        return options.help || (isGroup && (!requested || _findGroup(requested))) ? 0 : 2;
+    }
+    if (options.help) {
+        console.error(_formatUsage(command));
+        return 0;
+    }
+
+    const args = bindArgs(command.params, positionals.slice(command.name.split(' ').length));
+    if (!args) {
+        console.error(`Faltan argumentos.\nUso: ${_formatUsage(command)}`);
+        return 2;
+    }
+
+    // Los registros van a stderr (warn/error) para no mezclarse con la salida de los comandos
+    const logger = new Logger({ ...config, system: { ...config.system, logLevel: (process.env.LOG_LEVEL || 'warn').toLowerCase() } });
+    const repository = command.repository ? new Repository(config, logger) : null;
+
+    try {
+        if (repository) await repository.connect();
+        await command.run({
+            args,
+            options,
+            logger,
+            repository,
+            actor: { platform: 'cli', userId: os.userInfo().username }
+        });
+        return process.exitCode || 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\nUso: ${_formatUsage(command)}`);
+            return 2;
+        }
+        console.error(`Error: ${error.message}`);
+        return 1;
+    } finally {
+        if (repository) await repository.disconnect();
+    }
+}
+
+function _matchCommand(positionals) {
+    const words = positionals.map(word => word.toLowerCase());
+    return COMMANDS
+        .filter(command => command.name.split(' ').every((part, index) => words[index] === part))
+        .sort((a, b) => b.name.length - a.name.length)[0] || null;
+}
+
+function _formatUsage(command) {
+    return ['openchat', command.name, command.usage, command.options].filter(Boolean).join(' ');
+}
+
+/**
+ * Ayuda general, o la de un grupo (`openchat bridge`) si `prefix` coincide con alguno.
+ */
+function _formatHelp(prefix = '') {
+    const commands = _findGroup(prefix);
+    const listed = commands || COMMANDS;
+    const width = Math.max(...listed.map(command => _formatUsage(command).length));
+    const lines = listed.map(command => `  ${_formatUsage(command).padEnd(width)}  ${command.description}`);
+    return `Uso: openchat <comando> [argumentos] [opciones]\n\n${lines.join('\n')}\n\nVariables: LOG_LEVEL (por defecto warn). Los datos se leen de ./data desde el directorio actual.`;
+}
+
+function _findGroup(prefix) {
+    const group = prefix.toLowerCase().split(/\s+/)[0];
+    const commands = COMMANDS.filter(command => command.name.startsWith(`${group} `));
+    return commands.length > 0 ? commands : null;
+}
+
+function _requireBridge(repository, bridgeId) {
+    const bridge = repository.getBridge(bridgeId);
+    if (!bridge) throw new Error(`Puente no encontrado: ${bridgeId}`);
+    return bridge;
+}
+
+function _requireDeadLetter(repository, id) {
+    const entry = /^\d+$/.test(id) ? repository.getDeadLetter(Number(id)) : null;
+    if (!entry) throw new Error(`Mensaje muerto no encontrado: ${id}`);
+    return entry;
+}
+
+function _parseLimit(value, fallback) {
+    if (value === undefined) return fallback;
+    if (!/^\d+$/.test(value) || Number(value) === 0) throw new UsageError(`Límite no válido: ${value}`);
+    return Number(value);
+}
+
+/**
+ * Emparejamiento de WhatsApp fuera del nodo: usa el mismo almacén de credenciales que el adaptador.
+ * El nodo debe estar detenido (WhatsApp cierra la sesión más antigua si ambos conectan a la vez).
+ */
+async function _pairWhatsApp(phoneNumber, logger) {
+    const [{ default: WhatsAppAdapter }, { default: qrcode }, { StorageService }] = await Promise.all([
+        import('../adapters/whatsapp/index.js'),
+        import('qrcode-terminal'),
+        import('../core/infra/storage.js')
+    ]);
+
+    const storage = new StorageService(config, logger);
+    await storage.connect();
+    const adapter = new WhatsAppAdapter();
+    await adapter.init({ pluginName: 'whatsapp', config, logger, storage });
+
+    console.log(phoneNumber
+        ? 'Solicitando código de emparejamiento...'
+        : 'Escanea el QR desde WhatsApp > Dispositivos vinculados > Vincular un dispositivo:');
+    const { alreadyPaired, user } = await adapter.pair({
+        phoneNumber,
+        onQr: (qr) => qrcode.generate(qr, { small: true }),
+        onPairingCode: (code) => console.log(`Código de emparejamiento: ${code}\nIntrodúcelo en WhatsApp > Dispositivos vinculados > Vincular con número de teléfono.`)
+    });
+
+    console.log(alreadyPaired
+        ? `Ya existe una sesión vinculada (${user?.id || 'cuenta desconocida'}). Borra data/auth_whatsapp para vincular otra cuenta.`
+        : `WhatsApp vinculado como ${user?.id || 'cuenta desconocida'}. Arranca el nodo con normalidad.`);
+}
+
+async function _createTelegramSession(logger) {
+    const { default: TelegramUserbotAdapter } = await import('../adapters/user-tele/index.js');
+    const adapter = new TelegramUserbotAdapter();
+    await adapter.init({ pluginName: 'user-tele', config, logger });
+
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    try {
+        const session = await adapter.createSession(
+            async (question, { secret = false } = {}) => {
+                // Sin eco para la contraseña 2FA
+                if (!secret) return (await prompt.question(question)).trim();
+                const write = prompt._writeToOutput;
+                prompt._writeToOutput = (text) => { if (text.startsWith(question)) write.call(prompt, text); };
+                try {
+                    return (await prompt.question(question)).trim();
+                } finally {
+                    prompt._writeToOutput = write;
+                    process.stderr.write('\n');
+                }
+            },
+            { onError: (error) => console.error(`Telegram rechazó el dato: ${error.message}`) }
+        );
+        console.error('\nSesión generada. Añádela al entorno (.env):\n');
+        console.log(`TELEGRAM_USERBOT_SESSION=${session}`);
+    } finally {
+        prompt.close();
+    }
+}
+
+/**
+ * Validación estática de la configuración. Termina con código 1 si encuentra errores.
+ */
+async function _checkConfig() {
+    const errors = [];
+    const warnings = [];
+    const ok = [];
+
+    // Plugins: manifiestos, esquema de configuración y selección enabled/disabled
+    const plugins = new Map();
+    for (const dir of PLUGIN_DIRECTORIES) {
+        const entries = await fs.readdir(path.resolve(process.cwd(), dir), { withFileTypes: true }).catch(() => []);
+        for (const entry of entries.filter(item => item.isDirectory())) {
+            const pluginDir = path.resolve(process.cwd(), dir, entry.name);
+            // Igual que el PluginLoader: sin index.js no es un plugin
+            if (!(await fs.access(path.join(pluginDir, 'index.js')).then(() => true, () => false))) continue;
+            try {
+                const manifest = parseManifest(JSON.parse(await fs.readFile(path.join(pluginDir, 'plugin.json'), 'utf8')), entry.name);
+                plugins.set(entry.name, manifest);
+            } catch (error) {
+                if (error.code === 'ENOENT') plugins.set(entry.name, null);
+                else errors.push(`[${entry.name}] ${error.message}`);
+            }
+        }
+    }
+
+    const selection = config.plugins || {};
+    for (const name of [...(selection.enabled || []), ...(selection.disabled || [])]) {
+        if (!plugins.has(name)) errors.push(`PLUGINS_ENABLED/PLUGINS_DISABLED menciona un plugin inexistente: ${name}`);
+    }
+    const active = [...plugins.keys()].filter(name =>
+        (!selection.enabled?.length || selection.enabled.includes(name)) && !(selection.disabled || []).includes(name));
+    ok.push(`Plugins activos al arrancar: ${active.join(', ') || 'ninguno'}`);
+
+    for (const name of active) {
+        const manifest = plugins.get(name);
+        if (!manifest) continue;
+        for (const message of validateConfig(manifest.configSchema, config)) errors.push(`[${name}] ${message}`);
+        const missingDeps = manifest.dependencies.filter(dep => !active.includes(dep));
+        if (missingDeps.length > 0) errors.push(`[${name}] Depende de plugins inactivos: ${missingDeps.join(', ')}`);
+
+        const missingCredentials = (ADAPTER_CREDENTIALS[name] || []).filter(([, read]) => !read(config.tokens || {})).map(([env]) => env);
+        if (missingCredentials.length > 0) warnings.push(`[${name}] Sin credenciales (${missingCredentials.join(', ')}): el adaptador quedará inactivo`);
+    }
+
+    // Núcleo
+    if (!Array.isArray(config.bot?.prefixes) || config.bot.prefixes.length === 0) errors.push('bot.prefixes debe contener al menos un prefijo');
+    if (!['redis', 'memory'].includes(config.queue?.driver)) errors.push(`QUEUE_DRIVER no válido: ${config.queue?.driver} (redis | memory)`);
+    if (config.queue?.driver === 'memory') warnings.push('QUEUE_DRIVER=memory: los mensajes pendientes se pierden al reiniciar');
+    if (active.includes('management_api') && config.api?.enabled !== false && !config.api?.token) warnings.push('API_TOKEN vacío: la API de gestión no se expondrá');
+    if (active.includes('management_api') && active.includes('metrics_exporter')
+        && config.api?.enabled !== false && config.metrics?.enabled !== false && config.api?.port === config.metrics?.port) {
+        errors.push(`API_PORT y METRICS_PORT coinciden (${config.api.port})`);
+    }
+
+    // permissions.json (misma ruta y formatos que PermissionManager)
+    const permissionsPath = path.resolve(process.cwd(), 'config', 'permissions.json');
+    try {
+        const parsed = JSON.parse(await fs.readFile(permissionsPath, 'utf8'));
+        const roles = parsed.roles || parsed;
+        for (const role of ['owner', 'admin', 'mod']) {
+            const entries = roles[role] ?? [];
+            if (!Array.isArray(entries)) {
+                errors.push(`permissions.json: "${role}" debe ser una lista`);
+                continue;
+            }
+            entries.forEach((entry, index) => {
+                if (!entry?.platform || entry.id === undefined) errors.push(`permissions.json: ${role}[${index}] necesita "platform" e "id"`);
+            });
+        }
+        ok.push('permissions.json válido');
+    } catch (error) {
+        if (error.code === 'ENOENT') warnings.push('Sin config/permissions.json: todos los usuarios tendrán rol de usuario');
+        else errors.push(`permissions.json ilegible: ${error.message}`);
+    }
+    if (!process.env.GLOBAL_SUDO) warnings.push('GLOBAL_SUDO vacío: no hay superusuario global');
+
+    for (const line of ok) console.log(`✔ ${line}`);
+    for (const line of warnings) console.log(`⚠ ${line}`);
+    for (const line of errors) console.log(`✖ ${line}`);
+    console.log(`\n${errors.length} errores, ${warnings.length} avisos.`);
+    if (errors.length > 0) process.exitCode = 1;
+}
+
+function _printJson(value) {
+    console.log(JSON.stringify(value, null, 2));
+}
+
+/**
+ * Tabla de texto alineada. `columns` es { CABECERA: 'campo' }.
+ */
+function _printTable(rows, columns) {
+    if (rows.length === 0) {
+        console.log('(sin resultados)');
+        return;
+    }
+    const headers = Object.keys(columns);
+    const cells = rows.map(row => headers.map(header => String(row[columns[header]] ?? '-')));
+    const widths = headers.map((header, index) => Math.max(header.length, ...cells.map(line => line[index].length)));
+    const format = (line) => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+    console.log([format(headers), ...cells.map(format)].join('\n'));
+}
+
+function _formatDate(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString().replace('T', ' ').slice(0, 16) : '-';
+}
@@ -0,0 +1,60 @@
+// src/cli/topology.js
+import fs from 'node:fs/promises';
+import process from 'node:process';
+import {
+    exportTopology,
+    parseTopology,
+    serializeTopology,
+    detectTopologyFormat,
+    applyTopology,
+    formatTopologyPlan
+} from '../core/infra/topology.js';
+
+/**
+ * Subcomandos `topology` de la CLI: instantáneas declarativas de la topología (bridges, canales,
+ * configuración y estado) sobre data/topology.db. `openchat` los incorpora a su catálogo y
+ * `node topology.js` es un atajo hacia ellos.
+ * Cada entrada sigue el formato del catálogo de la CLI: { name, usage, options, description, repository, run(ctx) }.
+ */
+export const TOPOLOGY_COMMANDS = [
+    {
+        name: 'topology export',
+        usage: '[archivo]',
+        options: '[--json]',
+        description: 'Vuelca la topología (YAML por defecto; sin archivo, a stdout)',
+        repository: true,
+        run: async ({ repository, args, options }) => {
+            const format = options.json || (args.archivo && detectTopologyFormat(args.archivo) === 'json') ? 'json' : 'yaml';
+            const output = serializeTopology(exportTopology(repository), format);
+            if (!args.archivo) {
+                process.stdout.write(output);
+                return;
+            }
+            await fs.writeFile(args.archivo, output);
+            console.error(`Topología exportada a ${args.archivo}.`);
+        }
+    },
+    {
+        name: 'topology apply',
+        usage: '<archivo>',
+        options: '[--dry-run] [--prune]',
+        description: 'Reconcilia la base de datos con el archivo (--prune elimina los puentes que no figuran en él)',
+        repository: true,
+        run: ({ repository, args, options, actor }) => _applyTopologyFile(repository, args.archivo, { prune: options.prune, dryRun: options['dry-run'], actor })
+    },
+    {
+        name: 'topology diff',
+        usage: '<archivo>',
+        options: '[--prune]',
+        description: 'Muestra los cambios que aplicaría `topology apply` sin aplicarlos',
+        repository: true,
+        run: ({ repository, args, options, actor }) => _applyTopologyFile(repository, args.archivo, { prune: options.prune, dryRun: true, actor })
+    }
+];
+
+async function _applyTopologyFile(repository, file, { prune, dryRun, actor }) {
+    const topology = parseTopology(await fs.readFile(file, 'utf8'), detectTopologyFormat(file));
+    const changes = applyTopology(repository, topology, { prune, dryRun, actor });
+    console.log(formatTopologyPlan(changes));
+    if (changes.length > 0) console.log(dryRun ? '\n(Simulación: no se ha aplicado ningún cambio)' : '\nCambios aplicados.');
+}
@@ -0,0 +1,218 @@
+// src/core/infra/memory_queue.js
+import { EventEmitter } from 'node:events';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Backend de colas en proceso (sin Redis).
+ * Reproduce el subconjunto de BullMQ que usa QueueManager: `add` con jobId idempotente, reintentos con
+ * retroceso (fixed/exponential), concurrencia, limitador de tasa y eventos `completed`/`failed`.
+ * Los trabajos viven solo en memoria: un reinicio del proceso descarta los pendientes.
+ */
+export class MemoryQueue extends EventEmitter {
+    constructor(name) {
+        super();
+        this.name = name;
+        this.waiting = [];
+        this.delayed = new Map(); // jobId -> { job, timer }
+        this.active = new Set();
+        this.jobs = new Map(); // Trabajos aún no retirados (para la idempotencia del jobId)
+        this.completedIds = [];
+        this.failedIds = [];
+        this.closed = false;
+    }
+
+    /**
+     * Encola un trabajo. Igual que en BullMQ, un jobId ya existente (pendiente o retenido) se ignora.
+     *
+     * @param {string} name - Nombre del trabajo
+     * @param {Object} data - Carga útil
+     * @param {Object} [opts] - { jobId, attempts, backoff, delay, removeOnComplete, removeOnFail }
+     * @returns {Promise<Object>} Trabajo encolado (o el existente)
+     */
+    async add(name, data, opts = {}) {
+        if (this.closed) throw new Error(`[MemoryQueue] La cola ${this.name} está cerrada.`);
+
+        const id = opts.jobId ? String(opts.jobId) : randomUUID();
+        if (this.jobs.has(id)) return this.jobs.get(id);
+
+        const job = {
+            id,
+            name,
+            data,
+            opts: { attempts: 1, ...opts },
+            attemptsMade: 0,
+            timestamp: Date.now(),
+            failedReason: null
+        };
+        this.jobs.set(id, job);
+
+        if (opts.delay > 0) this._schedule(job, opts.delay);
+        else this._enqueue(job);
+        return job;
+    }
+
+    /**
+     * Recuento de trabajos por estado (misma forma que `Queue.getJobCounts` de BullMQ).
+     */
+    async getJobCounts(...states) {
+        const counts = {
+            waiting: this.waiting.length,
+            active: this.active.size,
+            delayed: this.delayed.size,
+            completed: this.completedIds.length,
+            failed: this.failedIds.length
+        };
+        if (states.length === 0) return counts;
+        return Object.fromEntries(states.map(state => [state, counts[state] ?? 0]));
+    }
+
+    async close() {
+        this.closed = true;
+        for (const { timer } of this.delayed.values()) clearTimeout(timer);
+        this.delayed.clear();
+    }
+
+    _enqueue(job) {
+        this.waiting.push(job);
+        this.emit('waiting', job);
+    }
+
+    _schedule(job, delay) {
+        const timer = setTimeout(() => {
+            this.delayed.delete(job.id);
+            if (!this.closed) this._enqueue(job);
+        }, delay);
+        this.delayed.set(job.id, { job, timer });
+    }
+
+    _take() {
+        const job = this.waiting.shift();
+        if (job) this.active.add(job);
+        return job;
+    }
+
+    _complete(job) {
+        this.active.delete(job);
+        this._retain(job, this.completedIds, job.opts.removeOnComplete);
+    }
+
+    /**
+     * Registra un intento fallido: reprograma el trabajo si quedan intentos o lo da por fallido.
+     * @returns {boolean} True si el trabajo se reintentará
+     */
+    _fail(job, error) {
+        this.active.delete(job);
+        job.attemptsMade++;
+        job.failedReason = error?.message || String(error);
+
+        if (job.attemptsMade < job.opts.attempts && !this.closed) {
+            this._schedule(job, _backoffDelay(job.opts.backoff, job.attemptsMade));
+            return true;
+        }
+        this._retain(job, this.failedIds, job.opts.removeOnFail);
+        return false;
+    }
+
+    /**
+     * Conserva el ID del trabajo terminado según la política `removeOn*` (true = no conservar,
+     * número = conservar los N más recientes), liberando su jobId cuando se retira.
+     */
+    _retain(job, list, policy) {
+        if (policy === true) {
+            this.jobs.delete(job.id);
+            return;
+        }
+        list.push(job.id);
+        const limit = typeof policy === 'number' ? policy : Infinity;
+        while (list.length > limit) this.jobs.delete(list.shift());
+    }
+}
+
+/**
+ * Consumidor en proceso de una MemoryQueue, con la misma interfaz de eventos que el Worker de BullMQ.
+ */
+export class MemoryWorker extends EventEmitter {
+    /**
+     * @param {MemoryQueue} queue - Cola a consumir
+     * @param {Function} processor - async (job) => resultado
+     * @param {Object} [options] - { concurrency, limiter: { max, duration } }
+     */
+    constructor(queue, processor, options = {}) {
+        super();
+        this.queue = queue;
+        this.processor = processor;
+        this.concurrency = options.concurrency || 1;
+        this.limiter = options.limiter || null;
+        this.running = new Set();
+        this.startedAt = []; // Marcas de inicio dentro de la ventana del limitador
+        this.limiterTimer = null;
+        this.closing = false;
+
+        this._onWaiting = () => this._drain();
+        this.queue.on('waiting', this._onWaiting);
+        setImmediate(() => this._drain());
+    }
+
+    _drain() {
+        while (!this.closing && this.running.size < this.concurrency && this.queue.waiting.length > 0) {
+            if (!this._acquireRateSlot()) return;
+            const job = this.queue._take();
+            const run = this._run(job).finally(() => {
+                this.running.delete(run);
+                this._drain();
+            });
+            this.running.add(run);
+        }
+    }
+
+    /**
+     * Ventana deslizante del limitador: como máximo `max` trabajos iniciados cada `duration` ms.
+     */
+    _acquireRateSlot() {
+        if (!this.limiter) return true;
+
+        const now = Date.now();
+        this.startedAt = this.startedAt.filter(time => now - time < this.limiter.duration);
+        if (this.startedAt.length < this.limiter.max) {
+            this.startedAt.push(now);
+            return true;
+        }
+
+        if (!this.limiterTimer) {
+            const wait = this.limiter.duration - (now - this.startedAt[0]);
+            this.limiterTimer = setTimeout(() => {
+                this.limiterTimer = null;
+                this._drain();
+            }, wait);
+        }
+        return false;
+    }
+
+    async _run(job) {
+        try {
+            const result = await this.processor(job);
+            this.queue._complete(job);
+            this.emit('completed', job, result);
+        } catch (error) {
+            this.queue._fail(job, error);
+            this.emit('failed', job, error);
+        }
+    }
+
+    /**
+     * Deja de tomar trabajos nuevos y espera a que terminen los que están en curso.
+     */
+    async close() {
+        this.closing = true;
+        this.queue.off('waiting', this._onWaiting);
+        if (this.limiterTimer) clearTimeout(this.limiterTimer);
+        await Promise.allSettled([...this.running]);
+    }
+}
+
+function _backoffDelay(backoff, attemptsMade) {
+    if (!backoff) return 0;
+    if (typeof backoff === 'number') return backoff;
+    if (backoff.type === 'exponential') return backoff.delay * 2 ** (attemptsMade - 1);
+    return backoff.delay || 0;
+}
@@ -31,7 +31,8 @@ export class MessageBus {
     async connect() {
         const redisUrl = this.config.redis?.url;
 
-        if (redisUrl && redisUrl !== 'memory' && this.config.system?.env === 'production') {
+        // Sin Redis para las colas tampoco se usa para el bus (despliegues pequeños de un solo nodo)
+        if (redisUrl && redisUrl !== 'memory' && this.config.system?.env === 'production' && this.config.queue?.driver !== 'memory') {
             this.mode = 'redis';
             this.logger.info('Inicializando MessageBus en modo Distribuido (Redis Pub/Sub)...');
             await this._initRedis(redisUrl);
@@ -2,14 +2,16 @@
 import { Queue, Worker } from 'bullmq';
 import Redis from 'ioredis';
 import { randomUUID } from 'node:crypto';
+import { MemoryQueue, MemoryWorker } from './memory_queue.js';
 
 /**
  * Gestor avanzado de colas basado en BullMQ.
  * Centraliza la limitación de tasa (Rate Limiting) dinámica por plataforma
  * y maneja los reintentos automáticos para mitigar errores 429 de APIs externas.
+ * Con `queue.driver = 'memory'` usa un backend en proceso equivalente y no requiere Redis.
  */
 export class QueueManager {
-    constructor(configInstance, logger) {
+    constructor(configInstance, logger, metrics = null) {
         // Obtenemos la configuración inmutable inyectada por el Kernel
         this.config = configInstance? configInstance || {} : {};
         this.logger = logger;
@@ -18,6 +20,26 @@ export class QueueManager {
         this.queues = new Map();
         this.workers = new Map();
         this.redisClient = null;
+        this.driver = this.config.queue?.driver === 'memory' ? 'memory' : 'redis';
+
+        // Cola de mensajes muertos: almacén persistente (Repository) e historial de intentos por trabajo
+        this.deadLetterStore = null;
+        this.attemptHistory = new Map();
+
+        // Telemetría: resultado de cada trabajo Egress y profundidad de cada cola (calculada al leer /metrics)
+        if (metrics) {
+            this.jobCounter = metrics.counter({
+                name: 'openchat_egress_jobs_total',
+                help: 'Trabajos Egress procesados por cola y resultado (completed, failed, retried)',
+                labelNames: ['queue', 'status']
+            });
+            this.depthGauge = metrics.gauge({
+                name: 'openchat_queue_depth',
+                help: 'Trabajos en la cola BullMQ por estado',
+                labelNames: ['queue', 'state']
+            });
+            metrics.registerCollector(() => this._collectQueueDepth());
+        }
     }
 
     /**
@@ -25,11 +47,17 @@ export class QueueManager {
      * BullMQ requiere maxRetriesPerRequest en null obligatoriamente.
      */
     async connect() {
+        if (this.driver === 'memory') {
+            if (this.logger) this.logger.info('Inicializando QueueManager en modo Local (colas en memoria, sin Redis)...');
+            return;
+        }
+
         if (this.logger) this.logger.info('Inicializando QueueManager (BullMQ)...');
 
         const redisUrl = this.config.redis?.url  ||  'redis://127.0.0.1:6379';
+        const connectTimeout = this.config.queue?.connect_timeout  ||  10000;
 
-        return new Promise((resolve) => {
+        return new Promise((resolve, reject) => {
             this.redisClient = new Redis(redisUrl, {
                 maxRetriesPerRequest: null,
                 // Estrategia de Retroceso (Backoff) progresivo
@@ -38,10 +66,20 @@ export class QueueManager {
 
             let isResolved = false;
 
+            // Sin este límite, un Redis inalcanzable dejaba el arranque del Kernel colgado indefinidamente
+            const timer = setTimeout(() => {
+                if (isResolved) return;
+                isResolved = true;
+                this.redisClient.disconnect();
+                this.redisClient = null;
+                reject(new Error(`Redis inalcanzable en ${redisUrl} tras ${connectTimeout}ms. Usa QUEUE_DRIVER=memory para operar sin Redis.`));
+            }, connectTimeout);
+
             this.redisClient.on('ready', () => {
                 if (!isResolved) {
                     if (this.logger) this.logger.info('Conexión nativa de Redis para BullMQ establecida exitosamente.');
                     isResolved = true;
+                    clearTimeout(timer);
                     resolve();
                 }
             });
@@ -59,7 +97,9 @@ export class QueueManager {
      */
     _getQueue(queueName) {
         if (!this.queues.has(queueName)) {
-            const queue = new Queue(queueName, { connection: this.redisClient });
+            const queue = this.driver === 'memory'
+                ? new MemoryQueue(queueName)
+                : new Queue(queueName, { connection: this.redisClient });
             this.queues.set(queueName, queue);
         }
         return this.queues.get(queueName);
@@ -108,7 +148,6 @@ export class QueueManager {
         }
 
         const workerOptions = {
-            connection: this.redisClient,
             concurrency: limitOptions.concurrency  ||  5
         };
 
@@ -120,7 +159,7 @@ export class QueueManager {
             };
         }
 
-        const worker = new Worker(queueName, async (job) => {
+        const processor = async (job) => {
             // Extracción de contexto para observabilidad en el Worker aislado
             const correlationId = job.data.correlationId  ||  job.data.head?.correlationId  ||  job.id;
 
@@ -132,9 +171,35 @@ export class QueueManager {
             } else {
                 return processorFn(job);
             }
-        }, workerOptions);
+        };
+
+        const worker = this.driver === 'memory'
+            ? new MemoryWorker(this._getQueue(queueName), processor, workerOptions)
+            : new Worker(queueName, processor, { ...workerOptions, connection: this.redisClient });
+
+        worker.on('completed', (job) => {
+            this.jobCounter?.inc({ queue: queueName, status: 'completed' });
+            if (job) this.attemptHistory.delete(`${queueName}:${job.id}`);
+        });
 
         worker.on('failed', (job, err) => {
+            // Si quedan intentos, BullMQ lo reprogramará: se cuenta como reintento y no como fallo definitivo
+            const willRetry = job && job.attemptsMade < (job.opts?.attempts || 1);
+            this.jobCounter?.inc({ queue: queueName, status: willRetry ? 'retried' : 'failed' });
+
+            if (job) {
+                const historyKey = `${queueName}:${job.id}`;
+                const history = this.attemptHistory.get(historyKey) || [];
+                history.push({ attempt: job.attemptsMade, error: err.message, at: Date.now() });
+
+                if (willRetry) {
+                    this.attemptHistory.set(historyKey, history);
+                } else {
+                    this.attemptHistory.delete(historyKey);
+                    this._deadLetter(queueName, job, err, history);
+                }
+            }
+
             if (this.logger) {
                 this.logger.error(`Trabajo fallido en cola delegada [${queueName}] (ID: ${job?.id}):`, {
                     error: err.message,
@@ -147,6 +212,94 @@ export class QueueManager {
         this.workers.set(queueName, worker);
     }
 
+    /**
+     * Cierra el worker de una cola (esperando a los trabajos en curso) para que pueda volver
+     * a registrarse, p. ej. al recargar en caliente el adaptador que la consume.
+     * Los trabajos pendientes permanecen en la cola.
+     *
+     * @param {string} queueName - Cola cuyo consumidor se detiene
+     * @returns {Promise<boolean>} True si había un worker registrado
+     */
+    async stopProcessing(queueName) {
+        const worker = this.workers.get(queueName);
+        if (!worker) return false;
+
+        await worker.close();
+        this.workers.delete(queueName);
+        if (this.logger) this.logger.info(`Worker de la cola [${queueName}] detenido.`);
+        return true;
+    }
+
+    /**
+     * Asigna el almacén persistente de la cola de mensajes muertos (DLQ).
+     * Sin almacén, los trabajos agotados solo quedan retenidos por `removeOnFail`.
+     *
+     * @param {Object} store - Repository con `addDeadLetter`, `getDeadLetter` y `deleteDeadLetter`
+     */
+    setDeadLetterStore(store) {
+        this.deadLetterStore = store;
+    }
+
+    /**
+     * Mueve a la DLQ un trabajo que agotó todos sus intentos.
+     */
+    _deadLetter(queueName, job, err, history) {
+        if (!this.deadLetterStore) return;
+
+        const platform = queueName.match(/^queue_(.+)_out$/)?.[1] || job.data?.head?.dest?.platform || 'unknown';
+        this.deadLetterStore.addDeadLetter({
+            queueName,
+            platform,
+            jobId: job.id,
+            envelope: job.data,
+            reason: err.message,
+            attempts: job.attemptsMade,
+            history
+        });
+    }
+
+    /**
+     * Reencola una entrada de la DLQ en su cola original con la política de reintentos por defecto.
+     * La entrada se retira de la DLQ; si vuelve a agotar sus intentos, se registrará de nuevo.
+     *
+     * @param {number} id - ID de la entrada en la DLQ
+     * @returns {Promise<Object|null>} Entrada reenviada, o null si no existe
+     */
+    async replayDeadLetter(id) {
+        if (!this.deadLetterStore) throw new Error('Cola de mensajes muertos no configurada.');
+
+        const entry = this.deadLetterStore.getDeadLetter(id);
+        if (!entry) return null;
+
+        // jobId propio: el original puede seguir retenido como fallido y BullMQ ignoraría el duplicado
+        await this.add(entry.queue_name, entry.envelope, { jobId: `dlq-${entry.id}` });
+        this.deadLetterStore.deleteDeadLetter(entry.id);
+
+        if (this.logger) this.logger.info(`Mensaje muerto #${entry.id} reenviado a la cola [${entry.queue_name}].`);
+        return entry;
+    }
+
+    /**
+     * Cliente Redis nativo compartido con los plugins (null en modo memoria).
+     */
+    getRedisClient() {
+        return this.redisClient;
+    }
+
+    /**
+     * Actualiza el indicador de profundidad consultando a Redis el recuento de cada cola conocida
+     * (las que este nodo alimenta y las que consume).
+     */
+    async _collectQueueDepth() {
+        const names = new Set([...this.queues.keys(), ...this.workers.keys()]);
+        for (const queueName of names) {
+            const counts = await this._getQueue(queueName).getJobCounts('waiting', 'active', 'delayed', 'failed');
+            for (const [state, count] of Object.entries(counts)) {
+                this.depthGauge.set({ queue: queueName, state }, count);
+            }
+        }
+    }
+
     /**
      * Cierra de forma ordenada todo el flujo de trabajos y colas,
      * devolviendo los trabajos pendientes a Redis (Graceful Shutdown).
@@ -155,6 +308,12 @@ export class QueueManager {
         if (this.logger) this.logger.info('Pausando flujos y desconectando dependencias de QueueManager...');
 
         try {
+            if (this.driver === 'memory' && this.logger) {
+                let pending = 0;
+                for (const queue of this.queues.values()) pending += queue.waiting.length + queue.delayed.size;
+                if (pending > 0) this.logger.warn(`Cerrando colas en memoria: se descartan ${pending} trabajos pendientes.`);
+            }
+
             const closePromises = [];
 
             // Drenado de trabajadores
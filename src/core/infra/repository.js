@@ -4,6 +4,9 @@ import path from 'node:path';
 import fs from 'node:fs';
 import { randomUUID } from 'node:crypto';
 
+// Filas leídas por consulta al exportar el historial de auditoría
+const AUDIT_EXPORT_PAGE_SIZE = 500;
+
 /**
  * Capa de acceso a datos y persistencia.
  * Gestiona la topología de la red (qué canal está conectado con cuál) usando un modelo
@@ -15,6 +18,7 @@ export class Repository {
         this.config = configInstance || {};
         this.logger = logger;
         this.db = null;
+        this.pruneTimer = null;
 
         // Se aísla la persistencia en el directorio local data/
         this.dbPath = path.resolve(process.cwd(), 'data', 'topology.db');
@@ -45,6 +49,7 @@ export class Repository {
             this.db.pragma('foreign_keys = ON');
 
             this._initializeSchema();
+            this._scheduleMessageMapPruning();
 
             if (this.logger) this.logger.info('Repository conectado y esquemas validados en modo WAL.');
         } catch (error) {
@@ -62,6 +67,7 @@ export class Repository {
             id TEXT PRIMARY KEY,
             name TEXT NOT NULL,
             status TEXT DEFAULT 'on' CHECK(status IN ('on', 'off', 'paused')),
+            config JSON DEFAULT '{}',
             created_at INTEGER DEFAULT (cast(strftime('%s','now') as int))
         );
 
@@ -77,14 +83,195 @@ export class Repository {
         );
 
         CREATE INDEX IF NOT EXISTS idx_channels_bridge ON channels(bridge_id);
+
+        CREATE TABLE IF NOT EXISTS message_map (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            origin_platform TEXT NOT NULL,
+            origin_channel TEXT NOT NULL,
+            origin_id TEXT NOT NULL,
+            origin_user TEXT,
+            copy_platform TEXT NOT NULL,
+            copy_channel TEXT NOT NULL,
+            copy_id TEXT NOT NULL,
+            part INTEGER DEFAULT 0,
+            created_at INTEGER DEFAULT (cast(strftime('%s','now') as int)),
+            UNIQUE(copy_platform, copy_channel, copy_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_message_map_origin ON message_map(origin_platform, origin_channel, origin_id);
+        CREATE INDEX IF NOT EXISTS idx_message_map_created ON message_map(created_at);
+
+        CREATE TABLE IF NOT EXISTS message_reactions (
+            origin_platform TEXT NOT NULL,
+            origin_channel TEXT NOT NULL,
+            origin_id TEXT NOT NULL,
+            reaction_key TEXT NOT NULL,
+            emoji TEXT,
+            shortcode TEXT,
+            platform TEXT NOT NULL,
+            channel_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            created_at INTEGER DEFAULT (cast(strftime('%s','now') as int)),
+            PRIMARY KEY (origin_platform, origin_channel, origin_id, reaction_key, platform, user_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_message_reactions_created ON message_reactions(created_at);
+
+        CREATE TABLE IF NOT EXISTS reaction_summaries (
+            platform TEXT NOT NULL,
+            channel_id TEXT NOT NULL,
+            message_id TEXT NOT NULL,
+            summary_id TEXT NOT NULL,
+            created_at INTEGER DEFAULT (cast(strftime('%s','now') as int)),
+            PRIMARY KEY (platform, channel_id, message_id)
+        );
+
+        -- Encuestas puenteadas, referidas siempre a su mensaje de origen. native = 0 cuando el origen no es
+        -- un mensaje real (encuestas creadas con !poll, que se entregan también en el canal del comando)
+        CREATE TABLE IF NOT EXISTS polls (
+            origin_platform TEXT NOT NULL,
+            origin_channel TEXT NOT NULL,
+            origin_id TEXT NOT NULL,
+            question TEXT NOT NULL,
+            options JSON NOT NULL,
+            multiple INTEGER DEFAULT 0,
+            anonymous INTEGER DEFAULT 0,
+            native INTEGER DEFAULT 1,
+            created_at INTEGER DEFAULT (cast(strftime('%s','now') as int)),
+            PRIMARY KEY (origin_platform, origin_channel, origin_id)
+        );
+
+        -- Selección vigente de cada votante. Los recuentos nativos sin identidad (encuestas anónimas de
+        -- Telegram) se guardan como una fila agregada: choices repite índices y weight cuenta los votantes
+        CREATE TABLE IF NOT EXISTS poll_votes (
+            origin_platform TEXT NOT NULL,
+            origin_channel TEXT NOT NULL,
+            origin_id TEXT NOT NULL,
+            platform TEXT NOT NULL,
+            channel_id TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            username TEXT,
+            choices JSON NOT NULL,
+            weight INTEGER DEFAULT 1,
+            aggregate INTEGER DEFAULT 0,
+            created_at INTEGER DEFAULT (cast(strftime('%s','now') as int)),
+            PRIMARY KEY (origin_platform, origin_channel, origin_id, platform, user_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS poll_results (
+            platform TEXT NOT NULL,
+            channel_id TEXT NOT NULL,
+            message_id TEXT NOT NULL,
+            result_id TEXT NOT NULL,
+            created_at INTEGER DEFAULT (cast(strftime('%s','now') as int)),
+            PRIMARY KEY (platform, channel_id, message_id)
+        );
+
+        -- Identificador nativo de una encuesta distinto del ID de su mensaje (ej. poll_id de Telegram),
+        -- con datos opacos del adaptador (ej. el mensaje de creación de WhatsApp para descifrar votos)
+        CREATE TABLE IF NOT EXISTS poll_handles (
+            platform TEXT NOT NULL,
+            handle TEXT NOT NULL,
+            channel_id TEXT NOT NULL,
+            message_id TEXT NOT NULL,
+            data TEXT,
+            created_at INTEGER DEFAULT (cast(strftime('%s','now') as int)),
+            PRIMARY KEY (platform, handle)
+        );
+
+        CREATE TABLE IF NOT EXISTS identities (
+            identity_id TEXT NOT NULL,
+            platform TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            display_name TEXT,
+            linked_at INTEGER DEFAULT (cast(strftime('%s','now') as int)),
+            PRIMARY KEY (platform, user_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_identities_group ON identities(identity_id);
+
+        CREATE TABLE IF NOT EXISTS dead_letters (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            queue_name TEXT NOT NULL,
+            platform TEXT NOT NULL,
+            channel_id TEXT,
+            job_id TEXT,
+            envelope JSON NOT NULL,
+            failure_reason TEXT,
+            attempts INTEGER DEFAULT 0,
+            attempt_history JSON DEFAULT '[]',
+            failed_at INTEGER DEFAULT (cast(strftime('%s','now') as int))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_dead_letters_platform ON dead_letters(platform, id);
+
+        CREATE TABLE IF NOT EXISTS bridge_roles (
+            bridge_id TEXT NOT NULL,
+            platform TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            role TEXT NOT NULL CHECK(role IN ('owner', 'mod')),
+            granted_by TEXT,
+            granted_at INTEGER DEFAULT (cast(strftime('%s','now') as int)),
+            FOREIGN KEY (bridge_id) REFERENCES bridges(id) ON DELETE CASCADE,
+            PRIMARY KEY (bridge_id, platform, user_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS bridge_invites (
+            code TEXT PRIMARY KEY,
+            bridge_id TEXT NOT NULL,
+            created_by TEXT,
+            origin_platform TEXT,
+            origin_channel TEXT,
+            max_uses INTEGER DEFAULT 1,
+            uses INTEGER DEFAULT 0,
+            requires_approval INTEGER DEFAULT 0,
+            expires_at INTEGER,
+            created_at INTEGER DEFAULT (cast(strftime('%s','now') as int)),
+            FOREIGN KEY (bridge_id) REFERENCES bridges(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS bridge_joins (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            bridge_id TEXT NOT NULL,
+            platform TEXT NOT NULL,
+            native_id TEXT NOT NULL,
+            invite_code TEXT,
+            requested_by TEXT,
+            status TEXT NOT NULL CHECK(status IN ('pending', 'approved', 'rejected')),
+            resolved_by TEXT,
+            created_at INTEGER DEFAULT (cast(strftime('%s','now') as int)),
+            resolved_at INTEGER,
+            FOREIGN KEY (bridge_id) REFERENCES bridges(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_bridge_joins_bridge ON bridge_joins(bridge_id, status);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_bridge_joins_pending ON bridge_joins(platform, native_id) WHERE status = 'pending';
+
+        -- Sin clave foránea: el rastro de un puente debe sobrevivir a su eliminación
+        CREATE TABLE IF NOT EXISTS audit_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            actor_platform TEXT NOT NULL,
+            actor_id TEXT,
+            action TEXT NOT NULL,
+            target_type TEXT,
+            target_id TEXT,
+            bridge_id TEXT,
+            before_state JSON,
+            after_state JSON,
+            created_at INTEGER DEFAULT (cast(strftime('%s','now') as int))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_audit_events_bridge ON audit_events(bridge_id, id);
+        CREATE INDEX IF NOT EXISTS idx_audit_events_created ON audit_events(created_at);
         `;
 
         this.db.exec(schema);
+        this._migrateSchema();
 
         // Pre-compilación de sentencias (Prepared Statements) para máximo rendimiento
         // en la ruta caliente (Hot Path) de evaluación por cada mensaje entrante.
         this.stmtGetLink = this.db.prepare(`
-        SELECT c.bridge_id, b.status
+        SELECT c.bridge_id, b.status, c.config, b.config AS bridge_config
         FROM channels c
         JOIN bridges b ON c.bridge_id = b.id
         WHERE c.platform = ? AND c.native_id = ?
@@ -95,18 +282,331 @@ export class Repository {
         FROM channels
         WHERE bridge_id = ?
         `);
+
+        this.stmtRecordCopy = this.db.prepare(`
+        INSERT INTO message_map (origin_platform, origin_channel, origin_id, origin_user, copy_platform, copy_channel, copy_id, part)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(copy_platform, copy_channel, copy_id) DO NOTHING
+        `);
+
+        this.stmtGetCopies = this.db.prepare(`
+        SELECT copy_platform AS platform, copy_channel AS channelId, copy_id AS messageId, part
+        FROM message_map
+        WHERE origin_platform = ? AND origin_channel = ? AND origin_id = ?
+        ORDER BY part ASC, id ASC
+        `);
+
+        this.stmtFindOrigin = this.db.prepare(`
+        SELECT origin_platform AS platform, origin_channel AS channelId, origin_id AS messageId, origin_user AS userId
+        FROM message_map
+        WHERE copy_platform = ? AND copy_channel = ? AND copy_id = ?
+        `);
+
+        this.stmtIsOrigin = this.db.prepare(`
+        SELECT origin_user AS userId
+        FROM message_map
+        WHERE origin_platform = ? AND origin_channel = ? AND origin_id = ?
+        LIMIT 1
+        `);
+
+        this.stmtExpireMessages = this.db.prepare(`
+        DELETE FROM message_map WHERE created_at < ?
+        `);
+
+        // Tope de tamaño: conserva solo las N filas más recientes
+        this.stmtTrimMessages = this.db.prepare(`
+        DELETE FROM message_map
+        WHERE id <= (SELECT id FROM message_map ORDER BY id DESC LIMIT 1 OFFSET ?)
+        `);
+
+        this.stmtForgetMessage = this.db.prepare(`
+        DELETE FROM message_map
+        WHERE origin_platform = ? AND origin_channel = ? AND origin_id = ?
+        `);
+
+        this.stmtAddReaction = this.db.prepare(`
+        INSERT INTO message_reactions (origin_platform, origin_channel, origin_id, reaction_key, emoji, shortcode, platform, channel_id, user_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT DO NOTHING
+        `);
+
+        this.stmtRemoveReaction = this.db.prepare(`
+        DELETE FROM message_reactions
+        WHERE origin_platform = ? AND origin_channel = ? AND origin_id = ? AND reaction_key = ? AND platform = ? AND user_id = ?
+        `);
+
+        this.stmtReactionTally = this.db.prepare(`
+        SELECT reaction_key AS key, MAX(emoji) AS emoji, MAX(shortcode) AS shortcode, platform, channel_id AS channelId,
+               COUNT(*) AS count, MIN(created_at) AS first_at
+        FROM message_reactions
+        WHERE origin_platform = ? AND origin_channel = ? AND origin_id = ?
+        GROUP BY reaction_key, platform, channel_id
+        ORDER BY first_at ASC
+        `);
+
+        this.stmtForgetReactions = this.db.prepare(`
+        DELETE FROM message_reactions
+        WHERE origin_platform = ? AND origin_channel = ? AND origin_id = ?
+        `);
+
+        this.stmtGetReactionSummary = this.db.prepare(`
+        SELECT summary_id FROM reaction_summaries
+        WHERE platform = ? AND channel_id = ? AND message_id = ?
+        `);
+
+        this.stmtSetReactionSummary = this.db.prepare(`
+        INSERT INTO reaction_summaries (platform, channel_id, message_id, summary_id)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(platform, channel_id, message_id) DO UPDATE SET summary_id = excluded.summary_id
+        `);
+
+        this.stmtClearReactionSummary = this.db.prepare(`
+        DELETE FROM reaction_summaries
+        WHERE platform = ? AND channel_id = ? AND message_id = ?
+        `);
+
+        this.stmtExpireReactions = this.db.prepare(`DELETE FROM message_reactions WHERE created_at < ?`);
+        this.stmtExpireReactionSummaries = this.db.prepare(`DELETE FROM reaction_summaries WHERE created_at < ?`);
+
+        this.stmtSavePoll = this.db.prepare(`
+        INSERT INTO polls (origin_platform, origin_channel, origin_id, question, options, multiple, anonymous, native)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT DO NOTHING
+        `);
+
+        this.stmtGetPoll = this.db.prepare(`
+        SELECT question, options, multiple, anonymous, native FROM polls
+        WHERE origin_platform = ? AND origin_channel = ? AND origin_id = ?
+        `);
+
+        this.stmtGetPollVote = this.db.prepare(`
+        SELECT choices, weight FROM poll_votes
+        WHERE origin_platform = ? AND origin_channel = ? AND origin_id = ? AND platform = ? AND user_id = ?
+        `);
+
+        this.stmtSetPollVote = this.db.prepare(`
+        INSERT INTO poll_votes (origin_platform, origin_channel, origin_id, platform, channel_id, user_id, username, choices, weight, aggregate)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(origin_platform, origin_channel, origin_id, platform, user_id)
+        DO UPDATE SET username = excluded.username, choices = excluded.choices, weight = excluded.weight, aggregate = excluded.aggregate
+        `);
+
+        this.stmtRemovePollVote = this.db.prepare(`
+        DELETE FROM poll_votes
+        WHERE origin_platform = ? AND origin_channel = ? AND origin_id = ? AND platform = ? AND user_id = ?
+        `);
+
+        this.stmtPollVotes = this.db.prepare(`
+        SELECT platform, user_id AS userId, username, choices, weight, aggregate FROM poll_votes
+        WHERE origin_platform = ? AND origin_channel = ? AND origin_id = ?
+        ORDER BY created_at ASC
+        `);
+
+        this.stmtForgetPoll = this.db.prepare(`
+        DELETE FROM polls
+        WHERE origin_platform = ? AND origin_channel = ? AND origin_id = ?
+        `);
+
+        this.stmtForgetPollVotes = this.db.prepare(`
+        DELETE FROM poll_votes
+        WHERE origin_platform = ? AND origin_channel = ? AND origin_id = ?
+        `);
+
+        this.stmtGetPollResult = this.db.prepare(`
+        SELECT result_id FROM poll_results
+        WHERE platform = ? AND channel_id = ? AND message_id = ?
+        `);
+
+        this.stmtSetPollResult = this.db.prepare(`
+        INSERT INTO poll_results (platform, channel_id, message_id, result_id)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(platform, channel_id, message_id) DO UPDATE SET result_id = excluded.result_id
+        `);
+
+        this.stmtClearPollResult = this.db.prepare(`
+        DELETE FROM poll_results
+        WHERE platform = ? AND channel_id = ? AND message_id = ?
+        `);
+
+        this.stmtSetPollHandle = this.db.prepare(`
+        INSERT INTO poll_handles (platform, handle, channel_id, message_id, data)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(platform, handle) DO UPDATE SET channel_id = excluded.channel_id, message_id = excluded.message_id, data = excluded.data
+        `);
+
+        this.stmtGetPollHandle = this.db.prepare(`
+        SELECT channel_id AS channelId, message_id AS messageId, data FROM poll_handles
+        WHERE platform = ? AND handle = ?
+        `);
+
+        this.stmtExpirePolls = [
+            this.db.prepare(`DELETE FROM polls WHERE created_at < ?`),
+            this.db.prepare(`DELETE FROM poll_votes WHERE created_at < ?`),
+            this.db.prepare(`DELETE FROM poll_results WHERE created_at < ?`),
+            this.db.prepare(`DELETE FROM poll_handles WHERE created_at < ?`)
+        ];
+
+        this.stmtGetIdentity = this.db.prepare(`
+        SELECT identity_id, display_name FROM identities WHERE platform = ? AND user_id = ?
+        `);
+
+        this.stmtGetIdentityGroup = this.db.prepare(`
+        SELECT platform, user_id AS userId, display_name AS displayName, linked_at AS linkedAt
+        FROM identities WHERE identity_id = ?
+        ORDER BY linked_at ASC
+        `);
+
+        this.stmtUpsertIdentity = this.db.prepare(`
+        INSERT INTO identities (identity_id, platform, user_id, display_name)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(platform, user_id) DO UPDATE SET
+            identity_id = excluded.identity_id,
+            display_name = COALESCE(excluded.display_name, identities.display_name)
+        `);
+
+        this.stmtMergeIdentities = this.db.prepare(`UPDATE identities SET identity_id = ? WHERE identity_id = ?`);
+        this.stmtDeleteIdentity = this.db.prepare(`DELETE FROM identities WHERE platform = ? AND user_id = ?`);
+        this.stmtPruneLonelyIdentities = this.db.prepare(`
+        DELETE FROM identities WHERE identity_id IN (
+            SELECT identity_id FROM identities GROUP BY identity_id HAVING COUNT(*) < 2
+        )
+        `);
+
+        this.stmtAddDeadLetter = this.db.prepare(`
+        INSERT INTO dead_letters (queue_name, platform, channel_id, job_id, envelope, failure_reason, attempts, attempt_history)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        this.stmtListDeadLetters = this.db.prepare(`
+        SELECT * FROM dead_letters
+        WHERE (@platform IS NULL OR platform = @platform)
+        ORDER BY id DESC
+        LIMIT @limit
+        `);
+
+        this.stmtCountDeadLetters = this.db.prepare(`
+        SELECT platform, COUNT(*) AS count FROM dead_letters GROUP BY platform
+        `);
+
+        this.stmtGetDeadLetter = this.db.prepare(`SELECT * FROM dead_letters WHERE id = ?`);
+        this.stmtDeleteDeadLetter = this.db.prepare(`DELETE FROM dead_letters WHERE id = ?`);
+        this.stmtPurgeDeadLetters = this.db.prepare(`DELETE FROM dead_letters WHERE (@platform IS NULL OR platform = @platform)`);
+
+        this.stmtGetBridgeRole = this.db.prepare(`
+        SELECT role FROM bridge_roles WHERE bridge_id = ? AND platform = ? AND user_id = ?
+        `);
+        this.stmtSetBridgeRole = this.db.prepare(`
+        INSERT INTO bridge_roles (bridge_id, platform, user_id, role, granted_by)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(bridge_id, platform, user_id) DO UPDATE SET role = excluded.role, granted_by = excluded.granted_by, granted_at = excluded.granted_at
+        `);
+        this.stmtRemoveBridgeRole = this.db.prepare(`
+        DELETE FROM bridge_roles WHERE bridge_id = ? AND platform = ? AND user_id = ?
+        `);
+        this.stmtListBridgeRoles = this.db.prepare(`
+        SELECT platform, user_id AS userId, role, granted_by AS grantedBy, granted_at AS grantedAt
+        FROM bridge_roles WHERE bridge_id = ?
+        ORDER BY role = 'owner' DESC, granted_at
+        `);
+
+        this.stmtCreateInvite = this.db.prepare(`
+        INSERT INTO bridge_invites (code, bridge_id, created_by, origin_platform, origin_channel, max_uses, requires_approval, expires_at)
+        VALUES (@code, @bridgeId, @createdBy, @originPlatform, @originChannel, @maxUses, @requiresApproval, @expiresAt)
+        `);
+        // Vigente: sin caducar y con usos disponibles (max_uses = 0 significa ilimitado)
+        this.stmtGetValidInvite = this.db.prepare(`
+        SELECT * FROM bridge_invites
+        WHERE code = @code
+          AND (expires_at IS NULL OR expires_at > @now)
+          AND (max_uses = 0 OR uses < max_uses)
+        `);
+        this.stmtConsumeInvite = this.db.prepare(`UPDATE bridge_invites SET uses = uses + 1 WHERE code = ?`);
+        this.stmtListInvites = this.db.prepare(`
+        SELECT * FROM bridge_invites
+        WHERE bridge_id = @bridgeId
+          AND (expires_at IS NULL OR expires_at > @now)
+          AND (max_uses = 0 OR uses < max_uses)
+        ORDER BY created_at
+        `);
+        this.stmtRevokeInvite = this.db.prepare(`DELETE FROM bridge_invites WHERE bridge_id = ? AND code = ?`);
+        this.stmtExpireInvites = this.db.prepare(`
+        DELETE FROM bridge_invites WHERE (expires_at IS NOT NULL AND expires_at <= @now) OR (max_uses > 0 AND uses >= max_uses)
+        `);
+
+        this.stmtAddJoin = this.db.prepare(`
+        INSERT INTO bridge_joins (bridge_id, platform, native_id, invite_code, requested_by, status, resolved_by, resolved_at)
+        VALUES (@bridgeId, @platform, @nativeId, @inviteCode, @requestedBy, @status, @resolvedBy, @resolvedAt)
+        `);
+        this.stmtGetJoin = this.db.prepare(`SELECT * FROM bridge_joins WHERE id = ?`);
+        this.stmtGetPendingJoin = this.db.prepare(`
+        SELECT * FROM bridge_joins WHERE platform = ? AND native_id = ? AND status = 'pending'
+        `);
+        this.stmtListJoins = this.db.prepare(`
+        SELECT * FROM bridge_joins WHERE bridge_id = @bridgeId AND (@status IS NULL OR status = @status) ORDER BY id
+        `);
+        this.stmtResolveJoin = this.db.prepare(`
+        UPDATE bridge_joins SET status = @status, resolved_by = @resolvedBy, resolved_at = @resolvedAt
+        WHERE id = @id AND status = 'pending'
+        `);
+
+
+        this.stmtAddAuditEvent = this.db.prepare(`
+        INSERT INTO audit_events (actor_platform, actor_id, action, target_type, target_id, bridge_id, before_state, after_state)
+        VALUES (@actorPlatform, @actorId, @action, @targetType, @targetId, @bridgeId, @before, @after)
+        `);
+        this.stmtListAuditEvents = this.db.prepare(`
+        SELECT * FROM audit_events
+        WHERE (@bridgeId IS NULL OR bridge_id = @bridgeId)
+        AND (@action IS NULL OR action = @action)
+        AND (@since IS NULL OR created_at >= @since)
+        ORDER BY id DESC
+        LIMIT @limit
+        `);
+        this.stmtExportAuditEvents = this.db.prepare(`
+        SELECT * FROM audit_events
+        WHERE (@bridgeId IS NULL OR bridge_id = @bridgeId)
+        AND (@since IS NULL OR created_at >= @since)
+        AND id > @afterId
+        ORDER BY id
+        LIMIT @limit
+        `);    }
+
+    /**
+     * Añade columnas introducidas después de la creación original de las tablas
+     * (`CREATE TABLE IF NOT EXISTS` no altera bases de datos ya existentes).
+     */
+    _migrateSchema() {
+        const columns = this.db.prepare(`PRAGMA table_info(bridges)`).all().map(column => column.name);
+        if (!columns.includes('config')) {
+            this.db.exec(`ALTER TABLE bridges ADD COLUMN config JSON DEFAULT '{}'`);
+            if (this.logger) this.logger.info('Migración aplicada: columna bridges.config');
+        }
+    }
+
+    /**
+     * Ejecuta `fn` dentro de una transacción SQLite: si lanza, se revierten todos sus cambios.
+     * Las llamadas anidadas se convierten en savepoints.
+     */
+    transaction(fn) {
+        return this.db.transaction(fn)();
     }
 
     /**
      * Consulta si un canal nativo (origen) pertenece a un grupo/puente multiconexión.
-     * Retorna el ID del puente y su estado actual.
+     * Retorna el ID del puente, su estado actual y la configuración (JSON) del canal y del puente.
      *
      * @param {string} platform - Nombre de la red (ej. 'discord', 'whatsapp')
      * @param {string} nativeId - Identificador original del grupo o chat
      */
     getChannelLink(platform, nativeId) {
         try {
-            return this.stmtGetLink.get(platform, nativeId);
+            const row = this.stmtGetLink.get(platform, nativeId);
+            if (!row) return row;
+            return {
+                ...row,
+                config: row.config ? JSON.parse(row.config) : {},
+                bridge_config: row.bridge_config ? JSON.parse(row.bridge_config) : {}
+            };
         } catch (error) {
             if (this.logger) this.logger.error('Error al consultar enlace de canal', { error, platform, nativeId });
             return null;
@@ -205,6 +705,97 @@ export class Repository {
         }
     }
 
+    /**
+     * Reemplaza la configuración JSON de un canal ya vinculado (ej. sus reglas de filtrado).
+     */
+    updateChannelConfig(platform, nativeId, config) {
+        try {
+            const update = this.db.prepare(`UPDATE channels SET config = ? WHERE platform = ? AND native_id = ?`);
+            return update.run(JSON.stringify(config || {}), platform, nativeId).changes > 0;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al actualizar configuración del canal', { error, platform, nativeId });
+            throw error;
+        }
+    }
+
+    /**
+     * Reemplaza la configuración JSON de un puente (reglas comunes a todos sus canales).
+     */
+    updateBridgeConfig(bridgeId, config) {
+        try {
+            const update = this.db.prepare(`UPDATE bridges SET config = ? WHERE id = ?`);
+            return update.run(JSON.stringify(config || {}), bridgeId).changes > 0;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al actualizar configuración del puente', { error, bridgeId });
+            throw error;
+        }
+    }
+
+    /**
+     * Obtiene un puente por su ID, con su configuración JSON ya interpretada.
+     *
+     * @returns {Object|null} { id, name, status, config, created_at }
+     */
+    getBridge(bridgeId) {
+        try {
+            const row = this.db.prepare(`SELECT id, name, status, config, created_at FROM bridges WHERE id = ?`).get(bridgeId);
+            if (!row) return null;
+            return { ...row, config: row.config ? JSON.parse(row.config) : {} };
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al consultar puente', { error, bridgeId });
+            return null;
+        }
+    }
+
+    /**
+     * Lista todos los puentes (cualquier estado) con el número de canales suscritos.
+     */
+    getAllBridges() {
+        try {
+            const stmt = this.db.prepare(`
+            SELECT b.id, b.name, b.status, b.created_at, COUNT(c.id) AS channel_count
+            FROM bridges b
+            LEFT JOIN channels c ON c.bridge_id = b.id
+            GROUP BY b.id
+            ORDER BY b.created_at ASC
+            `);
+            return stmt.all();
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al listar puentes', { error });
+            return [];
+        }
+    }
+
+    /**
+     * Cambia el nombre visible de un puente.
+     */
+    renameBridge(bridgeId, name) {
+        try {
+            const update = this.db.prepare(`UPDATE bridges SET name = ? WHERE id = ?`);
+            const changed = update.run(name, bridgeId).changes > 0;
+            if (changed && this.logger) this.logger.info(`Puente ${bridgeId} renombrado a: [${name}]`);
+            return changed;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al renombrar puente', { error, bridgeId, name });
+            throw error;
+        }
+    }
+
+    /**
+     * Elimina un puente. Sus canales se desvinculan en cascada (FOREIGN KEY ... ON DELETE CASCADE).
+     */
+    deleteBridge(bridgeId) {
+        try {
+            const stmt = this.db.prepare(`DELETE FROM bridges WHERE id = ?`);
+            const deleted = stmt.run(bridgeId).changes > 0;
+            if (deleted && this.logger) this.logger.info(`Puente eliminado de la topología: ${bridgeId}`);
+            return deleted;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al eliminar puente', { error, bridgeId });
+            throw error;
+        }
+    }
+
     /**
      * Retorna una lista de los puentes globales que están emitiendo tráfico activo.
      */
@@ -219,9 +810,872 @@ export class Repository {
     }
 
     /**
-     * Apagado elegante: Cierra conexiones y purga los descriptores de lectura/escritura (Graceful Shutdown).
+     * Registra la copia nativa producida por un adaptador Egress para un mensaje de origen.
+     * Permite responder más tarde a "¿qué mensaje de Telegram es la copia del mensaje X de Discord?".
+     *
+     * @param {Object} origin - { platform, channelId, messageId, userId } del mensaje original
+     * @param {Object} copy - { platform, channelId, messageId } del mensaje retransmitido
+     * @param {number} [part=0] - Índice del fragmento (0 = mensaje principal con el texto)
      */
-    async disconnect() {
+    recordMessageCopy(origin, copy, part = 0) {
+        try {
+            this.stmtRecordCopy.run(
+                origin.platform, String(origin.channelId), String(origin.messageId), origin.userId ? String(origin.userId) : null,
+                copy.platform, String(copy.channelId), String(copy.messageId), part
+            );
+            return true;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al registrar copia de mensaje', { error, origin, copy });
+            return false;
+        }
+    }
+
+    /**
+     * Obtiene todas las copias nativas retransmitidas a partir de un mensaje de origen.
+     *
+     * @param {string} platform - Red del mensaje original
+     * @param {string} channelId - Canal nativo del mensaje original
+     * @param {string} messageId - ID nativo del mensaje original
+     */
+    getMessageCopies(platform, channelId, messageId) {
+        try {
+            return this.stmtGetCopies.all(platform, String(channelId), String(messageId));
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al consultar copias de mensaje', { error, platform, channelId, messageId });
+            return [];
+        }
+    }
+
+    /**
+     * Localiza el mensaje original a partir de cualquiera de sus representaciones nativas.
+     * Acepta tanto una copia retransmitida como el propio mensaje de origen.
+     *
+     * @param {string} platform - Red donde se observó el mensaje
+     * @param {string} channelId - Canal nativo del mensaje observado
+     * @param {string} messageId - ID nativo del mensaje observado
+     * @returns {Object|null} { platform, channelId, messageId, userId } del mensaje original
+     */
+    findMessageOrigin(platform, channelId, messageId) {
+        try {
+            const origin = this.stmtFindOrigin.get(platform, String(channelId), String(messageId));
+            if (origin) return origin;
+
+            const asOrigin = this.stmtIsOrigin.get(platform, String(channelId), String(messageId));
+            if (asOrigin) {
+                return { platform, channelId: String(channelId), messageId: String(messageId), userId: asOrigin.userId };
+            }
+            return null;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al resolver origen de mensaje', { error, platform, channelId, messageId });
+            return null;
+        }
+    }
+
+    /**
+     * Traduce un mensaje observado en una red a su representación nativa en otro canal del puente.
+     * Si el canal destino es el del mensaje original se devuelve el original; si no, su copia principal.
+     *
+     * @param {string} platform - Red donde se observó el mensaje
+     * @param {string} channelId - Canal nativo del mensaje observado
+     * @param {string} messageId - ID nativo del mensaje observado
+     * @param {string} targetPlatform - Red destino
+     * @param {string} targetChannelId - Canal nativo destino
+     * @returns {Object|null} { messageId, userId, isOrigin } o null si no hay representación en destino
+     */
+    resolveMessageCopy(platform, channelId, messageId, targetPlatform, targetChannelId) {
+        const origin = this.findMessageOrigin(platform, channelId, messageId);
+        if (!origin) return null;
+
+        if (origin.platform === targetPlatform && origin.channelId === String(targetChannelId)) {
+            return { messageId: origin.messageId, userId: origin.userId, isOrigin: true };
+        }
+
+        const copy = this.getMessageCopies(origin.platform, origin.channelId, origin.messageId)
+        .find(c => c.part === 0 && c.platform === targetPlatform && c.channelId === String(targetChannelId));
+
+        return copy ? { messageId: copy.messageId, userId: origin.userId, isOrigin: false } : null;
+    }
+
+    /**
+     * Purga el mapa de mensajes por antigüedad y por tamaño máximo.
+     *
+     * @param {Object} [options]
+     * @param {number} [options.maxAge] - Antigüedad máxima en segundos
+     * @param {number} [options.maxRows] - Número máximo de filas a conservar
+     * @returns {number} Filas eliminadas
+     */
+    pruneMessageMap({ maxAge, maxRows } = {}) {
+        const tuning = this.config.tuning || {};
+        const ttl = maxAge ?? tuning.message_map_ttl ?? 7 * 24 * 3600;
+        const limit = maxRows ?? tuning.message_map_max_rows ?? 200000;
+
+        try {
+            const cutoff = Math.floor(Date.now() / 1000) - ttl;
+            let removed = this.stmtExpireMessages.run(cutoff).changes;
+            removed += this.stmtTrimMessages.run(limit).changes;
+            removed += this.stmtExpireReactions.run(cutoff).changes;
+            removed += this.stmtExpireReactionSummaries.run(cutoff).changes;
+            for (const stmt of this.stmtExpirePolls) removed += stmt.run(cutoff).changes;
+
+            if (removed > 0 && this.logger) this.logger.debug(`Mapa de mensajes purgado: ${removed} filas expiradas.`);
+            return removed;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al purgar el mapa de mensajes', { error });
+            return 0;
+        }
+    }
+
+    /**
+     * Programa la purga periódica del mapa de mensajes para mantenerlo acotado.
+     * El temporizador no retiene el Event Loop durante el apagado.
+     */
+    _scheduleMessageMapPruning() {
+        const interval = this.config.tuning?.message_map_prune_interval || 3600000;
+        this.pruneMessageMap();
+        this.pruneTimer = setInterval(() => this.pruneMessageMap(), interval);
+        this.pruneTimer.unref();
+    }
+
+    /**
+     * Olvida todas las copias de un mensaje de origen (ej. tras propagar su borrado).
+     * Los eventos de borrado que las propias copias generen al eliminarse ya no encontrarán rastro.
+     */
+    forgetMessage(platform, channelId, messageId) {
+        try {
+            this.stmtForgetReactions.run(platform, String(channelId), String(messageId));
+            this.stmtForgetPoll.run(platform, String(channelId), String(messageId));
+            this.stmtForgetPollVotes.run(platform, String(channelId), String(messageId));
+            return this.stmtForgetMessage.run(platform, String(channelId), String(messageId)).changes;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al olvidar copias de mensaje', { error, platform, channelId, messageId });
+            return 0;
+        }
+    }
+
+    /**
+     * Registra o retira la reacción de un usuario sobre un mensaje (siempre referido a su origen),
+     * de modo que el recuento sea único aunque cada usuario reaccione desde una copia distinta.
+     *
+     * @param {Object} origin - { platform, channelId, messageId } del mensaje original
+     * @param {Object} reaction - { key, emoji, shortcode } normalizado con `normalizeEmoji`
+     * @param {Object} reactor - { platform, channelId, userId } de quien reacciona
+     * @param {boolean} active - true para añadir, false para retirar
+     * @returns {boolean} True si el recuento cambió
+     */
+    setMessageReaction(origin, reaction, reactor, active) {
+        try {
+            const keys = [origin.platform, String(origin.channelId), String(origin.messageId), reaction.key];
+            const info = active
+                ? this.stmtAddReaction.run(...keys, reaction.emoji || null, reaction.shortcode || null, reactor.platform, String(reactor.channelId), String(reactor.userId))
+                : this.stmtRemoveReaction.run(...keys, reactor.platform, String(reactor.userId));
+            return info.changes > 0;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al registrar reacción', { error, origin, reaction });
+            return false;
+        }
+    }
+
+    /**
+     * Recuento agregado de reacciones de un mensaje de origen, desglosado por canal nativo
+     * (`plataforma:canal`) para que cada destino pueda descontar las reacciones que ya ve.
+     *
+     * @returns {Array<Object>} [{ key, emoji, shortcode, count, sources: { 'discord:123': 2, ... } }]
+     */
+    getReactionTally(platform, channelId, messageId) {
+        try {
+            const tally = new Map();
+            for (const row of this.stmtReactionTally.all(platform, String(channelId), String(messageId))) {
+                if (!tally.has(row.key)) {
+                    tally.set(row.key, { key: row.key, emoji: row.emoji, shortcode: row.shortcode, count: 0, sources: {} });
+                }
+                const entry = tally.get(row.key);
+                entry.count += row.count;
+                entry.sources[`${row.platform}:${row.channelId}`] = row.count;
+            }
+            return [...tally.values()];
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al consultar reacciones', { error, platform, channelId, messageId });
+            return [];
+        }
+    }
+
+    /**
+     * ID nativo del mensaje de resumen ("👍 ×3") publicado junto a una copia en plataformas
+     * que no pueden mostrar la reacción de forma nativa.
+     */
+    getReactionSummaryMessage(platform, channelId, messageId) {
+        try {
+            return this.stmtGetReactionSummary.get(platform, String(channelId), String(messageId))?.summary_id || null;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al consultar resumen de reacciones', { error, platform, channelId, messageId });
+            return null;
+        }
+    }
+
+    /**
+     * Guarda (o elimina si `summaryId` es null) el mensaje de resumen de reacciones de una copia.
+     */
+    setReactionSummaryMessage(platform, channelId, messageId, summaryId) {
+        try {
+            if (summaryId == null) {
+                this.stmtClearReactionSummary.run(platform, String(channelId), String(messageId));
+            } else {
+                this.stmtSetReactionSummary.run(platform, String(channelId), String(messageId), String(summaryId));
+            }
+            return true;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al guardar resumen de reacciones', { error, platform, channelId, messageId });
+            return false;
+        }
+    }
+
+    /**
+     * Registra una encuesta puenteada a partir de su mensaje de origen (se ignora si ya existe).
+     *
+     * @param {Object} origin - { platform, channelId, messageId } del mensaje original
+     * @param {Object} poll - { question, options, multiple, anonymous } (ver `body.poll` en umf.js)
+     * @param {Object} [options]
+     * @param {boolean} [options.native=true] - false si el origen no es un mensaje nativo (`!poll`)
+     * @returns {boolean} True si se creó
+     */
+    savePoll(origin, poll, { native = true } = {}) {
+        try {
+            return this.stmtSavePoll.run(
+                origin.platform, String(origin.channelId), String(origin.messageId),
+                poll.question, JSON.stringify(poll.options), poll.multiple ? 1 : 0, poll.anonymous ? 1 : 0, native ? 1 : 0
+            ).changes > 0;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al registrar encuesta', { error, origin });
+            return false;
+        }
+    }
+
+    /**
+     * @returns {Object|null} { question, options, multiple, anonymous, native } de la encuesta de origen
+     */
+    getPoll(platform, channelId, messageId) {
+        try {
+            const row = this.stmtGetPoll.get(platform, String(channelId), String(messageId));
+            if (!row) return null;
+            return {
+                question: row.question,
+                options: JSON.parse(row.options),
+                multiple: row.multiple === 1,
+                anonymous: row.anonymous === 1,
+                native: row.native === 1
+            };
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al consultar encuesta', { error, platform, channelId, messageId });
+            return null;
+        }
+    }
+
+    /**
+     * Aplica el voto de un usuario sobre una encuesta (siempre referida a su origen). Cada red informa
+     * de forma distinta: la selección completa (`set`), opciones sueltas (`add`/`remove`) o, sin
+     * identidad de votante, el recuento nativo de una copia (`counts`, con `counts[]` y `voters`).
+     * En encuestas de opción única, `add` sustituye la elección anterior.
+     *
+     * @param {Object} origin - { platform, channelId, messageId } del mensaje original
+     * @param {Object} voter - { platform, channelId, userId, username } de quien vota
+     * @param {Object} vote - { options: number[], action, counts?, voters? } (ver `body.vote` en umf.js)
+     * @returns {boolean} True si el recuento cambió
+     */
+    setPollVote(origin, voter, vote) {
+        try {
+            const poll = this.getPoll(origin.platform, origin.channelId, origin.messageId);
+            if (!poll) return false;
+
+            const keys = [origin.platform, String(origin.channelId), String(origin.messageId), voter.platform, String(voter.userId)];
+            const current = this.stmtGetPollVote.get(...keys);
+            const previous = current ? JSON.parse(current.choices) : [];
+            const valid = (index) => Number.isInteger(index) && index >= 0 && index < poll.options.length;
+            const requested = [...new Set((vote.options || []).filter(valid))];
+
+            let choices;
+            let weight = 1;
+            if (vote.action === 'counts') {
+                choices = (vote.counts || []).slice(0, poll.options.length).flatMap((count, index) => Array(Math.max(0, count | 0)).fill(index));
+                weight = Math.max(0, vote.voters | 0);
+            } else if (vote.action === 'add') {
+                choices = poll.multiple ? [...new Set([...previous, ...requested])] : requested.slice(0, 1);
+            } else if (vote.action === 'remove') {
+                choices = previous.filter(index => !requested.includes(index));
+            } else {
+                choices = poll.multiple ? requested : requested.slice(0, 1);
+            }
+            choices.sort((a, b) => a - b);
+
+            if (JSON.stringify(choices) === JSON.stringify(previous) && (!current || current.weight === weight)) return false;
+
+            if (choices.length === 0) {
+                this.stmtRemovePollVote.run(...keys);
+            } else {
+                this.stmtSetPollVote.run(...keys.slice(0, 4), String(voter.channelId), String(voter.userId),
+                    voter.username || null, JSON.stringify(choices), weight, vote.action === 'counts' ? 1 : 0);
+            }
+            return true;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al registrar voto', { error, origin, voter });
+            return false;
+        }
+    }
+
+    /**
+     * Recuento agregado de una encuesta de origen, con los nombres de quienes eligieron cada opción
+     * (vacíos en encuestas anónimas y para los recuentos nativos sin identidad).
+     *
+     * @returns {Object|null} { counts: number[], voters, names: string[][] }
+     */
+    getPollTally(platform, channelId, messageId) {
+        try {
+            const poll = this.getPoll(platform, channelId, messageId);
+            if (!poll) return null;
+
+            const counts = poll.options.map(() => 0);
+            const names = poll.options.map(() => []);
+            let voters = 0;
+            for (const row of this.stmtPollVotes.all(platform, String(channelId), String(messageId))) {
+                const choices = JSON.parse(row.choices);
+                voters += row.weight;
+                for (const index of choices) {
+                    if (index >= counts.length) continue;
+                    counts[index]++;
+                    if (!poll.anonymous && !row.aggregate) names[index].push(row.username || row.userId);
+                }
+            }
+            return { counts, voters, names };
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al consultar votos', { error, platform, channelId, messageId });
+            return null;
+        }
+    }
+
+    /**
+     * ID nativo del mensaje de resultados publicado junto a una copia de la encuesta.
+     */
+    getPollResultMessage(platform, channelId, messageId) {
+        try {
+            return this.stmtGetPollResult.get(platform, String(channelId), String(messageId))?.result_id || null;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al consultar resultados de encuesta', { error, platform, channelId, messageId });
+            return null;
+        }
+    }
+
+    /**
+     * Guarda (o elimina si `resultId` es null) el mensaje de resultados de una copia de la encuesta.
+     */
+    setPollResultMessage(platform, channelId, messageId, resultId) {
+        try {
+            if (resultId == null) {
+                this.stmtClearPollResult.run(platform, String(channelId), String(messageId));
+            } else {
+                this.stmtSetPollResult.run(platform, String(channelId), String(messageId), String(resultId));
+            }
+            return true;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al guardar resultados de encuesta', { error, platform, channelId, messageId });
+            return false;
+        }
+    }
+
+    /**
+     * Asocia un identificador nativo de encuesta al mensaje que la contiene.
+     *
+     * @param {string} platform - Red de la encuesta
+     * @param {string} handle - Identificador nativo (ej. poll_id de Telegram)
+     * @param {Object} message - { channelId, messageId } del mensaje de la encuesta
+     * @param {string|null} [data=null] - Datos opacos del adaptador
+     */
+    setPollHandle(platform, handle, { channelId, messageId }, data = null) {
+        try {
+            this.stmtSetPollHandle.run(platform, String(handle), String(channelId), String(messageId), data);
+            return true;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al guardar identificador de encuesta', { error, platform, handle });
+            return false;
+        }
+    }
+
+    /**
+     * @returns {Object|null} { channelId, messageId, data } del mensaje asociado a un identificador nativo
+     */
+    findPollHandle(platform, handle) {
+        try {
+            return this.stmtGetPollHandle.get(platform, String(handle)) || null;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al consultar identificador de encuesta', { error, platform, handle });
+            return null;
+        }
+    }
+
+    /**
+     * Vincula dos cuentas nativas como una misma persona. Si alguna ya pertenecía a una identidad,
+     * ambos grupos se fusionan, de modo que una cuenta vinculada a Discord y otra a Telegram quedan
+     * enlazadas transitivamente.
+     *
+     * @param {Object} a - { platform, userId, displayName } de la primera cuenta
+     * @param {Object} b - { platform, userId, displayName } de la segunda cuenta
+     * @returns {string|null} ID de la identidad resultante
+     */
+    linkIdentities(a, b) {
+        try {
+            const link = this.db.transaction(() => {
+                const current = this.stmtGetIdentity.get(a.platform, String(a.userId));
+                const other = this.stmtGetIdentity.get(b.platform, String(b.userId));
+                const identityId = current?.identity_id || other?.identity_id || randomUUID();
+
+                if (other && other.identity_id !== identityId) {
+                    this.stmtMergeIdentities.run(identityId, other.identity_id);
+                }
+                this.stmtUpsertIdentity.run(identityId, a.platform, String(a.userId), a.displayName || null);
+                this.stmtUpsertIdentity.run(identityId, b.platform, String(b.userId), b.displayName || null);
+                return identityId;
+            });
+            return link();
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al vincular identidades', { error, a, b });
+            return null;
+        }
+    }
+
+    /**
+     * Desvincula una cuenta nativa de su identidad. Las identidades que queden con una sola
+     * cuenta se eliminan, ya que no enlazan nada.
+     *
+     * @returns {boolean} True si la cuenta estaba vinculada
+     */
+    unlinkIdentity(platform, userId) {
+        try {
+            const unlink = this.db.transaction(() => {
+                const changes = this.stmtDeleteIdentity.run(platform, String(userId)).changes;
+                this.stmtPruneLonelyIdentities.run();
+                return changes > 0;
+            });
+            return unlink();
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al desvincular identidad', { error, platform, userId });
+            return false;
+        }
+    }
+
+    /**
+     * Todas las cuentas vinculadas a la identidad de una cuenta nativa (incluida ella misma).
+     *
+     * @returns {Array<Object>} [{ platform, userId, displayName, linkedAt }]
+     */
+    getIdentityLinks(platform, userId) {
+        try {
+            const identity = this.stmtGetIdentity.get(platform, String(userId));
+            if (!identity) return [];
+            return this.stmtGetIdentityGroup.all(identity.identity_id);
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al consultar identidad', { error, platform, userId });
+            return [];
+        }
+    }
+
+    /**
+     * Guarda en la cola de mensajes muertos (DLQ) un trabajo Egress que agotó todos sus reintentos,
+     * para poder inspeccionarlo y reenviarlo más tarde.
+     *
+     * @param {Object} entry
+     * @param {string} entry.queueName - Cola de origen (ej. 'queue_whatsapp_out')
+     * @param {string} entry.platform - Red destino
+     * @param {string} [entry.jobId] - ID del trabajo fallido
+     * @param {Object} entry.envelope - Envoltorio UMF que no pudo entregarse
+     * @param {string} [entry.reason] - Motivo del último fallo
+     * @param {number} [entry.attempts] - Intentos realizados
+     * @param {Array<Object>} [entry.history] - [{ attempt, error, at }] de cada intento
+     * @returns {number|null} ID de la entrada creada
+     */
+    addDeadLetter({ queueName, platform, jobId, envelope, reason, attempts = 0, history = [] }) {
+        try {
+            const info = this.stmtAddDeadLetter.run(
+                queueName, platform, envelope?.head?.dest?.channelId != null ? String(envelope.head.dest.channelId) : null,
+                jobId != null ? String(jobId) : null, JSON.stringify(envelope), reason || null, attempts, JSON.stringify(history)
+            );
+            if (this.logger) this.logger.warn(`Trabajo enviado a la cola de mensajes muertos: #${info.lastInsertRowid} [${queueName}]`, { reason });
+            return Number(info.lastInsertRowid);
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al registrar mensaje muerto', { error, queueName, jobId });
+            return null;
+        }
+    }
+
+    /**
+     * Lista las entradas de la DLQ, de la más reciente a la más antigua.
+     *
+     * @param {Object} [filter] - { platform, limit }
+     * @returns {Array<Object>} Entradas con `envelope` y `attempt_history` ya interpretados
+     */
+    listDeadLetters({ platform = null, limit = 50 } = {}) {
+        try {
+            return this.stmtListDeadLetters.all({ platform, limit }).map(row => this._parseDeadLetter(row));
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al listar mensajes muertos', { error, platform });
+            return [];
+        }
+    }
+
+    /**
+     * Número de entradas de la DLQ por plataforma.
+     *
+     * @returns {Object} { whatsapp: 12, telegram: 1 }
+     */
+    countDeadLetters() {
+        try {
+            return Object.fromEntries(this.stmtCountDeadLetters.all().map(row => [row.platform, row.count]));
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al contar mensajes muertos', { error });
+            return {};
+        }
+    }
+
+    getDeadLetter(id) {
+        try {
+            const row = this.stmtGetDeadLetter.get(Number(id));
+            return row ? this._parseDeadLetter(row) : null;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al consultar mensaje muerto', { error, id });
+            return null;
+        }
+    }
+
+    deleteDeadLetter(id) {
+        try {
+            return this.stmtDeleteDeadLetter.run(Number(id)).changes > 0;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al eliminar mensaje muerto', { error, id });
+            throw error;
+        }
+    }
+
+    /**
+     * Vacía la DLQ (completa o solo la de una plataforma).
+     *
+     * @returns {number} Entradas eliminadas
+     */
+    purgeDeadLetters(platform = null) {
+        try {
+            const removed = this.stmtPurgeDeadLetters.run({ platform }).changes;
+            if (this.logger) this.logger.info(`Cola de mensajes muertos purgada: ${removed} entradas${platform ? ` de [${platform}]` : ''}.`);
+            return removed;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al purgar mensajes muertos', { error, platform });
+            throw error;
+        }
+    }
+
+    /**
+     * Rol de un usuario dentro de un puente concreto ('owner' o 'mod'), o null si no tiene ninguno.
+     */
+    getBridgeRole(bridgeId, platform, userId) {
+        try {
+            return this.stmtGetBridgeRole.get(bridgeId, platform, String(userId))?.role || null;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al consultar rol de puente', { error, bridgeId, platform, userId });
+            return null;
+        }
+    }
+
+    /**
+     * Concede (o sustituye) el rol de un usuario dentro de un puente.
+     *
+     * @param {Object} grant
+     * @param {string} grant.bridgeId - Puente sobre el que aplica el rol
+     * @param {string} grant.platform - Red del usuario
+     * @param {string} grant.userId - ID nativo del usuario
+     * @param {string} grant.role - 'owner' | 'mod'
+     * @param {string} [grant.grantedBy] - 'plataforma:usuario' de quien lo concede
+     */
+    setBridgeRole({ bridgeId, platform, userId, role, grantedBy = null }) {
+        try {
+            this.stmtSetBridgeRole.run(bridgeId, platform, String(userId), role, grantedBy);
+            if (this.logger) this.logger.info(`Rol de puente concedido: ${platform}:${userId} -> ${role} en ${bridgeId}`);
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al conceder rol de puente', { error, bridgeId, platform, userId, role });
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {boolean} True si el usuario tenía un rol en el puente
+     */
+    removeBridgeRole(bridgeId, platform, userId) {
+        try {
+            return this.stmtRemoveBridgeRole.run(bridgeId, platform, String(userId)).changes > 0;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al revocar rol de puente', { error, bridgeId, platform, userId });
+            throw error;
+        }
+    }
+
+    /**
+     * Roles concedidos en un puente (propietarios primero).
+     *
+     * @returns {Array<Object>} [{ platform, userId, role, grantedBy, grantedAt }]
+     */
+    listBridgeRoles(bridgeId) {
+        try {
+            return this.stmtListBridgeRoles.all(bridgeId);
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al listar roles de puente', { error, bridgeId });
+            return [];
+        }
+    }
+
+    /**
+     * Crea un código de invitación a un puente.
+     *
+     * @param {Object} invite
+     * @param {string} invite.code - Código (generado por el llamante)
+     * @param {string} invite.bridgeId - Puente al que da acceso
+     * @param {string} [invite.createdBy] - 'plataforma:usuario' de quien lo emite
+     * @param {Object} [invite.origin] - { platform, channelId } donde se emitió (recibe los avisos de aprobación)
+     * @param {number} [invite.maxUses=1] - Usos permitidos (0 = ilimitados)
+     * @param {number} [invite.ttlSeconds] - Vigencia en segundos (sin ella no caduca)
+     * @param {boolean} [invite.requiresApproval=false] - Las uniones quedan pendientes de aprobación
+     * @returns {Object} Invitación creada
+     */
+    createInvite({ code, bridgeId, createdBy = null, origin = null, maxUses = 1, ttlSeconds = null, requiresApproval = false }) {
+        try {
+            const now = Math.floor(Date.now() / 1000);
+            this.stmtExpireInvites.run({ now });
+            this.stmtCreateInvite.run({
+                code,
+                bridgeId,
+                createdBy,
+                originPlatform: origin?.platform || null,
+                originChannel: origin?.channelId != null ? String(origin.channelId) : null,
+                maxUses,
+                requiresApproval: requiresApproval ? 1 : 0,
+                expiresAt: ttlSeconds ? now + ttlSeconds : null
+            });
+            if (this.logger) this.logger.info(`Invitación emitida para el puente ${bridgeId}`, { createdBy, maxUses, ttlSeconds, requiresApproval });
+            return this.stmtGetValidInvite.get({ code, now });
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al crear invitación', { error, bridgeId });
+            throw error;
+        }
+    }
+
+    /**
+     * Invitaciones vigentes de un puente.
+     */
+    listInvites(bridgeId) {
+        try {
+            return this.stmtListInvites.all({ bridgeId, now: Math.floor(Date.now() / 1000) });
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al listar invitaciones', { error, bridgeId });
+            return [];
+        }
+    }
+
+    /**
+     * @returns {boolean} True si el código existía en ese puente
+     */
+    revokeInvite(bridgeId, code) {
+        try {
+            return this.stmtRevokeInvite.run(bridgeId, code).changes > 0;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al revocar invitación', { error, bridgeId });
+            throw error;
+        }
+    }
+
+    /**
+     * Canjea una invitación para unir un canal a su puente. En una sola transacción consume un uso del
+     * código y registra la unión en `bridge_joins`: si la invitación exige aprobación queda 'pending';
+     * si no, se aprueba y el canal se vincula de inmediato.
+     *
+     * @param {string} code - Código de invitación
+     * @param {Object} request - { platform, nativeId, requestedBy }
+     * @returns {Object|null} { join, invite }, o null si el código no es válido o ya se agotó
+     */
+    redeemInvite(code, { platform, nativeId, requestedBy = null }) {
+        try {
+            const redeem = this.db.transaction(() => {
+                const now = Math.floor(Date.now() / 1000);
+                const invite = this.stmtGetValidInvite.get({ code, now });
+                if (!invite) return null;
+
+                this.stmtConsumeInvite.run(code);
+                const pending = invite.requires_approval === 1;
+                const info = this.stmtAddJoin.run({
+                    bridgeId: invite.bridge_id,
+                    platform,
+                    nativeId: String(nativeId),
+                    inviteCode: code,
+                    requestedBy,
+                    status: pending ? 'pending' : 'approved',
+                    resolvedBy: null,
+                    resolvedAt: pending ? null : now
+                });
+                if (!pending) this.linkChannelToBridge({ bridgeId: invite.bridge_id, platform, nativeId: String(nativeId) });
+                return { join: this.stmtGetJoin.get(info.lastInsertRowid), invite };
+            });
+            return redeem();
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al canjear invitación', { error, platform, nativeId });
+            throw error;
+        }
+    }
+
+    /**
+     * Solicitud de unión pendiente de un canal (como máximo una a la vez), o null.
+     */
+    getPendingJoin(platform, nativeId) {
+        try {
+            return this.stmtGetPendingJoin.get(platform, String(nativeId)) || null;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al consultar solicitud de unión', { error, platform, nativeId });
+            return null;
+        }
+    }
+
+    getJoinRequest(id) {
+        try {
+            return this.stmtGetJoin.get(Number(id)) || null;
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al consultar solicitud de unión', { error, id });
+            return null;
+        }
+    }
+
+    /**
+     * Historial de uniones de un puente (todas, o solo las de un estado).
+     */
+    listJoinRequests(bridgeId, status = null) {
+        try {
+            return this.stmtListJoins.all({ bridgeId, status });
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al listar solicitudes de unión', { error, bridgeId });
+            return [];
+        }
+    }
+
+    /**
+     * Aprueba o rechaza una solicitud pendiente. Al aprobarla, el canal se vincula al puente
+     * en la misma transacción.
+     *
+     * @param {number} id - ID de la solicitud
+     * @param {Object} resolution - { approved, resolvedBy }
+     * @returns {Object|null} Solicitud resuelta, o null si no existía o ya estaba resuelta
+     */
+    resolveJoinRequest(id, { approved, resolvedBy = null }) {
+        try {
+            const resolve = this.db.transaction(() => {
+                const changes = this.stmtResolveJoin.run({
+                    id: Number(id),
+                    status: approved ? 'approved' : 'rejected',
+                    resolvedBy,
+                    resolvedAt: Math.floor(Date.now() / 1000)
+                }).changes;
+                if (changes === 0) return null;
+
+                const join = this.stmtGetJoin.get(Number(id));
+                if (approved) this.linkChannelToBridge({ bridgeId: join.bridge_id, platform: join.platform, nativeId: join.native_id });
+                return join;
+            });
+            return resolve();
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al resolver solicitud de unión', { error, id });
+            throw error;
+        }
+    }
+
+    /**
+     * Registra un cambio administrativo o de topología en `audit_events`.
+     * Nunca lanza: un fallo de auditoría no debe abortar la operación ya realizada.
+     *
+     * @param {Object} event
+     * @param {Object} event.actor - { platform, userId } de quien ejecuta el cambio (ej. { platform: 'api', userId: '10.0.0.4' })
+     * @param {string} event.action - Acción en notación de puntos (ej. 'bridge.status', 'channel.link')
+     * @param {Object} [event.target] - { type, id } del objeto afectado
+     * @param {string} [event.bridgeId] - Puente afectado, para filtrar el historial
+     * @param {*} [event.before] - Estado previo (se serializa a JSON)
+     * @param {*} [event.after] - Estado resultante (se serializa a JSON)
+     * @returns {number|null} ID del evento creado
+     */
+    recordAudit({ actor, action, target = null, bridgeId = null, before = null, after = null }) {
+        try {
+            const info = this.stmtAddAuditEvent.run({
+                actorPlatform: actor?.platform || 'system',
+                actorId: actor?.userId != null ? String(actor.userId) : null,
+                action,
+                targetType: target?.type || null,
+                targetId: target?.id != null ? String(target.id) : null,
+                bridgeId: bridgeId || null,
+                before: before != null ? JSON.stringify(before) : null,
+                after: after != null ? JSON.stringify(after) : null
+            });
+            if (this.logger) this.logger.info(`Auditoría #${info.lastInsertRowid}: ${action} por ${actor?.platform || 'system'}:${actor?.userId ?? '-'}`, { target, bridgeId });
+            return Number(info.lastInsertRowid);
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al registrar evento de auditoría', { error, action });
+            return null;
+        }
+    }
+
+    /**
+     * Historial de auditoría, del evento más reciente al más antiguo.
+     *
+     * @param {Object} [filter] - { bridgeId, action, since (segundos UNIX), limit }
+     * @returns {Array<Object>} Eventos con `before_state` y `after_state` ya interpretados
+     */
+    listAuditEvents({ bridgeId = null, action = null, since = null, limit = 50 } = {}) {
+        try {
+            return this.stmtListAuditEvents.all({ bridgeId, action, since, limit }).map(row => this._parseAuditEvent(row));
+        } catch (error) {
+            if (this.logger) this.logger.error('Error al listar eventos de auditoría', { error, bridgeId });
+            return [];
+        }
+    }
+
+    /**
+     * Recorre el historial completo en orden cronológico sin cargarlo en memoria (exportación JSONL).
+     * Se lee por páginas para no mantener un cursor abierto mientras el consumidor espera.
+     *
+     * @param {Object} [filter] - { bridgeId, since }
+     * @returns {Generator<Object>}
+     */
+    *iterateAuditEvents({ bridgeId = null, since = null } = {}) {
+        let afterId = 0;
+        while (true) {
+            const rows = this.stmtExportAuditEvents.all({ bridgeId, since, afterId, limit: AUDIT_EXPORT_PAGE_SIZE });
+            for (const row of rows) yield this._parseAuditEvent(row);
+            if (rows.length < AUDIT_EXPORT_PAGE_SIZE) return;
+            afterId = rows[rows.length - 1].id;
+        }
+    }
+
+    _parseAuditEvent(row) {
+        return {
+            ...row,
+            before_state: row.before_state ? JSON.parse(row.before_state) : null,
+            after_state: row.after_state ? JSON.parse(row.after_state) : null
+        };
+    }
+
+    _parseDeadLetter(row) {
+        return {
+            ...row,
+            envelope: JSON.parse(row.envelope),
+            attempt_history: row.attempt_history ? JSON.parse(row.attempt_history) : []
+        };
+    }
+
+    /**
+     * Apagado elegante: Cierra conexiones y purga los descriptores de lectura/escritura (Graceful Shutdown).
+     */
+    async disconnect() {
+        if (this.pruneTimer) {
+            clearInterval(this.pruneTimer);
+            this.pruneTimer = null;
+        }
+
         if (this.db) {
             if (this.logger) this.logger.info('Ejecutando Checkpoint WAL y cerrando persistencia SQLite...');
             this.db.close();
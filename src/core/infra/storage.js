@@ -2,12 +2,23 @@
 import fs from 'node:fs/promises';
 import { createWriteStream } from 'node:fs';
 import path from 'node:path';
+import { Readable } from 'node:stream';
 import { pipeline } from 'node:stream/promises';
 import { randomUUID } from 'node:crypto';
 import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
 import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
 import sharp from 'sharp';
 
+// Lienzo exigido por WhatsApp para los stickers
+const STICKER_SIZE = 512;
+
+// Cabecera TIFF con una única etiqueta privada (0x5741) de tipo UNDEFINED cuyo valor es el JSON del paquete
+const STICKER_EXIF_HEADER = Buffer.from([
+    0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00,
+    0x01, 0x00, 0x41, 0x57, 0x07, 0x00, 0x00, 0x00,
+    0x00, 0x00, 0x16, 0x00, 0x00, 0x00
+]);
+
 /**
  * Gestor avanzado de almacenamiento y caché multimedia.
  * Abstrae la persistencia hacia la nube (S3/MinIO) para arquitecturas sin estado (Stateless),
@@ -177,19 +188,9 @@ export class StorageService {
 
             // Transcodificación estricta mediante Sharp sin escribir en disco (Memoria a Memoria)
             if (options.type === 'sticker' && options.optimizeFor === 'wa') {
-                // Mandato Draconiano de WhatsApp: WebP, 512x512 exacto, Fit Contain transparente
-                const transformStream = sharp({ animated: true })
-                .resize(512, 512, {
-                    fit: 'contain',
-                    background: { r: 0, g: 0, b: 0, alpha: 0 }
-                })
-                .webp({ quality: 50, lossless: false });
-
-                // NOTA: Para stickers dinámicos (TGS/Lottie JSON) se requiere inyección de metadatos EXIF
-                // o pasarlo a un Worker Thread con binarios C++ antes de este paso.
-
-                mediaStream = mediaStream.pipeThrough(transformStream);
-                meta.mimeType = 'image/webp';
+                // Los metadatos EXIF van al final del contenedor WebP: requiere la imagen completa en memoria
+                const sticker = await this.createWhatsAppSticker(Buffer.from(await response.arrayBuffer()), options.sticker);
+                return await this.uploadMedia(Readable.from(sticker), { mimeType: 'image/webp' });
             } else if (options.type === 'image') {
                 // Optimización general para reducir consumo de red (Max 1920px)
                 const transformStream = sharp({ animated: true })
@@ -206,6 +207,40 @@ export class StorageService {
         }
     }
 
+    /**
+     * Convierte una imagen (estática o animada) en un sticker de WhatsApp: WebP de 512x512 exactos
+     * con fondo transparente y los metadatos del paquete en EXIF (nombre y autor visibles en la app).
+     * Los stickers vectoriales (TGS/Lottie) no están soportados y lanzan error.
+     *
+     * @param {Buffer} input - Imagen de origen.
+     * @param {Object} [pack]
+     * @param {string} [pack.id='openchat-core'] - Identificador del paquete.
+     * @param {string} [pack.name='OpenChat'] - Nombre del paquete.
+     * @param {string} [pack.publisher=''] - Autor mostrado.
+     * @param {Array<string>} [pack.emojis=[]] - Emoji asociados al sticker.
+     * @returns {Promise<Buffer>} WebP listo para enviar como `sticker`.
+     */
+    async createWhatsAppSticker(input, { id = 'openchat-core', name = 'OpenChat', publisher = '', emojis = [] } = {}) {
+        const { data, info } = await sharp(input, { animated: true })
+        .resize(STICKER_SIZE, STICKER_SIZE, {
+            fit: 'contain',
+            background: { r: 0, g: 0, b: 0, alpha: 0 }
+        })
+        .webp({ quality: 50, lossless: false })
+        .toBuffer({ resolveWithObject: true });
+
+        const json = Buffer.from(JSON.stringify({
+            'sticker-pack-id': id,
+            'sticker-pack-name': name,
+            'sticker-pack-publisher': publisher,
+            emojis
+        }), 'utf8');
+        const exif = Buffer.concat([STICKER_EXIF_HEADER, json]);
+        exif.writeUInt32LE(json.length, 14);
+
+        return _injectWebpExif(data, exif, { width: info.width, height: info.pageHeight || info.height });
+    }
+
     /**
      * Helper interno para resolución rápida de extensiones sin paquetes externos.
      */
@@ -233,3 +268,57 @@ export class StorageService {
         }
     }
 }
+
+/**
+ * Añade (o sustituye) el bloque EXIF de un WebP. Los WebP simples (VP8/VP8L) se convierten al
+ * formato extendido con una cabecera VP8X, que es la que declara la presencia de EXIF.
+ *
+ * @param {Buffer} webp - Contenedor RIFF/WEBP.
+ * @param {Buffer} exif - Carga EXIF (TIFF).
+ * @param {Object} canvas - { width, height } del lienzo.
+ * @returns {Buffer}
+ */
+function _injectWebpExif(webp, exif, { width, height }) {
+    if (webp.toString('ascii', 0, 4) !== 'RIFF' || webp.toString('ascii', 8, 12) !== 'WEBP') {
+        throw new Error('El sticker generado no es un WebP válido');
+    }
+
+    const chunks = [];
+    for (let offset = 12; offset + 8 <= webp.length;) {
+        const size = webp.readUInt32LE(offset + 4);
+        chunks.push({ fourcc: webp.toString('ascii', offset, offset + 4), data: webp.subarray(offset + 8, offset + 8 + size) });
+        offset += 8 + size + (size % 2); // Los bloques de tamaño impar llevan un byte de relleno
+    }
+
+    const output = chunks.filter(chunk => chunk.fourcc !== 'EXIF');
+    let vp8x = output.find(chunk => chunk.fourcc === 'VP8X');
+    if (vp8x) {
+        vp8x.data = Buffer.from(vp8x.data);
+    } else {
+        // Alfa: bloque ALPH (VP8 con pérdida) o bit alpha_is_used de la cabecera VP8L
+        const lossless = output.find(chunk => chunk.fourcc === 'VP8L');
+        const hasAlpha = output.some(chunk => chunk.fourcc === 'ALPH') || (lossless && (lossless.data[4] & 0x10));
+        vp8x = { fourcc: 'VP8X', data: Buffer.alloc(10) };
+        if (hasAlpha) vp8x.data[0] |= 0x10;
+        vp8x.data.writeUIntLE(width - 1, 4, 3);
+        vp8x.data.writeUIntLE(height - 1, 7, 3);
+        output.unshift(vp8x);
+    }
+    vp8x.data[0] |= 0x08; // Bandera EXIF
+    output.push({ fourcc: 'EXIF', data: exif });
+
+    const parts = [Buffer.from('WEBP', 'ascii')];
+    for (const { fourcc, data } of output) {
+        const header = Buffer.alloc(8);
+        header.write(fourcc, 0, 'ascii');
+        header.writeUInt32LE(data.length, 4);
+        parts.push(header, data);
+        if (data.length % 2) parts.push(Buffer.alloc(1));
+    }
+    const payload = Buffer.concat(parts);
+
+    const riff = Buffer.alloc(8);
+    riff.write('RIFF', 0, 'ascii');
+    riff.writeUInt32LE(payload.length, 4);
+    return Buffer.concat([riff, payload]);
+}
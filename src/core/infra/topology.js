@@ -0,0 +1,346 @@
+// src/core/infra/topology.js
+import { randomUUID } from 'node:crypto';
+import { z } from 'zod';
+import YAML from 'yaml';
+
+/**
+ * Instantáneas declarativas de la topología (puentes, canales, configuración y estado).
+ * Permiten versionar la red en git y reconstruirla en un nodo nuevo sin repetir `!bridge`/`!link`
+ * en cada chat: `exportTopology` vuelca el estado del Repository y `applyTopology` lo reconcilia
+ * de forma idempotente (aplicar dos veces el mismo archivo no produce cambios).
+ *
+ * Ejemplo (YAML):
+ *   version: 1
+ *   bridges:
+ *     - id: 3bda2a5e-8cd2-40c1-8261-a1962098fb15
+ *       name: Comunidad
+ *       status: on
+ *       config: {}
+ *       channels:
+ *         - platform: discord
+ *           nativeId: "1122334455"
+ *           config: {}
+ *
+ * Semántica de `apply`: el archivo es la verdad para los puentes que declara (los canales que ya
+ * no figuran en ellos se desvinculan). Los puentes ausentes del archivo solo se eliminan con `prune`.
+ */
+
+export const TOPOLOGY_VERSION = 1;
+
+// Los IDs nativos pueden superar Number.MAX_SAFE_INTEGER: en YAML se leen como BigInt y en JSON deben ir entre comillas
+const NativeIdSchema = z.union([z.string().min(1), z.bigint()], {
+    errorMap: () => ({ message: 'debe ser una cadena (entrecomilla los IDs numéricos)' })
+}).transform(String);
+
+const TopologyChannelSchema = z.object({
+    platform: z.string().min(1).max(50),
+    nativeId: NativeIdSchema,
+    config: z.record(z.any()).default({})
+}).strict();
+
+const TopologyBridgeSchema = z.object({
+    id: z.string().min(1).max(100).optional(),
+    name: z.string().trim().min(1).max(100),
+    status: z.enum(['on', 'off', 'paused']).default('on'),
+    config: z.record(z.any()).default({}),
+    channels: z.array(TopologyChannelSchema).default([])
+}).strict();
+
+export const TopologySchema = z.object({
+    version: z.literal(TOPOLOGY_VERSION),
+    bridges: z.array(TopologyBridgeSchema)
+}).strict().superRefine((topology, ctx) => {
+    const ids = new Set();
+    const names = new Set();
+    const channels = new Map();
+
+    topology.bridges.forEach((bridge, index) => {
+        if (bridge.id) {
+            if (ids.has(bridge.id)) ctx.addIssue({ code: 'custom', path: ['bridges', index, 'id'], message: `ID de puente duplicado: ${bridge.id}` });
+            ids.add(bridge.id);
+        } else {
+            // Sin ID, el puente se identifica por su nombre
+            if (names.has(bridge.name)) ctx.addIssue({ code: 'custom', path: ['bridges', index, 'name'], message: `Nombre de puente duplicado sin ID: ${bridge.name}` });
+            names.add(bridge.name);
+        }
+
+        bridge.channels.forEach((channel, channelIndex) => {
+            const key = `${channel.platform}:${channel.nativeId}`;
+            if (channels.has(key)) {
+                ctx.addIssue({ code: 'custom', path: ['bridges', index, 'channels', channelIndex], message: `El canal ${key} figura en más de un puente` });
+            }
+            channels.set(key, index);
+        });
+    });
+});
+
+/**
+ * Vuelca la topología actual del Repository. Puentes y canales se ordenan de forma estable
+ * para que las exportaciones sucesivas produzcan diffs limpios en git.
+ *
+ * @param {import('./repository.js').Repository} repository
+ * @returns {Object} Instantánea conforme a `TopologySchema`.
+ */
+export function exportTopology(repository) {
+    const bridges = repository.getAllBridges().map(({ id }) => {
+        const bridge = repository.getBridge(id);
+        const channels = repository.getBridgeTopology(id)
+            .map(channel => ({ platform: channel.platform, nativeId: channel.native_id, config: channel.config }))
+            .sort((a, b) => a.platform.localeCompare(b.platform) || a.nativeId.localeCompare(b.nativeId));
+        return { id: bridge.id, name: bridge.name, status: bridge.status, config: bridge.config, channels };
+    });
+    return { version: TOPOLOGY_VERSION, bridges };
+}
+
+/**
+ * Interpreta y valida el contenido de un archivo de topología.
+ *
+ * @param {string} text - Contenido del archivo.
+ * @param {'yaml'|'json'} format
+ * @returns {Object} Instantánea normalizada.
+ * @throws {Error} Con todos los problemas encontrados.
+ */
+export function parseTopology(text, format = 'yaml') {
+    let raw;
+    try {
+        raw = format === 'json' ? JSON.parse(text) : YAML.parse(text, _reviveYamlInteger, { intAsBigInt: true });
+    } catch (error) {
+        throw new Error(`Archivo de topología ilegible (${format}): ${error.message}`);
+    }
+
+    const parsed = TopologySchema.safeParse(raw);
+    if (!parsed.success) {
+        const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || '(raíz)'}: ${issue.message}`);
+        throw new Error(`Archivo de topología inválido: ${issues.join('; ')}`);
+    }
+    return parsed.data;
+}
+
+/**
+ * @param {Object} topology - Instantánea (ej. la devuelta por `exportTopology`).
+ * @param {'yaml'|'json'} format
+ * @returns {string}
+ */
+export function serializeTopology(topology, format = 'yaml') {
+    return format === 'json'
+        ? `${JSON.stringify(topology, null, 2)}\n`
+        : YAML.stringify(topology);
+}
+
+/**
+ * Formato según la extensión del archivo (`.json`; cualquier otra se trata como YAML).
+ */
+export function detectTopologyFormat(filePath) {
+    return /\.json$/i.test(filePath) ? 'json' : 'yaml';
+}
+
+/**
+ * Calcula los cambios necesarios para que el Repository refleje la instantánea, sin aplicarlos.
+ *
+ * Cada cambio es { op, kind, key, bridgeId, label, before, after } con:
+ *   kind 'bridge': op 'create' | 'update' | 'delete'
+ *   kind 'channel': op 'link' | 'relink' | 'update' | 'unlink'
+ *
+ * @param {import('./repository.js').Repository} repository
+ * @param {Object} topology - Instantánea validada.
+ * @param {Object} [options] - { prune } elimina los puentes que no figuran en el archivo.
+ * @returns {Array<Object>} Cambios en el orden en que se aplicarían.
+ * @throws {Error} Si un puente sin ID coincide por nombre con varios existentes.
+ */
+export function planTopology(repository, topology, { prune = false } = {}) {
+    const existing = repository.getAllBridges().map(({ id }) => repository.getBridge(id));
+    const bridgeChanges = [];
+    const channelChanges = [];
+    const unlinks = [];
+    const declared = new Set();
+    const declaredChannels = new Set();
+
+    for (const bridge of topology.bridges) {
+        const current = _matchBridge(existing, bridge);
+        // Un puente nuevo sin ID recibe uno aquí para que sus canales puedan referenciarlo
+        const bridgeId = current?.id || bridge.id || randomUUID();
+        const label = bridge.name;
+        const desired = { name: bridge.name, status: bridge.status, config: bridge.config };
+
+        if (!current) {
+            bridgeChanges.push({ op: 'create', kind: 'bridge', key: bridge.id || bridge.name, bridgeId, generatedId: !bridge.id, label, before: null, after: desired });
+        } else {
+            declared.add(current.id);
+            const before = {};
+            const after = {};
+            for (const field of ['name', 'status', 'config']) {
+                if (!_sameJson(current[field], desired[field])) {
+                    before[field] = current[field];
+                    after[field] = desired[field];
+                }
+            }
+            if (Object.keys(after).length > 0) {
+                bridgeChanges.push({ op: 'update', kind: 'bridge', key: current.id, bridgeId: current.id, label, before, after });
+            }
+        }
+
+        const currentChannels = current ? repository.getBridgeTopology(current.id) : [];
+        for (const channel of bridge.channels) {
+            const key = `${channel.platform}:${channel.nativeId}`;
+            declaredChannels.add(key);
+            const link = repository.getChannelLink(channel.platform, channel.nativeId);
+            const after = { bridgeId, config: channel.config };
+
+            if (!link) {
+                channelChanges.push({ op: 'link', kind: 'channel', key, bridgeId, label, before: null, after, channel });
+            } else if (!current || link.bridge_id !== current.id) {
+                channelChanges.push({ op: 'relink', kind: 'channel', key, bridgeId, label, before: { bridgeId: link.bridge_id, config: link.config }, after, channel });
+            } else if (!_sameJson(link.config, channel.config)) {
+                channelChanges.push({ op: 'update', kind: 'channel', key, bridgeId, label, before: { config: link.config }, after: { config: channel.config }, channel });
+            }
+        }
+
+        for (const channel of currentChannels) {
+            const key = `${channel.platform}:${channel.native_id}`;
+            if (bridge.channels.some(entry => `${entry.platform}:${entry.nativeId}` === key)) continue;
+            unlinks.push({
+                op: 'unlink', kind: 'channel', key, bridgeId: current.id, label,
+                before: { bridgeId: current.id, config: channel.config }, after: null,
+                channel: { platform: channel.platform, nativeId: channel.native_id }
+            });
+        }
+    }
+
+    const deletes = prune
+        ? existing.filter(bridge => !declared.has(bridge.id)).map(bridge => ({
+            op: 'delete', kind: 'bridge', key: bridge.id, bridgeId: bridge.id, label: bridge.name,
+            before: { name: bridge.name, status: bridge.status, channels: repository.getBridgeTopology(bridge.id).map(channel => `${channel.platform}:${channel.native_id}`) },
+            after: null
+        }))
+        : [];
+
+    // Un canal que se desvincula de un puente y a la vez se declara en otro ya figura como 'relink'
+    return [...bridgeChanges, ...channelChanges, ...unlinks.filter(change => !declaredChannels.has(change.key)), ...deletes];
+}
+
+/**
+ * Reconcilia el Repository con la instantánea en una única transacción.
+ * Cada cambio aplicado queda en la auditoría atribuido a `actor`.
+ *
+ * @param {import('./repository.js').Repository} repository
+ * @param {Object} topology - Instantánea validada.
+ * @param {Object} [options] - { prune, dryRun, actor: { platform, userId } }
+ * @returns {Array<Object>} Cambios calculados (aplicados salvo en `dryRun`).
+ */
+export function applyTopology(repository, topology, { prune = false, dryRun = false, actor = { platform: 'cli', userId: null } } = {}) {
+    const changes = planTopology(repository, topology, { prune });
+    if (dryRun || changes.length === 0) return changes;
+
+    repository.transaction(() => {
+        for (const change of changes) {
+            if (change.kind === 'bridge') {
+                _applyBridgeChange(repository, change);
+            } else {
+                _applyChannelChange(repository, change);
+            }
+            repository.recordAudit({
+                actor,
+                action: `topology.${change.kind}.${change.op}`,
+                target: { type: change.kind, id: change.kind === 'bridge' ? change.bridgeId : change.key },
+                bridgeId: change.bridgeId,
+                before: change.before,
+                after: change.after
+            });
+        }
+    });
+    return changes;
+}
+
+/**
+ * Representación legible del plan (una línea por cambio) para el modo `--dry-run`.
+ */
+export function formatTopologyPlan(changes) {
+    if (changes.length === 0) return 'Sin cambios: la topología ya coincide con el archivo.';
+
+    const symbols = { create: '+', link: '+', update: '~', relink: '>', unlink: '-', delete: '-' };
+    const lines = changes.map(change => {
+        const symbol = symbols[change.op];
+        if (change.kind === 'bridge') {
+            const fields = change.op === 'update'
+                ? ` (${Object.keys(change.after).map(field => `${field}: ${_preview(change.before[field])} → ${_preview(change.after[field])}`).join(', ')})`
+                : '';
+            return `${symbol} puente ${change.label} [${change.generatedId ? 'ID nuevo' : change.bridgeId}] ${change.op}${fields}`;
+        }
+        const detail = {
+            link: () => `→ ${change.label}`,
+            relink: () => `${change.before.bridgeId} → ${change.label}`,
+            update: () => `config: ${_preview(change.before.config)} → ${_preview(change.after.config)}`,
+            unlink: () => `(sale de ${change.label})`
+        }[change.op]();
+        return `${symbol} canal ${change.key} ${change.op} ${detail}`;
+    });
+
+    const counts = changes.reduce((acc, change) => ({ ...acc, [change.op]: (acc[change.op] || 0) + 1 }), {});
+    const summary = Object.entries(counts).map(([op, count]) => `${count} ${op}`).join(', ');
+    return `${lines.join('\n')}\n\n${changes.length} cambios (${summary}).`;
+}
+
+/**
+ * Los enteros YAML se leen como BigInt para no perder precisión en los IDs nativos sin comillas;
+ * fuera de `nativeId` se devuelven a Number.
+ */
+function _reviveYamlInteger(key, value) {
+    return typeof value === 'bigint' && key !== 'nativeId' ? Number(value) : value;
+}
+
+function _matchBridge(existing, bridge) {
+    if (bridge.id) return existing.find(candidate => candidate.id === bridge.id) || null;
+
+    const matches = existing.filter(candidate => candidate.name === bridge.name);
+    if (matches.length > 1) {
+        throw new Error(`El puente "${bridge.name}" no tiene ID y coincide por nombre con ${matches.length} puentes existentes. Indica su ID.`);
+    }
+    return matches[0] || null;
+}
+
+function _applyBridgeChange(repository, change) {
+    switch (change.op) {
+        case 'create':
+            repository.createBridge(change.after.name, change.bridgeId);
+            if (change.after.status !== 'on') repository.updateBridgeStatus(change.bridgeId, change.after.status);
+            repository.updateBridgeConfig(change.bridgeId, change.after.config);
+            break;
+        case 'update':
+            if (change.after.name !== undefined) repository.renameBridge(change.bridgeId, change.after.name);
+            if (change.after.status !== undefined) repository.updateBridgeStatus(change.bridgeId, change.after.status);
+            if (change.after.config !== undefined) repository.updateBridgeConfig(change.bridgeId, change.after.config);
+            break;
+        case 'delete':
+            repository.deleteBridge(change.bridgeId);
+            break;
+    }
+}
+
+function _applyChannelChange(repository, change) {
+    const { platform, nativeId } = change.channel;
+    if (change.op === 'unlink') {
+        repository.unlinkChannel(platform, nativeId);
+        return;
+    }
+    repository.linkChannelToBridge({ bridgeId: change.bridgeId, platform, nativeId, config: change.after.config });
+}
+
+/**
+ * Igualdad estructural de valores JSON, independiente del orden de las claves.
+ */
+function _sameJson(a, b) {
+    return _canonicalJson(a ?? null) === _canonicalJson(b ?? null);
+}
+
+function _canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(_canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${_canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function _preview(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 59)}…` : text;
+}
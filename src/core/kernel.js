@@ -6,6 +6,10 @@ import { Repository } from './infra/repository.js';
 import { StorageService } from './infra/storage.js';
 import { QueueManager } from './infra/queue.js';
 import { CircuitBreakerRegistry } from './utils/circuit_breaker.js';
+import { MetricsRegistry } from './utils/metrics.js';
+import { PermissionManager } from './utils/permissions.js';
+import { CommandRegistry } from './utils/commands.js';
+import { UMF_EVENTS } from './utils/umf.js';
 import { PluginLoader } from './plugin_loader.js';
 
 /**
@@ -26,6 +30,9 @@ export class Kernel {
             storage: null,
             queue: null,
             circuitBreaker: null,
+            metrics: null,
+            permissions: null,
+            commands: null,
             pluginLoader: null,
             redis: null // <-- AÑADIDO: Cliente Redis para operaciones atómicas (SETNX, etc.)
         };
@@ -44,6 +51,9 @@ export class Kernel {
             this.context.logger = new Logger(this.context.config);
             this.context.logger.info('Iniciando secuencia de arranque de infraestructura del Microkernel...');
 
+            // 2b. Registro de métricas (Prometheus), disponible para la infraestructura y los plugins
+            this.context.metrics = new MetricsRegistry(this.context.config, this.context.logger);
+
             // 3. Bus de Mensajes (Event-Driven: EventEmitter local o Redis Pub/Sub)
             this.context.bus = new MessageBus(this.context.config, this.context.logger);
             await this.context.bus.connect();
@@ -57,8 +67,19 @@ export class Kernel {
             await this.context.storage.connect();
 
             // 6. Colas Distribuidas (BullMQ para Rate Limiting y Egress)
-            this.context.queue = new QueueManager(this.context.config, this.context.logger);
+            this.context.queue = new QueueManager(this.context.config, this.context.logger, this.context.metrics);
             await this.context.queue.connect();
+            this.context.queue.setDeadLetterStore(this.context.repository);
+
+            // 6b. Control de acceso (permissions.json + roles por puente) y registro central de comandos de chat
+            this.context.permissions = new PermissionManager(this.context.config, this.context.logger, this.context.repository);
+            await this.context.permissions.init();
+            this.context.commands = new CommandRegistry(this.context.config, this.context.logger, {
+                bus: this.context.bus,
+                queue: this.context.queue,
+                permissions: this.context.permissions
+            });
+            this.context.commands.start();
 
             // 7. Registro de Circuit Breaker (Prevención de fallos en cascada contra APIs externas)
             this.context.circuitBreaker = new CircuitBreakerRegistry(this.context.config, this.context.logger);
@@ -77,6 +98,8 @@ export class Kernel {
                 }
             }
 
+            this._registerCoreMetrics();
+
             // 9. Gestor de Plugins (Aislamiento y carga dinámica ESM)
             this.context.pluginLoader = new PluginLoader(this.context);
             await this.context.pluginLoader.discover();
@@ -87,6 +110,49 @@ export class Kernel {
         }
     }
 
+    /**
+     * Series de la infraestructura del núcleo: mensajes entrantes por plataforma, estado de los
+     * cortocircuitos (a partir de `getSnapshot()`) y datos básicos del proceso.
+     */
+    _registerCoreMetrics() {
+        const { metrics, bus, circuitBreaker } = this.context;
+
+        const ingress = metrics.counter({
+            name: 'openchat_ingress_messages_total',
+            help: 'Mensajes entrantes normalizados a UMF por plataforma',
+            labelNames: ['platform']
+        });
+        bus.on(UMF_EVENTS.INGRESS, (envelope) => {
+            ingress.inc({ platform: envelope?.head?.source?.platform || 'unknown' });
+        });
+
+        // 0 = CLOSED, 1 = HALF_OPEN, 2 = OPEN
+        const breakerStates = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+        const breakerState = metrics.gauge({
+            name: 'openchat_circuit_breaker_state',
+            help: 'Estado del cortocircuito (0 = CLOSED, 1 = HALF_OPEN, 2 = OPEN)',
+            labelNames: ['service']
+        });
+        const breakerCalls = metrics.gauge({
+            name: 'openchat_circuit_breaker_calls',
+            help: 'Llamadas acumuladas del cortocircuito por resultado',
+            labelNames: ['service', 'result']
+        });
+        const uptime = metrics.gauge({ name: 'openchat_uptime_seconds', help: 'Segundos desde el arranque del Kernel' });
+        const memory = metrics.gauge({ name: 'openchat_process_resident_memory_bytes', help: 'Memoria residente del proceso' });
+
+        metrics.registerCollector(() => {
+            for (const snapshot of Object.values(circuitBreaker.getGlobalHealth())) {
+                breakerState.set({ service: snapshot.serviceName }, breakerStates[snapshot.state] ?? -1);
+                for (const [result, value] of Object.entries(snapshot.metrics)) {
+                    breakerCalls.set({ service: snapshot.serviceName, result }, value);
+                }
+            }
+            uptime.set({}, Math.round((Date.now() - this.startTime) / 1000));
+            memory.set({}, process.memoryUsage().rss);
+        });
+    }
+
     /**
      * Fase 2: Arranque e inyección de contexto hacia Adaptadores y Addons N-a-N.
      */
@@ -139,6 +205,14 @@ export class Kernel {
                 await this.context.pluginLoader.stopAll();
             }
 
+            // 2b. Dejar de atender comandos y liberar el watcher de permissions.json
+            if (this.context.commands) {
+                this.context.commands.stop();
+            }
+            if (this.context.permissions) {
+                await this.context.permissions.disconnect();
+            }
+
             // 3. Pausar y drenar colas de BullMQ activas
             if (this.context.queue) {
                 log('Cerrando conexiones y workers de colas de salida...');
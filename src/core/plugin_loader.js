@@ -1,6 +1,10 @@
 // src/core/plugin_loader.js
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import { parseManifest, validateConfig, sortByDependencies } from './utils/manifest.js';
+
+// Únicos plugins que reciben el control del ciclo de vida de los demás (reload/enable/disable)
+const LIFECYCLE_CONTROLLERS = new Set(['admin', 'management_api']);
 
 /**
  * Gestor dinámico de módulos (Plugins).
@@ -12,6 +16,14 @@ export class PluginLoader {
         this.kernelContext = kernelContext;
         this.plugins = new Map();
 
+        // Estado para la gestión en caliente (reload/enable/disable)
+        this.pluginPaths = new Map(); // nombre -> ruta absoluta del index.js descubierto
+        this.manifests = new Map(); // nombre -> plugin.json validado (o null si no declara manifiesto)
+        this.failures = new Map(); // nombre -> motivo por el que no está activo
+        this.disabled = new Set();
+        this.scopes = new Map(); // nombre -> { listeners: [[evento, manejador]], queues: Set<cola> }
+        this.transitions = new Set(); // Plugins con una operación en curso
+
         // Directorios donde residen los complementos (Microkernel Architecture)
         this.pluginDirectories = [
             path.resolve(process.cwd(), 'src/adapters'),
@@ -33,7 +45,54 @@ export class PluginLoader {
             updateBridgeStatus: this.kernelContext.repository?.updateBridgeStatus?.bind(this.kernelContext.repository),
             getChannelLink: this.kernelContext.repository?.getChannelLink?.bind(this.kernelContext.repository),
             createBridge: this.kernelContext.repository?.createBridge?.bind(this.kernelContext.repository),
-            unlinkChannel: this.kernelContext.repository?.unlinkChannel?.bind(this.kernelContext.repository)
+            getBridge: this.kernelContext.repository?.getBridge?.bind(this.kernelContext.repository),
+            getAllBridges: this.kernelContext.repository?.getAllBridges?.bind(this.kernelContext.repository),
+            renameBridge: this.kernelContext.repository?.renameBridge?.bind(this.kernelContext.repository),
+            deleteBridge: this.kernelContext.repository?.deleteBridge?.bind(this.kernelContext.repository),
+            unlinkChannel: this.kernelContext.repository?.unlinkChannel?.bind(this.kernelContext.repository),
+            updateChannelConfig: this.kernelContext.repository?.updateChannelConfig?.bind(this.kernelContext.repository),
+            updateBridgeConfig: this.kernelContext.repository?.updateBridgeConfig?.bind(this.kernelContext.repository),
+            recordMessageCopy: this.kernelContext.repository?.recordMessageCopy?.bind(this.kernelContext.repository),
+            getMessageCopies: this.kernelContext.repository?.getMessageCopies?.bind(this.kernelContext.repository),
+            forgetMessage: this.kernelContext.repository?.forgetMessage?.bind(this.kernelContext.repository),
+            findMessageOrigin: this.kernelContext.repository?.findMessageOrigin?.bind(this.kernelContext.repository),
+            resolveMessageCopy: this.kernelContext.repository?.resolveMessageCopy?.bind(this.kernelContext.repository),
+            pruneMessageMap: this.kernelContext.repository?.pruneMessageMap?.bind(this.kernelContext.repository),
+            setMessageReaction: this.kernelContext.repository?.setMessageReaction?.bind(this.kernelContext.repository),
+            getReactionTally: this.kernelContext.repository?.getReactionTally?.bind(this.kernelContext.repository),
+            getReactionSummaryMessage: this.kernelContext.repository?.getReactionSummaryMessage?.bind(this.kernelContext.repository),
+            setReactionSummaryMessage: this.kernelContext.repository?.setReactionSummaryMessage?.bind(this.kernelContext.repository),
+            savePoll: this.kernelContext.repository?.savePoll?.bind(this.kernelContext.repository),
+            getPoll: this.kernelContext.repository?.getPoll?.bind(this.kernelContext.repository),
+            setPollVote: this.kernelContext.repository?.setPollVote?.bind(this.kernelContext.repository),
+            getPollTally: this.kernelContext.repository?.getPollTally?.bind(this.kernelContext.repository),
+            getPollResultMessage: this.kernelContext.repository?.getPollResultMessage?.bind(this.kernelContext.repository),
+            setPollResultMessage: this.kernelContext.repository?.setPollResultMessage?.bind(this.kernelContext.repository),
+            setPollHandle: this.kernelContext.repository?.setPollHandle?.bind(this.kernelContext.repository),
+            findPollHandle: this.kernelContext.repository?.findPollHandle?.bind(this.kernelContext.repository),
+            linkIdentities: this.kernelContext.repository?.linkIdentities?.bind(this.kernelContext.repository),
+            unlinkIdentity: this.kernelContext.repository?.unlinkIdentity?.bind(this.kernelContext.repository),
+            getIdentityLinks: this.kernelContext.repository?.getIdentityLinks?.bind(this.kernelContext.repository),
+            listDeadLetters: this.kernelContext.repository?.listDeadLetters?.bind(this.kernelContext.repository),
+            countDeadLetters: this.kernelContext.repository?.countDeadLetters?.bind(this.kernelContext.repository),
+            getDeadLetter: this.kernelContext.repository?.getDeadLetter?.bind(this.kernelContext.repository),
+            deleteDeadLetter: this.kernelContext.repository?.deleteDeadLetter?.bind(this.kernelContext.repository),
+            purgeDeadLetters: this.kernelContext.repository?.purgeDeadLetters?.bind(this.kernelContext.repository),
+            getBridgeRole: this.kernelContext.repository?.getBridgeRole?.bind(this.kernelContext.repository),
+            setBridgeRole: this.kernelContext.repository?.setBridgeRole?.bind(this.kernelContext.repository),
+            removeBridgeRole: this.kernelContext.repository?.removeBridgeRole?.bind(this.kernelContext.repository),
+            listBridgeRoles: this.kernelContext.repository?.listBridgeRoles?.bind(this.kernelContext.repository),
+            createInvite: this.kernelContext.repository?.createInvite?.bind(this.kernelContext.repository),
+            listInvites: this.kernelContext.repository?.listInvites?.bind(this.kernelContext.repository),
+            revokeInvite: this.kernelContext.repository?.revokeInvite?.bind(this.kernelContext.repository),
+            redeemInvite: this.kernelContext.repository?.redeemInvite?.bind(this.kernelContext.repository),
+            getPendingJoin: this.kernelContext.repository?.getPendingJoin?.bind(this.kernelContext.repository),
+            getJoinRequest: this.kernelContext.repository?.getJoinRequest?.bind(this.kernelContext.repository),
+            listJoinRequests: this.kernelContext.repository?.listJoinRequests?.bind(this.kernelContext.repository),
+            resolveJoinRequest: this.kernelContext.repository?.resolveJoinRequest?.bind(this.kernelContext.repository),
+            recordAudit: this.kernelContext.repository?.recordAudit?.bind(this.kernelContext.repository),
+            listAuditEvents: this.kernelContext.repository?.listAuditEvents?.bind(this.kernelContext.repository),
+            iterateAuditEvents: this.kernelContext.repository?.iterateAuditEvents?.bind(this.kernelContext.repository)
         };
 
         // Inmutabilidad para evitar la contaminación cruzada (Object.freeze)
@@ -41,23 +100,143 @@ export class PluginLoader {
             pluginName: pluginName,
             config: Object.freeze({ ...this.kernelContext.config }),
             logger: this.kernelContext.logger,
-            bus: this.kernelContext.bus,
-            queue: this.kernelContext.queue,
+            bus: this._createScopedBus(pluginName),
+            queue: this._createScopedQueue(pluginName),
             storage: this.kernelContext.storage,
             circuitBreaker: this.kernelContext.circuitBreaker,
+            metrics: this.kernelContext.metrics,
             repository: safeRepository,
+            // Consulta de roles de solo lectura (las concesiones por puente se persisten vía repository)
+            permissions: this.kernelContext.permissions && Object.freeze({
+                getRole: (platform, userId, scope) => this.kernelContext.permissions.getRole(platform, userId, scope),
+                normalizeUserId: (platform, userId) => this.kernelContext.permissions.normalizeUserId(platform, userId)
+            }),
+            commands: this._createScopedCommands(pluginName),
+            // Estado de los plugins (telemetría / API de gestión); las operaciones de ciclo de vida
+            // solo se conceden a los addons de administración
+            plugins: this._createPluginsView(pluginName),
             // SOLUCIÓN: Inyectar el cliente Redis nativo (ioredis) provisto por QueueManager
             redis: this.kernelContext.queue?.redisClient
         });
     }
 
+    /**
+     * Vista del bus que registra las suscripciones del plugin, para poder retirarlas
+     * cuando se detiene en caliente (los plugins no suelen desuscribirse en su stop()).
+     */
+    _createScopedBus(pluginName) {
+        const bus = this.kernelContext.bus;
+        const scope = this._getScope(pluginName);
+
+        const scopedBus = Object.freeze({
+            emit: (event, payload) => bus.emit(event, payload),
+            on: (event, handler) => {
+                scope.listeners.push([event, handler]);
+                return bus.on(event, handler);
+            },
+            once: (event, handler) => {
+                const wrapper = (...args) => {
+                    scopedBus.off(event, wrapper);
+                    handler(...args);
+                };
+                return scopedBus.on(event, wrapper);
+            },
+            off: (event, handler) => {
+                scope.listeners = scope.listeners.filter(([e, h]) => e !== event || h !== handler);
+                return bus.off(event, handler);
+            }
+        });
+        return scopedBus;
+    }
+
+    /**
+     * Vista de QueueManager que registra las colas consumidas por el plugin, para cerrar
+     * sus workers al detenerlo y permitir que la nueva instancia los vuelva a registrar.
+     */
+    _createScopedQueue(pluginName) {
+        const queue = this.kernelContext.queue;
+        if (!queue) return queue;
+        const scope = this._getScope(pluginName);
+
+        return Object.freeze({
+            add: (queueName, jobData, options) => queue.add(queueName, jobData, options),
+            process: (queueName, processorFn, limitOptions) => {
+                scope.queues.add(queueName);
+                return queue.process(queueName, processorFn, limitOptions);
+            },
+            replayDeadLetter: (id) => queue.replayDeadLetter(id),
+            getRedisClient: () => queue.getRedisClient()
+        });
+    }
+
+    /**
+     * Vista del gestor de plugins: cualquier plugin puede consultar su estado, pero solo los de
+     * `LIFECYCLE_CONTROLLERS` pueden recargar, habilitar o deshabilitar a los demás.
+     */
+    _createPluginsView(pluginName) {
+        const view = {
+            healthAll: () => this.healthAll(),
+            list: () => this.list()
+        };
+        if (LIFECYCLE_CONTROLLERS.has(pluginName)) {
+            view.reload = (name) => this.reload(name);
+            view.enable = (name) => this.enable(name);
+            view.disable = (name) => this.disable(name);
+        }
+        return Object.freeze(view);
+    }
+
+    /**
+     * Vista del registro de comandos: los comandos quedan a nombre del plugin, de modo que
+     * se retiran al detenerlo y las respuestas se firman con su nombre.
+     */
+    _createScopedCommands(pluginName) {
+        const commands = this.kernelContext.commands;
+        if (!commands) return commands;
+
+        return Object.freeze({
+            register: (definition) => commands.register(definition, pluginName),
+            reply: (envelope, text) => commands.reply(envelope, text, pluginName),
+            notify: (dest, text) => commands.notify(dest, text, pluginName)
+        });
+    }
+
+    _getScope(pluginName) {
+        if (!this.scopes.has(pluginName)) this.scopes.set(pluginName, { listeners: [], queues: new Set() });
+        return this.scopes.get(pluginName);
+    }
+
+    /**
+     * Retira las suscripciones al bus, los comandos y los workers registrados por un plugin.
+     */
+    async _releaseScope(pluginName) {
+        this.kernelContext.commands?.unregisterAll(pluginName);
+
+        const scope = this.scopes.get(pluginName);
+        if (!scope) return;
+        this.scopes.delete(pluginName);
+
+        for (const [event, handler] of scope.listeners) {
+            await this.kernelContext.bus.off(event, handler);
+        }
+        for (const queueName of scope.queues) {
+            await this.kernelContext.queue?.stopProcessing(queueName);
+        }
+    }
+
     /**
      * Fase de Descubrimiento: Escanea directorios dinámicamente.
+     * Respeta la selección de `config.plugins` (enabled/disabled) y ordena los plugins cargados
+     * según las dependencias declaradas en sus manifiestos.
      */
     async discover() {
         const logger = this.kernelContext.logger;
         if (logger) logger.info('Iniciando carga de plugins...');
 
+        const selection = this.kernelContext.config?.plugins || {};
+        const enabledList = selection.enabled?.length ? new Set(selection.enabled) : null;
+        const disabledList = new Set(selection.disabled || []);
+
         for (const dir of this.pluginDirectories) {
             try {
                 // Genera la estructura de directorios de manera segura si no existen
@@ -66,60 +245,168 @@ export class PluginLoader {
 
                 for (const entry of entries) {
                     if (entry.isDirectory()) {
+                        // Solo el index.js es el punto de entrada; otros ficheros del directorio no se cargan
                         const pluginPath = path.join(dir, entry.name, 'index.js');
                         try {
                             await fs.access(pluginPath);
-                            await this._loadPlugin(pluginPath, entry.name);
                         } catch (err) {
                             if (logger) logger.warn(`El plugin '${entry.name}' no posee un index.js válido. Omitiendo...`);
+                            continue;
                         }
+
+                        this.pluginPaths.set(entry.name, pluginPath);
+                        if ((enabledList && !enabledList.has(entry.name)) || disabledList.has(entry.name)) {
+                            this.disabled.add(entry.name);
+                            if (logger) logger.info(`Plugin [${entry.name}] deshabilitado por configuración. Omitiendo...`);
+                            continue;
+                        }
+                        await this._loadPlugin(pluginPath, entry.name);
                     }
                 }
             } catch (error) {
                 if (logger) logger.error(`Error al escanear directorio de plugins en ${dir}`, { error: error.message });
             }
         }
+
+        this._sortPlugins();
     }
 
     /**
-     * Importación y validación: Carga asíncronamente validando el contrato de la interfaz.
+     * Reordena los plugins cargados para que cada uno se inicialice después de sus dependencias.
+     * Los plugins atrapados en un ciclo de dependencias se descartan.
      */
-    async _loadPlugin(pluginPath, pluginName) {
-        const logger = this.kernelContext.logger;
+    _sortPlugins() {
+        const { order, cyclic } = sortByDependencies(
+            [...this.plugins.keys()],
+            name => this.manifests.get(name)?.dependencies || []
+        );
+
+        for (const name of cyclic) {
+            this.plugins.delete(name);
+            this._markFailed(name, 'Dependencia circular entre plugins');
+        }
+        this.plugins = new Map(order.map(name => [name, this.plugins.get(name)]));
+    }
+
+    /**
+     * Lee y valida el `plugin.json` opcional situado junto al index.js.
+     *
+     * @returns {Promise<Object|null>} Manifiesto normalizado, o null si el plugin no lo declara.
+     */
+    async _readManifest(pluginPath, pluginName) {
+        let raw;
         try {
-            // Importación dinámica nativa de ESM
-            const module = await import(`file://${pluginPath}`);
-            const PluginClass = module.default;
+            raw = await fs.readFile(path.join(path.dirname(pluginPath), 'plugin.json'), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
 
-            if (!PluginClass) {
-                throw new Error(`Estructura inválida: Falta el 'export default class' en el plugin ${pluginName}.`);
-            }
+        try {
+            return parseManifest(JSON.parse(raw), pluginName);
+        } catch (error) {
+            if (error instanceof SyntaxError) throw new Error(`plugin.json no es JSON válido: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Motivo por el que un plugin no puede arrancar todavía (dependencias ausentes, servicios del
+     * contexto no disponibles o configuración inválida según su manifiesto), o null si puede hacerlo.
+     */
+    _checkPrerequisites(name, { dependenciesOnly = false } = {}) {
+        const manifest = this.manifests.get(name);
+        if (!manifest) return null;
 
-            const instance = new PluginClass();
+        const missing = manifest.dependencies.filter(dep => !this.plugins.has(dep));
+        if (missing.length > 0) {
+            return `Dependencias no disponibles: ${missing.map(dep => `${dep} (${this._describeState(dep)})`).join(', ')}`;
+        }
+        if (dependenciesOnly) return null;
 
-            // Validación estricta del contrato (BaseAdapter)
-            const requiredMethods = ['init', 'start', 'stop', 'health'];
-            for (const method of requiredMethods) {
-                if (typeof instance[method] !== 'function') {
-                    throw new Error(`El plugin incumple la interfaz requerida: falta el método ${method}()`);
-                }
-            }
+        const services = manifest.requires.filter(service => !this.kernelContext[service]);
+        if (services.length > 0) {
+            return `Servicios no disponibles en el contexto: ${services.join(', ')}`;
+        }
+
+        const configErrors = validateConfig(manifest.configSchema, this.kernelContext.config);
+        if (configErrors.length > 0) {
+            return `Configuración inválida: ${configErrors.join('; ')}`;
+        }
+        return null;
+    }
+
+    _describeState(name) {
+        if (!this.pluginPaths.has(name)) return 'no instalado';
+        if (this.disabled.has(name)) return 'deshabilitado';
+        return this.failures.has(name) ? 'fallido' : 'inactivo';
+    }
 
+    _markFailed(name, reason) {
+        this.failures.set(name, reason);
+        if (this.kernelContext.logger) this.kernelContext.logger.warn(`Plugin [${name}] omitido: ${reason}`);
+    }
+
+    /**
+     * Importación y validación: Carga asíncronamente validando el contrato de la interfaz.
+     */
+    async _loadPlugin(pluginPath, pluginName) {
+        const logger = this.kernelContext.logger;
+        try {
+            this.manifests.set(pluginName, await this._readManifest(pluginPath, pluginName));
+            const instance = await this._importPlugin(pluginPath, pluginName);
             this.plugins.set(pluginName, instance);
             if (logger) logger.info(`Plugin validado y cargado exitosamente: [${pluginName}]`);
 
         } catch (error) {
             if (logger) logger.error(`Fallo crítico al cargar el plugin ${pluginName}:`, { error: error.message });
+            this.failures.set(pluginName, error.message);
             // Degradación Elegante: Se aísla el error del plugin defectuoso permitiendo que el sistema siga operando
         }
     }
 
     /**
-     * Fase de Inicialización: Inyecta el contexto y los servicios.
-     * Si un plugin falla, se elimina del mapa para no considerarlo activo.
+     * Importa el módulo del plugin y valida que su instancia cumpla el contrato.
+     * Con `cacheBust` se añade una marca a la URL para forzar a ESM a evaluar de nuevo el fichero
+     * (solo el index.js: los módulos que este importe siguen en la caché de ESM).
+     */
+    async _importPlugin(pluginPath, pluginName, { cacheBust = false } = {}) {
+        // Importación dinámica nativa de ESM
+        const url = `file://${pluginPath}${cacheBust ? `?v=${Date.now()}` : ''}`;
+        const module = await import(url);
+        const PluginClass = module.default;
+
+        if (!PluginClass) {
+            throw new Error(`Estructura inválida: Falta el 'export default class' en el plugin ${pluginName}.`);
+        }
+
+        const instance = new PluginClass();
+
+        // Validación estricta del contrato (BaseAdapter)
+        const requiredMethods = ['init', 'start', 'stop', 'health'];
+        for (const method of requiredMethods) {
+            if (typeof instance[method] !== 'function') {
+                throw new Error(`El plugin incumple la interfaz requerida: falta el método ${method}()`);
+            }
+        }
+
+        return instance;
+    }
+
+    /**
+     * Fase de Inicialización: Inyecta el contexto y los servicios, en orden de dependencias.
+     * Si un plugin falla (o no cumple su manifiesto), se elimina del mapa para no considerarlo activo,
+     * y con él quedan omitidos los plugins que dependen de él.
      */
     async initAll() {
         for (const [name, plugin] of this.plugins.entries()) {
+            const blocker = this._checkPrerequisites(name);
+            if (blocker) {
+                this.plugins.delete(name);
+                this._markFailed(name, blocker);
+                continue;
+            }
+
             try {
                 const safeContext = this._createPluginContext(name);
                 await plugin.init(safeContext);
@@ -128,16 +415,26 @@ export class PluginLoader {
                 if (this.kernelContext.logger) this.kernelContext.logger.error(`Error inicializando plugin [${name}]:`, { error: error.message });
                 // Eliminar plugin defectuoso para no intentar iniciarlo/detenerlo después
                 this.plugins.delete(name);
+                this.failures.set(name, error.message);
+                await this._releaseScope(name);
             }
         }
     }
 
     /**
      * Fase de Ejecución: Conecta a los proveedores externos y colas.
-     * Si un plugin falla, se elimina del mapa para no considerarlo activo.
+     * Si un plugin falla, se elimina del mapa para no considerarlo activo; sus dependientes
+     * (ya inicializados) se detienen y quedan omitidos.
      */
     async startAll() {
         for (const [name, plugin] of this.plugins.entries()) {
+            const blocker = this._checkPrerequisites(name, { dependenciesOnly: true });
+            if (blocker) {
+                await this._deactivate(name);
+                this._markFailed(name, blocker);
+                continue;
+            }
+
             try {
                 await plugin.start();
                 if (this.kernelContext.logger) this.kernelContext.logger.info(`Plugin [${name}] en ejecución activa.`);
@@ -145,16 +442,181 @@ export class PluginLoader {
                 if (this.kernelContext.logger) this.kernelContext.logger.error(`Fallo al arrancar el servicio del plugin [${name}]:`, { error: error.message });
                 // Eliminar plugin defectuoso para no intentar detenerlo después
                 this.plugins.delete(name);
+                this.failures.set(name, error.message);
+                await this._releaseScope(name);
+            }
+        }
+
+        this._logReport();
+    }
+
+    /**
+     * Resumen del arranque: plugins activos, deshabilitados y omitidos con su motivo.
+     */
+    _logReport() {
+        const logger = this.kernelContext.logger;
+        if (!logger) return;
+
+        logger.info(`Resumen de plugins: ${this.plugins.size} activos, ${this.disabled.size} deshabilitados, ${this.failures.size} omitidos.`);
+        for (const [name, reason] of this.failures) {
+            logger.warn(`  - [${name}] ${reason}`);
+        }
+    }
+
+    /**
+     * Reporte agregado de salud: invoca `health()` de cada plugin activo.
+     * Un plugin que falle al reportar se marca como 'error' sin afectar al resto;
+     * los deshabilitados en caliente se listan como 'disabled'.
+     *
+     * @returns {Promise<Object>} { nombrePlugin: reporte }
+     */
+    async healthAll() {
+        const report = {};
+        for (const [name, plugin] of this.plugins.entries()) {
+            try {
+                report[name] = await plugin.health();
+            } catch (error) {
+                report[name] = { status: 'error', error: error.message };
+            }
+        }
+        for (const name of this.disabled) {
+            report[name] = { status: 'disabled' };
+        }
+        return report;
+    }
+
+    /**
+     * Estado de todos los plugins descubiertos.
+     *
+     * @returns {Array<Object>} [{ name, kind, version, status: 'active' | 'disabled' | 'failed', reason }]
+     */
+    list() {
+        return [...this.pluginPaths.keys()].sort().map(name => {
+            const manifest = this.manifests.get(name);
+            const status = this.plugins.has(name) ? 'active' : this.disabled.has(name) ? 'disabled' : 'failed';
+            return {
+                name,
+                kind: manifest?.kind || (this.pluginPaths.get(name).includes(`${path.sep}adapters${path.sep}`) ? 'adapter' : 'addon'),
+                version: manifest?.version || null,
+                status,
+                reason: status === 'failed' ? this.failures.get(name) || null : null
+            };
+        });
+    }
+
+    /**
+     * Detiene un plugin, retira sus suscripciones/workers y reimporta su módulo (sin caché)
+     * para volver a ejecutar init y start. El resto de plugins sigue operando.
+     * También sirve para reintentar un plugin que falló al arrancar.
+     *
+     * @param {string} name - Nombre del plugin (directorio)
+     */
+    async reload(name) {
+        await this._transition(name, async () => {
+            if (this.plugins.has(name)) await this._deactivate(name);
+            await this._activate(name);
+            this.disabled.delete(name);
+        });
+        if (this.kernelContext.logger) this.kernelContext.logger.info(`Plugin [${name}] recargado en caliente.`);
+    }
+
+    /**
+     * Carga y arranca un plugin deshabilitado (o que falló al arrancar).
+     */
+    async enable(name) {
+        await this._transition(name, async () => {
+            if (this.plugins.has(name)) throw new Error(`El plugin [${name}] ya está activo.`);
+            await this._activate(name);
+            this.disabled.delete(name);
+        });
+        if (this.kernelContext.logger) this.kernelContext.logger.info(`Plugin [${name}] habilitado en caliente.`);
+    }
+
+    /**
+     * Detiene un plugin activo y lo mantiene fuera de servicio hasta `enable` o `reload`.
+     */
+    async disable(name) {
+        await this._transition(name, async () => {
+            if (!this.plugins.has(name)) throw new Error(`El plugin [${name}] no está activo.`);
+
+            const dependents = [...this.plugins.keys()].filter(other => this.manifests.get(other)?.dependencies.includes(name));
+            if (dependents.length > 0) {
+                throw new Error(`El plugin [${name}] es requerido por: ${dependents.join(', ')}. Deshabilítalos primero.`);
+            }
+            await this._deactivate(name);
+            this.disabled.add(name);
+        });
+        if (this.kernelContext.logger) this.kernelContext.logger.info(`Plugin [${name}] deshabilitado en caliente.`);
+    }
+
+    /**
+     * Serializa las operaciones en caliente sobre un mismo plugin.
+     */
+    async _transition(name, operation) {
+        if (!this.pluginPaths.has(name)) throw new Error(`Plugin desconocido: ${name}`);
+        if (this.transitions.has(name)) throw new Error(`Ya hay una operación en curso sobre el plugin [${name}].`);
+
+        this.transitions.add(name);
+        try {
+            await operation();
+        } finally {
+            this.transitions.delete(name);
+        }
+    }
+
+    /**
+     * Relee el manifiesto, reimporta el módulo y ejecuta el ciclo init -> start con un contexto nuevo.
+     * Si falla, se liberan los recursos parciales y el plugin queda como 'failed'.
+     */
+    async _activate(name) {
+        const pluginPath = this.pluginPaths.get(name);
+        let instance;
+        try {
+            this.manifests.set(name, await this._readManifest(pluginPath, name));
+            const blocker = this._checkPrerequisites(name);
+            if (blocker) throw new Error(blocker);
+            instance = await this._importPlugin(pluginPath, name, { cacheBust: true });
+        } catch (error) {
+            this.failures.set(name, error.message);
+            throw error;
+        }
+
+        try {
+            await instance.init(this._createPluginContext(name));
+            await instance.start();
+        } catch (error) {
+            if (this.kernelContext.logger) this.kernelContext.logger.error(`Fallo al activar el plugin [${name}]:`, { error: error.message });
+            this.failures.set(name, error.message);
+            try {
+                await instance.stop();
+            } catch {
+                // La instancia puede no haber llegado a inicializarse
             }
+            await this._releaseScope(name);
+            throw error;
+        }
+        this.plugins.set(name, instance);
+        this.failures.delete(name);
+    }
+
+    async _deactivate(name) {
+        const plugin = this.plugins.get(name);
+        this.plugins.delete(name);
+        try {
+            await plugin.stop();
+        } catch (error) {
+            if (this.kernelContext.logger) this.kernelContext.logger.error(`Error durante el apagado de [${name}]:`, { error: error.message });
         }
+        await this._releaseScope(name);
     }
 
     /**
      * Fase de Destrucción: Maneja el Graceful Shutdown (liberación de memoria y WebSockets).
-     * Solo se ejecuta sobre los plugins que superaron init y start.
+     * Solo se ejecuta sobre los plugins que superaron init y start, en orden inverso al de arranque
+     * (los dependientes se detienen antes que sus dependencias).
      */
     async stopAll() {
-        for (const [name, plugin] of this.plugins.entries()) {
+        for (const [name, plugin] of [...this.plugins.entries()].reverse()) {
             try {
                 await plugin.stop();
                 if (this.kernelContext.logger) this.kernelContext.logger.info(`Plugin [${name}] detenido de manera segura.`);
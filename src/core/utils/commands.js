@@ -0,0 +1,331 @@
+// src/core/utils/commands.js
+import { UMF_EVENTS, createSystemReply, createSystemNotice } from './umf.js';
+import { ROLES, ROLE_NAMES } from './permissions.js';
+
+// Máximo de palabras que puede ocupar el nombre de un comando (ej. `dlq retry`)
+const MAX_NAME_WORDS = 3;
+
+/**
+ * Registro central de comandos de chat.
+ * Un único suscriptor de `message.ingress` reconoce los prefijos de `config.bot.prefixes`, resuelve el
+ * comando (admite nombres de varias palabras como `dlq retry`), comprueba el rol exigido con
+ * `PermissionManager.getRole`, aplica enfriamientos por usuario, interpreta los argumentos según la
+ * sintaxis declarada y responde a través de `createSystemReply`. Genera `!help` automáticamente.
+ * Los comandos con `scope: 'bridge'` aceptan también los roles concedidos en el puente del canal.
+ *
+ * Definición de un comando:
+ *   {
+ *     name: 'dlq retry',            // Nombre (una o varias palabras)
+ *     aliases: ['dlq reenviar'],
+ *     description: 'Reencola un mensaje muerto',
+ *     usage: '<id|all> [plataforma]', // <obligatorio>, [opcional], <resto...> captura el texto restante
+ *     role: ROLES.OWNER,             // Nivel mínimo (ver permissions.js)
+ *     scope: 'global',               // 'global' | 'bridge' (cuentan los roles del puente del canal)
+ *     cooldown: 5000,                // ms entre usos por usuario
+ *     handler: async (cmd) => {}     // cmd: { envelope, source, args, argv, rest, role, reply }
+ *   }
+ */
+export class CommandRegistry {
+    constructor(configInstance, logger, { bus, queue, permissions }) {
+        this.config = configInstance || {};
+        this.logger = logger;
+        this.bus = bus;
+        this.queue = queue;
+        this.permissions = permissions;
+
+        const prefixes = this.config.bot?.prefixes;
+        this.prefixes = Array.isArray(prefixes) && prefixes.length > 0 ? prefixes : ['!'];
+        // Prefijo mostrado en la ayuda y los errores: `!` (el histórico) si está admitido
+        this.displayPrefix = this.prefixes.includes('!') ? '!' : this.prefixes[0];
+
+        this.commands = new Map(); // nombre -> definición
+        this.lookup = new Map(); // nombre o alias -> nombre
+        this.cooldowns = new Map(); // 'comando:plataforma:usuario' -> expiración (ms)
+
+        this._onIngress = (envelope) => this._dispatch(envelope).catch(error => {
+            if (this.logger) this.logger.error('Fallo no controlado en el despacho de comandos', { error: error.message, stack: error.stack });
+        });
+
+        this.register({
+            name: 'help',
+            aliases: ['ayuda'],
+            description: 'Lista los comandos disponibles o muestra el detalle de uno',
+            usage: '[comando...]',
+            handler: (cmd) => this._help(cmd)
+        }, 'core');
+    }
+
+    /**
+     * Comienza a escuchar los mensajes entrantes.
+     */
+    start() {
+        this.bus.on(UMF_EVENTS.INGRESS, this._onIngress);
+        if (this.logger) this.logger.info(`Registro de comandos activo (prefijos: ${this.prefixes.join(' ')})`);
+    }
+
+    stop() {
+        this.bus.off(UMF_EVENTS.INGRESS, this._onIngress);
+    }
+
+    /**
+     * Registra un comando.
+     *
+     * @param {Object} definition - Ver la documentación de la clase.
+     * @param {string} owner - Plugin propietario (para retirar sus comandos al detenerlo).
+     * @throws {Error} Si el nombre o algún alias ya está registrado.
+     */
+    register(definition, owner) {
+        const name = _normalizeName(definition?.name);
+        if (!name || typeof definition.handler !== 'function') {
+            throw new Error('[Commands] Un comando requiere name y handler.');
+        }
+
+        const names = [name, ...(definition.aliases || []).map(_normalizeName)];
+        for (const key of names) {
+            if (this.lookup.has(key)) {
+                const existing = this.commands.get(this.lookup.get(key));
+                throw new Error(`[Commands] El comando ${this.displayPrefix}${key} ya está registrado por [${existing.owner}].`);
+            }
+        }
+
+        const command = {
+            ...definition,
+            name,
+            aliases: names.slice(1),
+            usage: definition.usage || '',
+            params: parseUsage(definition.usage),
+            role: definition.role ?? ROLES.USER,
+            scope: definition.scope === 'bridge' ? 'bridge' : 'global',
+            cooldown: definition.cooldown || 0,
+            owner
+        };
+        this.commands.set(name, command);
+        for (const key of names) this.lookup.set(key, name);
+        return command;
+    }
+
+    /**
+     * Retira todos los comandos registrados por un plugin.
+     */
+    unregisterAll(owner) {
+        for (const [name, command] of this.commands) {
+            if (command.owner !== owner) continue;
+            this.commands.delete(name);
+            for (const key of [name, ...command.aliases]) this.lookup.delete(key);
+        }
+    }
+
+    /**
+     * Encola una respuesta de sistema hacia el canal del mensaje original.
+     *
+     * @param {Object} envelope - Mensaje al que se responde.
+     * @param {string} text - Texto de la respuesta.
+     * @param {string} [sender='system'] - Módulo que responde.
+     */
+    async reply(envelope, text, sender = 'system') {
+        const response = createSystemReply(envelope, text, { sender });
+        await this.queue.add(`queue_${response.head.dest.platform}_out`, response);
+    }
+
+    /**
+     * Encola un aviso de sistema hacia un canal que no ha emitido ningún comando.
+     *
+     * @param {Object} dest - { platform, channelId }
+     * @param {string} text - Texto del aviso.
+     * @param {string} [sender='system'] - Módulo que lo emite.
+     */
+    async notify(dest, text, sender = 'system') {
+        await this.queue.add(`queue_${dest.platform}_out`, createSystemNotice(dest, text, { sender }));
+    }
+
+    /**
+     * Sintaxis completa de un comando, tal y como se muestra en la ayuda y en los errores de uso.
+     */
+    formatUsage(command) {
+        return `${this.displayPrefix}${command.name}${command.usage ? ` ${command.usage}` : ''}`;
+    }
+
+    async _dispatch(envelope) {
+        const text = envelope.body?.text || '';
+        const prefix = this.prefixes.find(candidate => text.startsWith(candidate));
+        if (!prefix) return;
+
+        const body = text.slice(prefix.length);
+        const tokens = [...body.matchAll(/\S+/g)];
+        if (tokens.length === 0) return;
+
+        // Resolución del nombre más largo posible: `!dlq retry 5` -> 'dlq retry'
+        let command = null;
+        let consumed = 0;
+        for (let words = Math.min(MAX_NAME_WORDS, tokens.length); words > 0; words--) {
+            const key = tokens.slice(0, words).map(token => token[0].toLowerCase()).join(' ');
+            if (this.lookup.has(key)) {
+                command = this.commands.get(this.lookup.get(key));
+                consumed = words;
+                break;
+            }
+        }
+
+        const source = envelope.head.source;
+        if (!command) {
+            // `!dlq` o `!dlq foo`: grupo existente sin subcomando válido -> ayuda del grupo
+            const group = tokens[0][0].toLowerCase();
+            const members = this._visibleCommands(source).filter(cmd => cmd.name.startsWith(`${group} `));
+            if (members.length > 0) {
+                const header = tokens.length === 1 ? `📖 **${this.displayPrefix}${group}**` : '❌ Subcomando desconocido.';
+                await this.reply(envelope, `${header}\n${this._formatList(members)}`);
+            }
+            return;
+        }
+
+        const role = this._getRole(source, command);
+        if (role < command.role) {
+            await this.reply(envelope, `⛔ Permisos insuficientes: \`${this.displayPrefix}${command.name}\` requiere el rol ${ROLE_NAMES[command.role]}.`, command.owner);
+            return;
+        }
+
+        const lastToken = tokens[consumed - 1];
+        const rest = body.slice(lastToken.index + lastToken[0].length).trim();
+        const argv = rest ? rest.split(/\s+/) : [];
+        const args = bindArgs(command.params, argv);
+        if (!args) {
+            await this.reply(envelope, `❌ Error sintáctico.\nUso correcto: \`${this.formatUsage(command)}\``, command.owner);
+            return;
+        }
+
+        const remaining = this._consumeCooldown(command, source);
+        if (remaining > 0) {
+            await this.reply(envelope, `⏳ Espera ${Math.ceil(remaining / 1000)} s antes de volver a usar \`${this.displayPrefix}${command.name}\`.`, command.owner);
+            return;
+        }
+
+        const run = async () => {
+            try {
+                await command.handler({
+                    envelope,
+                    source,
+                    args,
+                    argv,
+                    rest,
+                    role,
+                    reply: (responseText) => this.reply(envelope, responseText, command.owner)
+                });
+            } catch (error) {
+                if (this.logger) {
+                    this.logger.error(`[${command.owner}] Excepción durante ejecución de ${this.displayPrefix}${command.name}:`, { error: error.message, stack: error.stack });
+                }
+                await this.reply(envelope, `❌ **Fallo Crítico:** ${error.message}`, command.owner);
+            }
+        };
+
+        // Mantener trazabilidad (Trace ID) inyectando el contexto asíncrono
+        if (this.logger?.withCorrelation) {
+            await this.logger.withCorrelation(envelope.head.correlationId, run);
+        } else {
+            await run();
+        }
+    }
+
+    _getRole(source, command) {
+        if (!this.permissions) return ROLES.USER;
+        const scope = command.scope === 'bridge' ? { channelId: source.channelId } : null;
+        return this.permissions.getRole(source.platform, source.userId, scope);
+    }
+
+    /**
+     * Registra el uso si el enfriamiento ha vencido.
+     * @returns {number} Milisegundos restantes (0 si el comando puede ejecutarse).
+     */
+    _consumeCooldown(command, source) {
+        if (!command.cooldown) return 0;
+
+        const now = Date.now();
+        for (const [key, expiresAt] of this.cooldowns) {
+            if (expiresAt <= now) this.cooldowns.delete(key);
+        }
+
+        const key = `${command.name}:${source.platform}:${source.userId}`;
+        const expiresAt = this.cooldowns.get(key);
+        if (expiresAt) return expiresAt - now;
+
+        this.cooldowns.set(key, now + command.cooldown);
+        return 0;
+    }
+
+    /**
+     * Comandos que el emisor puede ejecutar en su canal actual, en orden alfabético.
+     */
+    _visibleCommands(source) {
+        const roles = {};
+        return [...this.commands.values()]
+        .filter(command => command.role <= (roles[command.scope] ??= this._getRole(source, command)))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    _formatList(commands) {
+        return commands.map(command => `• \`${this.formatUsage(command)}\` — ${command.description || 'Sin descripción'}`).join('\n');
+    }
+
+    async _help({ source, args, reply }) {
+        const query = _normalizeName(args.comando);
+        if (!query) {
+            await reply(`📖 **Comandos disponibles**\n${this._formatList(this._visibleCommands(source))}\n\nUsa \`${this.displayPrefix}help <comando>\` para ver los detalles.`);
+            return;
+        }
+
+        const command = this.commands.get(this.lookup.get(query));
+        if (!command) {
+            const members = this._visibleCommands(source).filter(cmd => cmd.name.startsWith(`${query} `));
+            await reply(members.length > 0
+                ? `📖 **${this.displayPrefix}${query}**\n${this._formatList(members)}`
+                : `❌ Comando desconocido: \`${query}\``);
+            return;
+        }
+
+        const lines = [
+            `📖 **${this.displayPrefix}${command.name}**`,
+            command.description || 'Sin descripción',
+            `Uso: \`${this.formatUsage(command)}\``,
+            `Rol requerido: ${ROLE_NAMES[command.role]}${command.scope === 'bridge' ? ' (global o en el puente)' : ''}`
+        ];
+        if (command.aliases.length > 0) lines.push(`Alias: ${command.aliases.map(alias => `\`${this.displayPrefix}${alias}\``).join(', ')}`);
+        if (command.cooldown) lines.push(`Enfriamiento: ${Math.ceil(command.cooldown / 1000)} s`);
+        await reply(lines.join('\n'));
+    }
+}
+
+function _normalizeName(name) {
+    return String(name || '').trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+/**
+ * Interpreta la sintaxis declarada: `<obligatorio>`, `[opcional]` y `...` al final para capturar el resto.
+ * En alternativas como `<id|all>` el argumento se expone con el primer nombre (`id`).
+ */
+export function parseUsage(usage) {
+    return [...String(usage || '').matchAll(/([<[])([^>\]]+)[>\]]/g)].map(([, bracket, inner]) => {
+        const variadic = inner.endsWith('...');
+        return {
+            name: inner.replace(/\.\.\.$/, '').split('|')[0].trim(),
+            required: bracket === '<',
+            variadic
+        };
+    });
+}
+
+/**
+ * Asigna los argumentos posicionales a los parámetros declarados.
+ * @returns {Object|null} { nombre: valor }, o null si falta algún argumento obligatorio.
+ */
+export function bindArgs(params, argv) {
+    const args = {};
+    for (const [index, param] of params.entries()) {
+        const value = param.variadic ? argv.slice(index).join(' ') : argv[index];
+        if (!value) {
+            if (param.required) return null;
+            continue;
+        }
+        args[param.name] = value;
+    }
+    return args;
+}
@@ -0,0 +1,136 @@
+// src/core/utils/manifest.js
+import { z } from 'zod';
+
+/**
+ * Manifiestos declarativos de plugins (`plugin.json`, opcional junto al index.js).
+ * Permiten al PluginLoader conocer antes de importar un plugin qué servicios del contenedor DI
+ * necesita, de qué otros plugins depende y qué forma debe tener su configuración.
+ *
+ * Ejemplo:
+ *   {
+ *     "name": "management_api",
+ *     "version": "1.0.0",
+ *     "kind": "addon",
+ *     "requires": ["repository", "queue"],
+ *     "dependencies": [],
+ *     "configSchema": { "type": "object", "required": ["api"], "properties": { "api": { "type": "object" } } }
+ *   }
+ */
+
+// Servicios del contexto DI que un plugin puede exigir
+export const CONTEXT_SERVICES = ['bus', 'queue', 'storage', 'circuitBreaker', 'metrics', 'repository', 'permissions', 'commands', 'redis'];
+
+export const PluginManifestSchema = z.object({
+    name: z.string().min(1),
+    version: z.string().min(1).default('0.0.0'),
+    kind: z.enum(['adapter', 'addon']),
+    description: z.string().optional(),
+    requires: z.array(z.enum(CONTEXT_SERVICES)).default([]),
+    dependencies: z.array(z.string().min(1)).default([]),
+    configSchema: z.record(z.any()).optional()
+}).strict();
+
+/**
+ * Valida el contenido de un `plugin.json`.
+ *
+ * @param {Object} raw - JSON ya interpretado.
+ * @param {string} pluginName - Nombre del directorio del plugin (debe coincidir con `name`).
+ * @returns {Object} Manifiesto normalizado.
+ * @throws {Error} Con todos los problemas encontrados.
+ */
+export function parseManifest(raw, pluginName) {
+    const parsed = PluginManifestSchema.safeParse(raw);
+    if (!parsed.success) {
+        const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || '(raíz)'}: ${issue.message}`);
+        throw new Error(`plugin.json inválido: ${issues.join('; ')}`);
+    }
+    if (parsed.data.name !== pluginName) {
+        throw new Error(`plugin.json inválido: el nombre "${parsed.data.name}" no coincide con el directorio "${pluginName}"`);
+    }
+    if (parsed.data.dependencies.includes(pluginName)) {
+        throw new Error('plugin.json inválido: un plugin no puede depender de sí mismo');
+    }
+    return parsed.data;
+}
+
+/**
+ * Validación de la configuración contra el subconjunto de JSON Schema usado en los manifiestos:
+ * type, required, properties, enum, minLength y minimum.
+ *
+ * @param {Object} schema - Esquema declarado en `configSchema`.
+ * @param {*} value - Valor a validar (la configuración global en la raíz).
+ * @param {string} [at='config'] - Ruta para los mensajes de error.
+ * @returns {Array<string>} Errores encontrados (vacío si es válida).
+ */
+export function validateConfig(schema, value, at = 'config') {
+    const errors = [];
+    if (!schema || typeof schema !== 'object') return errors;
+
+    if (schema.type && !_matchesType(schema.type, value)) {
+        errors.push(`${at} debe ser de tipo ${schema.type}`);
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at} debe ser uno de: ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${at} debe tener al menos ${schema.minLength} caracteres`);
+    }
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${at} debe ser mayor o igual que ${schema.minimum}`);
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null) errors.push(`${at}.${key} es obligatorio`);
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined && value[key] !== null) {
+                errors.push(...validateConfig(propertySchema, value[key], `${at}.${key}`));
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Orden topológico (algoritmo de Kahn) estable respecto al orden de descubrimiento:
+ * entre plugins sin relación se conserva el orden original.
+ * Las dependencias que no figuran en la lista se ignoran aquí (el loader las reporta al inicializar).
+ *
+ * @param {Array<string>} names - Plugins en orden de descubrimiento.
+ * @param {Function} getDependencies - (nombre) => Array<string>
+ * @returns {{ order: Array<string>, cyclic: Array<string> }} Orden resultante y plugins en ciclos.
+ */
+export function sortByDependencies(names, getDependencies) {
+    const known = new Set(names);
+    const pending = new Map(names.map(name => [name, getDependencies(name).filter(dep => known.has(dep))]));
+    const order = [];
+
+    let progressed = true;
+    while (pending.size > 0 && progressed) {
+        progressed = false;
+        for (const [name, deps] of pending) {
+            if (deps.every(dep => !pending.has(dep))) {
+                order.push(name);
+                pending.delete(name);
+                progressed = true;
+                break; // Reiniciar el recorrido para respetar el orden original
+            }
+        }
+    }
+
+    return { order, cyclic: [...pending.keys()] };
+}
+
+function _matchesType(type, value) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && !Number.isNaN(value);
+        case 'string': return typeof value === 'string';
+        case 'boolean': return typeof value === 'boolean';
+        default: return true;
+    }
+}
@@ -0,0 +1,246 @@
+// src/core/utils/metrics.js
+
+/**
+ * Registro de Métricas compatible con Prometheus (formato de exposición de texto 0.0.4).
+ * El Kernel lo inyecta en el contexto de cada plugin, de modo que cualquier adaptador o addon
+ * puede declarar sus propias series (contadores, indicadores e histogramas) sin dependencias externas.
+ * Las series que se calculan en el momento de la lectura (profundidad de colas, estado de cortocircuitos)
+ * se alimentan mediante colectores registrados con `registerCollector`.
+ */
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Base común: almacena una muestra por combinación de etiquetas.
+ */
+class Metric {
+    constructor(type, { name, help, labelNames = [] }) {
+        this.type = type;
+        this.name = name;
+        this.help = help || name;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    _key(labels = {}) {
+        return this.labelNames.map(label => String(labels[label] ?? '')).join('\u0000');
+    }
+
+    _labels(labels = {}) {
+        const picked = {};
+        for (const label of this.labelNames) picked[label] = String(labels[label] ?? '');
+        return picked;
+    }
+
+    _entry(labels, create) {
+        const key = this._key(labels);
+        if (!this.series.has(key)) this.series.set(key, create(this._labels(labels)));
+        return this.series.get(key);
+    }
+
+    /**
+     * Elimina todas las muestras (útil en colectores cuyo conjunto de etiquetas cambia).
+     */
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${_escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+        for (const entry of this.series.values()) {
+            lines.push(`${this.name}${_formatLabels(entry.labels)} ${_formatValue(entry.value)}`);
+        }
+        return lines;
+    }
+}
+
+export class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    /**
+     * @param {Object} [labels={}] - Valores de etiqueta.
+     * @param {number} [value=1] - Incremento (no negativo).
+     */
+    inc(labels = {}, value = 1) {
+        if (value < 0) throw new Error(`[Metrics] El contador ${this.name} no admite incrementos negativos.`);
+        this._entry(labels, picked => ({ labels: picked, value: 0 })).value += value;
+    }
+}
+
+export class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+
+    set(labels = {}, value) {
+        this._entry(labels, picked => ({ labels: picked, value: 0 })).value = value;
+    }
+
+    inc(labels = {}, value = 1) {
+        this._entry(labels, picked => ({ labels: picked, value: 0 })).value += value;
+    }
+
+    dec(labels = {}, value = 1) {
+        this.inc(labels, -value);
+    }
+}
+
+export class Histogram extends Metric {
+    constructor(options) {
+        super('histogram', options);
+        this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const entry = this._entry(labels, picked => ({
+            labels: picked,
+            counts: new Array(this.buckets.length).fill(0),
+            sum: 0,
+            count: 0
+        }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * Inicia un cronómetro; la función devuelta registra la duración en segundos.
+     *
+     * @param {Object} [labels={}] - Valores de etiqueta.
+     * @returns {Function} (labelsExtra?) => segundos transcurridos
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extra = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...extra }, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${_escapeHelp(this.help)}`, `# TYPE ${this.name} histogram`];
+        for (const entry of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${_formatLabels({ ...entry.labels, le: String(bound) })} ${entry.counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${_formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+            lines.push(`${this.name}_sum${_formatLabels(entry.labels)} ${_formatValue(entry.sum)}`);
+            lines.push(`${this.name}_count${_formatLabels(entry.labels)} ${entry.count}`);
+        }
+        return lines;
+    }
+}
+
+const METRIC_TYPES = {
+    counter: Counter,
+    gauge: Gauge,
+    histogram: Histogram
+};
+
+export class MetricsRegistry {
+    constructor(configInstance, logger) {
+        this.config = configInstance || {};
+        this.logger = logger;
+        this.metrics = new Map();
+        this.collectors = new Set();
+    }
+
+    /**
+     * Declara (o recupera, si ya existe) un contador monótono.
+     * @param {Object} options - { name, help, labelNames }
+     * @returns {Counter}
+     */
+    counter(options) {
+        return this._register('counter', options);
+    }
+
+    /**
+     * Declara (o recupera) un indicador que puede subir y bajar.
+     * @param {Object} options - { name, help, labelNames }
+     * @returns {Gauge}
+     */
+    gauge(options) {
+        return this._register('gauge', options);
+    }
+
+    /**
+     * Declara (o recupera) un histograma de distribución.
+     * @param {Object} options - { name, help, labelNames, buckets }
+     * @returns {Histogram}
+     */
+    histogram(options) {
+        return this._register('histogram', options);
+    }
+
+    /**
+     * Registra una función que se ejecuta antes de cada lectura para actualizar series calculadas.
+     *
+     * @param {Function} collector - Función (síncrona o asíncrona) sin argumentos.
+     * @returns {Function} Función que elimina el colector.
+     */
+    registerCollector(collector) {
+        this.collectors.add(collector);
+        return () => this.collectors.delete(collector);
+    }
+
+    /**
+     * Genera la exposición completa en formato de texto de Prometheus.
+     * Un colector que falle no impide exportar el resto de series.
+     *
+     * @returns {Promise<string>}
+     */
+    async render() {
+        for (const collector of this.collectors) {
+            try {
+                await collector();
+            } catch (error) {
+                if (this.logger) this.logger.warn('Colector de métricas fallido', { error: error.message });
+            }
+        }
+
+        const lines = [];
+        for (const metric of this.metrics.values()) lines.push(...metric.render());
+        return `${lines.join('\n')}\n`;
+    }
+
+    _register(type, options) {
+        if (!METRIC_NAME.test(options?.name || '')) {
+            throw new Error(`[Metrics] Nombre de métrica inválido: ${options?.name}`);
+        }
+
+        const existing = this.metrics.get(options.name);
+        if (existing) {
+            if (existing.type !== type) {
+                throw new Error(`[Metrics] La métrica ${options.name} ya existe con tipo ${existing.type}.`);
+            }
+            return existing;
+        }
+
+        const metric = new METRIC_TYPES[type](options);
+        this.metrics.set(options.name, metric);
+        return metric;
+    }
+}
+
+function _formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    const pairs = entries.map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return `{${pairs.join(',')}}`;
+}
+
+function _formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+function _escapeHelp(help) {
+    return String(help).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
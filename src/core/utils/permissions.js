@@ -4,16 +4,42 @@ import { watchFile, unwatchFile } from 'node:fs';
 import path from 'node:path';
 import crypto from 'node:crypto';
 
+/**
+ * Niveles jerárquicos devueltos por `PermissionManager.getRole`.
+ */
+export const ROLES = Object.freeze({
+    USER: 0,
+    MOD: 1,
+    ADMIN: 2,
+    OWNER: 3,
+    SUDO: 4
+});
+
+export const ROLE_NAMES = Object.freeze(['usuario', 'moderador', 'administrador', 'propietario', 'sudo']);
+
+/**
+ * Roles concedidos dentro de un puente (tabla `bridge_roles`) y el nivel que otorgan.
+ * Solo cuentan en comandos de ámbito de puente: un propietario de puente no es propietario global.
+ */
+export const BRIDGE_ROLES = Object.freeze({
+    owner: ROLES.OWNER,
+    mod: ROLES.MOD
+});
+
+// Abreviaturas de plataforma admitidas en permissions.json
+const PLATFORM_ALIASES = Object.freeze({ wa: 'whatsapp', dc: 'discord', tg: 'telegram' });
+
 /**
  * Gestor Central de Permisos y Roles (ACL).
  * Implementa seguridad criptográfica, inmutabilidad de estado y recarga en caliente (Hot-Reload).
  * Resuelve el acceso de los usuarios en O(1) tiempo.
  */
 export class PermissionManager {
-    constructor(configInstance, logger) {
+    constructor(configInstance, logger, repository = null) {
         // Inyección de dependencias
-        this.config = configInstance? configInstance.get() : {};
+        this.config = configInstance || {};
         this.logger = logger;
+        this.repository = repository; // Roles por puente persistidos (opcional)
 
         // Ruta estricta al archivo de permisos estático
         this.permissionsPath = path.resolve(process.cwd(), 'config', 'permissions.json');
@@ -70,7 +96,8 @@ export class PermissionManager {
         try {
             const data = await fs.readFile(this.permissionsPath, 'utf-8');
             const parsed = JSON.parse(data);
-            this.permCache = this._deepFreeze({...this.DEFAULT_PERMS,...parsed });
+            // Las listas pueden ir en la raíz o agrupadas bajo `roles`
+            this.permCache = this._deepFreeze({...this.DEFAULT_PERMS,...(parsed.roles || parsed) });
             if (this.logger) this.logger.debug('Lista de control de acceso (ACL) actualizada en RAM.');
         } catch (error) {
             if (this.logger) this.logger.warn(`No se encontró o es inválido permissions.json. Aislando a DEFAULT_PERMS.`, { error: error.message });
@@ -95,7 +122,7 @@ export class PermissionManager {
      * Normaliza los formatos dispares de cada red.
      * Ejemplo: Strip de dominios `@s.whatsapp.net` o prefijos `+` en WhatsApp.
      */
-    _normalizeUserId(platform, userId) {
+    normalizeUserId(platform, userId) {
         let normalized = String(userId).trim();
         if (platform === 'whatsapp'  ||  platform === 'wa') {
             normalized = normalized.replace(/@.*$/, '').replace(/^\+/, '');
@@ -130,14 +157,31 @@ export class PermissionManager {
      * 2: Admin
      * 1: Mod
      * 0: Regular
+     *
+     * Con `scope` se tiene en cuenta además el rol concedido en un puente (el mayor de ambos).
+     *
+     * @param {string} platform
+     * @param {string} userId
+     * @param {Object} [scope] - { bridgeId } o { channelId } (se resuelve el puente del canal)
      */
-    getRole(platform, userId) {
+    getRole(platform, userId, scope = null) {
+        const globalRole = this._getGlobalRole(platform, userId);
+        if (!scope || !this.repository || globalRole >= BRIDGE_ROLES.owner) return globalRole;
+
+        const bridgeId = scope.bridgeId || this.repository.getChannelLink(platform, scope.channelId)?.bridge_id;
+        if (!bridgeId) return globalRole;
+
+        const bridgeRole = this.repository.getBridgeRole(bridgeId, platform, this.normalizeUserId(platform, userId));
+        return Math.max(globalRole, BRIDGE_ROLES[bridgeRole] ?? ROLES.USER);
+    }
+
+    _getGlobalRole(platform, userId) {
         // Patrón Lazy-Load en caso de llamadas previas al inicio total del kernel
         if (!this.permCache) {
             this.permCache = this.DEFAULT_PERMS;
         }
 
-        const normalizedId = this._normalizeUserId(platform, userId);
+        const normalizedId = this.normalizeUserId(platform, userId);
 
         if (this.isGlobalSuperUser(normalizedId)) return 4;
 
@@ -145,7 +189,8 @@ export class PermissionManager {
         const checkRole = (roleArray) => {
             if (!Array.isArray(roleArray)) return false;
             return roleArray.some(entry => {
-                const matchPlatform = entry.platform === '*'  ||  entry.platform === platform;
+                const entryPlatform = PLATFORM_ALIASES[entry.platform] || entry.platform;
+                const matchPlatform = entryPlatform === '*'  ||  entryPlatform === platform;
                 const matchUser = String(entry.id) === normalizedId;
                 return matchPlatform && matchUser;
             });
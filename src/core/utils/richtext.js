@@ -0,0 +1,927 @@
+// src/core/utils/richtext.js
+
+/**
+ * Capa de conversión de Texto Enriquecido.
+ * Cada red expresa el formato con un dialecto propio (Markdown de Discord/Stoat, entidades de Telegram,
+ * `*negrita*` de WhatsApp, rangos de estilo de Signal). Los adaptadores Ingress traducen su dialecto a un
+ * AST intermedio que viaja en `body.rich`, y los adaptadores Egress lo renderizan al formato de destino,
+ * evitando la cirugía de cadenas ad-hoc que destruía negritas, bloques de código, spoilers y enlaces.
+ *
+ * Forma del AST:
+ *   { type: 'root', version: 1, children: [Nodo] }
+ *   Nodo = { type: 'text', value }
+ *        | { type: 'bold'|'italic'|'underline'|'strike'|'spoiler'|'quote', children: [Nodo] }
+ *        | { type: 'code', value } | { type: 'pre', value, language }
+ *        | { type: 'link', url, children: [Nodo] }
+ *        | { type: 'mention', kind: 'user'|'channel'|'role', platform, id, name }
+ */
+
+export const RICH_NODES = {
+    ROOT: 'root',
+    TEXT: 'text',
+    BOLD: 'bold',
+    ITALIC: 'italic',
+    UNDERLINE: 'underline',
+    STRIKE: 'strike',
+    SPOILER: 'spoiler',
+    CODE: 'code',
+    PRE: 'pre',
+    LINK: 'link',
+    QUOTE: 'quote',
+    MENTION: 'mention'
+};
+
+const RICH_VERSION = 1;
+
+const URL_REGEX = /^https?:\/\/[^\s<>]+[^\s<>.,;:!?)\]'"]/;
+
+/**
+ * Dialectos Markdown soportados. El orden de `spans` define la prioridad de los delimitadores
+ * (los más largos primero, para que `**` no se confunda con `*`).
+ */
+const MARKDOWN_DIALECTS = {
+    discord: {
+        spans: [
+            { open: '```', type: RICH_NODES.PRE },
+            { open: '`', type: RICH_NODES.CODE },
+            { open: '||', type: RICH_NODES.SPOILER },
+            { open: '**', type: RICH_NODES.BOLD },
+            { open: '__', type: RICH_NODES.UNDERLINE },
+            { open: '~~', type: RICH_NODES.STRIKE },
+            { open: '*', type: RICH_NODES.ITALIC, flanking: true },
+            { open: '_', type: RICH_NODES.ITALIC, flanking: true, wordBoundary: true }
+        ],
+        links: true,
+        quotes: true,
+        mentions: /^<(@!?|@&|#)(\d+)>/,
+        emoji: /^<a?:(\w+):\d+>/
+    },
+    stoat: {
+        spans: [
+            { open: '```', type: RICH_NODES.PRE },
+            { open: '`', type: RICH_NODES.CODE },
+            { open: '!!', type: RICH_NODES.SPOILER },
+            { open: '||', type: RICH_NODES.SPOILER },
+            { open: '**', type: RICH_NODES.BOLD },
+            { open: '~~', type: RICH_NODES.STRIKE },
+            { open: '*', type: RICH_NODES.ITALIC, flanking: true },
+            { open: '_', type: RICH_NODES.ITALIC, flanking: true, wordBoundary: true }
+        ],
+        links: true,
+        quotes: true,
+        mentions: /^<(@|#)([0-9A-HJKMNP-TV-Z]{26})>/
+    },
+    whatsapp: {
+        spans: [
+            { open: '```', type: RICH_NODES.PRE },
+            { open: '`', type: RICH_NODES.CODE },
+            { open: '*', type: RICH_NODES.BOLD, flanking: true, wordBoundary: true },
+            { open: '_', type: RICH_NODES.ITALIC, flanking: true, wordBoundary: true },
+            { open: '~', type: RICH_NODES.STRIKE, flanking: true, wordBoundary: true }
+        ],
+        links: false,
+        quotes: true
+    },
+    // Markdown genérico usado por los mensajes de sistema (addons) que no provienen de ninguna red
+    markdown: {
+        spans: [
+            { open: '```', type: RICH_NODES.PRE },
+            { open: '`', type: RICH_NODES.CODE },
+            { open: '||', type: RICH_NODES.SPOILER },
+            { open: '**', type: RICH_NODES.BOLD },
+            { open: '__', type: RICH_NODES.UNDERLINE },
+            { open: '~~', type: RICH_NODES.STRIKE },
+            { open: '*', type: RICH_NODES.ITALIC, flanking: true },
+            { open: '_', type: RICH_NODES.ITALIC, flanking: true, wordBoundary: true }
+        ],
+        links: true,
+        quotes: true
+    }
+};
+
+const ESCAPABLE = '\\*_~`|![]>';
+
+/**
+ * Crea la raíz del AST fusionando nodos de texto contiguos.
+ *
+ * @param {Array<Object>} [children=[]] - Nodos de primer nivel.
+ * @returns {Object} AST listo para `body.rich`.
+ */
+export function createRichText(children = []) {
+    return { type: RICH_NODES.ROOT, version: RICH_VERSION, children: _mergeText(children) };
+}
+
+/**
+ * Comprueba que un valor de `body.rich` sea un AST de esta capa (y no un objeto heredado, ej. Embeds).
+ *
+ * @param {*} rich - Valor a comprobar.
+ * @returns {boolean}
+ */
+export function isRichText(rich) {
+    return !!rich && rich.type === RICH_NODES.ROOT && Array.isArray(rich.children);
+}
+
+/**
+ * Devuelve el AST de un cuerpo UMF. Si el emisor no aportó `body.rich` (ej. respuestas de addons),
+ * el texto se interpreta como Markdown genérico.
+ *
+ * @param {Object} body - `envelope.body`.
+ * @returns {Object} AST.
+ */
+export function getRichText(body) {
+    if (isRichText(body?.rich)) return body.rich;
+    return parseMarkdown(body?.text || '', 'markdown');
+}
+
+/**
+ * Traduce un texto Markdown de un dialecto concreto al AST.
+ *
+ * @param {string} source - Texto nativo.
+ * @param {'discord'|'stoat'|'whatsapp'|'markdown'} dialect - Dialecto de origen.
+ * @param {Object} [options]
+ * @param {Function} [options.resolveMention] - (kind, id) => nombre legible de la mención.
+ * @param {Array<Object>} [options.mentions] - Menciones declaradas fuera del texto (ej. `mentionedJid` de
+ *   WhatsApp): [{ text: '@5215…', id, name }]. Cada literal `text` se convierte en un nodo de mención.
+ * @param {string} [options.platform] - Red de origen registrada en los nodos de mención.
+ * @returns {Object} AST.
+ */
+export function parseMarkdown(source, dialect, options = {}) {
+    const spec = MARKDOWN_DIALECTS[dialect];
+    if (!spec) throw new Error(`[RichText] Dialecto Markdown desconocido: ${dialect}`);
+
+    const ctx = { spec, options, platform: options.platform || dialect };
+    const text = String(source || '');
+    if (!spec.quotes) return createRichText(_parseInline(text, ctx));
+
+    const children = [];
+    _splitQuoteBlocks(text).forEach((block, index) => {
+        if (index > 0) children.push({ type: RICH_NODES.TEXT, value: '\n' });
+        if (block.quote) {
+            children.push({ type: RICH_NODES.QUOTE, children: _mergeText(_parseInline(block.text, ctx)) });
+        } else {
+            children.push(..._parseInline(block.text, ctx));
+        }
+    });
+    return createRichText(children);
+}
+
+/**
+ * Traduce texto + entidades de Telegram al AST. Acepta tanto las entidades de la Bot API
+ * (`{ type: 'bold', offset, length }`) como las de MTProto/GramJS (`className: 'MessageEntityBold'`).
+ * Los desplazamientos se expresan en unidades UTF-16, igual que los índices de cadenas en JS.
+ *
+ * @param {string} text - Texto del mensaje o caption.
+ * @param {Array<Object>} [entities=[]] - Entidades nativas.
+ * @param {Object} [options]
+ * @param {string} [options.platform='telegram'] - Red de origen de las menciones.
+ * @returns {Object} AST.
+ */
+export function parseTelegramEntities(text, entities = [], options = {}) {
+    const ranges = [];
+    for (const entity of entities || []) {
+        const kind = entity.type || TELEGRAM_MTPROTO_ENTITIES[entity.className];
+        const type = TELEGRAM_ENTITY_TYPES[kind];
+        if (!type) continue;
+
+        const range = { offset: entity.offset, length: entity.length, type };
+        if (type === RICH_NODES.LINK) range.url = entity.url || null;
+        if (type === RICH_NODES.PRE) range.language = entity.language || null;
+        if (type === RICH_NODES.MENTION) {
+            const userId = entity.user?.id ?? entity.userId;
+            range.id = userId != null ? String(userId) : null;
+            range.name = entity.user ? (entity.user.username || entity.user.first_name) : null;
+        }
+        ranges.push(range);
+    }
+
+    return createRichText(_buildFromRanges(String(text || ''), ranges, options.platform || 'telegram'));
+}
+
+/**
+ * Traduce un mensaje de Signal (texto + `textStyles` + `mentions` de signal-cli) al AST.
+ * Signal representa cada mención con el carácter de reemplazo U+FFFC dentro del texto.
+ *
+ * @param {string} text - Texto del mensaje.
+ * @param {Object} [meta]
+ * @param {Array<Object>} [meta.textStyles=[]] - [{ style, start, length }]
+ * @param {Array<Object>} [meta.mentions=[]] - [{ start, length, uuid, number, name }]
+ * @returns {Object} AST.
+ */
+export function parseSignalText(text, { textStyles = [], mentions = [] } = {}) {
+    const ranges = [];
+    for (const style of textStyles || []) {
+        const type = SIGNAL_STYLE_TYPES[style.style];
+        if (type) ranges.push({ offset: style.start, length: style.length, type });
+    }
+    for (const mention of mentions || []) {
+        ranges.push({
+            offset: mention.start,
+            length: mention.length,
+            type: RICH_NODES.MENTION,
+            id: mention.uuid || mention.number || null,
+            // signal-cli usa el número como nombre si no hay perfil: no se expone el teléfono
+            name: mention.name && mention.name !== mention.number ? mention.name : null
+        });
+    }
+
+    return createRichText(_buildFromRanges(String(text || ''), ranges, 'signal'));
+}
+
+/**
+ * Renderiza el AST al formato de una red destino.
+ *
+ * @param {Object} rich - AST (`body.rich`).
+ * @param {'discord'|'stoat'|'telegram'|'whatsapp'|'signal'|'plain'} format - Formato destino.
+ * @param {Object} [options]
+ * @param {string} [options.platform] - Red destino (por defecto, el formato); las menciones de esa misma
+ *   red se emiten de forma nativa.
+ * @returns {string|Object} Texto renderizado; para Signal `{ text, textStyles, mentions }`.
+ */
+export function renderRichText(rich, format, options = {}) {
+    const root = isRichText(rich) ? rich : createRichText([]);
+    const ctx = { platform: options.platform || format, format };
+
+    switch (format) {
+        case 'telegram':
+            return _renderHtml(root.children, ctx).trim();
+        case 'signal':
+            return _renderSignal(root.children, ctx);
+        case 'discord':
+        case 'stoat':
+        case 'whatsapp':
+        case 'plain':
+            return _renderMarkdown(root.children, MARKDOWN_RENDERERS[format], ctx).trim();
+        default:
+            throw new Error(`[RichText] Formato de salida desconocido: ${format}`);
+    }
+}
+
+/**
+ * Devuelve (por referencia) todos los nodos de mención del AST, para que el enrutador pueda
+ * traducirlos a la identidad de destino y los adaptadores declarar las menciones nativas.
+ *
+ * @param {Object} rich - AST.
+ * @returns {Array<Object>} Nodos `{ type: 'mention', ... }`.
+ */
+export function getMentions(rich) {
+    const mentions = [];
+    const walk = (nodes) => {
+        for (const node of nodes || []) {
+            if (node.type === RICH_NODES.MENTION) mentions.push(node);
+            else if (node.children) walk(node.children);
+        }
+    };
+    if (isRichText(rich)) walk(rich.children);
+    return mentions;
+}
+
+/**
+ * Aplica un reemplazo por expresión regular sobre los nodos de texto del AST, conservando el formato.
+ * Un patrón que abarque varios nodos (ej. una palabra medio en negrita) no se detecta.
+ *
+ * @param {Object} rich - AST.
+ * @param {RegExp} regex - Patrón (normalmente con flag `g`).
+ * @param {string} replacement - Texto de reemplazo (admite `$1`).
+ * @returns {Object} Nuevo AST.
+ */
+export function replaceRichText(rich, regex, replacement) {
+    const map = (nodes) => nodes.map(node => {
+        if (node.type === RICH_NODES.TEXT) return { ...node, value: node.value.replace(regex, replacement) };
+        if (node.children) return { ...node, children: map(node.children) };
+        return node;
+    });
+    return createRichText(map(rich.children));
+}
+
+/**
+ * Recorta el AST a un máximo de caracteres visibles, añadiendo `…` si se trunca.
+ *
+ * @param {Object} rich - AST.
+ * @param {number} maxLength - Longitud máxima (incluida la elipsis).
+ * @returns {Object} Nuevo AST.
+ */
+export function truncateRichText(rich, maxLength) {
+    let budget = Math.max(maxLength - 1, 0);
+    let truncated = false;
+
+    const cut = (nodes) => {
+        const out = [];
+        for (const node of nodes) {
+            if (budget <= 0) {
+                truncated = true;
+                break;
+            }
+            if (typeof node.value === 'string') {
+                if (node.value.length > budget) {
+                    out.push({ ...node, value: node.value.slice(0, budget) });
+                    budget = 0;
+                    truncated = true;
+                    break;
+                }
+                budget -= node.value.length;
+                out.push(node);
+            } else if (node.children) {
+                const children = cut(node.children);
+                if (children.length > 0) out.push({ ...node, children });
+                if (truncated) break;
+            } else {
+                // Menciones: se conservan enteras o no se conservan
+                const size = (node.name || '').length + 1;
+                if (size > budget) {
+                    truncated = true;
+                    break;
+                }
+                budget -= size;
+                out.push(node);
+            }
+        }
+        return out;
+    };
+
+    const children = cut(rich.children);
+    if (truncated) children.push({ type: RICH_NODES.TEXT, value: '…' });
+    return createRichText(children);
+}
+
+/**
+ * Texto plano sin marcas de formato (útil para búsquedas, comandos y extractos de cita).
+ *
+ * @param {Object} rich - AST.
+ * @returns {string}
+ */
+export function richTextToPlain(rich) {
+    return renderRichText(rich, 'plain');
+}
+
+// ---------------------------------------------------------------------------
+// Parsers
+// ---------------------------------------------------------------------------
+
+const TELEGRAM_ENTITY_TYPES = {
+    bold: RICH_NODES.BOLD,
+    italic: RICH_NODES.ITALIC,
+    underline: RICH_NODES.UNDERLINE,
+    strikethrough: RICH_NODES.STRIKE,
+    spoiler: RICH_NODES.SPOILER,
+    code: RICH_NODES.CODE,
+    pre: RICH_NODES.PRE,
+    text_link: RICH_NODES.LINK,
+    url: RICH_NODES.LINK,
+    text_mention: RICH_NODES.MENTION,
+    blockquote: RICH_NODES.QUOTE,
+    expandable_blockquote: RICH_NODES.QUOTE
+};
+
+const TELEGRAM_MTPROTO_ENTITIES = {
+    MessageEntityBold: 'bold',
+    MessageEntityItalic: 'italic',
+    MessageEntityUnderline: 'underline',
+    MessageEntityStrike: 'strikethrough',
+    MessageEntitySpoiler: 'spoiler',
+    MessageEntityCode: 'code',
+    MessageEntityPre: 'pre',
+    MessageEntityTextUrl: 'text_link',
+    MessageEntityUrl: 'url',
+    MessageEntityMentionName: 'text_mention',
+    InputMessageEntityMentionName: 'text_mention',
+    MessageEntityBlockquote: 'blockquote'
+};
+
+const SIGNAL_STYLE_TYPES = {
+    BOLD: RICH_NODES.BOLD,
+    ITALIC: RICH_NODES.ITALIC,
+    STRIKETHROUGH: RICH_NODES.STRIKE,
+    SPOILER: RICH_NODES.SPOILER,
+    MONOSPACE: RICH_NODES.CODE
+};
+
+/**
+ * Agrupa líneas consecutivas citadas (`> `) en bloques. `>>> ` (Discord) cita todo lo que sigue.
+ * Las líneas dentro de bloques de código cercados (```) nunca se consideran citas.
+ * @private
+ */
+function _splitQuoteBlocks(text) {
+    const blocks = [];
+    let inFence = false;
+    let restQuoted = false;
+
+    const push = (quote, line) => {
+        const last = blocks[blocks.length - 1];
+        if (last && last.quote === quote) last.lines.push(line);
+        else blocks.push({ quote, lines: [line] });
+    };
+
+    for (const line of text.split('\n')) {
+        const fences = (line.match(/```/g) || []).length;
+        if (!inFence && !restQuoted && line.startsWith('>>> ')) {
+            restQuoted = true;
+            push(true, line.slice(4));
+        } else if (restQuoted) {
+            push(true, line);
+        } else if (!inFence && line.startsWith('> ')) {
+            push(true, line.slice(2));
+        } else {
+            push(false, line);
+        }
+        if (fences % 2 === 1) inFence = !inFence;
+    }
+
+    return blocks.map(block => ({ quote: block.quote, text: block.lines.join('\n') }));
+}
+
+/**
+ * Analizador inline de un dialecto Markdown.
+ * @private
+ */
+function _parseInline(text, ctx) {
+    const { spec } = ctx;
+    const nodes = [];
+    let buffer = '';
+    let i = 0;
+
+    const flush = () => {
+        if (buffer) nodes.push({ type: RICH_NODES.TEXT, value: buffer });
+        buffer = '';
+    };
+
+    while (i < text.length) {
+        const rest = text.slice(i);
+        const ch = text[i];
+
+        // Escapes explícitos (\* \_ ...): el carácter se conserva como texto literal
+        if (ch === '\\' && i + 1 < text.length && ESCAPABLE.includes(text[i + 1]) && spec !== MARKDOWN_DIALECTS.whatsapp) {
+            buffer += text[i + 1];
+            i += 2;
+            continue;
+        }
+
+        // URLs desnudas: se copian íntegras para que sus '_' o '*' no abran formato
+        if (_isWordStart(text, i)) {
+            const url = rest.match(URL_REGEX);
+            if (url) {
+                flush();
+                nodes.push({ type: RICH_NODES.LINK, url: url[0], children: [{ type: RICH_NODES.TEXT, value: url[0] }] });
+                i += url[0].length;
+                continue;
+            }
+        }
+
+        const declared = ctx.options.mentions?.find(m => m.text && rest.startsWith(m.text) && !/\w/.test(text[i + m.text.length] || ''));
+        if (declared) {
+            flush();
+            nodes.push({
+                type: RICH_NODES.MENTION,
+                kind: declared.kind || 'user',
+                platform: ctx.platform,
+                id: declared.id,
+                name: declared.name || null
+            });
+            i += declared.text.length;
+            continue;
+        }
+
+        if (spec.mentions) {
+            const mention = rest.match(spec.mentions);
+            if (mention) {
+                flush();
+                const sigil = mention[1];
+                const kind = sigil.startsWith('#') ? 'channel' : sigil === '@&' ? 'role' : 'user';
+                const id = mention[2];
+                nodes.push({
+                    type: RICH_NODES.MENTION,
+                    kind,
+                    platform: ctx.platform,
+                    id,
+                    name: ctx.options.resolveMention?.(kind, id) || id
+                });
+                i += mention[0].length;
+                continue;
+            }
+        }
+
+        if (spec.emoji) {
+            const emoji = rest.match(spec.emoji);
+            if (emoji) {
+                buffer += `:${emoji[1]}:`;
+                i += emoji[0].length;
+                continue;
+            }
+        }
+
+        if (spec.links && ch === '[') {
+            const link = rest.match(/^\[([^\]\n]+)\]\(<?(https?:\/\/[^\s)>]+)>?\)/);
+            if (link) {
+                flush();
+                nodes.push({ type: RICH_NODES.LINK, url: link[2], children: _mergeText(_parseInline(link[1], ctx)) });
+                i += link[0].length;
+                continue;
+            }
+        }
+
+        const span = _matchSpan(text, i, spec);
+        if (span) {
+            flush();
+            if (span.type === RICH_NODES.CODE) {
+                nodes.push({ type: RICH_NODES.CODE, value: span.inner });
+            } else if (span.type === RICH_NODES.PRE) {
+                const fence = span.inner.match(/^([\w+#-]+)\n([\s\S]*)$/);
+                nodes.push({
+                    type: RICH_NODES.PRE,
+                    value: (fence ? fence[2] : span.inner).replace(/^\n|\n$/g, ''),
+                    language: fence ? fence[1] : null
+                });
+            } else {
+                nodes.push({ type: span.type, children: _mergeText(_parseInline(span.inner, ctx)) });
+            }
+            i = span.end;
+            continue;
+        }
+
+        buffer += ch;
+        i++;
+    }
+
+    flush();
+    return _mergeText(nodes);
+}
+
+/**
+ * Intenta abrir un delimitador en la posición `i` y localizar su cierre.
+ * @returns {Object|null} { type, inner, end }
+ * @private
+ */
+function _matchSpan(text, i, spec) {
+    for (const span of spec.spans) {
+        const { open } = span;
+        if (!text.startsWith(open, i)) continue;
+
+        const start = i + open.length;
+        const literal = span.type === RICH_NODES.CODE || span.type === RICH_NODES.PRE;
+
+        if (span.flanking && (start >= text.length || /\s/.test(text[start]))) continue;
+        if (span.wordBoundary && i > 0 && /[\p{L}\p{N}]/u.test(text[i - 1])) continue;
+
+        let j = start + 1;
+        while (j <= text.length - open.length) {
+            const close = text.indexOf(open, j);
+            if (close === -1) break;
+
+            const escaped = !literal && text[close - 1] === '\\';
+            const badFlank = span.flanking && /\s/.test(text[close - 1]);
+            const badBoundary = span.wordBoundary && close + open.length < text.length &&
+                /[\p{L}\p{N}]/u.test(text[close + open.length]);
+            // Un cierre seguido del mismo carácter pertenece a un delimitador más largo (ej. ***negrita cursiva***)
+            const greedy = !literal && text[close + open.length] === open[0];
+
+            if (!escaped && !badFlank && !badBoundary && !greedy) {
+                return { type: span.type, inner: text.slice(start, close), end: close + open.length };
+            }
+            j = close + 1;
+        }
+    }
+    return null;
+}
+
+/**
+ * Construye el árbol a partir de rangos (offset, length) como los de Telegram o Signal.
+ * Los rangos que se solapan parcialmente se recortan al padre y el sobrante se reprograma,
+ * garantizando siempre un árbol bien anidado.
+ * @private
+ */
+function _buildFromRanges(text, ranges, platform) {
+    const valid = ranges
+    .filter(r => Number.isInteger(r.offset) && Number.isInteger(r.length) && r.length > 0 && r.offset < text.length)
+    .map(r => ({ ...r, length: Math.min(r.length, text.length - r.offset) }));
+
+    return _mergeText(_nestRanges(text, 0, text.length, _sortRanges(valid), platform));
+}
+
+function _sortRanges(ranges) {
+    return ranges.sort((a, b) => a.offset - b.offset || b.length - a.length);
+}
+
+function _nestRanges(text, start, end, ranges, platform) {
+    const nodes = [];
+    let cursor = start;
+    let pending = ranges;
+
+    while (pending.length > 0) {
+        const [range, ...others] = pending;
+        if (range.offset >= end) break;
+
+        const rangeEnd = Math.min(range.offset + range.length, end);
+        if (range.offset < cursor) {
+            // Residuo de un rango ya consumido: recortarlo al cursor
+            const trimmed = { ...range, offset: cursor, length: rangeEnd - cursor };
+            pending = trimmed.length > 0 ? _sortRanges([trimmed, ...others]) : others;
+            continue;
+        }
+        if (range.offset > cursor) {
+            nodes.push({ type: RICH_NODES.TEXT, value: text.slice(cursor, range.offset) });
+        }
+
+        const inner = [];
+        const remainder = [];
+        let k = 0;
+        for (; k < others.length && others[k].offset < rangeEnd; k++) {
+            const child = others[k];
+            const childEnd = child.offset + child.length;
+            if (childEnd <= rangeEnd) {
+                inner.push(child);
+            } else {
+                inner.push({ ...child, length: rangeEnd - child.offset });
+                remainder.push({ ...child, offset: rangeEnd, length: childEnd - rangeEnd });
+            }
+        }
+
+        nodes.push(_rangeToNode(text, range, rangeEnd, inner, platform));
+        cursor = rangeEnd;
+        pending = _sortRanges([...remainder, ...others.slice(k)]);
+    }
+
+    if (cursor < end) nodes.push({ type: RICH_NODES.TEXT, value: text.slice(cursor, end) });
+    return nodes;
+}
+
+function _rangeToNode(text, range, rangeEnd, inner, platform) {
+    const value = text.slice(range.offset, rangeEnd);
+
+    switch (range.type) {
+        case RICH_NODES.CODE:
+            return { type: RICH_NODES.CODE, value };
+        case RICH_NODES.PRE:
+            return { type: RICH_NODES.PRE, value, language: range.language || null };
+        case RICH_NODES.MENTION:
+            return {
+                type: RICH_NODES.MENTION,
+                kind: 'user',
+                platform,
+                id: range.id,
+                name: (range.name || value).replace(/^@/, '')
+            };
+        case RICH_NODES.LINK:
+            return {
+                type: RICH_NODES.LINK,
+                url: range.url || value,
+                children: _mergeText(_nestRanges(text, range.offset, rangeEnd, inner, platform))
+            };
+        default:
+            return { type: range.type, children: _mergeText(_nestRanges(text, range.offset, rangeEnd, inner, platform)) };
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Renderizadores
+// ---------------------------------------------------------------------------
+
+/**
+ * Marcas por formato Markdown. `null` significa que la red no soporta el estilo y solo se emite el contenido.
+ */
+const MARKDOWN_RENDERERS = {
+    discord: {
+        bold: '**', italic: '*', underline: '__', strike: '~~', spoiler: '||',
+        links: true, escape: /[\\*_~`|]/g
+    },
+    stoat: {
+        bold: '**', italic: '*', underline: null, strike: '~~', spoiler: '!!',
+        links: true, escape: /[\\*_~`|]/g
+    },
+    whatsapp: {
+        bold: '*', italic: '_', underline: null, strike: '~', spoiler: null,
+        links: false, escape: null
+    },
+    plain: {
+        bold: null, italic: null, underline: null, strike: null, spoiler: null,
+        links: false, escape: null, plain: true
+    }
+};
+
+function _renderMarkdown(nodes, style, ctx) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case RICH_NODES.TEXT:
+                return _escapeMarkdown(node.value, style);
+            case RICH_NODES.BOLD:
+            case RICH_NODES.ITALIC:
+            case RICH_NODES.UNDERLINE:
+            case RICH_NODES.STRIKE:
+            case RICH_NODES.SPOILER:
+                return _wrap(_renderMarkdown(node.children, style, ctx), style[node.type]);
+            case RICH_NODES.CODE:
+                if (style.plain) return node.value;
+                return node.value.includes('`') ? `\`\` ${node.value} \`\`` : `\`${node.value}\``;
+            case RICH_NODES.PRE:
+                if (style.plain) return node.value;
+                return `\`\`\`${style.links && node.language ? node.language : ''}\n${node.value}\n\`\`\``;
+            case RICH_NODES.LINK: {
+                const label = _renderMarkdown(node.children, style, ctx);
+                const plainLabel = _renderMarkdown(node.children, MARKDOWN_RENDERERS.plain, ctx);
+                if (plainLabel === node.url) return node.url;
+                return style.links ? `[${label}](${node.url})` : `${label} (${node.url})`;
+            }
+            case RICH_NODES.QUOTE:
+                return _renderMarkdown(node.children, style, ctx)
+                .split('\n')
+                .map(line => `> ${line}`)
+                .join('\n');
+            case RICH_NODES.MENTION:
+                return _renderMention(node, ctx);
+            default:
+                return node.children ? _renderMarkdown(node.children, style, ctx) : (node.value || '');
+        }
+    }).join('');
+}
+
+/**
+ * Envuelve con delimitadores Markdown dejando fuera los espacios de los extremos
+ * (`** texto **` no se interpreta como negrita en la mayoría de redes).
+ */
+function _wrap(inner, marker) {
+    if (!marker) return inner;
+    const [, lead, core, trail] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!core) return inner;
+    return `${lead}${marker}${core}${marker}${trail}`;
+}
+
+/**
+ * Escapa los caracteres de formato del texto literal, respetando las URLs (un `\_` dentro de
+ * un enlace lo rompería).
+ */
+function _escapeMarkdown(value, style) {
+    if (!style.escape) return value;
+    return value
+    .split(/(https?:\/\/[^\s<>]+)/g)
+    .map((part, index) => (index % 2 === 1 ? part : part.replace(style.escape, '\\$&')))
+    .join('');
+}
+
+function _renderMention(node, ctx) {
+    if (node.platform === ctx.platform && node.id) {
+        switch (ctx.format) {
+            case 'discord':
+                if (node.kind === 'channel') return `<#${node.id}>`;
+                if (node.kind === 'role') return `<@&${node.id}>`;
+                return `<@${node.id}>`;
+            case 'stoat':
+                return node.kind === 'channel' ? `<#${node.id}>` : `<@${node.id}>`;
+            case 'telegram':
+                return `<a href="tg://user?id=${_escapeHtml(node.id)}">${_escapeHtml(node.name || node.id)}</a>`;
+            case 'whatsapp':
+                // WhatsApp exige el número (parte local del JID) en el texto y el JID en `mentions`
+                if (node.kind === 'user') return `@${String(node.id).split('@')[0]}`;
+                break;
+        }
+    }
+    // Sin identidad en destino: solo el nombre visible. Nunca el ID nativo, que puede ser un teléfono.
+    const sigil = node.kind === 'channel' ? '#' : '@';
+    const name = node.name || MENTION_PLACEHOLDERS[node.kind] || MENTION_PLACEHOLDERS.user;
+    return ctx.format === 'telegram' ? _escapeHtml(`${sigil}${name}`) : `${sigil}${name}`;
+}
+
+const MENTION_PLACEHOLDERS = {
+    user: 'usuario',
+    channel: 'canal',
+    role: 'rol'
+};
+
+const HTML_TAGS = {
+    bold: 'b',
+    italic: 'i',
+    underline: 'u',
+    strike: 's',
+    spoiler: 'tg-spoiler',
+    quote: 'blockquote'
+};
+
+function _renderHtml(nodes, ctx) {
+    return nodes.map((node, index) => {
+        switch (node.type) {
+            case RICH_NODES.TEXT: {
+                // Telegram ya separa el <blockquote> como bloque: se absorbe el salto de línea inmediato
+                const value = nodes[index - 1]?.type === RICH_NODES.QUOTE ? node.value.replace(/^\n/, '') : node.value;
+                return _escapeHtml(value);
+            }
+            case RICH_NODES.CODE:
+                return `<code>${_escapeHtml(node.value)}</code>`;
+            case RICH_NODES.PRE:
+                return node.language
+                    ? `<pre><code class="language-${_escapeHtml(node.language)}">${_escapeHtml(node.value)}</code></pre>`
+                    : `<pre>${_escapeHtml(node.value)}</pre>`;
+            case RICH_NODES.LINK:
+                return `<a href="${_escapeHtml(node.url)}">${_renderHtml(node.children, ctx)}</a>`;
+            case RICH_NODES.MENTION:
+                return _renderMention(node, ctx);
+            default: {
+                const tag = HTML_TAGS[node.type];
+                const inner = _renderHtml(node.children || [], ctx);
+                return tag ? `<${tag}>${inner}</${tag}>` : inner;
+            }
+        }
+    }).join('');
+}
+
+function _escapeHtml(value) {
+    return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const SIGNAL_STYLES = {
+    bold: 'BOLD',
+    italic: 'ITALIC',
+    strike: 'STRIKETHROUGH',
+    spoiler: 'SPOILER',
+    code: 'MONOSPACE',
+    pre: 'MONOSPACE'
+};
+
+/**
+ * Signal recibe texto plano más rangos `inicio:longitud:ESTILO` (formato de signal-cli).
+ * Las menciones nativas se declaran aparte como `inicio:longitud:destinatario`.
+ */
+function _renderSignal(nodes, ctx) {
+    const state = { text: '', textStyles: [], mentions: [] };
+
+    const walk = (list) => {
+        for (const node of list) {
+            const start = state.text.length;
+            switch (node.type) {
+                case RICH_NODES.TEXT:
+                    state.text += node.value;
+                    break;
+                case RICH_NODES.CODE:
+                case RICH_NODES.PRE:
+                    state.text += node.value;
+                    break;
+                case RICH_NODES.LINK: {
+                    walk(node.children);
+                    const label = state.text.slice(start);
+                    if (label !== node.url) state.text += ` (${node.url})`;
+                    break;
+                }
+                case RICH_NODES.QUOTE: {
+                    const inner = _renderSignal(node.children, ctx);
+                    state.text += '> ';
+                    const offset = state.text.length;
+                    state.text += inner.text.replace(/\n/g, '\n> ');
+                    // Cada "> " insertado desplaza los rangos posteriores de esa línea
+                    for (const style of inner.textStyles) {
+                        const [s, l, name] = style.split(':');
+                        const shift = (inner.text.slice(0, Number(s)).match(/\n/g) || []).length * 2;
+                        state.textStyles.push(`${Number(s) + offset + shift}:${l}:${name}`);
+                    }
+                    for (const mention of inner.mentions) {
+                        const [s, l, recipient] = mention.split(':');
+                        const shift = (inner.text.slice(0, Number(s)).match(/\n/g) || []).length * 2;
+                        state.mentions.push(`${Number(s) + offset + shift}:${l}:${recipient}`);
+                    }
+                    continue;
+                }
+                case RICH_NODES.MENTION:
+                    state.text += _renderMention(node, ctx);
+                    if (node.kind === 'user' && node.id && node.platform === ctx.platform) {
+                        state.mentions.push(`${start}:${state.text.length - start}:${node.id}`);
+                    }
+                    break;
+                default:
+                    walk(node.children || []);
+            }
+
+            const style = SIGNAL_STYLES[node.type];
+            const length = state.text.length - start;
+            if (style && length > 0) state.textStyles.push(`${start}:${length}:${style}`);
+        }
+    };
+
+    walk(nodes);
+    return state;
+}
+
+// ---------------------------------------------------------------------------
+// Utilidades
+// ---------------------------------------------------------------------------
+
+function _isWordStart(text, i) {
+    return i === 0 || /[\s([{<"'*_~|]/.test(text[i - 1]);
+}
+
+function _mergeText(nodes) {
+    const merged = [];
+    for (const node of nodes) {
+        if (!node) continue;
+        if (node.type === RICH_NODES.TEXT) {
+            if (!node.value) continue;
+            const last = merged[merged.length - 1];
+            if (last?.type === RICH_NODES.TEXT) {
+                last.value += node.value;
+                continue;
+            }
+            merged.push({ ...node });
+            continue;
+        }
+        merged.push(node);
+    }
+    return merged;
+}
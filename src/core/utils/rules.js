@@ -0,0 +1,415 @@
+// src/core/utils/rules.js
+import { randomBytes } from 'node:crypto';
+import { UMF_TYPES } from './umf.js';
+import { isRichText, replaceRichText, truncateRichText } from './richtext.js';
+
+/**
+ * Motor de Reglas de Filtrado y Transformación por puente y por canal.
+ * Las reglas se guardan como JSON en `channels.config.rules` (aplican al tráfico que RECIBE ese canal)
+ * y en `bridges.config.rules` (aplican a todo el tráfico del puente). El enrutador las evalúa antes
+ * del Fan-out sobre la copia aislada de cada destino.
+ *
+ * Forma de una regla:
+ *   { id, type: 'direction', mode: 'send-only'|'receive-only'|'both' }     (solo canal)
+ *   { id, type: 'attachments', action: 'allow'|'deny', kinds: ['image', ...] }
+ *   { id, type: 'filter', action: 'drop'|'replace', pattern, flags, replacement }
+ *   { id, type: 'max_length', value }
+ *   { id, type: 'match', pattern, flags }
+ */
+
+export const RULE_TYPES = {
+    DIRECTION: 'direction',
+    ATTACHMENTS: 'attachments',
+    FILTER: 'filter',
+    MAX_LENGTH: 'max_length',
+    MATCH: 'match'
+};
+
+export const RULE_DIRECTIONS = ['send-only', 'receive-only', 'both'];
+export const ATTACHMENT_KINDS = ['image', 'video', 'audio', 'sticker', 'file'];
+
+// Longitud máxima de un patrón introducido por chat. No protege frente a ReDoS por sí sola
+// (`(a+)+$` es corto): de eso se encarga `_findBacktrackingRisk`.
+const MAX_PATTERN_LENGTH = 200;
+const QUANTIFIER_BRACES = /^\{(\d+)(,(\d*))?\}/;
+const REGEX_ESCAPE = /^\\(?:x[\da-fA-F]{2}|u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|c[A-Za-z]|[pP]\{[^}]*\}|[\s\S])?/;
+
+// Muestra con la que se aproxima el conjunto de caracteres de cada átomo del patrón (ASCII
+// imprimible, espacios Unicode y letras de otros alfabetos) para detectar solapamientos
+const SAMPLE_CHARS = [
+    ...Array.from({ length: 95 }, (_, index) => String.fromCharCode(32 + index)),
+    '\t', '\n', '\r', '\v', '\f', '\u00a0', '\u2003', '\u2028', '\ufeff', 'ñ', 'Ñ', 'é', 'ß', 'Ω', 'ж', '中'
+];
+const ALL_CHARS = (1n << BigInt(SAMPLE_CHARS.length)) - 1n;
+const REGEX_LITERAL = /^\/((?:\\.|[^\\/])+)\/([imsu]*)(?:\s+([\s\S]*))?$/;
+
+const regexCache = new Map();
+
+/**
+ * Interpreta la definición textual de una regla (argumentos de `!bridge.rule add`).
+ *
+ * Sintaxis:
+ *   direction send-only|receive-only|both
+ *   attachments allow|deny image,video,audio,sticker,file
+ *   filter drop /regex/flags
+ *   filter replace /regex/flags <reemplazo>
+ *   maxlength <caracteres>
+ *   match /regex/flags
+ *
+ * @param {string} definition - Texto a partir del tipo de regla.
+ * @returns {Object} Regla validada con ID propio.
+ * @throws {Error} Si la sintaxis no es válida (mensaje apto para el usuario).
+ */
+export function parseRule(definition) {
+    const trimmed = String(definition || '').trim();
+    const [rawType = '', ...rest] = trimmed.split(/\s+/);
+    const type = rawType.toLowerCase() === 'maxlength' ? RULE_TYPES.MAX_LENGTH : rawType.toLowerCase();
+    const tail = trimmed.slice(rawType.length).trim();
+    const rule = { id: randomBytes(3).toString('hex'), type };
+
+    switch (type) {
+        case RULE_TYPES.DIRECTION: {
+            const mode = rest[0]?.toLowerCase();
+            if (!RULE_DIRECTIONS.includes(mode)) {
+                throw new Error(`Dirección inválida. Valores admitidos: ${RULE_DIRECTIONS.join(', ')}`);
+            }
+            rule.mode = mode;
+            return rule;
+        }
+
+        case RULE_TYPES.ATTACHMENTS: {
+            const action = rest[0]?.toLowerCase();
+            const kinds = (rest[1] || '').toLowerCase().split(',').filter(Boolean);
+            if (!['allow', 'deny'].includes(action) || kinds.length === 0) {
+                throw new Error('Uso: attachments allow|deny <tipos separados por comas>');
+            }
+            const unknown = kinds.filter(kind => !ATTACHMENT_KINDS.includes(kind));
+            if (unknown.length > 0) {
+                throw new Error(`Tipos de adjunto desconocidos: ${unknown.join(', ')}. Admitidos: ${ATTACHMENT_KINDS.join(', ')}`);
+            }
+            rule.action = action;
+            rule.kinds = kinds;
+            return rule;
+        }
+
+        case RULE_TYPES.FILTER: {
+            const action = rest[0]?.toLowerCase();
+            if (!['drop', 'replace'].includes(action)) {
+                throw new Error('Uso: filter drop /regex/flags  |  filter replace /regex/flags <reemplazo>');
+            }
+            const literal = _parseRegexLiteral(tail.slice(rest[0].length).trim());
+            rule.action = action;
+            rule.pattern = literal.pattern;
+            rule.flags = literal.flags;
+            if (action === 'replace') rule.replacement = literal.rest || '';
+            return rule;
+        }
+
+        case RULE_TYPES.MAX_LENGTH: {
+            const value = parseInt(rest[0], 10);
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error('Uso: maxlength <número de caracteres mayor que 0>');
+            }
+            rule.value = value;
+            return rule;
+        }
+
+        case RULE_TYPES.MATCH: {
+            const literal = _parseRegexLiteral(tail);
+            rule.pattern = literal.pattern;
+            rule.flags = literal.flags;
+            return rule;
+        }
+
+        default:
+            throw new Error(`Tipo de regla desconocido: '${rawType}'. Tipos: direction, attachments, filter, maxlength, match`);
+    }
+}
+
+/**
+ * Descripción legible de una regla para `!bridge.rule list`.
+ *
+ * @param {Object} rule - Regla almacenada.
+ * @returns {string}
+ */
+export function describeRule(rule) {
+    switch (rule.type) {
+        case RULE_TYPES.DIRECTION:
+            return `direction ${rule.mode}`;
+        case RULE_TYPES.ATTACHMENTS:
+            return `attachments ${rule.action} ${rule.kinds.join(',')}`;
+        case RULE_TYPES.FILTER:
+            return rule.action === 'replace'
+                ? `filter replace /${rule.pattern}/${rule.flags} → "${rule.replacement}"`
+                : `filter drop /${rule.pattern}/${rule.flags}`;
+        case RULE_TYPES.MAX_LENGTH:
+            return `maxlength ${rule.value}`;
+        case RULE_TYPES.MATCH:
+            return `match /${rule.pattern}/${rule.flags}`;
+        default:
+            return rule.type;
+    }
+}
+
+/**
+ * Dirección efectiva de un canal según sus reglas (la última regla `direction` prevalece).
+ *
+ * @param {Array<Object>} [rules=[]] - Reglas del canal.
+ * @returns {'send-only'|'receive-only'|'both'}
+ */
+export function getChannelDirection(rules = []) {
+    const direction = rules.filter(rule => rule.type === RULE_TYPES.DIRECTION).pop();
+    return direction?.mode || 'both';
+}
+
+/**
+ * Aplica las reglas de contenido sobre un envelope UMF, modificándolo en sitio.
+ * El envelope debe ser ya la copia aislada de un destino.
+ *
+ * @param {Object} envelope - Copia UMF del destino.
+ * @param {Array<Object>} [rules=[]] - Reglas del puente y del canal destino.
+ * @returns {{ allowed: boolean, reason?: string }} Si el mensaje debe entregarse.
+ */
+export function applyRules(envelope, rules = []) {
+    const body = envelope.body || (envelope.body = {});
+    const hadContent = !!body.text || (body.attachments || []).length > 0;
+
+    for (const rule of rules) {
+        switch (rule.type) {
+            case RULE_TYPES.MATCH: {
+                const regex = _compile(rule);
+                if (regex && !regex.test(body.text || '')) {
+                    return { allowed: false, reason: `match ${rule.id}` };
+                }
+                break;
+            }
+
+            case RULE_TYPES.FILTER: {
+                const regex = _compile(rule, rule.action === 'replace');
+                if (!regex || !body.text) break;
+                if (rule.action === 'drop') {
+                    if (regex.test(body.text)) return { allowed: false, reason: `filter ${rule.id}` };
+                    break;
+                }
+                body.text = body.text.replace(regex, rule.replacement);
+                if (typeof body.raw === 'string') body.raw = body.raw.replace(regex, rule.replacement);
+                if (isRichText(body.rich)) body.rich = replaceRichText(body.rich, regex, rule.replacement);
+                break;
+            }
+
+            case RULE_TYPES.MAX_LENGTH: {
+                if (body.text && body.text.length > rule.value) {
+                    body.text = `${body.text.slice(0, Math.max(rule.value - 1, 0))}…`;
+                    if (isRichText(body.rich)) body.rich = truncateRichText(body.rich, rule.value);
+                }
+                break;
+            }
+
+            case RULE_TYPES.ATTACHMENTS: {
+                if (!body.attachments?.length) break;
+                body.attachments = body.attachments.filter(att => {
+                    const listed = rule.kinds.includes(getAttachmentKind(att));
+                    return rule.action === 'allow' ? listed : !listed;
+                });
+                break;
+            }
+        }
+    }
+
+    // Un mensaje que se queda sin texto ni adjuntos tras las transformaciones no se entrega vacío
+    if (hadContent && !body.text?.trim() && (body.attachments || []).length === 0) {
+        return { allowed: false, reason: 'vacío tras aplicar reglas' };
+    }
+    return { allowed: true };
+}
+
+/**
+ * Clasifica un adjunto UMF en una de las categorías de `ATTACHMENT_KINDS`.
+ *
+ * @param {Object} attachment - Adjunto UMF.
+ * @returns {string}
+ */
+export function getAttachmentKind(attachment) {
+    if (attachment.type === UMF_TYPES.STICKER) return 'sticker';
+    const mime = attachment.mimeType || attachment.type || '';
+    if (mime.startsWith('image')) return 'image';
+    if (mime.startsWith('video')) return 'video';
+    if (mime.startsWith('audio')) return 'audio';
+    return 'file';
+}
+
+/**
+ * Extrae patrón, flags y el texto sobrante de un literal `/regex/flags resto`.
+ * @private
+ */
+function _parseRegexLiteral(source) {
+    const match = String(source || '').match(REGEX_LITERAL);
+    if (!match) throw new Error('Expresión regular esperada con la forma /patrón/flags');
+
+    const [, pattern, flags, rest] = match;
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`El patrón supera el máximo de ${MAX_PATTERN_LENGTH} caracteres`);
+    }
+    const risk = _findBacktrackingRisk(pattern, flags);
+    if (risk) {
+        throw new Error(`Patrón rechazado (${risk}): podría bloquear el enrutador con retroceso catastrófico`);
+    }
+    try {
+        new RegExp(pattern, flags);
+    } catch (error) {
+        throw new Error(`Expresión regular inválida: ${error.message}`);
+    }
+    return { pattern, flags, rest };
+}
+
+/**
+ * Compila (con caché) la expresión de una regla. Las reglas de reemplazo usan siempre el flag `g`.
+ * @private
+ */
+function _compile(rule, global = false) {
+    const flags = `${rule.flags || ''}${global ? 'g' : ''}`;
+    const key = `${flags}/${rule.pattern}`;
+    if (!regexCache.has(key)) {
+        // Las reglas pueden llegar sin pasar por `parseRule` (topología, API): se revalidan aquí
+        try {
+            regexCache.set(key, _findBacktrackingRisk(rule.pattern, rule.flags) ? null : new RegExp(rule.pattern, flags));
+        } catch {
+            regexCache.set(key, null);
+        }
+        if (regexCache.size > 500) regexCache.delete(regexCache.keys().next().value);
+    }
+    const regex = regexCache.get(key);
+    if (regex) regex.lastIndex = 0;
+    return regex;
+}
+
+/**
+ * Análisis estático de construcciones con retroceso exponencial o polinómico (ReDoS): un grupo
+ * repetido que contiene a su vez un cuantificador (`(a+)+`, `(a?)*`) o alternativas (`(a|a)+`),
+ * átomos cuantificados consecutivos que reconocen caracteres en común (`\s*\s*`, `\d+\.?\d*`)
+ * y las referencias hacia atrás. Es conservador: rechaza también algunos patrones inofensivos.
+ *
+ * @param {string} pattern - Patrón sin delimitadores.
+ * @param {string} [flags=''] - Flags de la expresión (`i`, `s` y `u` cambian lo que reconoce cada átomo).
+ * @returns {string|null} Motivo del rechazo, o null si el patrón es seguro.
+ * @private
+ */
+function _findBacktrackingRisk(pattern, flags = '') {
+    const atomFlags = [...flags].filter(flag => 'isu'.includes(flag)).join('');
+    const stack = [_openFrame(0n)];
+    let lastAtom = null;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const frame = stack[stack.length - 1];
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1] || '')) return 'referencias hacia atrás';
+            const escape = pattern.slice(i).match(REGEX_ESCAPE)[0];
+            i += escape.length - 1;
+            // `\b` y `\B` no consumen caracteres
+            lastAtom = /^\\[bB]$/.test(escape) ? null : _consumeAtom(frame, _charMask(escape, atomFlags));
+        } else if (char === '[') {
+            // Clase de caracteres: su contenido no tiene cuantificadores ni grupos
+            const start = i;
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+            lastAtom = _consumeAtom(frame, _charMask(pattern.slice(start, i + 1), atomFlags));
+        } else if (char === '(') {
+            const prefix = pattern.slice(i + 1).match(/^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/);
+            // Las aserciones (`(?=...)`, `(?<!...)`) no consumen: no continúan la secuencia exterior
+            const lookaround = /^\?<?[=!]$/.test(prefix?.[0] || '');
+            stack.push(_openFrame(lookaround ? 0n : frame.trailing, lookaround));
+            if (prefix) i += prefix[0].length;
+            lastAtom = null;
+        } else if (char === ')') {
+            if (stack.length === 1) return null;
+            const group = stack.pop();
+            const parent = stack[stack.length - 1];
+            parent.quantified ||= group.quantified;
+            if (group.lookaround) {
+                lastAtom = null;
+                continue;
+            }
+            parent.mask |= group.mask;
+            lastAtom = { group: true, quantified: group.quantified, alternation: group.alternation, mask: group.mask, before: parent.trailing };
+            parent.trailing = group.exits | group.trailing;
+        } else if (char === '|') {
+            frame.alternation = true;
+            frame.exits |= frame.trailing;
+            frame.trailing = frame.entry;
+            lastAtom = null;
+        } else if ('*+?{'.includes(char)) {
+            let min = char === '+' ? 1 : 0;
+            let repeats = char !== '?';
+            if (char === '{') {
+                const braces = pattern.slice(i).match(QUANTIFIER_BRACES);
+                if (!braces) {
+                    // Llave literal
+                    lastAtom = _consumeAtom(frame, _charMask('\\{', atomFlags));
+                    continue;
+                }
+                min = Number(braces[1]);
+                repeats = braces[2] !== undefined ? braces[3] === '' || Number(braces[3]) > 1 : min > 1;
+                i += braces[0].length - 1;
+            }
+            if (repeats && lastAtom?.quantified) return 'cuantificadores anidados';
+            if (repeats && lastAtom?.alternation) return 'alternativas dentro de un grupo repetido';
+            frame.quantified = true;
+
+            if (lastAtom?.group && !repeats) {
+                // Un grupo opcional se prueba una sola vez: solo deja pasar la secuencia anterior
+                if (min === 0) frame.trailing |= lastAtom.before;
+            } else if (lastAtom) {
+                // El texto que reconoce este átomo podría consumirlo también el cuantificado anterior
+                if (lastAtom.mask & lastAtom.before) return 'cuantificadores consecutivos que se solapan';
+                frame.trailing = (min === 0 ? lastAtom.before : 0n) | lastAtom.mask;
+            }
+            // Modificador perezoso (`+?`)
+            if (pattern[i + 1] === '?') i++;
+            lastAtom = null;
+        } else if (char === '^' || char === '$') {
+            lastAtom = null;
+        } else {
+            lastAtom = _consumeAtom(frame, _charMask(char.replace(/[{}\]]/, '\\$&'), atomFlags));
+        }
+    }
+    return null;
+}
+
+/**
+ * Estado de un nivel de agrupación durante el análisis. `trailing` reúne los caracteres que pueden
+ * reconocer los átomos cuantificados inmediatamente anteriores (sin un átomo obligatorio en medio);
+ * `entry` es ese valor al abrir el grupo y `exits` el acumulado al final de cada alternativa.
+ * @private
+ */
+function _openFrame(entry, lookaround = false) {
+    return { quantified: false, alternation: false, lookaround, mask: 0n, entry, trailing: entry, exits: 0n };
+}
+
+/**
+ * Registra un átomo sin cuantificar: corta la secuencia de cuantificados hasta que se sepa si lo está.
+ * @private
+ */
+function _consumeAtom(frame, mask) {
+    const atom = { group: false, quantified: false, alternation: false, mask, before: frame.trailing };
+    frame.mask |= mask;
+    frame.trailing = 0n;
+    return atom;
+}
+
+/**
+ * Caracteres de la muestra que reconoce un átomo (carácter, escape o clase), como máscara de bits.
+ * Si el átomo no compila por separado se supone que los reconoce todos.
+ * @private
+ */
+function _charMask(source, flags) {
+    let regex;
+    try {
+        regex = new RegExp(`^(?:${source})$`, flags);
+    } catch {
+        return ALL_CHARS;
+    }
+    return SAMPLE_CHARS.reduce((mask, char, index) => regex.test(char) ? mask | (1n << BigInt(index)) : mask, 0n);
+}
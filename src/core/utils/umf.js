@@ -1,5 +1,6 @@
 // src/core/utils/umf.js
 import { randomUUID } from 'node:crypto';
+import { isRichText, richTextToPlain } from './richtext.js';
 
 /**
  * Tipos MIME abstractos para la estandarización transversal de adjuntos.
@@ -14,7 +15,24 @@ export const UMF_TYPES = {
     AUDIO: 'audio',
     FILE: 'application/octet-stream',
     STICKER: 'image/webp', // Crítico para conversiones Lottie/TGS -> WhatsApp
-    SYSTEM: 'system/notification'
+    SYSTEM: 'system/notification',
+    // Contenido estructurado: el detalle viaja en body.poll / body.location / body.contacts
+    POLL: 'application/x-poll',
+    LOCATION: 'application/geo',
+    CONTACT: 'text/vcard'
+};
+
+/**
+ * Eventos del ciclo de vida de un mensaje que circulan por el Bus.
+ * El evento viaja también en `head.event` para que los adaptadores Egress
+ * sepan si deben crear, editar o eliminar la copia nativa.
+ */
+export const UMF_EVENTS = {
+    INGRESS: 'message.ingress',
+    EDIT: 'message.edit',
+    DELETE: 'message.delete',
+    REACTION: 'message.reaction',
+    POLL_VOTE: 'message.poll_vote'
 };
 
 /**
@@ -28,10 +46,11 @@ export const UMF_TYPES = {
  * @param {Array} [params.attachments=[]] - Lista de adjuntos normalizados.
  * @param {Object|null} [params.replyTo=null] - Referencia a mensaje padre.
  * @param {string} [params.correlationId] - ID de correlación para trazabilidad.
+ * @param {string} [params.event=UMF_EVENTS.INGRESS] - Evento del ciclo de vida (creación, edición...).
  * @returns {Object} Envoltorio UMF listo para ser encolado o enrutado.
  * @throws {Error} Si falta source.platform o source.channelId.
  */
-export function createEnvelope({ type = UMF_TYPES.TEXT, source, body, attachments = [], replyTo = null, correlationId }) {
+export function createEnvelope({ type = UMF_TYPES.TEXT, source, body, attachments = [], replyTo = null, correlationId, event = UMF_EVENTS.INGRESS }) {
     if (!source || !source.platform || !source.channelId) {
         throw new Error('[UMF] Fallo de validación: source.platform y source.channelId son obligatorios.');
     }
@@ -45,15 +64,22 @@ export function createEnvelope({ type = UMF_TYPES.TEXT, source, body, attachment
             correlationId: correlationId || id,
             timestamp: Date.now(),
             type,
+            event,
             source: {
                 platform: platform,
                 channelId: source.channelId,
+                // ID nativo del mensaje en la red de origen (necesario para ediciones y borrados)
+                messageId: source.messageId != null ? String(source.messageId) : null,
                 userId: source.userId || 'guest',
                 username: source.username || 'Unknown',
                 avatar: source.avatar || null
             },
             replyTo: replyTo ? {
                 parentId: replyTo.parentId,
+                // Ubicación nativa de parentId; por defecto, el mismo canal de origen
+                parentPlatform: replyTo.parentPlatform || null,
+                parentChannelId: replyTo.parentChannelId || null,
+                parentUserId: replyTo.parentUserId != null ? String(replyTo.parentUserId) : null,
                 parentText: replyTo.parentText || '',
                 // SOLUCIÓN: Preservar los adjuntos del mensaje original
                 parentAttachments: (replyTo.parentAttachments || []).map(_sanitizeAttachment)
@@ -65,12 +91,90 @@ export function createEnvelope({ type = UMF_TYPES.TEXT, source, body, attachment
         body: {
             text: body?.text || '',
             raw: body?.raw || body?.text || '',
-            rich: body?.rich || null, // Para Embeds complejos (ej. Discord)
+            rich: body?.rich || null, // AST de texto enriquecido (ver richtext.js)
+            attachments: attachments.map(_sanitizeAttachment),
+            // Solo presente en eventos REACTION: { key, emoji, shortcode, action: 'add'|'remove' }
+            ...(body?.reaction ? { reaction: body.reaction } : {}),
+            // Contenido estructurado (ver `describeStructuredBody`); `text` lleva siempre su versión textual
+            ...(body?.poll ? { poll: body.poll } : {}),
+            // Solo presente en eventos POLL_VOTE: { options: number[], action: 'set'|'add'|'remove'|'counts', counts?, voters? }
+            ...(body?.vote ? { vote: body.vote } : {}),
+            ...(body?.location ? { location: body.location } : {}),
+            ...(body?.contacts?.length > 0 ? { contacts: body.contacts } : {})
+        }
+    };
+}
+
+/**
+ * Construye un mensaje de sistema dirigido a un canal concreto (avisos que no responden a ningún
+ * mensaje, como la aprobación de una solicitud de unión). Lleva un horizonte dividido propio para
+ * que el Router no lo rebote al resto del puente; se encola directamente en `queue_<plataforma>_out`.
+ *
+ * @param {Object} dest - { platform, channelId } del canal destino.
+ * @param {string} text - Texto del aviso.
+ * @param {Object} [options]
+ * @param {string} [options.sender='system'] - Módulo que emite (se refleja en el origen y en trace_path).
+ * @param {Array} [options.attachments=[]] - Adjuntos del aviso.
+ * @param {string} [options.correlationId] - Traza a la que pertenece (por defecto, una nueva).
+ * @returns {Object} Envoltorio UMF del aviso.
+ */
+export function createSystemNotice(dest, text, { sender = 'system', attachments = [], correlationId = randomUUID() } = {}) {
+    return {
+        head: {
+            id: randomUUID(),
+            correlationId,
+            timestamp: Date.now(),
+            type: UMF_TYPES.TEXT,
+            event: UMF_EVENTS.INGRESS,
+            source: {
+                platform: 'system',
+                channelId: sender,
+                userId: 'root',
+                username: 'OpenChat Ops',
+                avatar: null // Delegar la carga del icono al cliente objetivo
+            },
+            dest: {
+                platform: dest.platform,
+                channelId: dest.channelId
+            },
+            // Horizonte dividido para evitar rebotes cíclicos de la respuesta del sistema
+            trace_path: [`system:${sender}`]
+        },
+        body: {
+            text,
+            raw: text,
             attachments: attachments.map(_sanitizeAttachment)
         }
     };
 }
 
+/**
+ * Construye la respuesta de sistema a un mensaje: un aviso (`createSystemNotice`) dirigido a la
+ * misma plataforma y canal de origen que cita el mensaje original.
+ *
+ * @param {Object} originalEnvelope - Envoltorio UMF al que se responde.
+ * @param {string} text - Texto de la respuesta.
+ * @param {Object} [options] - { sender, attachments } (ver `createSystemNotice`).
+ * @returns {Object} Envoltorio UMF de la respuesta.
+ */
+export function createSystemReply(originalEnvelope, text, options = {}) {
+    const { platform, channelId, messageId, userId } = originalEnvelope.head.source;
+    const response = createSystemNotice({ platform, channelId }, text, {
+        ...options,
+        correlationId: originalEnvelope.head.correlationId
+    });
+
+    // Respuesta nativa al comando: el padre vive en el mismo canal de destino
+    response.head.replyTo = {
+        parentId: messageId || null,
+        parentPlatform: platform,
+        parentChannelId: channelId,
+        parentUserId: userId,
+        parentText: originalEnvelope.body?.text || ''
+    };
+    return response;
+}
+
 /**
  * Garantiza que todo adjunto cumpla con el contrato de datos universal,
  * eludiendo el uso de buffers binarios puros en el bus a favor de URLs/Paths.
@@ -87,7 +191,9 @@ function _sanitizeAttachment(att) {
         mimeType: att.mimeType || 'application/octet-stream',
         size: att.size || 0,
         name: att.name || `media-${Date.now()}.bin`,
-        localPath: att.localPath || null
+        localPath: att.localPath || null,
+        // Referencia nativa de un sticker ({ platform, ... }) para reenviarlo como tal en su misma red
+        ...(att.sticker ? { sticker: att.sticker } : {})
     };
 }
 
@@ -119,10 +225,10 @@ export function validateEnvelope(envelope) {
  * @returns {string} Representación textual del mensaje, apta para canales limitados.
  */
 export function degradeToText(envelope) {
-    let text = envelope.body.text || '';
+    let text = isRichText(envelope.body.rich) ? richTextToPlain(envelope.body.rich) : (envelope.body.text || '');
 
     // Aplanar estructuras de "Embed" ricas en texto secuencial
-    if (envelope.body.rich) {
+    if (envelope.body.rich && !isRichText(envelope.body.rich)) {
         if (envelope.body.rich.title) {
             text += `\n\n*${envelope.body.rich.title}*`;
         }
@@ -146,6 +252,121 @@ export function degradeToText(envelope) {
     return text.trim();
 }
 
+/**
+ * Extracto breve del mensaje citado para plataformas donde el padre no pudo resolverse
+ * a una copia nativa (el adaptador decide cómo envolverlo: blockquote, "> ", etc.).
+ *
+ * @param {Object|null} replyTo - Bloque `head.replyTo` del envelope.
+ * @param {number} [maxLength=80] - Longitud máxima del extracto.
+ * @returns {string} Texto plano en una sola línea, o cadena vacía si no hay nada que citar.
+ */
+export function buildQuoteSnippet(replyTo, maxLength = 80) {
+    if (!replyTo) return '';
+
+    let text = (replyTo.parentText || '').replace(/\s+/g, ' ').trim();
+    if (!text && replyTo.parentAttachments?.length > 0) text = '📎 Adjunto';
+    if (!text) return '';
+
+    return text.length > maxLength ? text.substring(0, maxLength - 1) + '…' : text;
+}
+
+/**
+ * Enlace público a un mapa centrado en unas coordenadas.
+ *
+ * @param {Object} location - { latitude, longitude }.
+ * @returns {string} URL de OpenStreetMap.
+ */
+export function buildMapUrl({ latitude, longitude }) {
+    return `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=16/${latitude}/${longitude}`;
+}
+
+/**
+ * Representación en texto plano del contenido estructurado de un cuerpo UMF, para las plataformas
+ * que no pueden materializarlo de forma nativa (el adaptador de origen la guarda en `body.text`).
+ *
+ * - `poll`: { question, options: string[], multiple, anonymous }
+ * - `location`: { latitude, longitude, name, address, live }
+ * - `contacts`: [{ name, phones: string[], vcard }]
+ *
+ * @param {Object} body - Cuerpo UMF (o fragmento) con poll, location o contacts.
+ * @returns {string} Texto descriptivo, o cadena vacía si no hay contenido estructurado.
+ */
+export function describeStructuredBody(body) {
+    const lines = [];
+
+    if (body?.poll) {
+        lines.push(`📊 Encuesta: ${body.poll.question}`);
+        for (const option of body.poll.options) lines.push(`• ${option}`);
+        const notes = [body.poll.multiple && 'se pueden elegir varias opciones', body.poll.anonymous && 'votación anónima'].filter(Boolean);
+        if (notes.length > 0) lines.push(`(${notes.join(', ')})`);
+    }
+
+    if (body?.location) {
+        const { name, address, live } = body.location;
+        const label = [name, address].filter(Boolean).join(' — ');
+        lines.push(live
+            ? `📡 Ubicación en tiempo real${label ? `: ${label}` : ''}`
+            : `📍 ${label || 'Ubicación'}`);
+        lines.push(buildMapUrl(body.location));
+    }
+
+    for (const contact of body?.contacts || []) {
+        const phones = contact.phones?.length > 0 ? `: ${contact.phones.join(', ')}` : '';
+        lines.push(`👤 ${contact.name || 'Contacto'}${phones}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Extrae los números de teléfono (propiedades TEL) de una vCard.
+ *
+ * @param {string} vcard - Tarjeta vCard 2.1/3.0/4.0.
+ * @returns {Array<string>} Números en el orden en que aparecen.
+ */
+export function parseVcardPhones(vcard) {
+    const phones = [];
+    for (const line of String(vcard || '').split(/\r?\n/)) {
+        const match = line.match(/^(?:item\d+\.)?TEL[^:]*:(.+)$/i);
+        if (match) phones.push(match[1].replace(/^tel:/i, '').trim());
+    }
+    return phones.filter(Boolean);
+}
+
+/**
+ * Normaliza una reacción nativa a un formato comparable entre plataformas.
+ * Los emoji Unicode se comparan sin selectores de variación (U+FE0F), de modo que "❤️" y "❤"
+ * cuentan como la misma reacción. Los emoji personalizados (ej. Discord `<:nombre:id>`) no
+ * existen fuera de su red y solo conservan un shortcode `:nombre:` como representación textual.
+ *
+ * @param {string} raw - Emoji Unicode, emoji personalizado de Discord o shortcode.
+ * @returns {Object|null} { key, emoji, shortcode } donde `emoji` es null para personalizados.
+ */
+export function normalizeEmoji(raw) {
+    if (raw == null) return null;
+    const value = String(raw).trim();
+    if (!value) return null;
+
+    const custom = value.match(/^<a?:([\w~-]+):\d+>$/) || value.match(/^:([\w~-]+):$/);
+    if (custom) {
+        const shortcode = `:${custom[1]}:`;
+        return { key: shortcode, emoji: null, shortcode };
+    }
+
+    const emoji = value.normalize('NFC');
+    return { key: emoji.replace(/\uFE0F/g, ''), emoji, shortcode: null };
+}
+
+/**
+ * Representación textual de una reacción (emoji Unicode o, en su defecto, shortcode).
+ *
+ * @param {Object} reaction - Reacción normalizada por `normalizeEmoji`.
+ * @returns {string}
+ */
+export function formatReaction(reaction) {
+    return reaction?.emoji || reaction?.shortcode || reaction?.key || '';
+}
+
 /**
  * Diccionario de Abreviaturas Topológicas.
  * Estandariza la firma visual en las plataformas de destino.
@@ -0,0 +1,83 @@
+// test/bridge_dedup.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { setImmediate as nextTick } from 'node:timers/promises';
+import BridgeDedup from '../src/addons/bridge_dedup/index.js';
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const envelope = (text, userId = 'u1') => ({
+    head: { source: { platform: 'discord', channelId: 'c1', userId } },
+    body: { text }
+});
+
+async function startDedup() {
+    const bus = new EventEmitter();
+    const dedup = new BridgeDedup();
+    await dedup.init({ bus, logger: silentLogger });
+    await dedup.start();
+
+    const ingress = async (umf) => {
+        bus.emit('message.ingress', umf);
+        await nextTick();
+        return umf;
+    };
+    return { dedup, ingress };
+}
+
+test('sin Redis usa el mapa local y descarta duplicados dentro de la ventana', async () => {
+    const { dedup, ingress } = await startDedup();
+    try {
+        assert.equal((await dedup.health()).mode, 'local-memory');
+        assert.equal((await ingress(envelope('hola')))._isDuplicate, undefined);
+        assert.equal((await ingress(envelope('hola')))._isDuplicate, true);
+        assert.equal((await ingress(envelope('hola', 'u2')))._isDuplicate, undefined);
+        assert.equal((await ingress(envelope('adiós')))._isDuplicate, undefined);
+    } finally {
+        await dedup.stop();
+    }
+});
+
+test('una clave local caducada vuelve a admitirse y el barrido la elimina', async (t) => {
+    t.mock.timers.enable({ apis: ['Date', 'setInterval'], now: 0 });
+    const { dedup, ingress } = await startDedup();
+    try {
+        await ingress(envelope('hola'));
+        t.mock.timers.tick(59_000);
+        assert.equal((await ingress(envelope('hola')))._isDuplicate, true);
+
+        t.mock.timers.tick(1_000);
+        assert.equal((await ingress(envelope('hola')))._isDuplicate, undefined);
+
+        // Sin tráfico, el barrido periódico libera las claves caducadas
+        await ingress(envelope('otra'));
+        t.mock.timers.tick(60_000);
+        assert.equal(dedup.localKeys.size, 0);
+    } finally {
+        await dedup.stop();
+    }
+});
+
+test('con Redis delega el bloqueo en SET NX EX', async () => {
+    const calls = [];
+    const redis = { set: async (...args) => { calls.push(args); return calls.length === 1 ? 'OK' : null; } };
+    const bus = new EventEmitter();
+    const dedup = new BridgeDedup();
+    await dedup.init({ bus, logger: silentLogger, redis });
+    await dedup.start();
+
+    const first = envelope('hola');
+    const second = envelope('hola');
+    bus.emit('message.ingress', first);
+    await nextTick();
+    bus.emit('message.ingress', second);
+    await nextTick();
+
+    assert.equal((await dedup.health()).mode, 'distributed-redis');
+    assert.equal(first._isDuplicate, undefined);
+    assert.equal(second._isDuplicate, true);
+    assert.deepEqual(calls[0].slice(1), ['1', 'NX', 'EX', 60]);
+    assert.equal(dedup.localKeys.size, 0);
+    await dedup.stop();
+});
@@ -0,0 +1,78 @@
+// test/commands.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { CommandRegistry } from '../src/core/utils/commands.js';
+import { ROLES } from '../src/core/utils/permissions.js';
+import { createEnvelope } from '../src/core/utils/umf.js';
+import AdminAddon from '../src/addons/admin/index.js';
+
+let replies;
+let bridges;
+let registry;
+
+async function setup(prefixes) {
+    replies = [];
+    bridges = [];
+    registry = new CommandRegistry({ bot: { prefixes } }, null, {
+        bus: new EventEmitter(),
+        queue: { add: async (queue, envelope) => replies.push(envelope.body.text) },
+        permissions: { getRole: () => ROLES.ADMIN }
+    });
+
+    const admin = new AdminAddon();
+    await admin.init({
+        commands: { register: (definition) => registry.register(definition, 'admin') },
+        permissions: { normalizeUserId: (platform, userId) => userId },
+        repository: {
+            createBridge: (name) => { bridges.push(name); return `bridge-${bridges.length}`; },
+            setBridgeRole: () => {},
+            recordAudit: () => {}
+        }
+    });
+    await admin.start();
+}
+
+beforeEach(() => setup(['.', ',', '!', '#', '/']));
+
+const send = (text) => registry._dispatch(createEnvelope({
+    source: { platform: 'discord', channelId: 'c1', userId: 'u1', username: 'Ana' },
+    body: { text }
+}));
+
+test('`bridge create <nombre...>` crea el puente con el nombre completo', async () => {
+    await send('!bridge create Red de Prueba');
+    assert.deepEqual(bridges, ['Red de Prueba']);
+    assert.match(replies[0], /Nombre: Red de Prueba/);
+    // El resto de canales se une con invitaciones, no con el ID del puente
+    assert.match(replies[0], /`!bridge invite`/);
+    assert.match(replies[0], /`!link <código>`/);
+});
+
+test('un subcomando mal escrito no crea un puente', async () => {
+    await send('!bridge invtes');
+    assert.deepEqual(bridges, []);
+    assert.match(replies[0], /Subcomando desconocido/);
+    assert.match(replies[0], /!bridge create <nombre\.\.\.>/);
+});
+
+test('`bridge create` sin nombre responde con la sintaxis', async () => {
+    await send('.bridge create');
+    assert.deepEqual(bridges, []);
+    assert.match(replies[0], /Uso correcto: `!bridge create <nombre\.\.\.>`/);
+});
+
+test('la ayuda muestra el prefijo `!` aunque no sea el primero configurado', async () => {
+    await send(',help');
+    assert.match(replies[0], /Usa `!help <comando>`/);
+});
+
+test('sin `!` entre los prefijos, la sintaxis usa el primero configurado', async () => {
+    await setup(['.']);
+    await send('.bridge create');
+    assert.match(replies[0], /Uso correcto: `\.bridge create <nombre\.\.\.>`/);
+
+    await send('.help bridge create');
+    assert.doesNotMatch(replies[1], /undefined/);
+    assert.match(replies[1], /`\.bridge create <nombre\.\.\.>`/);
+});
@@ -0,0 +1,95 @@
+// test/identity_link.test.js
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { CommandRegistry } from '../src/core/utils/commands.js';
+import { ROLES } from '../src/core/utils/permissions.js';
+import { createEnvelope } from '../src/core/utils/umf.js';
+import AdminAddon from '../src/addons/admin/index.js';
+
+const ISSUER = { platform: 'discord', channelId: 'general', userId: '111', username: 'Ana' };
+const CLAIMANT = { platform: 'telegram', channelId: 'chat', userId: '222', username: 'Ana TG' };
+const INTRUDER = { platform: 'telegram', channelId: 'chat', userId: '999', username: 'Ana TG' };
+
+let messages;
+let linked;
+let registry;
+
+beforeEach(async () => {
+    messages = [];
+    linked = [];
+    registry = new CommandRegistry({ bot: { prefixes: ['!'] } }, null, {
+        bus: new EventEmitter(),
+        queue: { add: async (queue, envelope) => messages.push({ ...envelope.head.dest, text: envelope.body.text }) },
+        permissions: { getRole: () => ROLES.USER }
+    });
+
+    const admin = new AdminAddon();
+    await admin.init({
+        commands: {
+            register: (definition) => registry.register(definition, 'admin'),
+            notify: (dest, text) => registry.notify(dest, text, 'admin')
+        },
+        permissions: { normalizeUserId: (platform, userId) => userId },
+        repository: { linkIdentities: (a, b) => { linked.push([a, b]); return 'identity-1'; } }
+    });
+    await admin.start();
+});
+
+const send = (source, text) => registry._dispatch(createEnvelope({ source, body: { text } }));
+
+async function issueCode() {
+    await send(ISSUER, '!identity link');
+    return messages.at(-1).text.match(/Código: `([0-9A-F]+)`/)[1];
+}
+
+test('al canjear un código se avisa al emisor de quién lo ha canjeado', async () => {
+    const code = await issueCode();
+    await send(CLAIMANT, `!identity link ${code}`);
+
+    const notice = messages.find(message => message.platform === 'discord' && message.channelId === 'general' && /Canjeado/.test(message.text));
+    assert.ok(notice, 'el canal del emisor recibe el aviso');
+    assert.match(notice.text, /Plataforma: `telegram`/);
+    assert.match(notice.text, /Nombre: Ana TG/);
+    assert.match(notice.text, /ID: `222`/);
+    assert.match(notice.text, new RegExp(`!identity confirm ${code} telegram:222`));
+    assert.deepEqual(linked, []);
+});
+
+test('la confirmación exige nombrar la cuenta que canjeó el código', async () => {
+    const code = await issueCode();
+    await send(INTRUDER, `!identity link ${code}`);
+
+    await send(ISSUER, `!identity confirm ${code}`);
+    assert.match(messages.at(-1).text, /Uso correcto: `!identity confirm <código> <plataforma:id>`/);
+
+    // El emisor esperaba su cuenta de Telegram (222), no la que se adelantó a canjearlo
+    await send(ISSUER, `!identity confirm ${code} telegram:222`);
+    assert.match(messages.at(-1).text, /no es la que canjeó el código \(`telegram:999`\)/);
+    assert.deepEqual(linked, []);
+});
+
+test('confirmar la cuenta correcta vincula ambas identidades y consume el código', async () => {
+    const code = await issueCode();
+    await send(CLAIMANT, `!identity link ${code}`);
+
+    await send(ISSUER, `!identity confirm ${code} Telegram:222`);
+    assert.match(messages.at(-1).text, /Identidad Vinculada/);
+    assert.deepEqual(linked, [[
+        { platform: 'discord', userId: '111', displayName: 'Ana' },
+        { platform: 'telegram', userId: '222', displayName: 'Ana TG' }
+    ]]);
+
+    await send(ISSUER, `!identity confirm ${code} telegram:222`);
+    assert.match(messages.at(-1).text, /No tienes ninguna vinculación pendiente/);
+    assert.equal(linked.length, 1);
+});
+
+test('solo la cuenta emisora puede confirmar', async () => {
+    const code = await issueCode();
+    await send(CLAIMANT, `!identity link ${code}`);
+
+    await send(CLAIMANT, `!identity confirm ${code} telegram:222`);
+    assert.match(messages.at(-1).text, /No tienes ninguna vinculación pendiente/);
+    assert.deepEqual(linked, []);
+});
@@ -0,0 +1,49 @@
+// test/management_api.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import ManagementApiAddon from '../src/addons/management_api/index.js';
+
+const TOKEN = 'token-de-prueba';
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const api = new ManagementApiAddon();
+let baseUrl;
+
+before(async () => {
+    await api.init({
+        logger: silentLogger,
+        config: { api: { token: TOKEN, host: '127.0.0.1', port: 0 } },
+        repository: { getBridge: () => null }
+    });
+    await api.start();
+    baseUrl = `http://127.0.0.1:${api.server.address().port}/api/v1`;
+});
+
+after(() => api.stop());
+
+const request = (path, token = TOKEN) => fetch(`${baseUrl}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+});
+
+test('un escape % malformado en la ruta responde 400 en lugar de 500', async () => {
+    const res = await request('/bridges/%E0');
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error.code, 'invalid_path');
+});
+
+test('sin token, un escape % malformado responde 401 antes que 400', async () => {
+    const res = await request('/bridges/%E0', null);
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).error.code, 'unauthorized');
+});
+
+test('los parámetros de ruta válidos se decodifican', async () => {
+    const res = await request('/bridges/puente%20uno');
+    assert.equal(res.status, 404);
+    assert.match((await res.json()).error.message, /puente uno/);
+});
+
+test('las rutas protegidas exigen el token Bearer', async () => {
+    const res = await request('/bridges', null);
+    assert.equal(res.status, 401);
+});
@@ -0,0 +1,186 @@
+// test/memory_queue.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { MemoryQueue, MemoryWorker } from '../src/core/infra/memory_queue.js';
+
+/**
+ * Espera a que el worker emita `count` eventos del tipo indicado.
+ */
+function collect(worker, event, count) {
+    const seen = [];
+    return new Promise(resolve => {
+        worker.on(event, (job, payload) => {
+            seen.push({ job, payload, at: Date.now() });
+            if (seen.length === count) resolve(seen);
+        });
+    });
+}
+
+async function withWorker(queue, processor, options, fn) {
+    const worker = new MemoryWorker(queue, processor, options);
+    try {
+        return await fn(worker);
+    } finally {
+        await worker.close();
+        await queue.close();
+    }
+}
+
+test('reintenta un trabajo fallido hasta completarlo', async () => {
+    const queue = new MemoryQueue('retry');
+    let calls = 0;
+
+    await withWorker(queue, async () => {
+        if (++calls < 3) throw new Error(`fallo ${calls}`);
+        return 'ok';
+    }, {}, async (worker) => {
+        const failed = collect(worker, 'failed', 2);
+        const completed = once(worker, 'completed');
+        await queue.add('job', {}, { attempts: 3, backoff: { type: 'fixed', delay: 5 } });
+
+        const [job, result] = await completed;
+        assert.equal(result, 'ok');
+        assert.equal(job.attemptsMade, 2);
+        assert.deepEqual((await failed).map(entry => entry.payload.message), ['fallo 1', 'fallo 2']);
+        assert.deepEqual(await queue.getJobCounts('completed', 'failed'), { completed: 1, failed: 0 });
+    });
+});
+
+test('da el trabajo por fallido al agotar los intentos', async () => {
+    const queue = new MemoryQueue('exhausted');
+
+    await withWorker(queue, async () => { throw new Error('siempre'); }, {}, async (worker) => {
+        const failed = collect(worker, 'failed', 2);
+        const job = await queue.add('job', {}, { attempts: 2 });
+
+        await failed;
+        assert.equal(job.attemptsMade, 2);
+        assert.equal(job.failedReason, 'siempre');
+        assert.deepEqual(await queue.getJobCounts(), { waiting: 0, active: 0, delayed: 0, completed: 0, failed: 1 });
+    });
+});
+
+test('el retroceso exponencial duplica la espera entre intentos', async () => {
+    const queue = new MemoryQueue('backoff');
+    const attempts = [];
+
+    await withWorker(queue, async () => {
+        attempts.push(Date.now());
+        throw new Error('fallo');
+    }, {}, async (worker) => {
+        const failed = collect(worker, 'failed', 3);
+        await queue.add('job', {}, { attempts: 3, backoff: { type: 'exponential', delay: 40 } });
+        await failed;
+
+        assert.ok(attempts[1] - attempts[0] >= 38, `primer reintento tras ${attempts[1] - attempts[0]} ms`);
+        assert.ok(attempts[2] - attempts[1] >= 78, `segundo reintento tras ${attempts[2] - attempts[1]} ms`);
+    });
+});
+
+test('un jobId pendiente o retenido no se encola dos veces', async () => {
+    const queue = new MemoryQueue('idempotent');
+    let calls = 0;
+
+    await withWorker(queue, async () => { calls++; }, {}, async (worker) => {
+        const completed = once(worker, 'completed');
+        const first = await queue.add('job', { n: 1 }, { jobId: 'mismo' });
+        const second = await queue.add('job', { n: 2 }, { jobId: 'mismo' });
+        assert.equal(second, first);
+
+        await completed;
+        await queue.add('job', { n: 3 }, { jobId: 'mismo' });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.equal(calls, 1);
+    });
+});
+
+test('removeOnComplete libera el jobId o conserva los N más recientes', async () => {
+    const released = new MemoryQueue('remove-true');
+    await withWorker(released, async (job) => job.data.n, {}, async (worker) => {
+        const completed = collect(worker, 'completed', 2);
+        const first = once(worker, 'completed');
+        await released.add('job', { n: 1 }, { jobId: 'a', removeOnComplete: true });
+        await first;
+        await released.add('job', { n: 2 }, { jobId: 'a', removeOnComplete: true });
+
+        assert.deepEqual((await completed).map(entry => entry.payload), [1, 2]);
+        assert.equal((await released.getJobCounts('completed')).completed, 0);
+    });
+
+    const bounded = new MemoryQueue('remove-n');
+    await withWorker(bounded, async () => {}, {}, async (worker) => {
+        const completed = collect(worker, 'completed', 3);
+        for (const id of ['a', 'b', 'c']) await bounded.add('job', {}, { jobId: id, removeOnComplete: 2 });
+        await completed;
+
+        assert.deepEqual(bounded.completedIds, ['b', 'c']);
+        assert.equal(bounded.jobs.has('a'), false);
+        assert.equal(bounded.jobs.has('c'), true);
+    });
+});
+
+test('removeOnFail aplica la misma retención a los trabajos fallidos', async () => {
+    const queue = new MemoryQueue('remove-fail');
+
+    await withWorker(queue, async () => { throw new Error('x'); }, {}, async (worker) => {
+        const failed = collect(worker, 'failed', 3);
+        for (const id of ['a', 'b', 'c']) await queue.add('job', {}, { jobId: id, removeOnFail: 1 });
+        await failed;
+
+        assert.deepEqual(queue.failedIds, ['c']);
+        assert.deepEqual([...queue.jobs.keys()], ['c']);
+    });
+});
+
+test('el limitador no inicia más de `max` trabajos por ventana', async () => {
+    const queue = new MemoryQueue('limiter');
+
+    await withWorker(queue, async () => {}, { concurrency: 5, limiter: { max: 2, duration: 100 } }, async (worker) => {
+        const completed = collect(worker, 'completed', 5);
+        const start = Date.now();
+        for (let i = 0; i < 5; i++) await queue.add('job', { i });
+
+        const offsets = (await completed).map(entry => entry.at - start);
+        assert.ok(offsets[1] < 90, `segundo trabajo a los ${offsets[1]} ms`);
+        assert.ok(offsets[2] >= 95, `tercer trabajo a los ${offsets[2]} ms`);
+        assert.ok(offsets[4] >= 195, `quinto trabajo a los ${offsets[4]} ms`);
+    });
+});
+
+test('la concurrencia limita los trabajos simultáneos', async () => {
+    const queue = new MemoryQueue('concurrency');
+    let running = 0;
+    let peak = 0;
+
+    await withWorker(queue, async () => {
+        peak = Math.max(peak, ++running);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        running--;
+    }, { concurrency: 2 }, async (worker) => {
+        const completed = collect(worker, 'completed', 6);
+        for (let i = 0; i < 6; i++) await queue.add('job', { i });
+        await completed;
+        assert.equal(peak, 2);
+    });
+});
+
+test('un trabajo con `delay` espera antes de quedar disponible', async () => {
+    const queue = new MemoryQueue('delay');
+
+    await withWorker(queue, async () => {}, {}, async (worker) => {
+        const completed = once(worker, 'completed');
+        const start = Date.now();
+        await queue.add('job', {}, { delay: 50 });
+        assert.equal((await queue.getJobCounts('delayed')).delayed, 1);
+
+        await completed;
+        assert.ok(Date.now() - start >= 48);
+    });
+});
+
+test('una cola cerrada rechaza trabajos nuevos', async () => {
+    const queue = new MemoryQueue('closed');
+    await queue.close();
+    await assert.rejects(queue.add('job', {}), /está cerrada/);
+});
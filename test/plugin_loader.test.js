@@ -0,0 +1,26 @@
+// test/plugin_loader.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { PluginLoader } from '../src/core/plugin_loader.js';
+
+const loader = new PluginLoader({ bus: new EventEmitter(), config: {} });
+
+test('cualquier plugin puede consultar el estado de los demás', async () => {
+    const { plugins } = loader._createPluginContext('terceros');
+    assert.deepEqual(plugins.list(), []);
+    assert.deepEqual(await plugins.healthAll(), {});
+});
+
+test('solo los addons de administración controlan el ciclo de vida de otros plugins', () => {
+    for (const name of ['admin', 'management_api']) {
+        const { plugins } = loader._createPluginContext(name);
+        for (const operation of ['reload', 'enable', 'disable']) {
+            assert.equal(typeof plugins[operation], 'function', `${name}.${operation}`);
+        }
+    }
+
+    const { plugins } = loader._createPluginContext('terceros');
+    assert.deepEqual(Object.keys(plugins).sort(), ['healthAll', 'list']);
+    assert.ok(Object.isFrozen(plugins));
+});
@@ -0,0 +1,78 @@
+// test/richtext.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+    parseMarkdown,
+    parseTelegramEntities,
+    parseSignalText,
+    renderRichText
+} from '../src/core/utils/richtext.js';
+
+/**
+ * Suite de ficheros dorados de la capa de Texto Enriquecido.
+ * Cada `fixtures/richtext/<red>.json` contiene mensajes nativos de esa red; su `<red>.golden.json`
+ * guarda el AST esperado y su renderizado a cada formato de destino.
+ * Para regenerar los dorados tras un cambio intencionado: `UPDATE_GOLDEN=1 npm test`.
+ */
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'richtext');
+const FORMATS = ['discord', 'stoat', 'telegram', 'whatsapp', 'signal', 'plain'];
+const MARKDOWN_DIALECTS = ['discord', 'stoat', 'whatsapp'];
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+const PARSERS = {
+    discord: (fixture) => parseMarkdown(fixture.text, 'discord', markdownOptions('discord', fixture)),
+    stoat: (fixture) => parseMarkdown(fixture.text, 'stoat', markdownOptions('stoat', fixture)),
+    whatsapp: (fixture) => parseMarkdown(fixture.text, 'whatsapp', markdownOptions('whatsapp', fixture)),
+    telegram: (fixture) => parseTelegramEntities(fixture.text, fixture.entities),
+    signal: (fixture) => parseSignalText(fixture.text, { textStyles: fixture.textStyles, mentions: fixture.mentions })
+};
+
+function markdownOptions(platform, fixture) {
+    return {
+        platform,
+        mentions: fixture.mentions,
+        resolveMention: (kind, id) => fixture.names?.[`${kind}:${id}`]
+    };
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+for (const platform of Object.keys(PARSERS)) {
+    const fixtures = readJson(path.join(FIXTURES_DIR, `${platform}.json`));
+    const goldenFile = path.join(FIXTURES_DIR, `${platform}.golden.json`);
+
+    const actual = {};
+    for (const fixture of fixtures) {
+        const ast = PARSERS[platform](fixture);
+        const render = {};
+        for (const format of FORMATS) render[format] = renderRichText(ast, format);
+        actual[fixture.name] = { ast, render };
+    }
+
+    if (UPDATE) fs.writeFileSync(goldenFile, JSON.stringify(actual, null, 4) + '\n');
+    const golden = readJson(goldenFile);
+
+    for (const fixture of fixtures) {
+        test(`${platform} · ${fixture.name}: AST`, () => {
+            assert.deepEqual(actual[fixture.name].ast, golden[fixture.name]?.ast);
+        });
+
+        test(`${platform} · ${fixture.name}: renderizado a cada red`, () => {
+            assert.deepEqual(actual[fixture.name].render, golden[fixture.name]?.render);
+        });
+
+        // Ida y vuelta: lo renderizado en el propio dialecto debe volver a producir el mismo AST
+        if (MARKDOWN_DIALECTS.includes(platform)) {
+            test(`${platform} · ${fixture.name}: ida y vuelta`, () => {
+                const rendered = actual[fixture.name].render[platform];
+                assert.deepEqual(PARSERS[platform]({ ...fixture, text: rendered }), actual[fixture.name].ast);
+            });
+        }
+    }
+}
@@ -0,0 +1,53 @@
+// test/rules.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRule, applyRules } from '../src/core/utils/rules.js';
+
+const CATASTROPHIC = ['(a+)+$', '(a?)*b', '(?:a*){2,}', '((ab)*c)+', '(a|a)+', '(\\w|\\d)+x', '(.*)\\1',
+    '\\s*\\s*\\s*\\s*\\s*x', '\\d+\\.?\\d*', '(\\s*)(\\s*)x', '.*.*x'];
+const HARMLESS = ['bad(word)s?', '(?:foo)+bar', 'f[o(+)]o+', '\\(a+\\)+', '(a+){1}', 'a{2,}b+',
+    'https?:\\/\\/\\S+', '\\s*a\\s*', '(?:https?:\\/\\/)?\\S+', '\\bfoo\\b.*\\bbar\\b'];
+
+test('parseRule rechaza patrones con retroceso catastrófico', () => {
+    for (const pattern of CATASTROPHIC) {
+        assert.throws(() => parseRule(`filter drop /${pattern}/i`), /retroceso catastrófico/, pattern);
+        assert.throws(() => parseRule(`match /${pattern}/`), /retroceso catastrófico/, pattern);
+    }
+});
+
+test('parseRule acepta patrones sin cuantificadores anidados', () => {
+    for (const pattern of HARMLESS) {
+        assert.equal(parseRule(`filter drop /${pattern}/`).pattern, pattern);
+    }
+});
+
+test('applyRules ignora reglas peligrosas guardadas sin pasar por parseRule', () => {
+    const envelope = { body: { text: `${'a'.repeat(40)}!` } };
+    const rules = [{ id: 'r1', type: 'filter', action: 'drop', pattern: '(a+)+$', flags: '' }];
+
+    const started = Date.now();
+    assert.deepEqual(applyRules(envelope, rules), { allowed: true });
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('el solapamiento de cuantificadores consecutivos tiene en cuenta los flags', () => {
+    assert.equal(parseRule('filter drop /a*A*b/').pattern, 'a*A*b');
+    assert.throws(() => parseRule('filter drop /a*A*b/i'), /cuantificadores consecutivos que se solapan/);
+});
+
+test('applyRules ignora cuantificadores consecutivos solapados guardados sin validar', () => {
+    const envelope = { body: { text: `${' '.repeat(400)}!` } };
+    const rules = [{ id: 'r1', type: 'filter', action: 'drop', pattern: '\\s*\\s*\\s*\\s*\\s*x', flags: '' }];
+
+    const started = Date.now();
+    assert.deepEqual(applyRules(envelope, rules), { allowed: true });
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('applyRules sigue aplicando filtros seguros', () => {
+    const envelope = { body: { text: 'palabra fea aquí' } };
+    const rules = [parseRule('filter replace /fea/i ***')];
+
+    assert.deepEqual(applyRules(envelope, rules), { allowed: true });
+    assert.equal(envelope.body.text, 'palabra *** aquí');
+});
@@ -0,0 +1,74 @@
+// test/signal_egress.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import SignalAdapter from '../src/adapters/signal/index.js';
+import { createEnvelope, UMF_TYPES } from '../src/core/utils/umf.js';
+
+const BOT = '+34600000000';
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Adaptador sin conexión: `_request` lo atiende `respond(method, params)` y el mapa de mensajes
+ * es un array en memoria con la misma interfaz que el repositorio.
+ */
+function createAdapter(respond) {
+    const copies = [];
+    const requests = [];
+    const adapter = new SignalAdapter();
+    adapter.config = { tokens: { signal: { phone: BOT } } };
+    adapter.logger = silentLogger;
+    adapter.breaker = { fire: (fn) => fn() };
+    adapter.context = {
+        logger: silentLogger,
+        repository: {
+            recordMessageCopy: (origin, copy, part) => copies.push({ ...copy, part }),
+            getMessageCopies: () => copies
+        }
+    };
+    adapter._request = async (method, params) => {
+        requests.push({ method, params });
+        return respond(method, params);
+    };
+    return { adapter, copies, requests };
+}
+
+function stickerEnvelope() {
+    const envelope = createEnvelope({
+        type: UMF_TYPES.STICKER,
+        source: { platform: 'signal', channelId: 'group.origen', userId: '+34611111111', username: 'Ana', messageId: '1000' },
+        body: { text: 'mira' },
+        attachments: [{ type: UMF_TYPES.STICKER, mimeType: 'image/webp', sticker: { platform: 'signal', packId: 'pack', stickerId: 3 } }]
+    });
+    envelope.head.dest = { platform: 'signal', channelId: 'group.destino' };
+    return envelope;
+}
+
+test('el reintento tras fallar el texto no vuelve a enviar el sticker', async () => {
+    let textAttempts = 0;
+    const { adapter, copies, requests } = createAdapter((method, params) => {
+        if (params.sticker) return { timestamp: 2000 };
+        if (++textAttempts === 1) throw new Error('fallo de red');
+        return { timestamp: 2001 };
+    });
+    const envelope = stickerEnvelope();
+
+    await assert.rejects(adapter.processEgress(envelope), /fallo de red/);
+    await adapter.processEgress(envelope);
+
+    assert.equal(requests.filter(request => request.params.sticker).length, 1);
+    assert.equal(textAttempts, 2);
+    // El texto del reintento tampoco lleva el sticker como imagen adjunta
+    assert.equal(requests.at(-1).params.attachments, undefined);
+    assert.deepEqual(copies.map(copy => [copy.messageId, copy.part]), [['2000', 1], ['2001', 0]]);
+});
+
+test('los adjuntos remotos sin nombre no llevan el parámetro filename', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('hola', { headers: { 'content-type': 'text/plain' } }));
+    const { adapter } = createAdapter();
+
+    const unnamed = await adapter._downloadAsDataUri({ url: 'https://example.invalid/a', mimeType: 'text/plain' });
+    assert.equal(unnamed, `data:text/plain;base64,${Buffer.from('hola').toString('base64')}`);
+
+    const named = await adapter._downloadAsDataUri({ url: 'https://example.invalid/a', mimeType: 'text/plain', name: 'nota final.txt' });
+    assert.match(named, /^data:text\/plain;filename=nota%20final\.txt;base64,/);
+});
@@ -0,0 +1,171 @@
+// test/signal_rpc.test.js
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { once } from 'node:events';
+import SignalAdapter, { SignalRpcError } from '../src/adapters/signal/index.js';
+
+const BOT = '+34600000000';
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Daemon falso de signal-cli: JSON-RPC delimitado por saltos de línea sobre TCP.
+ * `handlers[method](request, reply)` decide si responde, cuándo y con qué; sin handler no responde.
+ * `receive` y `listGroups` (enviados al conectar) se contestan por defecto.
+ */
+async function startFakeSignalCli(handlers = {}) {
+    const sockets = new Set();
+    const requests = [];
+    const defaults = {
+        receive: (request, reply) => reply({ id: request.id, result: {} }),
+        listGroups: (request, reply) => reply({ id: request.id, result: [] })
+    };
+
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        const reply = (response) => socket.write(JSON.stringify({ jsonrpc: '2.0', ...response }) + '\n');
+
+        let buffer = '';
+        socket.on('data', (data) => {
+            buffer += data.toString();
+            let boundary;
+            while ((boundary = buffer.indexOf('\n')) !== -1) {
+                const request = JSON.parse(buffer.substring(0, boundary));
+                buffer = buffer.substring(boundary + 1);
+                requests.push(request);
+                (handlers[request.method] || defaults[request.method])?.(request, reply, socket);
+            }
+        });
+    });
+
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    return {
+        port: server.address().port,
+        requests,
+        dropConnections: () => { for (const socket of sockets) socket.destroy(); },
+        close: async () => {
+            for (const socket of sockets) socket.destroy();
+            server.close();
+            await once(server, 'close');
+        }
+    };
+}
+
+let fake;
+let adapter;
+
+async function connect(handlers) {
+    fake = await startFakeSignalCli(handlers);
+    adapter = new SignalAdapter();
+    adapter.context = { logger: silentLogger };
+    adapter.config = { tokens: { signal: { phone: BOT } } };
+    adapter.logger = silentLogger;
+    adapter.signalPort = fake.port;
+
+    await adapter._connectSocket(BOT);
+    await once(adapter.client, 'connect');
+}
+
+// Espera a que el daemon falso haya recibido `count` peticiones del método indicado
+async function waitForRequests(method, count) {
+    while (fake.requests.filter(request => request.method === method).length < count) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    return fake.requests.filter(request => request.method === method);
+}
+
+beforeEach(() => {
+    fake = null;
+    adapter = null;
+});
+
+afterEach(async () => {
+    if (adapter) await adapter.stop();
+    if (fake) await fake.close();
+});
+
+test('cada respuesta resuelve su petición por `id` aunque lleguen desordenadas', async () => {
+    const held = [];
+    await connect({ send: (request, reply) => held.push({ request, reply }) });
+
+    const first = adapter._request('send', { message: 'uno' });
+    const second = adapter._request('send', { message: 'dos' });
+    const third = adapter._request('send', { message: 'tres' });
+    const sent = await waitForRequests('send', 3);
+    assert.equal(new Set(sent.map(request => request.id)).size, 3);
+
+    // Orden inverso, y la última respuesta partida en dos trozos del socket
+    held[2].reply({ id: held[2].request.id, result: { timestamp: 3 } });
+    held[1].reply({ id: held[1].request.id, result: { timestamp: 2 } });
+    const line = JSON.stringify({ jsonrpc: '2.0', id: held[0].request.id, result: { timestamp: 1 } }) + '\n';
+    adapter.client.emit('data', Buffer.from(line.slice(0, 10)));
+    adapter.client.emit('data', Buffer.from(line.slice(10)));
+
+    assert.deepEqual(await Promise.all([first, second, third]), [{ timestamp: 1 }, { timestamp: 2 }, { timestamp: 3 }]);
+    assert.equal(adapter.pending.size, 0);
+});
+
+test('una petición sin respuesta vence y la respuesta tardía se descarta', async () => {
+    let late;
+    await connect({ send: (request, reply) => { late = () => reply({ id: request.id, result: {} }); } });
+
+    await assert.rejects(adapter._request('send', {}, { timeoutMs: 30 }), /no respondió a 'send' en 30ms/);
+    assert.equal(adapter.pending.size, 0);
+
+    // Una respuesta fuera de plazo no debe resolver otra petición ni romper el adaptador
+    late();
+    const groups = await adapter._request('listGroups', { account: BOT });
+    assert.deepEqual(groups, []);
+});
+
+test('los errores JSON-RPC y los fallos de todos los destinatarios son SignalRpcError', async () => {
+    await connect({
+        remoteDelete: (request, reply) => reply({ id: request.id, error: { code: -32602, message: 'timestamp inválido' } }),
+        send: (request, reply) => {
+            const results = request.params.message === 'parcial'
+                ? [{ type: 'SUCCESS' }, { type: 'UNREGISTERED_FAILURE' }]
+                : [{ type: 'UNREGISTERED_FAILURE' }, { type: 'IDENTITY_FAILURE' }];
+            reply({ id: request.id, result: { timestamp: 1, results } });
+        }
+    });
+
+    await assert.rejects(adapter._request('remoteDelete', {}), (error) => {
+        assert.ok(error instanceof SignalRpcError);
+        assert.equal(error.method, 'remoteDelete');
+        assert.equal(error.code, -32602);
+        assert.match(error.message, /timestamp inválido/);
+        return true;
+    });
+
+    await assert.rejects(adapter._request('send', { message: 'nadie' }), (error) => {
+        assert.ok(error instanceof SignalRpcError);
+        assert.equal(error.code, 'UNREGISTERED_FAILURE');
+        assert.match(error.message, /destinatario no registrado en Signal/);
+        assert.deepEqual(error.data.map(entry => entry.type), ['UNREGISTERED_FAILURE', 'IDENTITY_FAILURE']);
+        return true;
+    });
+
+    // Con al menos un destinatario entregado, el envío se da por bueno
+    assert.equal((await adapter._request('send', { message: 'parcial' })).timestamp, 1);
+});
+
+test('al caer la conexión se rechazan todas las peticiones pendientes', async () => {
+    await connect();
+
+    const pending = [adapter._request('send', {}), adapter._request('sendReaction', {})];
+    await waitForRequests('sendReaction', 1);
+    assert.equal(adapter.pending.size, 2);
+
+    // Sin reconexión: solo interesa el rechazo de lo que estaba en vuelo
+    adapter.stopping = true;
+    fake.dropConnections();
+
+    for (const request of pending) {
+        await assert.rejects(request, /Conexión con signal-cli cerrada antes de recibir respuesta/);
+    }
+    assert.equal(adapter.pending.size, 0);
+    await assert.rejects(adapter._request('send', {}), /Sin conexión con el daemon de signal-cli/);
+});
@@ -0,0 +1,6 @@
+// topology.js
+import process from 'node:process';
+import { main } from './src/cli/openchat.js';
+
+// Atajo histórico de `openchat topology <export|apply|diff>` (junto a index.js).
+main(['topology', ...process.argv.slice(2)]).then(code => { process.exitCode = code; });